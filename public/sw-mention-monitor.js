@@ -7,6 +7,18 @@ const CACHE_NAME = 'cryptosentinel-monitor-v1';
 const MONITORING_INTERVAL = 5 * 60 * 1000; // 5 minutes
 const MAX_BACKGROUND_TIME = 30 * 60 * 1000; // 30 minutes
 
+// Webhook deliveries mirror src/services/webhookDeliveryService.js: same envelope,
+// signature headers and backoff. They are logged to IndexedDB, where the app
+// picks up settled ones for its delivery log.
+const WEBHOOK_PAYLOAD_VERSION = 1;
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_BASE_DELAY = 30 * 1000;
+const WEBHOOK_MAX_DELAY = 30 * 60 * 1000;
+const WEBHOOK_TIMEOUT = 10 * 1000;
+// A database of its own; the page's sentiment cache owns and versions 'cryptosentinel'
+const DELIVERY_DB_NAME = 'cryptosentinel-webhooks';
+const DELIVERY_STORE = 'webhook_deliveries';
+
 let activeMonitors = new Map();
 let monitoringTimer = null;
 let backgroundStartTime = null;
@@ -152,6 +164,8 @@ function stopBackgroundMonitoring() {
  * Perform background monitoring check
  */
 async function performBackgroundMonitoring() {
+  await retryBackgroundWebhooks();
+
   if (activeMonitors.size === 0) {
     return;
   }
@@ -256,9 +270,11 @@ async function sendBackgroundAlerts(monitor, alerts) {
         }
       );
       
-      // Send to webhooks if configured
+      // Send to webhooks if configured; chat channels are only sent from the app
       for (const webhook of monitor.webhooks || []) {
-        await sendWebhookFromBackground(webhook, monitor, alert);
+        if (webhook.url) {
+          await sendWebhookFromBackground(webhook, monitor, alert);
+        }
       }
       
     } catch (error) {
@@ -271,28 +287,147 @@ async function sendBackgroundAlerts(monitor, alerts) {
  * Send webhook from background
  */
 async function sendWebhookFromBackground(webhook, monitor, alert) {
+  const id = `whd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const delivery = {
+    id,
+    url: webhook.url,
+    secret: webhook.secret || null,
+    headers: webhook.headers || {},
+    eventType: 'monitor.alert',
+    body: JSON.stringify({
+      version: WEBHOOK_PAYLOAD_VERSION,
+      id,
+      type: 'monitor.alert',
+      created_at: new Date().toISOString(),
+      data: {
+        source: 'background_monitoring',
+        monitor: {
+          id: monitor.id,
+          keywords: monitor.keywords
+        },
+        alert
+      }
+    }),
+    source: 'background',
+    sourceId: monitor.id,
+    meta: {},
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: null,
+    createdAt: new Date().toISOString(),
+    deliveredAt: null
+  };
+
   try {
-    const payload = {
-      source: 'background_monitoring',
-      monitor: {
-        id: monitor.id,
-        keywords: monitor.keywords
-      },
-      alert,
-      timestamp: Date.now()
-    };
-    
-    await fetch(webhook.url, {
+    await attemptWebhookDelivery(delivery);
+  } catch (error) {
+    console.error(`Background webhook failed for ${webhook.url}:`, error);
+  }
+}
+
+/**
+ * Make one signed delivery attempt and log the outcome
+ */
+async function attemptWebhookDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    ...delivery.headers,
+    'X-CryptoSentinel-Event': delivery.eventType,
+    'X-CryptoSentinel-Version': String(WEBHOOK_PAYLOAD_VERSION),
+    'X-CryptoSentinel-Timestamp': String(timestamp),
+    'X-CryptoSentinel-Attempt': String(delivery.attempts.length + 1),
+    'Idempotency-Key': delivery.id
+  };
+  if (delivery.secret) {
+    headers['X-CryptoSentinel-Signature'] = `v1=${await signWebhookBody(delivery.secret, timestamp, delivery.body)}`;
+  }
+
+  const record = { at: new Date().toISOString(), statusCode: null, latencyMs: null, response: null, error: null };
+  const started = Date.now();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT);
+
+  try {
+    const response = await fetch(delivery.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...webhook.headers
-      },
-      body: JSON.stringify(payload)
+      headers,
+      body: delivery.body,
+      signal: controller.signal
     });
+    record.statusCode = response.status;
+    record.response = (await response.text().catch(() => '')).slice(0, 500);
+    if (!response.ok) {
+      record.error = `HTTP ${response.status}`;
+    }
   } catch (error) {
-    console.error(`Background webhook failed for ${webhook.url}:`, error);
+    record.error = error.name === 'AbortError' ? `Timed out after ${WEBHOOK_TIMEOUT / 1000}s` : error.message;
+  } finally {
+    clearTimeout(timeout);
+    record.latencyMs = Date.now() - started;
   }
+
+  delivery.attempts.push(record);
+  const retryable = record.statusCode === null || record.statusCode === 408 || record.statusCode === 429 || record.statusCode >= 500;
+
+  if (!record.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = record.at;
+    delivery.nextAttemptAt = null;
+  } else if (retryable && delivery.attempts.length < WEBHOOK_MAX_ATTEMPTS) {
+    const delay = Math.min(WEBHOOK_BASE_DELAY * 2 ** (delivery.attempts.length - 1), WEBHOOK_MAX_DELAY);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = Date.now() + Math.round(delay * (0.8 + Math.random() * 0.4));
+  } else {
+    delivery.status = 'dead';
+    delivery.nextAttemptAt = null;
+  }
+
+  const db = await openDeliveryDb();
+  await idbRequest(db.transaction(DELIVERY_STORE, 'readwrite').objectStore(DELIVERY_STORE).put(delivery));
+}
+
+/**
+ * Retry logged deliveries whose backoff has elapsed
+ */
+async function retryBackgroundWebhooks() {
+  try {
+    const db = await openDeliveryDb();
+    const deliveries = await idbRequest(db.transaction(DELIVERY_STORE).objectStore(DELIVERY_STORE).getAll());
+
+    for (const delivery of deliveries) {
+      if (delivery.status === 'retrying' && delivery.nextAttemptAt <= Date.now()) {
+        await attemptWebhookDelivery(delivery);
+      }
+    }
+  } catch (error) {
+    console.error('Background webhook retry failed:', error);
+  }
+}
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${body}`, hex encoded
+ */
+async function signWebhookBody(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function openDeliveryDb() {
+  const request = indexedDB.open(DELIVERY_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(DELIVERY_STORE, { keyPath: 'id' });
+  };
+  return idbRequest(request);
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
 }
 
 /**
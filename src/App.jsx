@@ -4,8 +4,10 @@ import Layout from './components/Layout'
 import Home from './pages/Home'
 import Dashboard from './pages/Dashboard'
 import Monitoring from './pages/Monitoring'
+import Monitors from './pages/Monitors'
 import Sentiment from './pages/Sentiment'
 import Alerts from './pages/Alerts'
+import Assistant from './pages/Assistant'
 import { AuthProvider } from './context/AuthContext'
 
 function App() {
@@ -16,8 +18,10 @@ function App() {
           <Route path="/" element={<Home />} />
           <Route path="/dashboard" element={<Dashboard />} />
           <Route path="/monitoring" element={<Monitoring />} />
+          <Route path="/monitors" element={<Monitors />} />
           <Route path="/sentiment" element={<Sentiment />} />
           <Route path="/alerts" element={<Alerts />} />
+          <Route path="/assistant" element={<Assistant />} />
         </Routes>
       </Layout>
     </AuthProvider>
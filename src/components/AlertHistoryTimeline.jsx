@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react'
+import { Search, Download, RefreshCw, ChevronDown, ChevronRight } from 'lucide-react'
+import alertHistoryService, { ALERT_EVENT_KINDS } from '../services/alertHistoryService'
+
+const selectClassName = 'px-3 py-2 bg-crypto-darker border border-gray-600 rounded-lg text-sm focus:outline-none focus:border-crypto-accent'
+
+const deliveryClasses = {
+  delivered: 'text-crypto-green',
+  pending: 'text-gray-400',
+  queued: 'text-gray-400',
+  held: 'text-crypto-gold',
+  retrying: 'text-crypto-gold',
+  failed: 'text-crypto-red',
+  bounced: 'text-crypto-red',
+  skipped: 'text-gray-500'
+}
+
+const kindClasses = {
+  triggered: 'bg-crypto-accent',
+  retriggered: 'bg-gray-500',
+  reminder: 'bg-crypto-gold',
+  escalated: 'bg-crypto-red'
+}
+
+const downloadFile = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Searchable log of every alert trigger with per-channel delivery results
+const AlertHistoryTimeline = ({ refreshKey }) => {
+  const [filters, setFilters] = useState({ search: '', project: '', type: '', kind: '', deliveryStatus: '', from: '', to: '' })
+  const [events, setEvents] = useState([])
+  const [facets, setFacets] = useState({ projects: [], types: [] })
+  const [expanded, setExpanded] = useState(null)
+  const [syncing, setSyncing] = useState(false)
+
+  const loadEvents = () => {
+    setEvents(alertHistoryService.getEvents({
+      search: filters.search,
+      project: filters.project || null,
+      type: filters.type || null,
+      kind: filters.kind || null,
+      deliveryStatus: filters.deliveryStatus || null,
+      from: filters.from || null,
+      // Include the whole end day
+      to: filters.to ? `${filters.to}T23:59:59.999` : null
+    }))
+    setFacets(alertHistoryService.getFacets())
+  }
+
+  useEffect(() => {
+    // Digest sends and bounces are reported after the fact
+    alertHistoryService.refreshEmailDeliveries().then(updated => {
+      if (updated > 0) loadEvents()
+    })
+  }, [])
+
+  useEffect(() => {
+    loadEvents()
+    const interval = setInterval(loadEvents, 30000)
+    return () => clearInterval(interval)
+  }, [filters, refreshKey])
+
+  const updateFilter = (key, value) => setFilters({ ...filters, [key]: value })
+
+  const exportEvents = (format) => {
+    const stamp = new Date().toISOString().slice(0, 10)
+    downloadFile(
+      alertHistoryService.exportEvents(events, format),
+      `alert-history-${stamp}.${format}`,
+      format === 'csv' ? 'text/csv' : 'application/json'
+    )
+  }
+
+  const syncNow = async () => {
+    setSyncing(true)
+    await alertHistoryService.syncEvents()
+    await alertHistoryService.refreshEmailDeliveries()
+    setSyncing(false)
+    loadEvents()
+  }
+
+  const unsynced = events.filter(event => !event.synced).length
+
+  return (
+    <div className="crypto-card rounded-lg overflow-hidden mb-8">
+      <div className="px-6 py-4 border-b border-gray-700 flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-xl font-semibold">Alert History</h2>
+        <div className="flex items-center gap-2">
+          {unsynced > 0 && <span className="text-xs text-gray-400">{unsynced} not synced</span>}
+          <button onClick={syncNow} disabled={syncing} className="p-2 text-gray-400 hover:text-white" title="Sync to server">
+            <RefreshCw className={`h-4 w-4 ${syncing ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={() => exportEvents('csv')}
+            disabled={events.length === 0}
+            className="px-3 py-1 rounded-lg text-sm bg-gray-700 hover:bg-gray-600 flex items-center"
+          >
+            <Download className="h-3 w-3 mr-1" />
+            CSV
+          </button>
+          <button
+            onClick={() => exportEvents('json')}
+            disabled={events.length === 0}
+            className="px-3 py-1 rounded-lg text-sm bg-gray-700 hover:bg-gray-600 flex items-center"
+          >
+            <Download className="h-3 w-3 mr-1" />
+            JSON
+          </button>
+        </div>
+      </div>
+
+      <div className="px-6 py-4 border-b border-gray-700 flex flex-wrap gap-2">
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+            placeholder="Search title, message or project"
+            className={`${selectClassName} w-full pl-9`}
+          />
+        </div>
+        <select value={filters.project} onChange={(e) => updateFilter('project', e.target.value)} className={selectClassName}>
+          <option value="">All projects</option>
+          {facets.projects.map(project => <option key={project} value={project}>{project}</option>)}
+        </select>
+        <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)} className={selectClassName}>
+          <option value="">All types</option>
+          {facets.types.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <select value={filters.kind} onChange={(e) => updateFilter('kind', e.target.value)} className={selectClassName}>
+          <option value="">All events</option>
+          {ALERT_EVENT_KINDS.map(kind => <option key={kind} value={kind}>{kind}</option>)}
+        </select>
+        <select value={filters.deliveryStatus} onChange={(e) => updateFilter('deliveryStatus', e.target.value)} className={selectClassName}>
+          <option value="">Any delivery</option>
+          <option value="delivered">Delivered</option>
+          <option value="failed">Failed</option>
+          <option value="bounced">Bounced</option>
+          <option value="queued">Queued for digest</option>
+          <option value="held">Held by policy</option>
+          <option value="retrying">Retrying</option>
+          <option value="pending">Pending</option>
+        </select>
+        <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={selectClassName} />
+        <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={selectClassName} />
+      </div>
+
+      {events.length === 0 ? (
+        <p className="px-6 py-8 text-center text-gray-400">No alert events match these filters</p>
+      ) : (
+        <ol className="px-6 py-4 space-y-4 max-h-[600px] overflow-y-auto">
+          {events.map(event => (
+            <li key={event.id} className="flex gap-3">
+              <span className={`mt-2 h-2 w-2 rounded-full flex-shrink-0 ${kindClasses[event.kind] || 'bg-gray-500'}`} />
+              <div className="flex-1">
+                <button
+                  onClick={() => setExpanded(expanded === event.id ? null : event.id)}
+                  className="flex items-center text-left w-full"
+                >
+                  {expanded === event.id ? <ChevronDown className="h-4 w-4 mr-1" /> : <ChevronRight className="h-4 w-4 mr-1" />}
+                  <span className="font-medium">{event.title}</span>
+                </button>
+                <p className="text-sm text-gray-300 mt-1">{event.message}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {new Date(event.timestamp).toLocaleString()} • {event.kind} • {event.severity}
+                  {event.deliveries.map(delivery => (
+                    <span key={delivery.channel} className={`ml-2 ${deliveryClasses[delivery.status]}`} title={delivery.error || undefined}>
+                      {delivery.channel}: {delivery.status}{delivery.attempts > 1 ? ` (${delivery.attempts} attempts)` : ''}
+                    </span>
+                  ))}
+                </p>
+                {expanded === event.id && (
+                  <pre className="mt-2 p-3 bg-crypto-darker rounded-lg text-xs text-gray-300 overflow-x-auto">
+                    {JSON.stringify({ alertId: event.alertId, incidentId: event.incidentId, deliveries: event.deliveries, data: event.data }, null, 2)}
+                  </pre>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+export default AlertHistoryTimeline
@@ -0,0 +1,143 @@
+import React from 'react'
+import { Plus, Trash2, FolderPlus } from 'lucide-react'
+import { RULE_SIGNALS, RULE_OPERATORS } from '../services/alertRuleService'
+
+const inputClassName = 'px-3 py-1 bg-crypto-darker border border-gray-600 rounded-lg text-sm focus:outline-none focus:border-crypto-accent'
+
+const newCondition = () => ({ signal: 'mention_change', operator: 'gte', value: '' })
+
+const groupLabels = {
+  and: 'ALL of',
+  or: 'ANY of',
+  not: 'NOT'
+}
+
+const ConditionRow = ({ condition, onChange, onRemove }) => {
+  const unit = RULE_SIGNALS[condition.signal]?.unit
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={condition.signal}
+        onChange={(e) => onChange({ ...condition, signal: e.target.value })}
+        className={inputClassName}
+      >
+        {Object.entries(RULE_SIGNALS).map(([key, signal]) => (
+          <option key={key} value={key}>{signal.label}</option>
+        ))}
+      </select>
+      <select
+        value={condition.operator}
+        onChange={(e) => onChange({ ...condition, operator: e.target.value })}
+        className={inputClassName}
+      >
+        {Object.entries(RULE_OPERATORS).map(([key, symbol]) => (
+          <option key={key} value={key}>{symbol}</option>
+        ))}
+      </select>
+      <input
+        type="number"
+        step="any"
+        value={condition.value}
+        onChange={(e) => onChange({ ...condition, value: e.target.value })}
+        className={`${inputClassName} w-32`}
+        required
+      />
+      {unit && <span className="text-sm text-gray-400">{unit}</span>}
+      {onRemove && (
+        <button type="button" onClick={onRemove} className="p-1 text-red-400 hover:bg-red-600 hover:bg-opacity-20 rounded">
+          <Trash2 className="h-4 w-4" />
+        </button>
+      )}
+    </div>
+  )
+}
+
+// Nested AND/OR/NOT group editor; groups may contain conditions or further groups
+const RuleGroup = ({ group, onChange, onRemove, depth }) => {
+  const updateChild = (index, child) => {
+    const conditions = [...group.conditions]
+    conditions[index] = child
+    onChange({ ...group, conditions })
+  }
+
+  const removeChild = (index) => {
+    onChange({ ...group, conditions: group.conditions.filter((_, i) => i !== index) })
+  }
+
+  const changeOp = (op) => {
+    // NOT wraps a single node
+    const conditions = op === 'not' ? group.conditions.slice(0, 1) : group.conditions
+    onChange({ ...group, op, conditions })
+  }
+
+  const canAdd = group.op !== 'not' || group.conditions.length === 0
+
+  return (
+    <div className={`space-y-3 ${depth > 0 ? 'border-l-2 border-crypto-accent/40 pl-4' : ''}`}>
+      <div className="flex items-center gap-2">
+        <select value={group.op} onChange={(e) => changeOp(e.target.value)} className={inputClassName}>
+          {Object.entries(groupLabels).map(([op, label]) => (
+            <option key={op} value={op}>{label}</option>
+          ))}
+        </select>
+        <span className="text-sm text-gray-400">the following</span>
+        {onRemove && (
+          <button type="button" onClick={onRemove} className="p-1 text-red-400 hover:bg-red-600 hover:bg-opacity-20 rounded">
+            <Trash2 className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {group.conditions.map((child, index) => (
+        Object.prototype.hasOwnProperty.call(child, 'op') ? (
+          <RuleGroup
+            key={index}
+            group={child}
+            depth={depth + 1}
+            onChange={(updated) => updateChild(index, updated)}
+            onRemove={() => removeChild(index)}
+          />
+        ) : (
+          <ConditionRow
+            key={index}
+            condition={child}
+            onChange={(updated) => updateChild(index, updated)}
+            onRemove={group.conditions.length > 1 || depth > 0 ? () => removeChild(index) : null}
+          />
+        )
+      ))}
+
+      {canAdd && (
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => onChange({ ...group, conditions: [...group.conditions, newCondition()] })}
+            className="px-3 py-1 text-sm bg-gray-700 hover:bg-gray-600 rounded-lg flex items-center"
+          >
+            <Plus className="h-3 w-3 mr-1" />
+            Condition
+          </button>
+          {depth < 3 && (
+            <button
+              type="button"
+              onClick={() => onChange({ ...group, conditions: [...group.conditions, { op: 'or', conditions: [newCondition()] }] })}
+              className="px-3 py-1 text-sm bg-gray-700 hover:bg-gray-600 rounded-lg flex items-center"
+            >
+              <FolderPlus className="h-3 w-3 mr-1" />
+              Group
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const AlertRuleBuilder = ({ rule, onChange }) => (
+  <div className="p-4 bg-crypto-darker rounded-lg border border-gray-700">
+    <RuleGroup group={rule} onChange={onChange} depth={0} />
+  </div>
+)
+
+export default AlertRuleBuilder
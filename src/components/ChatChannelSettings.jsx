@@ -0,0 +1,65 @@
+import React, { useState } from 'react'
+import { Send } from 'lucide-react'
+import chatChannelService, { CHAT_CHANNELS } from '../services/chatChannelService'
+
+const inputClassName = 'w-full px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent'
+
+// Bot token / webhook fields for a Telegram, Discord or Slack channel, with a test send
+const ChatChannelSettings = ({ channel, config = {}, project, onChange }) => {
+  const [sending, setSending] = useState(false)
+  const [testResult, setTestResult] = useState(null)
+  const { label, fields } = CHAT_CHANNELS[channel]
+
+  const sendTest = async () => {
+    setSending(true)
+    try {
+      await chatChannelService.sendTest(channel, config, project || undefined)
+      // Slack responses are opaque to the browser, so a send is all we can confirm
+      setTestResult({ ok: true, text: channel === 'slack' ? 'Sent - check the channel' : 'Delivered' })
+    } catch (error) {
+      setTestResult({ ok: false, text: error.message })
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="md:col-span-2 p-4 border border-gray-700 rounded-lg">
+      <p className="text-sm font-medium mb-3">{label} settings</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {fields.map(field => (
+          <div key={field.key}>
+            <label className="block text-xs text-gray-400 mb-1">{field.label}</label>
+            <input
+              type={field.key === 'botToken' ? 'password' : 'text'}
+              value={config[field.key] || ''}
+              onChange={(e) => {
+                setTestResult(null)
+                onChange({ ...config, [field.key]: e.target.value.trim() })
+              }}
+              placeholder={field.placeholder}
+              className={inputClassName}
+              required
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center gap-3 mt-3">
+        <button
+          type="button"
+          onClick={sendTest}
+          disabled={sending}
+          className="px-4 py-2 rounded-lg text-sm bg-gray-700 hover:bg-gray-600 flex items-center"
+        >
+          <Send className="h-3 w-3 mr-2" />
+          Send test
+        </button>
+        {testResult && (
+          <span className={`text-xs ${testResult.ok ? 'text-crypto-green' : 'text-crypto-red'}`}>{testResult.text}</span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ChatChannelSettings
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react'
+import { Mail } from 'lucide-react'
+import supabaseService from '../services/supabaseService'
+
+const digestIntervals = [
+  { label: 'Every 15 minutes', minutes: 15 },
+  { label: 'Hourly', minutes: 60 },
+  { label: 'Every 4 hours', minutes: 240 },
+  { label: 'Daily', minutes: 1440 }
+]
+
+const inputClassName = 'w-full px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent'
+
+// Account-wide email settings: recipient override and digest batching
+const EmailPreferences = () => {
+  const [preferences, setPreferences] = useState({ recipient: '', digest_enabled: false, digest_interval_minutes: 60 })
+  const [status, setStatus] = useState(null)
+  // Alerts go to the account email until the saved recipient is verified
+  const [verification, setVerification] = useState(null)
+  const [code, setCode] = useState('')
+  const [verifyStatus, setVerifyStatus] = useState(null)
+
+  const loadVerification = () => supabaseService.getRecipientVerification()
+    .then(setVerification)
+    .catch(error => console.error('Failed to load recipient verification:', error))
+
+  useEffect(() => {
+    supabaseService.getEmailPreferences()
+      .then(stored => {
+        if (stored) setPreferences({ ...stored, recipient: stored.recipient || '' })
+        if (stored?.recipient) loadVerification()
+      })
+      .catch(error => console.error('Failed to load email preferences:', error))
+  }, [])
+
+  const save = async () => {
+    setStatus('saving')
+    try {
+      await supabaseService.saveEmailPreferences(preferences)
+      setStatus('saved')
+      setVerifyStatus(null)
+      if (preferences.recipient) {
+        await loadVerification()
+      } else {
+        setVerification(null)
+      }
+    } catch (error) {
+      console.error('Failed to save email preferences:', error)
+      setStatus(error.message)
+    }
+  }
+
+  const verify = async (request) => {
+    setVerifyStatus('sending')
+    try {
+      setVerification(await request())
+      setVerifyStatus(null)
+      setCode('')
+    } catch (error) {
+      console.error('Failed to verify email recipient:', error)
+      setVerifyStatus(error.message)
+    }
+  }
+
+  return (
+    <div className="md:col-span-2 p-4 border border-gray-700 rounded-lg">
+      <div className="flex items-center mb-3">
+        <Mail className="h-4 w-4 mr-2 text-crypto-accent" />
+        <span className="text-sm font-medium">Email delivery</span>
+        <span className="ml-2 text-xs text-gray-400">applies to all your email alerts</span>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Send to</label>
+          <input
+            type="email"
+            value={preferences.recipient}
+            onChange={(e) => setPreferences({ ...preferences, recipient: e.target.value })}
+            placeholder="Account email"
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="flex items-center text-xs text-gray-400 mb-1">
+            <input
+              type="checkbox"
+              checked={preferences.digest_enabled}
+              onChange={(e) => setPreferences({ ...preferences, digest_enabled: e.target.checked })}
+              className="mr-2"
+            />
+            Batch into a digest
+          </label>
+          <select
+            value={preferences.digest_interval_minutes}
+            onChange={(e) => setPreferences({ ...preferences, digest_interval_minutes: parseInt(e.target.value) })}
+            disabled={!preferences.digest_enabled}
+            className={inputClassName}
+          >
+            {digestIntervals.map(interval => (
+              <option key={interval.minutes} value={interval.minutes}>{interval.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            type="button"
+            onClick={save}
+            disabled={status === 'saving'}
+            className="px-4 py-2 rounded-lg text-sm bg-gray-700 hover:bg-gray-600"
+          >
+            Save email settings
+          </button>
+          {status && status !== 'saving' && (
+            <span className={`text-xs ${status === 'saved' ? 'text-crypto-green' : 'text-crypto-red'}`}>{status}</span>
+          )}
+        </div>
+      </div>
+      {verification && !verification.verified && (
+        <div className="flex flex-wrap items-center gap-3 mt-3 text-xs">
+          <span className="text-crypto-gold">
+            Alerts go to your account email until {verification.recipient} is verified.
+          </span>
+          <button
+            type="button"
+            onClick={() => verify(() => supabaseService.requestRecipientVerification())}
+            disabled={verifyStatus === 'sending'}
+            className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600"
+          >
+            {verification.pending ? 'Resend code' : 'Send code'}
+          </button>
+          {verification.pending && (
+            <>
+              <input
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="6-digit code"
+                inputMode="numeric"
+                className="w-28 px-3 py-1 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
+              />
+              <button
+                type="button"
+                onClick={() => verify(() => supabaseService.confirmRecipient(code))}
+                disabled={!code || verifyStatus === 'sending'}
+                className="px-3 py-1 rounded-lg bg-gray-700 hover:bg-gray-600"
+              >
+                Verify
+              </button>
+            </>
+          )}
+          {verifyStatus && verifyStatus !== 'sending' && <span className="text-crypto-red">{verifyStatus}</span>}
+        </div>
+      )}
+      {preferences.digest_enabled && (
+        <p className="text-xs text-gray-400 mt-2">Critical and escalated alerts are always emailed immediately.</p>
+      )}
+    </div>
+  )
+}
+
+export default EmailPreferences
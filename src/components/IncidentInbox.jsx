@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react'
+import { Check, CheckCheck, Clock, RefreshCw, AlertTriangle } from 'lucide-react'
+import alertService from '../services/alertService'
+
+const statusFilters = ['open', 'acknowledged', 'snoozed', 'resolved', 'all']
+
+const snoozeOptions = [
+  { label: '15m', minutes: 15 },
+  { label: '1h', minutes: 60 },
+  { label: '4h', minutes: 240 },
+  { label: '24h', minutes: 1440 }
+]
+
+const severityClasses = {
+  low: 'bg-gray-600 bg-opacity-20 text-gray-300',
+  medium: 'bg-crypto-accent bg-opacity-20 text-crypto-accent',
+  high: 'bg-crypto-gold bg-opacity-20 text-crypto-gold',
+  critical: 'bg-crypto-red bg-opacity-20 text-crypto-red'
+}
+
+const statusClasses = {
+  open: 'text-crypto-red',
+  acknowledged: 'text-crypto-gold',
+  resolved: 'text-crypto-green'
+}
+
+// Triggered alert incidents with acknowledge, snooze and resolve actions
+const IncidentInbox = ({ onChange }) => {
+  const [filter, setFilter] = useState('open')
+  const [incidents, setIncidents] = useState([])
+  const [syncing, setSyncing] = useState(false)
+
+  const refresh = () => setIncidents(alertService.getIncidents({ status: filter }))
+
+  useEffect(() => {
+    refresh()
+    const interval = setInterval(refresh, 30000)
+    return () => clearInterval(interval)
+  }, [filter])
+
+  useEffect(() => {
+    syncRemote()
+  }, [])
+
+  const syncRemote = async () => {
+    setSyncing(true)
+    try {
+      await alertService.syncRemoteIncidents()
+    } catch (error) {
+      console.error('Failed to sync server alerts:', error)
+    } finally {
+      setSyncing(false)
+      refresh()
+    }
+  }
+
+  const runAction = async (action) => {
+    try {
+      await action()
+      refresh()
+      onChange?.()
+    } catch (error) {
+      console.error('Incident action failed:', error)
+      alert(error.message)
+    }
+  }
+
+  return (
+    <div className="crypto-card rounded-lg overflow-hidden mb-8">
+      <div className="px-6 py-4 border-b border-gray-700 flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Incident Inbox</h2>
+        <div className="flex items-center gap-2">
+          {statusFilters.map(status => (
+            <button
+              key={status}
+              onClick={() => setFilter(status)}
+              className={`px-3 py-1 rounded-lg text-sm capitalize ${
+                filter === status ? 'bg-crypto-accent text-black' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+            >
+              {status}
+            </button>
+          ))}
+          <button onClick={syncRemote} disabled={syncing} className="p-1 text-gray-400 hover:text-white">
+            <RefreshCw className={`h-4 w-4 ${syncing ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {incidents.length === 0 ? (
+        <p className="px-6 py-8 text-center text-gray-400">No {filter === 'all' ? '' : filter} incidents</p>
+      ) : (
+        <div className="divide-y divide-gray-700">
+          {incidents.map(incident => {
+            const snoozed = alertService.isSnoozed(incident)
+
+            return (
+              <div key={incident.id} className="px-6 py-4 flex items-start justify-between gap-4">
+                <div className="flex-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${severityClasses[incident.severity] || severityClasses.medium}`}>
+                      {incident.severity}
+                    </span>
+                    <h3 className="font-semibold">{incident.title}</h3>
+                    {incident.occurrences > 1 && (
+                      <span className="text-xs text-gray-400">×{incident.occurrences}</span>
+                    )}
+                    {incident.escalatedAt && (
+                      <span className="flex items-center text-xs text-crypto-red">
+                        <AlertTriangle className="h-3 w-3 mr-1" />
+                        escalated
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-300 mt-1">{incident.message}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    <span className={`capitalize ${statusClasses[incident.status]}`}>{incident.status}</span>
+                    {' • '}Opened {new Date(incident.triggeredAt).toLocaleString()}
+                    {incident.occurrences > 1 && ` • Last ${new Date(incident.lastTriggeredAt).toLocaleString()}`}
+                    {incident.acknowledgedAt && ` • Acknowledged ${new Date(incident.acknowledgedAt).toLocaleString()}`}
+                    {incident.resolvedAt && ` • Resolved ${new Date(incident.resolvedAt).toLocaleString()}`}
+                    {snoozed && ` • Snoozed until ${new Date(incident.snoozedUntil).toLocaleString()}`}
+                    {incident.remoteId && ' • server'}
+                  </p>
+                </div>
+
+                {incident.status !== 'resolved' && (
+                  <div className="flex items-center gap-2">
+                    {incident.status === 'open' && (
+                      <button
+                        onClick={() => runAction(() => alertService.acknowledgeIncident(incident.id))}
+                        className="px-3 py-1 rounded-lg text-sm bg-gray-600 hover:bg-gray-500 flex items-center"
+                      >
+                        <Check className="h-3 w-3 mr-1" />
+                        Acknowledge
+                      </button>
+                    )}
+                    <div className="flex items-center">
+                      <Clock className="h-4 w-4 text-gray-400 mr-1" />
+                      <select
+                        value=""
+                        onChange={(e) => {
+                          const minutes = parseInt(e.target.value)
+                          if (minutes) {
+                            runAction(() => alertService.snoozeIncident(incident.id, Date.now() + minutes * 60 * 1000))
+                          }
+                        }}
+                        className="px-2 py-1 bg-crypto-darker border border-gray-600 rounded-lg text-sm focus:outline-none focus:border-crypto-accent"
+                      >
+                        <option value="">Snooze</option>
+                        {snoozeOptions.map(option => (
+                          <option key={option.minutes} value={option.minutes}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <button
+                      onClick={() => runAction(() => alertService.resolveIncident(incident.id))}
+                      className="px-3 py-1 rounded-lg text-sm bg-crypto-green hover:bg-opacity-80 text-black flex items-center"
+                    >
+                      <CheckCheck className="h-3 w-3 mr-1" />
+                      Resolve
+                    </button>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default IncidentInbox
@@ -1,7 +1,7 @@
 import React, { useState } from 'react'
 import { Link, useLocation } from 'react-router-dom'
 import { ConnectButton } from '@rainbow-me/rainbowkit'
-import { Shield, TrendingUp, Bell, Activity, BarChart3, Menu, X } from 'lucide-react'
+import { Shield, TrendingUp, Bell, Activity, BarChart3, Bot, Radar, Menu, X } from 'lucide-react'
 
 const Layout = ({ children }) => {
   const location = useLocation()
@@ -10,8 +10,10 @@ const Layout = ({ children }) => {
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: BarChart3 },
     { name: 'Monitoring', href: '/monitoring', icon: Activity },
+    { name: 'Monitors', href: '/monitors', icon: Radar },
     { name: 'Sentiment', href: '/sentiment', icon: TrendingUp },
     { name: 'Alerts', href: '/alerts', icon: Bell },
+    { name: 'Assistant', href: '/assistant', icon: Bot },
   ]
 
   const toggleMobileMenu = () => {
@@ -0,0 +1,99 @@
+import React, { useState } from 'react'
+import { RotateCcw, Save } from 'lucide-react'
+import { Input, Select, Button } from './FormComponents'
+import llmProviderService from '../services/llmProviderService'
+
+const providerOptions = [
+  { value: 'openrouter', label: 'OpenRouter' },
+  { value: 'openai_compatible', label: 'OpenAI-compatible server (llama.cpp, Ollama...)' },
+  { value: 'mock', label: 'Mock (offline fixtures)' }
+]
+
+const taskLabels = {
+  sentiment: 'Sentiment model',
+  insights: 'Market insights model',
+  chat: 'Assistant chat model'
+}
+
+// LLM provider and per-task model settings
+const LlmSettings = ({ onSaved }) => {
+  const [settings, setSettings] = useState(llmProviderService.getSettings())
+  const [saved, setSaved] = useState(false)
+
+  const updateModel = (task, value) => {
+    setSettings({ ...settings, models: { ...settings.models, [task]: value } })
+    setSaved(false)
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    try {
+      const updated = llmProviderService.updateSettings(settings)
+      setSettings(updated)
+      setSaved(true)
+      onSaved?.(updated)
+    } catch (error) {
+      console.error('Failed to save LLM settings:', error)
+      alert('Failed to save settings: ' + error.message)
+    }
+  }
+
+  const handleReset = () => {
+    setSettings(llmProviderService.resetSettings())
+    setSaved(false)
+  }
+
+  return (
+    <form onSubmit={handleSave} className="grid md:grid-cols-2 gap-4">
+      <Select
+        label="Provider"
+        value={settings.provider}
+        onChange={(e) => {
+          setSettings({ ...settings, provider: e.target.value })
+          setSaved(false)
+        }}
+        options={providerOptions}
+      />
+
+      {settings.provider === 'openai_compatible' ? (
+        <Input
+          label="Base URL"
+          value={settings.baseURL}
+          onChange={(e) => {
+            setSettings({ ...settings, baseURL: e.target.value })
+            setSaved(false)
+          }}
+          placeholder="http://localhost:11434/v1"
+          required
+        />
+      ) : (
+        <div />
+      )}
+
+      {Object.entries(taskLabels).map(([task, label]) => (
+        <Input
+          key={task}
+          label={label}
+          value={settings.models[task] || ''}
+          onChange={(e) => updateModel(task, e.target.value)}
+          placeholder="google/gemini-2.0-flash-001"
+          disabled={settings.provider === 'mock'}
+        />
+      ))}
+
+      <div className="md:col-span-2 flex items-center gap-4">
+        <Button type="submit" size="sm" className="inline-flex items-center">
+          <Save className="h-4 w-4 mr-2 inline" />
+          Save Settings
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={handleReset}>
+          <RotateCcw className="h-4 w-4 mr-2 inline" />
+          Reset to Defaults
+        </Button>
+        {saved && <span className="text-sm text-crypto-green">Saved</span>}
+      </div>
+    </form>
+  )
+}
+
+export default LlmSettings
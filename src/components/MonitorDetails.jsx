@@ -0,0 +1,160 @@
+import React, { useState } from 'react'
+import { ExternalLink } from 'lucide-react'
+import { ComposedChart, LineChart, Line, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { MENTION_SOURCES } from '../services/mentionSourceService'
+import { SourceBadge } from './SourceSelector'
+
+const tooltipStyle = {
+  backgroundColor: '#1F2937',
+  border: '1px solid #374151',
+  borderRadius: '8px'
+}
+
+const severityClasses = {
+  low: 'bg-gray-600 bg-opacity-20 text-gray-300',
+  medium: 'bg-crypto-accent bg-opacity-20 text-crypto-accent',
+  high: 'bg-crypto-gold bg-opacity-20 text-crypto-gold',
+  critical: 'bg-crypto-red bg-opacity-20 text-crypto-red'
+}
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+})
+
+// Volume and sentiment history, recent mentions and alert history of one monitor
+const MonitorDetails = ({ monitor }) => {
+  const { volumeHistory = [], sentimentHistory = [], recentMentions = [], alertHistory = [] } = monitor.data || {}
+  const [sourceFilter, setSourceFilter] = useState('all')
+
+  // Mentions stored before channel sources existed are tweets
+  const mentionSources = [...new Set(recentMentions.map(mention => mention.source || 'twitter'))]
+  const shownMentions = sourceFilter === 'all'
+    ? recentMentions
+    : recentMentions.filter(mention => (mention.source || 'twitter') === sourceFilter)
+
+  const volumeData = volumeHistory.map(point => ({
+    time: formatTime(point.timestamp),
+    volume: point.volume,
+    spam: point.spamFiltered || 0
+  }))
+
+  const sentimentData = sentimentHistory.map(point => ({
+    time: formatTime(point.timestamp),
+    sentiment: Math.round(point.sentiment * 100),
+    confidence: Math.round((point.confidence || 0) * 100)
+  }))
+
+  return (
+    <div className="px-6 pb-6 pt-2 space-y-6 bg-crypto-darker bg-opacity-40">
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm text-gray-400 mb-2">Volume per run</h3>
+          {volumeData.length === 0 ? (
+            <p className="h-[200px] flex items-center justify-center text-sm text-gray-500">No runs yet</p>
+          ) : (
+            <ResponsiveContainer width="100%" height={200}>
+              <ComposedChart data={volumeData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="time" stroke="#9CA3AF" minTickGap={24} />
+                <YAxis allowDecimals={false} stroke="#9CA3AF" />
+                <Tooltip contentStyle={tooltipStyle} />
+                <Legend />
+                <Bar dataKey="volume" name="Mentions" fill="#00D2FF" />
+                <Bar dataKey="spam" name="Spam filtered" fill="#6B7280" />
+              </ComposedChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+        <div>
+          <h3 className="text-sm text-gray-400 mb-2">Sentiment per run</h3>
+          {sentimentData.length === 0 ? (
+            <p className="h-[200px] flex items-center justify-center text-sm text-gray-500">No sentiment scored yet</p>
+          ) : (
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={sentimentData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="time" stroke="#9CA3AF" minTickGap={24} />
+                <YAxis domain={[0, 100]} stroke="#9CA3AF" />
+                <Tooltip contentStyle={tooltipStyle} />
+                <Legend />
+                <Line type="monotone" dataKey="sentiment" name="Sentiment" stroke="#00FF88" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="confidence" name="Confidence" stroke="#6B7280" strokeDasharray="4 4" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm text-gray-400">Recent mentions</h3>
+            {mentionSources.length > 1 && (
+              <select
+                value={sourceFilter}
+                onChange={(e) => setSourceFilter(e.target.value)}
+                className="px-2 py-1 text-xs bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
+              >
+                <option value="all">All sources</option>
+                {mentionSources.map(source => (
+                  <option key={source} value={source}>{MENTION_SOURCES[source]?.label || source}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          {shownMentions.length === 0 ? (
+            <p className="text-sm text-gray-500">No mentions yet</p>
+          ) : (
+            <ul className="space-y-2 max-h-72 overflow-y-auto pr-2">
+              {shownMentions.slice(0, 25).map((mention, index) => (
+                <li key={`${mention.source || 'twitter'}_${mention.id || index}`} className="text-sm border-b border-gray-800 pb-2">
+                  <div className="flex items-center gap-2 text-xs text-gray-400">
+                    <SourceBadge source={mention.source} />
+                    <span className="font-medium text-gray-300">@{mention.author?.username || 'unknown'}</span>
+                    {mention.channel?.name && <span>in {mention.channel.name}</span>}
+                    {mention.createdAt && <span>{formatTime(mention.createdAt)}</span>}
+                    {mention.engagement !== undefined && <span>• {mention.engagement} engagement</span>}
+                    {mention.spam?.isSpam && (
+                      <span className="px-1.5 rounded bg-crypto-gold bg-opacity-20 text-crypto-gold" title={(mention.spam.reasons || []).join(', ')}>
+                        spam {Math.round(mention.spam.score * 100)}%
+                      </span>
+                    )}
+                    {mention.url && (
+                      <a href={mention.url} target="_blank" rel="noopener noreferrer" title="Open message" className="hover:text-crypto-accent">
+                        <ExternalLink className="h-3 w-3" />
+                      </a>
+                    )}
+                  </div>
+                  <p className="text-gray-200 mt-1 break-words">{mention.text}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div>
+          <h3 className="text-sm text-gray-400 mb-2">Alert history</h3>
+          {alertHistory.length === 0 ? (
+            <p className="text-sm text-gray-500">No alerts yet</p>
+          ) : (
+            <ul className="space-y-2 max-h-72 overflow-y-auto pr-2">
+              {[...alertHistory].reverse().map((alert, index) => (
+                <li key={`${alert.timestamp}_${index}`} className="text-sm border-b border-gray-800 pb-2">
+                  <div className="flex items-center gap-2 text-xs text-gray-400">
+                    <span className={`px-2 py-0.5 rounded-full font-medium ${severityClasses[alert.severity] || severityClasses.medium}`}>
+                      {alert.severity}
+                    </span>
+                    <span>{alert.type.replace(/_/g, ' ')}</span>
+                    <span>{formatTime(alert.timestamp)}</span>
+                  </div>
+                  <p className="text-gray-200 mt-1">{alert.message}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MonitorDetails
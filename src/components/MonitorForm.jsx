@@ -0,0 +1,361 @@
+import React, { useState } from 'react'
+import { Save, X, Plus, Trash2 } from 'lucide-react'
+import chatChannelService, { CHAT_CHANNELS } from '../services/chatChannelService'
+import SourceSelector from './SourceSelector'
+
+const inputClassName = 'w-full px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent'
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean)
+
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value)
+  return isNaN(number) ? fallback : number
+}
+
+const toForm = (monitor) => {
+  const thresholds = monitor?.alertThresholds || {}
+  const filters = monitor?.filters || {}
+  return {
+    keywords: (monitor?.keywords || []).join(', '),
+    accounts: (monitor?.accounts || []).join(', '),
+    detection: thresholds.detection || 'anomaly',
+    anomalyMethod: thresholds.anomalyMethod || 'zscore',
+    zScore: String(thresholds.zScore ?? 3),
+    mentionSpike: String(thresholds.mentionSpike ?? 50),
+    sentimentChange: String(thresholds.sentimentChange ?? 0.3),
+    influencerMention: thresholds.influencerMention ?? true,
+    sources: filters.sources || ['twitter'],
+    minFollowers: String(filters.minFollowers ?? 100),
+    minEngagement: String(filters.minEngagement ?? 5),
+    excludeRetweets: filters.excludeRetweets ?? false,
+    languages: (filters.languages || ['en']).join(', '),
+    spamMode: filters.spamMode || 'exclude',
+    spamThreshold: String(filters.spamThreshold ?? 0.6),
+    // Chat channels sit on the webhook list too; they are kept as they are
+    webhooks: (monitor?.webhooks || [])
+      .filter(webhook => !chatChannelService.isChatChannel(webhook.type))
+      .map(webhook => ({ url: webhook.url || '', secret: webhook.secret || '' }))
+  }
+}
+
+// Create or edit a keyword monitor: keywords, alert thresholds, mention filters and webhooks
+const MonitorForm = ({ monitor, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(() => toForm(monitor))
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const chatWebhooks = (monitor?.webhooks || []).filter(webhook => chatChannelService.isChatChannel(webhook.type))
+
+  const update = (changes) => setForm({ ...form, ...changes })
+
+  const updateWebhook = (index, changes) => {
+    update({ webhooks: form.webhooks.map((webhook, i) => i === index ? { ...webhook, ...changes } : webhook) })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    const keywords = splitList(form.keywords)
+    if (keywords.length === 0) {
+      setError('Enter at least one keyword')
+      return
+    }
+    const invalidWebhook = form.webhooks.find(webhook => webhook.url && !/^https?:\/\//.test(webhook.url))
+    if (invalidWebhook) {
+      setError(`Invalid webhook URL: ${invalidWebhook.url}`)
+      return
+    }
+
+    setSaving(true)
+    try {
+      await onSubmit({
+        keywords,
+        accounts: splitList(form.accounts),
+        alertThresholds: {
+          ...monitor?.alertThresholds,
+          detection: form.detection,
+          anomalyMethod: form.anomalyMethod,
+          zScore: toNumber(form.zScore, 3),
+          mentionSpike: toNumber(form.mentionSpike, 50),
+          sentimentChange: toNumber(form.sentimentChange, 0.3),
+          influencerMention: form.influencerMention
+        },
+        filters: {
+          ...monitor?.filters,
+          sources: form.sources,
+          minFollowers: toNumber(form.minFollowers, 0),
+          minEngagement: toNumber(form.minEngagement, 0),
+          excludeRetweets: form.excludeRetweets,
+          languages: splitList(form.languages),
+          spamMode: form.spamMode,
+          spamThreshold: toNumber(form.spamThreshold, 0.6)
+        },
+        webhooks: [
+          ...form.webhooks
+            .filter(webhook => webhook.url)
+            .map(webhook => ({ url: webhook.url.trim(), ...(webhook.secret ? { secret: webhook.secret } : {}) })),
+          ...chatWebhooks
+        ]
+      })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="crypto-card p-6 rounded-lg mb-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-semibold">{monitor ? 'Edit Monitor' : 'New Monitor'}</h2>
+        <button onClick={onCancel} className="p-2 hover:bg-gray-700 rounded-lg transition-colors">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">Keywords</label>
+            <input
+              type="text"
+              value={form.keywords}
+              onChange={(e) => update({ keywords: e.target.value })}
+              placeholder="$SOL, Solana"
+              className={inputClassName}
+            />
+            <p className="text-xs text-gray-500 mt-1">Comma-separated; each keyword is searched separately</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">Accounts</label>
+            <input
+              type="text"
+              value={form.accounts}
+              onChange={(e) => update({ accounts: e.target.value })}
+              placeholder="aeyakovenko, solana"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-gray-300 mb-3">Sources</h3>
+          <SourceSelector value={form.sources} onChange={(sources) => update({ sources })} />
+          <p className="text-xs text-gray-500 mt-2">
+            Sources other than Twitter read the channels, subreddits and feeds tracked on the Monitoring page
+          </p>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-gray-300 mb-3">Alert thresholds</h3>
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Detection</label>
+              <select value={form.detection} onChange={(e) => update({ detection: e.target.value })} className={inputClassName}>
+                <option value="anomaly">Anomaly (vs. baseline)</option>
+                <option value="threshold">Fixed thresholds</option>
+              </select>
+            </div>
+            {form.detection === 'anomaly' ? (
+              <>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Method</label>
+                  <select value={form.anomalyMethod} onChange={(e) => update({ anomalyMethod: e.target.value })} className={inputClassName}>
+                    <option value="zscore">Z-score</option>
+                    <option value="percentile">Percentile</option>
+                    <option value="either">Either</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Z-score threshold</label>
+                  <input
+                    type="number"
+                    min="1"
+                    step="0.5"
+                    value={form.zScore}
+                    onChange={(e) => update({ zScore: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+              </>
+            ) : (
+              <>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Mention spike (mentions per run)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.mentionSpike}
+                    onChange={(e) => update({ mentionSpike: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Sentiment change</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={form.sentimentChange}
+                    onChange={(e) => update({ sentimentChange: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+              </>
+            )}
+          </div>
+          <label className="flex items-center text-sm mt-3">
+            <input
+              type="checkbox"
+              checked={form.influencerMention}
+              onChange={(e) => update({ influencerMention: e.target.checked })}
+              className="mr-2"
+            />
+            Alert on influencer mentions (100k+ followers or verified)
+          </label>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-gray-300 mb-1">Filters</h3>
+          <p className="text-xs text-gray-500 mb-3">Followers, engagement and language apply to tweets only</p>
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Min followers</label>
+              <input
+                type="number"
+                min="0"
+                value={form.minFollowers}
+                onChange={(e) => update({ minFollowers: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Min engagement</label>
+              <input
+                type="number"
+                min="0"
+                value={form.minEngagement}
+                onChange={(e) => update({ minEngagement: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Languages</label>
+              <input
+                type="text"
+                value={form.languages}
+                onChange={(e) => update({ languages: e.target.value })}
+                placeholder="en, es"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Spam handling</label>
+              <select value={form.spamMode} onChange={(e) => update({ spamMode: e.target.value })} className={inputClassName}>
+                <option value="exclude">Exclude</option>
+                <option value="downweight">Down-weight</option>
+                <option value="off">Off</option>
+              </select>
+            </div>
+            {form.spamMode !== 'off' && (
+              <div>
+                <label className="block text-sm font-medium mb-2">Spam threshold</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={form.spamThreshold}
+                  onChange={(e) => update({ spamThreshold: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+            )}
+          </div>
+          <label className="flex items-center text-sm mt-3">
+            <input
+              type="checkbox"
+              checked={form.excludeRetweets}
+              onChange={(e) => update({ excludeRetweets: e.target.checked })}
+              className="mr-2"
+            />
+            Exclude retweets
+          </label>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-sm font-semibold text-gray-300">Webhooks</h3>
+            <button
+              type="button"
+              onClick={() => update({ webhooks: [...form.webhooks, { url: '', secret: '' }] })}
+              className="flex items-center text-sm text-crypto-accent hover:underline"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add webhook
+            </button>
+          </div>
+          {form.webhooks.length === 0 && (
+            <p className="text-sm text-gray-500">No webhooks; alerts go through the alert service only.</p>
+          )}
+          <div className="space-y-2">
+            {form.webhooks.map((webhook, index) => (
+              <div key={index} className="flex gap-2">
+                <input
+                  type="url"
+                  value={webhook.url}
+                  onChange={(e) => updateWebhook(index, { url: e.target.value })}
+                  placeholder="https://example.com/hooks/crypto"
+                  className={inputClassName}
+                />
+                <input
+                  type="password"
+                  value={webhook.secret}
+                  onChange={(e) => updateWebhook(index, { secret: e.target.value })}
+                  placeholder="Signing secret (optional)"
+                  className={inputClassName}
+                />
+                <button
+                  type="button"
+                  onClick={() => update({ webhooks: form.webhooks.filter((_, i) => i !== index) })}
+                  className="p-2 hover:bg-red-600 hover:bg-opacity-20 rounded-lg transition-colors text-red-400"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          {chatWebhooks.length > 0 && (
+            <p className="text-xs text-gray-500 mt-2">
+              Also sends to {chatWebhooks.map(webhook => CHAT_CHANNELS[webhook.type]?.label || webhook.type).join(', ')}
+            </p>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-crypto-red">{error}</p>}
+
+        <div className="flex justify-end space-x-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-6 py-2 border border-gray-600 rounded-lg hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="crypto-button px-6 py-2 rounded-lg font-semibold text-black flex items-center"
+          >
+            <Save className="h-4 w-4 mr-2" />
+            {monitor ? 'Update Monitor' : 'Create Monitor'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default MonitorForm
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react'
+import { Moon, ChevronDown, ChevronRight } from 'lucide-react'
+import alertService, { ALERT_SEVERITIES, NOTIFICATION_METHODS, DIGEST_MODES } from '../services/alertService'
+
+const inputClassName = 'w-full px-3 py-1 bg-crypto-darker border border-gray-600 rounded-lg text-sm focus:outline-none focus:border-crypto-accent'
+
+const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+
+const hourLabel = (hour) => `${String(hour).padStart(2, '0')}:00`
+
+// Quiet hours, per-channel severity floors, hourly limits and digests for all alerts
+const NotificationPolicySettings = () => {
+  const [open, setOpen] = useState(false)
+  const [policy, setPolicy] = useState(() => alertService.getNotificationPolicy())
+  const [held, setHeld] = useState([])
+  const [status, setStatus] = useState(null)
+
+  useEffect(() => {
+    const refresh = () => setHeld(alertService.getHeldNotifications())
+    refresh()
+    const interval = setInterval(refresh, 30000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const updateQuietHours = (changes) => {
+    setStatus(null)
+    setPolicy({ ...policy, quietHours: { ...policy.quietHours, ...changes } })
+  }
+
+  const updateChannel = (channel, changes) => {
+    setStatus(null)
+    setPolicy({ ...policy, channels: { ...policy.channels, [channel]: { ...policy.channels[channel], ...changes } } })
+  }
+
+  const save = () => {
+    try {
+      setPolicy(alertService.updateNotificationPolicy(policy))
+      setHeld(alertService.getHeldNotifications())
+      setStatus({ ok: true, text: 'Saved' })
+    } catch (error) {
+      setStatus({ ok: false, text: error.message })
+    }
+  }
+
+  const { quietHours } = policy
+
+  return (
+    <div className="crypto-card rounded-lg overflow-hidden mb-8">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full px-6 py-4 flex items-center justify-between text-left"
+      >
+        <div className="flex items-center gap-3">
+          {open ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+          <h2 className="text-xl font-semibold">Notification Policy</h2>
+          {quietHours.enabled && (
+            <span className="flex items-center text-xs text-gray-400">
+              <Moon className="h-3 w-3 mr-1" />
+              {quietHours.start}–{quietHours.end}
+            </span>
+          )}
+        </div>
+        {held.length > 0 && (
+          <span className="px-2 py-1 rounded-full text-xs font-medium bg-crypto-gold bg-opacity-20 text-crypto-gold">
+            {held.length} held
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="px-6 pb-6 space-y-6 border-t border-gray-700 pt-4">
+          <div>
+            <label className="flex items-center text-sm font-medium mb-3">
+              <input
+                type="checkbox"
+                checked={quietHours.enabled}
+                onChange={(e) => updateQuietHours({ enabled: e.target.checked })}
+                className="mr-2"
+              />
+              Quiet hours
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">From</label>
+                <input
+                  type="time"
+                  value={quietHours.start}
+                  onChange={(e) => updateQuietHours({ start: e.target.value })}
+                  disabled={!quietHours.enabled}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Until</label>
+                <input
+                  type="time"
+                  value={quietHours.end}
+                  onChange={(e) => updateQuietHours({ end: e.target.value })}
+                  disabled={!quietHours.enabled}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Timezone</label>
+                {timezones.length > 0 ? (
+                  <select
+                    value={quietHours.timezone}
+                    onChange={(e) => updateQuietHours({ timezone: e.target.value })}
+                    className={inputClassName}
+                  >
+                    {!timezones.includes(quietHours.timezone) && <option value={quietHours.timezone}>{quietHours.timezone}</option>}
+                    {timezones.map(timezone => <option key={timezone} value={timezone}>{timezone}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    value={quietHours.timezone}
+                    onChange={(e) => updateQuietHours({ timezone: e.target.value.trim() })}
+                    className={inputClassName}
+                  />
+                )}
+              </div>
+              <label className="flex items-center text-xs text-gray-400 pb-2">
+                <input
+                  type="checkbox"
+                  checked={quietHours.allowCritical}
+                  onChange={(e) => updateQuietHours({ allowCritical: e.target.checked })}
+                  disabled={!quietHours.enabled}
+                  className="mr-2"
+                />
+                Let critical alerts through
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium mb-3">Channels</p>
+            <table className="w-full text-sm">
+              <thead className="text-xs text-gray-400">
+                <tr>
+                  <th className="text-left py-1">Channel</th>
+                  <th className="text-left py-1">Minimum severity</th>
+                  <th className="text-left py-1">Max per hour</th>
+                  <th className="text-left py-1">Digest</th>
+                </tr>
+              </thead>
+              <tbody>
+                {NOTIFICATION_METHODS.map(channel => {
+                  const rules = policy.channels[channel]
+                  return (
+                    <tr key={channel} className="border-t border-gray-700">
+                      <td className="py-2 pr-4 capitalize">{channel}</td>
+                      <td className="py-2 pr-4">
+                        <select
+                          value={rules.minSeverity}
+                          onChange={(e) => updateChannel(channel, { minSeverity: e.target.value })}
+                          className={inputClassName}
+                        >
+                          {ALERT_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <input
+                          type="number"
+                          min="1"
+                          value={rules.maxPerHour ?? ''}
+                          onChange={(e) => updateChannel(channel, { maxPerHour: e.target.value === '' ? null : parseInt(e.target.value) })}
+                          placeholder="Unlimited"
+                          className={inputClassName}
+                        />
+                      </td>
+                      <td className="py-2">
+                        <select
+                          value={rules.digest}
+                          onChange={(e) => updateChannel(channel, { digest: e.target.value })}
+                          className={`${inputClassName} capitalize`}
+                        >
+                          {DIGEST_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+                        </select>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+            <div className="flex items-center gap-3 mt-3 text-xs text-gray-400">
+              <span>Daily digests are sent at</span>
+              <select
+                value={policy.digestHour}
+                onChange={(e) => {
+                  setStatus(null)
+                  setPolicy({ ...policy, digestHour: parseInt(e.target.value) })
+                }}
+                className={`${inputClassName} w-auto`}
+              >
+                {Array.from({ length: 24 }, (_, hour) => <option key={hour} value={hour}>{hourLabel(hour)}</option>)}
+              </select>
+              <span>({quietHours.timezone})</span>
+            </div>
+          </div>
+
+          {held.length > 0 && (
+            <div>
+              <p className="text-sm font-medium mb-2">Held notifications</p>
+              <ul className="space-y-1 text-xs text-gray-400 max-h-48 overflow-y-auto">
+                {held.map(notification => (
+                  <li key={notification.id}>
+                    <span className="capitalize">{notification.channel}</span> · {notification.title} · {notification.reason} since {new Date(notification.heldAt).toLocaleTimeString()}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={save}
+              className="px-4 py-2 rounded-lg text-sm bg-gray-700 hover:bg-gray-600"
+            >
+              Save policy
+            </button>
+            {status && (
+              <span className={`text-xs ${status.ok ? 'text-crypto-green' : 'text-crypto-red'}`}>{status.text}</span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationPolicySettings
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react'
+import { RefreshCw } from 'lucide-react'
+import { BarChart, Bar, Cell, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts'
+import correlationService from '../services/correlationService'
+
+const relationshipLabels = {
+  sentiment_leads: 'Sentiment leads price',
+  price_leads: 'Price leads sentiment',
+  coincident: 'Move together',
+  no_relationship: 'No significant relationship',
+  insufficient_data: 'Insufficient data'
+}
+
+const tooltipStyle = {
+  backgroundColor: '#1F2937',
+  border: '1px solid #374151',
+  borderRadius: '8px'
+}
+
+// Cross-correlation by lag and rolling correlation between sentiment and price returns
+const SentimentPriceCorrelation = ({ project, refreshKey }) => {
+  const [range, setRange] = useState('7d')
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadCorrelation()
+  }, [project, range, refreshKey])
+
+  const loadCorrelation = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      setResult(await correlationService.analyzeSentimentPriceCorrelation(project, { range }))
+    } catch (err) {
+      console.error('Failed to analyze sentiment/price correlation:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const lagData = (result?.cross_correlation || []).map(point => ({
+    lag: point.lag,
+    correlation: point.correlation
+  }))
+
+  const rollingData = (result?.rolling_correlation || []).map(point => ({
+    time: new Date(point.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' }),
+    correlation: point.correlation
+  }))
+
+  return (
+    <div className="crypto-card p-6 rounded-lg mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Sentiment vs Price</h2>
+        <div className="flex items-center gap-2">
+          <select
+            value={range}
+            onChange={(e) => setRange(e.target.value)}
+            className="px-3 py-1 bg-crypto-darker border border-gray-600 rounded-lg text-sm focus:outline-none focus:border-crypto-accent"
+          >
+            {['24h', '7d', '30d', '90d'].map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <button onClick={loadCorrelation} disabled={loading} className="p-1 text-gray-400 hover:text-white">
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-crypto-red text-sm">{error}</p>
+      ) : result && (
+        <>
+          <div className="flex flex-wrap items-center gap-4 mb-4">
+            <span className={`px-3 py-1 rounded-full text-sm font-medium ${
+              result.significant ? 'bg-crypto-accent/20 text-crypto-accent' : 'bg-gray-700 text-gray-300'
+            }`}>
+              {relationshipLabels[result.relationship]}
+            </span>
+            <p className="text-sm text-gray-300">{result.summary}</p>
+          </div>
+
+          <div className="grid lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm text-gray-400 mb-2">
+                Cross-correlation by lag ({result.lag_unit} buckets; positive = sentiment first)
+              </h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <BarChart data={lagData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="lag" stroke="#9CA3AF" />
+                  <YAxis domain={[-1, 1]} stroke="#9CA3AF" />
+                  <Tooltip contentStyle={tooltipStyle} />
+                  <ReferenceLine y={0} stroke="#6B7280" />
+                  <Bar dataKey="correlation">
+                    {lagData.map(point => (
+                      <Cell
+                        key={point.lag}
+                        fill={point.lag === result.best_lag ? '#FFD700' : point.correlation >= 0 ? '#00FF88' : '#FF4757'}
+                      />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div>
+              <h3 className="text-sm text-gray-400 mb-2">Rolling correlation (lag 0)</h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={rollingData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="time" stroke="#9CA3AF" minTickGap={24} />
+                  <YAxis domain={[-1, 1]} stroke="#9CA3AF" />
+                  <Tooltip contentStyle={tooltipStyle} />
+                  <ReferenceLine y={0} stroke="#6B7280" />
+                  <Line type="monotone" dataKey="correlation" stroke="#00D2FF" strokeWidth={2} dot={false} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SentimentPriceCorrelation
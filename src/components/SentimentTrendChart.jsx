@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react'
+import { RefreshCw } from 'lucide-react'
+import { ComposedChart, Line, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Brush, ResponsiveContainer } from 'recharts'
+import sentimentHistoryService, { SERIES_RANGES } from '../services/sentimentHistoryService'
+
+const formatBucketTime = (timestamp, bucket) => {
+  const date = new Date(timestamp)
+  if (bucket === '1d') {
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+  }
+  return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+}
+
+// Bucketed sentiment score with mention volume overlay; drag the brush to zoom
+const SentimentTrendChart = ({ project, refreshKey }) => {
+  const [range, setRange] = useState('24h')
+  const [bucket, setBucket] = useState('1h')
+  const [series, setSeries] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const bucketOptions = sentimentHistoryService.getBucketOptions(range)
+
+  useEffect(() => {
+    // Keep the bucket valid when the range changes
+    if (!bucketOptions.includes(bucket)) {
+      setBucket(bucketOptions[bucketOptions.length - 1])
+    }
+  }, [range])
+
+  useEffect(() => {
+    if (bucketOptions.includes(bucket)) {
+      loadSeries()
+    }
+  }, [project, range, bucket, refreshKey])
+
+  const loadSeries = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      setSeries(await sentimentHistoryService.getTimeSeries(project, { range, bucket }))
+    } catch (err) {
+      console.error('Failed to load sentiment time series:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const chartData = (series?.buckets || []).map(point => ({
+    time: formatBucketTime(point.timestamp, bucket),
+    sentiment: point.score !== null ? Math.round(point.score * 100) : null,
+    volume: point.volume,
+    positive: point.distribution.positive,
+    negative: point.distribution.negative,
+    neutral: point.distribution.neutral
+  }))
+
+  const selectClassName = 'px-3 py-1 bg-crypto-darker border border-gray-600 rounded-lg text-sm focus:outline-none focus:border-crypto-accent'
+
+  return (
+    <div className="crypto-card p-6 rounded-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Sentiment Trend</h2>
+        <div className="flex items-center gap-2">
+          <select value={range} onChange={(e) => setRange(e.target.value)} className={selectClassName}>
+            {Object.keys(SERIES_RANGES).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <select value={bucket} onChange={(e) => setBucket(e.target.value)} className={selectClassName}>
+            {bucketOptions.map(option => (
+              <option key={option} value={option}>{option} buckets</option>
+            ))}
+          </select>
+          <button onClick={loadSeries} disabled={loading} className="p-1 text-gray-400 hover:text-white">
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-crypto-red text-sm">{error}</p>
+      ) : series && series.total_mentions === 0 ? (
+        <div className="h-[300px] flex items-center justify-center text-gray-400 text-center">
+          No scored mentions for {project} in the last {range}.<br />
+          Run an analysis to start building history.
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={300}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis dataKey="time" stroke="#9CA3AF" minTickGap={24} />
+            <YAxis yAxisId="sentiment" domain={[0, 100]} stroke="#9CA3AF" />
+            <YAxis yAxisId="volume" orientation="right" allowDecimals={false} stroke="#6B7280" />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: '#1F2937',
+                border: '1px solid #374151',
+                borderRadius: '8px'
+              }}
+            />
+            <Legend />
+            <Bar yAxisId="volume" dataKey="volume" name="Mentions" fill="#374151" />
+            <Line
+              yAxisId="sentiment"
+              type="monotone"
+              dataKey="sentiment"
+              name="Sentiment"
+              stroke="#00D2FF"
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+            />
+            {chartData.length > 12 && (
+              <Brush dataKey="time" height={20} stroke="#00D2FF" fill="#111827" travellerWidth={8} />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  )
+}
+
+export default SentimentTrendChart
@@ -0,0 +1,52 @@
+import React from 'react'
+import { MENTION_SOURCES } from '../services/mentionSourceService'
+
+export const sourceBadgeClasses = {
+  twitter: 'bg-crypto-accent bg-opacity-20 text-crypto-accent',
+  telegram: 'bg-crypto-green bg-opacity-20 text-crypto-green',
+  discord: 'bg-crypto-gold bg-opacity-20 text-crypto-gold',
+  reddit: 'bg-crypto-red bg-opacity-20 text-crypto-red',
+  rss: 'bg-gray-600 bg-opacity-20 text-gray-300',
+  farcaster: 'bg-purple-500 bg-opacity-20 text-purple-300'
+}
+
+export const SourceBadge = ({ source = 'twitter' }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${sourceBadgeClasses[source] || sourceBadgeClasses.twitter}`}>
+    {MENTION_SOURCES[source]?.label || source}
+  </span>
+)
+
+// Toggle buttons for the mention sources to read from; at least one stays selected
+const SourceSelector = ({ value, onChange, className = '' }) => {
+  const selected = value && value.length > 0 ? value : ['twitter']
+
+  const toggle = (source) => {
+    if (selected.includes(source)) {
+      if (selected.length > 1) onChange(selected.filter(item => item !== source))
+    } else {
+      onChange([...selected, source])
+    }
+  }
+
+  return (
+    <div className={`flex flex-wrap gap-2 ${className}`}>
+      {Object.entries(MENTION_SOURCES).map(([source, { label }]) => (
+        <button
+          key={source}
+          type="button"
+          onClick={() => toggle(source)}
+          aria-pressed={selected.includes(source)}
+          className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+            selected.includes(source)
+              ? `${sourceBadgeClasses[source]} border-transparent`
+              : 'border-gray-600 text-gray-400 hover:bg-gray-700'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default SourceSelector
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react'
+import { RotateCcw, Trash2, ChevronDown, ChevronRight } from 'lucide-react'
+import webhookDeliveryService from '../services/webhookDeliveryService'
+
+const statusFilters = ['all', 'delivered', 'retrying', 'dead']
+
+const statusClasses = {
+  pending: 'bg-gray-600 bg-opacity-20 text-gray-300',
+  retrying: 'bg-crypto-gold bg-opacity-20 text-crypto-gold',
+  delivered: 'bg-crypto-green bg-opacity-20 text-crypto-green',
+  dead: 'bg-crypto-red bg-opacity-20 text-crypto-red'
+}
+
+const selectClassName = 'px-3 py-1 bg-crypto-darker border border-gray-600 rounded-lg text-sm focus:outline-none focus:border-crypto-accent'
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).host
+  } catch {
+    return url
+  }
+}
+
+// Signed webhook deliveries with per-attempt results, a dead-letter filter and replay
+const WebhookDeliveryLog = () => {
+  const [url, setUrl] = useState('')
+  const [status, setStatus] = useState('all')
+  const [deliveries, setDeliveries] = useState([])
+  const [expanded, setExpanded] = useState(null)
+  const [busy, setBusy] = useState(null)
+
+  const refresh = () => setDeliveries(webhookDeliveryService.getDeliveries({
+    url: url || null,
+    status: status === 'all' ? null : status
+  }))
+
+  useEffect(() => {
+    refresh()
+    return webhookDeliveryService.subscribe(refresh)
+  }, [url, status])
+
+  useEffect(() => {
+    webhookDeliveryService.importBackgroundDeliveries()
+    webhookDeliveryService.importServerDeliveries()
+  }, [])
+
+  const replay = async (id) => {
+    setBusy(id)
+    try {
+      await webhookDeliveryService.replay(id)
+    } catch (error) {
+      alert(error.message)
+    } finally {
+      setBusy(null)
+      refresh()
+    }
+  }
+
+  const discard = (id) => {
+    webhookDeliveryService.discard(id)
+    refresh()
+  }
+
+  const urls = webhookDeliveryService.getWebhookUrls()
+  const deadCount = webhookDeliveryService.getDeadLetters().length
+  const stats = url ? webhookDeliveryService.getStats(url) : null
+
+  if (urls.length === 0) return null
+
+  return (
+    <div className="crypto-card rounded-lg overflow-hidden mb-8">
+      <div className="px-6 py-4 border-b border-gray-700 flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <h2 className="text-xl font-semibold">Webhook Deliveries</h2>
+          {deadCount > 0 && (
+            <span className="px-2 py-1 rounded-full text-xs font-medium bg-crypto-red bg-opacity-20 text-crypto-red">
+              {deadCount} dead-lettered
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <select value={url} onChange={(e) => setUrl(e.target.value)} className={selectClassName}>
+            <option value="">All webhooks</option>
+            {urls.map(webhookUrl => <option key={webhookUrl} value={webhookUrl}>{webhookUrl}</option>)}
+          </select>
+          {statusFilters.map(filter => (
+            <button
+              key={filter}
+              onClick={() => setStatus(filter)}
+              className={`px-3 py-1 rounded-lg text-sm capitalize ${
+                status === filter ? 'bg-crypto-accent text-black' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+            >
+              {filter === 'dead' ? 'Dead letters' : filter}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {stats && (
+        <div className="px-6 py-3 border-b border-gray-700 text-sm text-gray-400 flex flex-wrap gap-6">
+          <span>{stats.deliveries} deliveries</span>
+          <span>Success rate {stats.successRate === null ? 'n/a' : `${stats.successRate}%`}</span>
+          <span>Avg latency {stats.avgLatencyMs === null ? 'n/a' : `${stats.avgLatencyMs}ms`}</span>
+          <span>{stats.retrying} retrying</span>
+        </div>
+      )}
+
+      {deliveries.length === 0 ? (
+        <p className="px-6 py-8 text-center text-gray-400">No deliveries match these filters</p>
+      ) : (
+        <div className="divide-y divide-gray-700 max-h-[600px] overflow-y-auto">
+          {deliveries.map(delivery => {
+            const last = delivery.attempts[delivery.attempts.length - 1]
+
+            return (
+              <div key={delivery.id} className="px-6 py-3">
+                <div className="flex items-center justify-between gap-4">
+                  <button
+                    onClick={() => setExpanded(expanded === delivery.id ? null : delivery.id)}
+                    className="flex items-center gap-2 text-left flex-1 min-w-0"
+                  >
+                    {expanded === delivery.id ? <ChevronDown className="h-4 w-4 flex-shrink-0" /> : <ChevronRight className="h-4 w-4 flex-shrink-0" />}
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusClasses[delivery.status]}`}>{delivery.status}</span>
+                    <span className="font-medium">{delivery.eventType}</span>
+                    <span className="text-sm text-gray-400 truncate">{hostOf(delivery.url)}</span>
+                  </button>
+                  <div className="flex items-center gap-3 text-xs text-gray-400">
+                    <span>{new Date(delivery.createdAt).toLocaleString()}</span>
+                    <span>{delivery.attempts.length} attempt{delivery.attempts.length === 1 ? '' : 's'}</span>
+                    {last && <span>{last.statusCode ?? 'no response'} · {last.latencyMs}ms</span>}
+                    {delivery.status === 'retrying' && delivery.nextAttemptAt && (
+                      <span>next {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</span>
+                    )}
+                    {['delivered', 'dead', 'retrying'].includes(delivery.status) && (
+                      <button
+                        onClick={() => replay(delivery.id)}
+                        disabled={busy === delivery.id}
+                        className="p-1 text-gray-400 hover:text-white"
+                        title="Replay"
+                      >
+                        <RotateCcw className={`h-4 w-4 ${busy === delivery.id ? 'animate-spin' : ''}`} />
+                      </button>
+                    )}
+                    {delivery.status === 'dead' && (
+                      <button onClick={() => discard(delivery.id)} className="p-1 text-gray-400 hover:text-crypto-red" title="Discard">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {expanded === delivery.id && (
+                  <div className="mt-3 space-y-3">
+                    <table className="w-full text-xs">
+                      <thead className="text-gray-400">
+                        <tr>
+                          <th className="text-left py-1">Attempt</th>
+                          <th className="text-left py-1">Status</th>
+                          <th className="text-left py-1">Latency</th>
+                          <th className="text-left py-1">Response</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {delivery.attempts.map((attempt, index) => (
+                          <tr key={index} className="border-t border-gray-700 align-top">
+                            <td className="py-1 pr-4 whitespace-nowrap">{new Date(attempt.at).toLocaleString()}</td>
+                            <td className={`py-1 pr-4 ${attempt.error ? 'text-crypto-red' : 'text-crypto-green'}`}>
+                              {attempt.statusCode ?? '—'}{attempt.error ? ` ${attempt.error}` : ''}
+                            </td>
+                            <td className="py-1 pr-4">{attempt.latencyMs}ms</td>
+                            <td className="py-1 font-mono text-gray-300 break-all">{attempt.response || ''}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-xs text-gray-400">Idempotency-Key: <span className="font-mono">{delivery.id}</span></p>
+                    <pre className="p-3 bg-crypto-darker rounded-lg text-xs text-gray-300 overflow-x-auto">
+                      {JSON.stringify(JSON.parse(delivery.body), null, 2)}
+                    </pre>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default WebhookDeliveryLog
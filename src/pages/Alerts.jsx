@@ -1,23 +1,83 @@
 import React, { useState, useEffect } from 'react'
 import { Plus, Bell, Trash2, Edit, Save, X } from 'lucide-react'
-import alertService from '../services/alertService'
+import alertService, { MARKET_ALERT_TYPES, MARKET_WINDOWS, ALERT_SEVERITIES, NOTIFICATION_METHODS } from '../services/alertService'
 import monitoringService from '../services/monitoringService'
+import alertRuleService from '../services/alertRuleService'
+import AlertRuleBuilder from '../components/AlertRuleBuilder'
+import IncidentInbox from '../components/IncidentInbox'
+import AlertHistoryTimeline from '../components/AlertHistoryTimeline'
+import EmailPreferences from '../components/EmailPreferences'
+import ChatChannelSettings from '../components/ChatChannelSettings'
+import chatChannelService from '../services/chatChannelService'
+import webhookDeliveryService from '../services/webhookDeliveryService'
+import WebhookDeliveryLog from '../components/WebhookDeliveryLog'
+import NotificationPolicySettings from '../components/NotificationPolicySettings'
+import SourceSelector, { SourceBadge } from '../components/SourceSelector'
+
+const emptyForm = () => ({
+  project: '',
+  type: 'mention_increase',
+  threshold: '',
+  notificationMethod: 'browser',
+  severity: 'medium',
+  escalationChannel: '',
+  escalationMinutes: '15',
+  direction: 'any',
+  window: '24h',
+  detection: 'anomaly',
+  zScore: '3',
+  method: 'zscore',
+  percentile: '99',
+  coinId: '',
+  tokenAddress: '',
+  chatChannels: {},
+  sources: ['twitter'],
+  rule: alertRuleService.createDefaultRule()
+})
+
+// Direction choices per alert type; the first is the default
+const directionOptions = {
+  sentiment_change: ['any', 'positive', 'negative'],
+  price_cross: ['any', 'above', 'below'],
+  price_move: ['any', 'up', 'down'],
+  fdv_threshold: ['above', 'below']
+}
+
+// Mention spike types that can use baseline anomaly detection instead of a fixed threshold
+const anomalyTypes = ['mention_increase', 'volume_spike']
+
+// Types that read mentions and can include messages from the other sources
+const sourceTypes = ['mention_increase', 'sentiment_change', 'new_mention', 'volume_spike', 'composite']
+
+const windowTypes = {
+  price_move: '24h',
+  liquidity_drop: '1h'
+}
+
+const thresholdLabels = {
+  price_cross: 'Price Level (USD)',
+  fdv_threshold: 'FDV Level (USD)',
+  price_move: 'Move (%)',
+  liquidity_drop: 'Drop (%)',
+  volume_24h_spike: 'Above Trailing Average (%)'
+}
+
+const inputClassName = 'w-full px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent'
 
 const Alerts = () => {
   const [alerts, setAlerts] = useState([])
   const [showForm, setShowForm] = useState(false)
   const [editingId, setEditingId] = useState(null)
-  const [formData, setFormData] = useState({
-    project: '',
-    type: 'mention_increase',
-    threshold: '',
-    notificationMethod: 'browser',
-    direction: 'any'
-  })
+  const [formData, setFormData] = useState(emptyForm)
 
   useEffect(() => {
     // Load alerts from alert service
     loadAlerts()
+
+    // Pick up check status for alerts evaluated by the periodic-monitoring function
+    alertService.refreshAlertDefinitions()
+      .then(() => setAlerts(alertService.getAllAlerts()))
+      .catch(() => {})
     
     // Start monitoring service if not already running
     if (!monitoringService.getMonitoringStatus().isMonitoring) {
@@ -82,17 +142,27 @@ const Alerts = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault()
+
+    // Composite alerts carry a rule tree instead of a threshold
+    const { type, rule, threshold, direction, escalationChannel, escalationMinutes, ...fields } = formData
+    const usesWebhook = [fields.notificationMethod, escalationChannel].includes('webhook')
+    const common = {
+      ...fields,
+      // Webhook payloads are always signed
+      webhookSecret: usesWebhook ? fields.webhookSecret || webhookDeliveryService.generateSecret() : fields.webhookSecret,
+      escalation: escalationChannel ? { channel: escalationChannel, afterMinutes: escalationMinutes } : null
+    }
+    const config = type === 'composite'
+      ? { ...common, rule }
+      : { ...common, threshold, direction }
     
     try {
       if (editingId) {
         // Update existing alert
-        await alertService.updateAlert(editingId, { config: formData })
+        await alertService.updateAlert(editingId, { type, config })
       } else {
         // Create new alert
-        await alertService.createAlert({
-          type: formData.type,
-          config: formData
-        })
+        await alertService.createAlert({ type, config })
       }
       
       // Reload alerts
@@ -103,13 +173,7 @@ const Alerts = () => {
       alert('Failed to save alert: ' + error.message)
     }
     
-    setFormData({
-      project: '',
-      type: 'mention_increase',
-      threshold: '',
-      notificationMethod: 'browser',
-      direction: 'any'
-    })
+    setFormData(emptyForm())
     setShowForm(false)
   }
 
@@ -117,9 +181,24 @@ const Alerts = () => {
     setFormData({
       project: alert.config?.project || alert.project,
       type: alert.type || alert.condition,
-      threshold: alert.config?.threshold || alert.threshold,
+      threshold: alert.config?.threshold || alert.threshold || '',
       notificationMethod: alert.config?.notificationMethod || alert.notification,
-      direction: alert.config?.direction || 'any'
+      direction: alert.config?.direction || 'any',
+      webhookUrl: alert.config?.webhookUrl || '',
+      webhookSecret: alert.config?.webhookSecret || '',
+      severity: alert.config?.severity || 'medium',
+      escalationChannel: alert.config?.escalation?.channel || '',
+      escalationMinutes: alert.config?.escalation?.afterMinutes || '15',
+      window: alert.config?.window || windowTypes[alert.type] || '24h',
+      detection: alertService.getDetection(alert.config),
+      zScore: alert.config?.zScore || '3',
+      method: alert.config?.method || 'zscore',
+      percentile: alert.config?.percentile || '99',
+      coinId: alert.config?.coinId || '',
+      tokenAddress: alert.config?.tokenAddress || '',
+      chatChannels: alert.config?.chatChannels || {},
+      sources: alert.config?.sources || ['twitter'],
+      rule: alert.config?.rule || alertRuleService.createDefaultRule()
     })
     setEditingId(alert.id)
     setShowForm(true)
@@ -151,10 +230,35 @@ const Alerts = () => {
 
   const conditionLabels = {
     mention_increase: 'Mention Increase',
-    sentiment_drop: 'Sentiment Drop',
-    sentiment_rise: 'Sentiment Rise',
+    sentiment_change: 'Sentiment Change',
     new_mention: 'New Mentions',
-    volume_spike: 'Volume Spike'
+    influencer_mention: 'Influencer Mention',
+    volume_spike: 'Volume Spike',
+    composite: 'Composite Rule',
+    price_cross: 'Price Crosses Level',
+    price_move: 'Price Move',
+    liquidity_drop: 'DEX Liquidity Drop',
+    volume_24h_spike: '24h Volume Spike',
+    fdv_threshold: 'FDV Threshold'
+  }
+
+  const changeType = (type) => {
+    setFormData({
+      ...formData,
+      type,
+      direction: directionOptions[type]?.[0] || formData.direction,
+      window: windowTypes[type] || formData.window
+    })
+  }
+
+  const describeAlert = (alert) => {
+    if (alert.type === 'composite') {
+      return alertRuleService.describeRule(alert.config?.rule)
+    }
+    if (anomalyTypes.includes(alert.type) && alertService.getDetection(alert.config) === 'anomaly') {
+      return `${conditionLabels[alert.type]} - anomaly (z ≥ ${alert.config?.zScore || 3})`
+    }
+    return `${conditionLabels[alert.type] || alert.type} - ${alert.config?.threshold ?? ''}`
   }
 
   return (
@@ -192,8 +296,8 @@ const Alerts = () => {
               <span className="text-black font-bold">✓</span>
             </div>
             <div>
-              <p className="text-sm text-gray-400">Success Rate</p>
-              <p className="text-2xl font-bold">94%</p>
+              <p className="text-sm text-gray-400">Open Incidents</p>
+              <p className="text-2xl font-bold">{alertService.getIncidents({ status: 'open' }).length}</p>
             </div>
           </div>
         </div>
@@ -221,12 +325,7 @@ const Alerts = () => {
               onClick={() => {
                 setShowForm(false)
                 setEditingId(null)
-                setFormData({
-                  project: '',
-                  condition: 'mention_increase',
-                  threshold: '',
-                  notification: 'email'
-                })
+                setFormData(emptyForm())
               }}
               className="p-2 hover:bg-gray-700 rounded-lg"
             >
@@ -250,42 +349,277 @@ const Alerts = () => {
             <div>
               <label className="block text-sm font-medium mb-2">Condition</label>
               <select
-                value={formData.condition}
-                onChange={(e) => setFormData({ ...formData, condition: e.target.value })}
+                value={formData.type}
+                onChange={(e) => changeType(e.target.value)}
                 className="w-full px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
               >
-                <option value="mention_increase">Mention Increase</option>
-                <option value="sentiment_drop">Sentiment Drop</option>
-                <option value="sentiment_rise">Sentiment Rise</option>
-                <option value="new_mention">New Mentions</option>
-                <option value="volume_spike">Volume Spike</option>
+                {Object.entries(conditionLabels).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
               </select>
             </div>
+
+            {sourceTypes.includes(formData.type) && (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium mb-2">Sources</label>
+                <SourceSelector
+                  value={formData.sources}
+                  onChange={(sources) => setFormData({ ...formData, sources })}
+                />
+                {formData.sources.some(source => source !== 'twitter') && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    Channel messages come from the Telegram channels and Discord servers tracked on the Monitoring page{formData.type === 'sentiment_change' ? '; server checks score stored tweets only' : ''}
+                  </p>
+                )}
+              </div>
+            )}
             
+            {formData.type === 'composite' ? (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium mb-2">Rule</label>
+                <AlertRuleBuilder
+                  rule={formData.rule}
+                  onChange={(rule) => setFormData({ ...formData, rule })}
+                />
+                <p className="text-xs text-gray-500 mt-2">{alertRuleService.describeRule(formData.rule)}</p>
+              </div>
+            ) : (
+            <>
+            {anomalyTypes.includes(formData.type) && (
+              <div>
+                <label className="block text-sm font-medium mb-2">Detection</label>
+                <select
+                  value={formData.detection}
+                  onChange={(e) => setFormData({ ...formData, detection: e.target.value })}
+                  className={inputClassName}
+                >
+                  <option value="anomaly">Anomaly vs baseline</option>
+                  <option value="threshold">Fixed threshold</option>
+                </select>
+              </div>
+            )}
+
+            {anomalyTypes.includes(formData.type) && formData.detection === 'anomaly' ? (
+              <>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Trigger On</label>
+                  <select
+                    value={formData.method}
+                    onChange={(e) => setFormData({ ...formData, method: e.target.value })}
+                    className={inputClassName}
+                  >
+                    <option value="zscore">Z-score</option>
+                    <option value="percentile">Percentile</option>
+                    <option value="either">Either</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Z-score Threshold</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0.1"
+                    value={formData.zScore}
+                    onChange={(e) => setFormData({ ...formData, zScore: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Percentile Threshold</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="50"
+                    max="100"
+                    value={formData.percentile}
+                    onChange={(e) => setFormData({ ...formData, percentile: e.target.value })}
+                    className={inputClassName}
+                  />
+                </div>
+              </>
+            ) : (
             <div>
-              <label className="block text-sm font-medium mb-2">Threshold</label>
+              <label className="block text-sm font-medium mb-2">{thresholdLabels[formData.type] || 'Threshold'}</label>
               <input
                 type="text"
                 value={formData.threshold}
                 onChange={(e) => setFormData({ ...formData, threshold: e.target.value })}
                 placeholder="e.g., 20%, 100"
-                className="w-full px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
+                className={inputClassName}
                 required
               />
             </div>
+            )}
+
+            {directionOptions[formData.type] && (
+              <div>
+                <label className="block text-sm font-medium mb-2">Direction</label>
+                <select
+                  value={formData.direction}
+                  onChange={(e) => setFormData({ ...formData, direction: e.target.value })}
+                  className={inputClassName}
+                >
+                  {directionOptions[formData.type].map(direction => (
+                    <option key={direction} value={direction}>{direction}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {windowTypes[formData.type] && (
+              <div>
+                <label className="block text-sm font-medium mb-2">Window</label>
+                <select
+                  value={formData.window}
+                  onChange={(e) => setFormData({ ...formData, window: e.target.value })}
+                  className={inputClassName}
+                >
+                  {Object.keys(MARKET_WINDOWS).map(window => (
+                    <option key={window} value={window}>{window}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            </>
+            )}
+
+            {(MARKET_ALERT_TYPES.includes(formData.type) || formData.type === 'composite') && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium mb-2">CoinGecko ID (optional)</label>
+                  <input
+                    type="text"
+                    value={formData.coinId}
+                    onChange={(e) => setFormData({ ...formData, coinId: e.target.value })}
+                    placeholder="Resolved from the project name"
+                    className={inputClassName}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Token Address (optional)</label>
+                  <input
+                    type="text"
+                    value={formData.tokenAddress}
+                    onChange={(e) => setFormData({ ...formData, tokenAddress: e.target.value })}
+                    placeholder="Pins the DEX token"
+                    className={inputClassName}
+                  />
+                </div>
+              </>
+            )}
             
             <div>
               <label className="block text-sm font-medium mb-2">Notification</label>
               <select
-                value={formData.notification}
-                onChange={(e) => setFormData({ ...formData, notification: e.target.value })}
+                value={formData.notificationMethod}
+                onChange={(e) => setFormData({
+                  ...formData,
+                  notificationMethod: e.target.value,
+                  // The escalation channel has to be a different one
+                  escalationChannel: formData.escalationChannel === e.target.value ? '' : formData.escalationChannel
+                })}
                 className="w-full px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
               >
+                <option value="browser">Browser Notification</option>
                 <option value="email">Email</option>
-                <option value="push">Push Notification</option>
-                <option value="both">Both</option>
+                <option value="webhook">Webhook</option>
+                <option value="telegram">Telegram</option>
+                <option value="discord">Discord</option>
+                <option value="slack">Slack</option>
+                <option value="console">Console</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-2">Severity</label>
+              <select
+                value={formData.severity}
+                onChange={(e) => setFormData({ ...formData, severity: e.target.value })}
+                className={inputClassName}
+              >
+                {ALERT_SEVERITIES.map(severity => (
+                  <option key={severity} value={severity}>{severity}</option>
+                ))}
               </select>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-2">Escalate If Unacknowledged</label>
+              <div className="flex gap-2">
+                <select
+                  value={formData.escalationChannel}
+                  onChange={(e) => setFormData({ ...formData, escalationChannel: e.target.value })}
+                  className={inputClassName}
+                >
+                  <option value="">No escalation</option>
+                  {NOTIFICATION_METHODS.filter(method => method !== formData.notificationMethod).map(method => (
+                    <option key={method} value={method}>{method}</option>
+                  ))}
+                </select>
+                {formData.escalationChannel && (
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.escalationMinutes}
+                    onChange={(e) => setFormData({ ...formData, escalationMinutes: e.target.value })}
+                    className={`${inputClassName} w-28`}
+                    title="Minutes before escalating"
+                  />
+                )}
+              </div>
+            </div>
+
+            {(formData.notificationMethod === 'webhook' || formData.escalationChannel === 'webhook') && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Webhook URL</label>
+                  <input
+                    type="url"
+                    value={formData.webhookUrl || ''}
+                    onChange={(e) => setFormData({ ...formData, webhookUrl: e.target.value })}
+                    placeholder="https://example.com/hooks/cryptosentinel"
+                    className="w-full px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Signing Secret</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={formData.webhookSecret || ''}
+                      onChange={(e) => setFormData({ ...formData, webhookSecret: e.target.value })}
+                      placeholder="Generated on save"
+                      className={`${inputClassName} font-mono text-sm`}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setFormData({ ...formData, webhookSecret: webhookDeliveryService.generateSecret() })}
+                      className="px-3 py-2 rounded-lg text-sm bg-gray-700 hover:bg-gray-600"
+                    >
+                      Generate
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
+
+            {(formData.notificationMethod === 'email' || formData.escalationChannel === 'email') && <EmailPreferences />}
+
+            {[formData.notificationMethod, formData.escalationChannel]
+              .filter(channel => chatChannelService.isChatChannel(channel))
+              .map(channel => (
+                <ChatChannelSettings
+                  key={channel}
+                  channel={channel}
+                  config={formData.chatChannels[channel]}
+                  project={formData.project}
+                  onChange={(config) => setFormData({
+                    ...formData,
+                    chatChannels: { ...formData.chatChannels, [channel]: config }
+                  })}
+                />
+              ))}
             
             <div className="md:col-span-2 flex gap-4">
               <button
@@ -300,6 +634,14 @@ const Alerts = () => {
         </div>
       )}
 
+      <NotificationPolicySettings />
+
+      <IncidentInbox onChange={() => setAlerts(alertService.getAllAlerts())} />
+
+      <AlertHistoryTimeline refreshKey={alerts} />
+
+      <WebhookDeliveryLog />
+
       {/* Alerts List */}
       <div className="crypto-card rounded-lg overflow-hidden">
         <div className="px-6 py-4 border-b border-gray-700">
@@ -310,7 +652,7 @@ const Alerts = () => {
             <div key={alert.id} className="px-6 py-4 flex items-center justify-between">
               <div className="flex-1">
                 <div className="flex items-center space-x-4">
-                  <h3 className="font-semibold">{alert.project}</h3>
+                  <h3 className="font-semibold">{alert.config?.project || alert.project}</h3>
                   <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                     alert.status === 'active' 
                       ? 'bg-crypto-green bg-opacity-20 text-crypto-green' 
@@ -318,13 +660,25 @@ const Alerts = () => {
                   }`}>
                     {alert.status}
                   </span>
+                  <span
+                    className="text-xs text-gray-500"
+                    title={alert.serverId ? 'Checked by the server, even with this tab closed' : 'Checked while this tab is open'}
+                  >
+                    {alert.serverId ? 'Server' : 'Browser'}
+                  </span>
+                  {sourceTypes.includes(alert.type) && (alert.config?.sources || []).some(source => source !== 'twitter') &&
+                    alert.config.sources.map(source => <SourceBadge key={source} source={source} />)}
                 </div>
                 <p className="text-sm text-gray-400 mt-1">
-                  {conditionLabels[alert.condition]} - {alert.threshold}
+                  {describeAlert(alert)}
                 </p>
                 <p className="text-xs text-gray-500 mt-1">
                   Created: {alert.created} • Triggered: {alert.triggered} times
+                  {alert.lastChecked && ` • Checked ${new Date(alert.lastChecked).toLocaleString()}`}
                 </p>
+                {alert.lastError && (
+                  <p className="text-xs text-crypto-red mt-1">Last check failed: {alert.lastError}</p>
+                )}
               </div>
               
               <div className="flex items-center space-x-2">
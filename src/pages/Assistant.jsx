@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Bot, Send, Plus, Trash2, ChevronDown, ChevronRight, RotateCcw, Wrench, Clock, User, Square, Settings } from 'lucide-react'
+import { streamChatWithTools, executeToolWithTrace } from '../services/aiService'
+import conversationService from '../services/conversationService'
+import llmProviderService from '../services/llmProviderService'
+import LlmSettings from '../components/LlmSettings'
+
+const ToolCallCard = ({ toolCall, onRerun, rerunning }) => {
+  const [expanded, setExpanded] = useState(false)
+
+  const statusClasses = {
+    running: 'bg-crypto-gold bg-opacity-20 text-crypto-gold',
+    success: 'bg-crypto-green bg-opacity-20 text-crypto-green',
+    error: 'bg-crypto-red bg-opacity-20 text-crypto-red'
+  }
+
+  return (
+    <div className="border border-gray-700 rounded-lg bg-crypto-darker">
+      <div className="flex items-center justify-between px-3 py-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center space-x-2 text-sm text-left flex-1 min-w-0"
+        >
+          {expanded ? <ChevronDown className="h-4 w-4 flex-shrink-0" /> : <ChevronRight className="h-4 w-4 flex-shrink-0" />}
+          <Wrench className="h-4 w-4 text-crypto-accent flex-shrink-0" />
+          <span className="font-mono truncate">{toolCall.name}</span>
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusClasses[toolCall.status] || statusClasses.running}`}>
+            {toolCall.status}
+          </span>
+        </button>
+
+        <div className="flex items-center space-x-3 text-xs text-gray-400">
+          {toolCall.latencyMs !== undefined && (
+            <span className="flex items-center">
+              <Clock className="h-3 w-3 mr-1" />
+              {toolCall.latencyMs} ms
+            </span>
+          )}
+          {onRerun && toolCall.status !== 'running' && (
+            <button
+              onClick={() => onRerun(toolCall)}
+              disabled={rerunning}
+              className="p-1 hover:bg-gray-700 rounded transition-colors disabled:opacity-50"
+              title="Re-run this tool call"
+            >
+              <RotateCcw className={`h-3 w-3 ${rerunning ? 'animate-spin' : ''}`} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="px-3 pb-3 space-y-2">
+          <div>
+            <p className="text-xs text-gray-400 mb-1">Arguments</p>
+            <pre className="text-xs bg-crypto-dark p-2 rounded overflow-x-auto">
+              {JSON.stringify(toolCall.arguments, null, 2)}
+            </pre>
+          </div>
+          {toolCall.result !== undefined && (
+            <div>
+              <p className="text-xs text-gray-400 mb-1">Result</p>
+              <pre className="text-xs bg-crypto-dark p-2 rounded overflow-x-auto max-h-64">
+                {JSON.stringify(toolCall.result, null, 2)}
+              </pre>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const Assistant = () => {
+  const [conversations, setConversations] = useState([])
+  const [activeId, setActiveId] = useState(null)
+  const [input, setInput] = useState('')
+  const [sending, setSending] = useState(false)
+  const [pendingToolCalls, setPendingToolCalls] = useState([])
+  const [streamedText, setStreamedText] = useState('')
+  const [rerunningId, setRerunningId] = useState(null)
+  const [showSettings, setShowSettings] = useState(false)
+  const [llmSettings, setLlmSettings] = useState(llmProviderService.getSettings())
+  const messagesEndRef = useRef(null)
+  const abortRef = useRef(null)
+
+  useEffect(() => {
+    // Cancel any in-flight reply when leaving the page
+    return () => abortRef.current?.abort()
+  }, [])
+
+  useEffect(() => {
+    const existing = conversationService.getAllConversations()
+    setConversations(existing)
+    if (existing.length > 0) {
+      setActiveId(existing[0].id)
+    }
+  }, [])
+
+  const activeConversation = conversations.find(c => c.id === activeId)
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }, [activeConversation?.messages.length, pendingToolCalls.length, streamedText])
+
+  const refreshConversations = () => {
+    setConversations(conversationService.getAllConversations())
+  }
+
+  const startConversation = () => {
+    const conversation = conversationService.createConversation()
+    refreshConversations()
+    setActiveId(conversation.id)
+    return conversation
+  }
+
+  const deleteConversation = (id) => {
+    conversationService.deleteConversation(id)
+    const remaining = conversationService.getAllConversations()
+    setConversations(remaining)
+    if (id === activeId) {
+      setActiveId(remaining[0]?.id || null)
+    }
+  }
+
+  const handleToolCall = (trace) => {
+    setPendingToolCalls(prev => {
+      const others = prev.filter(call => call.id !== trace.id)
+      return [...others, trace]
+    })
+  }
+
+  const sendMessage = async (e) => {
+    e.preventDefault()
+    const content = input.trim()
+    if (!content || sending) return
+
+    const conversation = activeConversation || startConversation()
+    const history = conversationService.getChatHistory(conversation.id)
+    const controller = new AbortController()
+    abortRef.current = controller
+
+    conversationService.addMessage(conversation.id, { role: 'user', content })
+    refreshConversations()
+    setInput('')
+    setSending(true)
+    setPendingToolCalls([])
+    setStreamedText('')
+
+    let text = ''
+    let finalEvent = null
+    const traces = []
+
+    try {
+      const stream = streamChatWithTools(
+        [...history, { role: 'user', content }],
+        { signal: controller.signal }
+      )
+
+      for await (const event of stream) {
+        if (event.type === 'token') {
+          text += event.content
+          setStreamedText(text)
+        } else if (event.type === 'tool_call') {
+          handleToolCall(event.toolCall)
+          if (event.toolCall.status !== 'running') {
+            traces.push(event.toolCall)
+          }
+        } else if (event.type === 'done' || event.type === 'aborted') {
+          finalEvent = event
+        }
+      }
+
+      const aborted = finalEvent?.type === 'aborted'
+      conversationService.addMessage(conversation.id, {
+        role: 'assistant',
+        content: aborted ? (text || 'Response cancelled.') : (finalEvent?.message || text),
+        toolCalls: finalEvent?.toolCalls || traces,
+        error: aborted || finalEvent?.success ? null : finalEvent?.error || 'No response received'
+      })
+    } catch (error) {
+      console.error('Assistant request failed:', error)
+      conversationService.addMessage(conversation.id, {
+        role: 'assistant',
+        content: 'Unable to process your request at this time. Please try again.',
+        toolCalls: traces,
+        error: error.message
+      })
+    } finally {
+      abortRef.current = null
+      setPendingToolCalls([])
+      setStreamedText('')
+      setSending(false)
+      refreshConversations()
+    }
+  }
+
+  const stopReply = () => {
+    abortRef.current?.abort()
+  }
+
+  const rerunToolCall = async (message, toolCall) => {
+    setRerunningId(toolCall.id)
+    try {
+      const trace = await executeToolWithTrace(toolCall.name, toolCall.arguments, toolCall.id)
+      conversationService.updateMessage(activeId, message.id, {
+        toolCalls: message.toolCalls.map(call => call.id === toolCall.id ? trace : call)
+      })
+      refreshConversations()
+    } catch (error) {
+      console.error('Failed to re-run tool call:', error)
+    } finally {
+      setRerunningId(null)
+    }
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold gradient-text">AI Assistant</h1>
+          <p className="text-gray-300 mt-2">Research crypto markets with an agent that uses live data tools</p>
+        </div>
+        <button
+          onClick={() => setShowSettings(!showSettings)}
+          className="flex items-center space-x-2 px-4 py-2 rounded-lg border border-gray-600 text-gray-300 hover:text-white hover:border-crypto-accent transition-colors"
+        >
+          <Settings className="h-4 w-4" />
+          <span>{llmSettings.provider} · {llmSettings.provider === 'mock' ? 'fixtures' : llmSettings.models.chat}</span>
+        </button>
+      </div>
+
+      {showSettings && (
+        <div className="crypto-card p-6 rounded-lg mb-8">
+          <h2 className="text-xl font-semibold mb-4">Model Settings</h2>
+          <LlmSettings onSaved={setLlmSettings} />
+        </div>
+      )}
+
+      <div className="grid lg:grid-cols-4 gap-6">
+        {/* Conversation list */}
+        <div className="crypto-card rounded-lg overflow-hidden lg:col-span-1">
+          <div className="px-4 py-3 border-b border-gray-700 flex items-center justify-between">
+            <h2 className="font-semibold">Threads</h2>
+            <button
+              onClick={startConversation}
+              className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+              title="New thread"
+            >
+              <Plus className="h-4 w-4" />
+            </button>
+          </div>
+          <div className="divide-y divide-gray-700 max-h-[60vh] overflow-y-auto">
+            {conversations.length === 0 && (
+              <p className="px-4 py-6 text-sm text-gray-400">No research threads yet.</p>
+            )}
+            {conversations.map(conversation => (
+              <div
+                key={conversation.id}
+                className={`px-4 py-3 flex items-center justify-between cursor-pointer transition-colors ${
+                  conversation.id === activeId ? 'bg-crypto-accent bg-opacity-10' : 'hover:bg-gray-700'
+                }`}
+                onClick={() => setActiveId(conversation.id)}
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-medium truncate">{conversation.title}</p>
+                  <p className="text-xs text-gray-500">{new Date(conversation.updated).toLocaleString()}</p>
+                </div>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    deleteConversation(conversation.id)
+                  }}
+                  className="p-1 hover:bg-red-600 hover:bg-opacity-20 rounded transition-colors text-red-400"
+                  title="Delete thread"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Chat */}
+        <div className="crypto-card rounded-lg lg:col-span-3 flex flex-col h-[70vh]">
+          <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-6">
+            {(!activeConversation || activeConversation.messages.length === 0) && !sending && (
+              <div className="text-center text-gray-400 py-16">
+                <Bot className="h-12 w-12 mx-auto mb-4 text-crypto-accent" />
+                <p>Ask about prices, trending tokens, sentiment or DEX activity.</p>
+              </div>
+            )}
+
+            {activeConversation?.messages.map(message => (
+              <div key={message.id} className="flex items-start space-x-3">
+                {message.role === 'user' ? (
+                  <User className="h-6 w-6 text-gray-400 flex-shrink-0 mt-1" />
+                ) : (
+                  <Bot className="h-6 w-6 text-crypto-accent flex-shrink-0 mt-1" />
+                )}
+                <div className="flex-1 min-w-0 space-y-2">
+                  {message.toolCalls?.map(toolCall => (
+                    <ToolCallCard
+                      key={toolCall.id}
+                      toolCall={toolCall}
+                      onRerun={(call) => rerunToolCall(message, call)}
+                      rerunning={rerunningId === toolCall.id}
+                    />
+                  ))}
+                  <p className={`whitespace-pre-wrap leading-relaxed ${message.error ? 'text-red-400' : 'text-gray-200'}`}>
+                    {message.content}
+                  </p>
+                </div>
+              </div>
+            ))}
+
+            {sending && (
+              <div className="flex items-start space-x-3">
+                <Bot className="h-6 w-6 text-crypto-accent flex-shrink-0 mt-1" />
+                <div className="flex-1 min-w-0 space-y-2">
+                  {pendingToolCalls.map(toolCall => (
+                    <ToolCallCard key={toolCall.id} toolCall={toolCall} />
+                  ))}
+                  {streamedText ? (
+                    <p className="whitespace-pre-wrap leading-relaxed text-gray-200">
+                      {streamedText}
+                      <span className="inline-block w-2 h-4 ml-1 bg-crypto-accent animate-pulse align-middle"></span>
+                    </p>
+                  ) : (
+                    <div className="flex items-center space-x-2 text-gray-400 text-sm">
+                      <div className="animate-spin rounded-full h-4 w-4 border-2 border-crypto-accent border-t-transparent"></div>
+                      <span>Thinking...</span>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+            <div ref={messagesEndRef} />
+          </div>
+
+          <form onSubmit={sendMessage} className="border-t border-gray-700 p-4 flex gap-4">
+            <input
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="e.g., Compare SOL and AVAX sentiment over the last 24h"
+              className="flex-1 px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
+              disabled={sending}
+            />
+            {sending && (
+              <button
+                type="button"
+                onClick={stopReply}
+                className="px-4 py-2 rounded-lg border border-gray-600 text-gray-300 hover:text-white hover:border-crypto-red transition-colors flex items-center"
+              >
+                <Square className="h-4 w-4 mr-2" />
+                Stop
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={sending || !input.trim()}
+              className="crypto-button px-6 py-2 rounded-lg font-semibold text-black flex items-center disabled:opacity-50"
+            >
+              <Send className="h-4 w-4 mr-2" />
+              Send
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Assistant
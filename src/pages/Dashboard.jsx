@@ -1,7 +1,7 @@
-import React, { useState, useEffect } from 'react'
-import { TrendingUp, TrendingDown, Activity, Bell, Eye, RefreshCw, Brain, Sparkles } from 'lucide-react'
+import React, { useState, useEffect, useRef } from 'react'
+import { TrendingUp, TrendingDown, Activity, Bell, Eye, RefreshCw, Brain, Sparkles, Square } from 'lucide-react'
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar } from 'recharts'
-import { generateMarketInsights } from '../services/aiService'
+import { streamMarketInsights } from '../services/aiService'
 import { SkeletonStats, SkeletonChart, LoadingSpinner } from '../components/LoadingStates'
 import { DataError } from '../components/ErrorStates'
 import twitterService from '../services/twitterService'
@@ -18,6 +18,13 @@ const Dashboard = () => {
   const [refreshing, setRefreshing] = useState(false)
   const [generatingInsights, setGeneratingInsights] = useState(false)
   const [insightsError, setInsightsError] = useState(null)
+  const [streamingInsights, setStreamingInsights] = useState(false)
+  const insightsAbortRef = useRef(null)
+
+  useEffect(() => {
+    // Cancel any in-flight insights stream when leaving the page
+    return () => insightsAbortRef.current?.abort()
+  }, [])
 
   useEffect(() => {
     // Simulate market data
@@ -78,7 +85,13 @@ const Dashboard = () => {
     loadData(true)
   }
 
+  const stopAIInsights = () => {
+    insightsAbortRef.current?.abort()
+  }
+
   const generateAIInsights = async () => {
+    const controller = new AbortController()
+    insightsAbortRef.current = controller
     setGeneratingInsights(true)
     setInsightsError(null)
     
@@ -166,9 +179,22 @@ const Dashboard = () => {
         dataSource: 'real_apis'
       }
 
-      // Generate AI insights with comprehensive real data
-      const aiInsights = await generateMarketInsights(comprehensiveMarketData)
-      setInsights(aiInsights)
+      // Stream AI insights with comprehensive real data, rendering text as it arrives
+      let streamed = ''
+      setInsights('')
+      setStreamingInsights(true)
+
+      for await (const event of streamMarketInsights(comprehensiveMarketData, { signal: controller.signal })) {
+        if (event.type === 'token') {
+          streamed += event.content
+          setInsights(streamed)
+        } else if (event.type === 'aborted') {
+          setInsights(streamed || 'Insight generation cancelled.')
+        } else if (event.type === 'error') {
+          setInsightsError('Failed to generate AI insights. Please try again.')
+          setInsights(event.content)
+        }
+      }
       
     } catch (error) {
       console.error('Error generating AI insights:', error)
@@ -176,6 +202,8 @@ const Dashboard = () => {
       setInsights('Unable to generate AI insights at this time. Please check your connection and try again.')
     } finally {
       setGeneratingInsights(false)
+      setStreamingInsights(false)
+      insightsAbortRef.current = null
     }
   }
 
@@ -337,24 +365,35 @@ const Dashboard = () => {
       <div className="crypto-card p-4 sm:p-6 rounded-lg">
         <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 gap-4">
           <h2 className="text-lg sm:text-xl font-semibold">AI Market Insights</h2>
-          <button
-            onClick={generateAIInsights}
-            disabled={generatingInsights || loading}
-            className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-crypto-accent to-blue-500 text-white rounded-lg hover:from-crypto-accent/80 hover:to-blue-500/80 transition-all disabled:opacity-50 disabled:cursor-not-allowed focus-ring"
-          >
-            {generatingInsights ? (
-              <>
-                <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent"></div>
-                <span>Analyzing...</span>
-              </>
-            ) : (
-              <>
-                <Brain className="h-4 w-4" />
-                <span>Generate AI Insights</span>
-                <Sparkles className="h-4 w-4" />
-              </>
+          <div className="flex items-center gap-2">
+            {generatingInsights && (
+              <button
+                onClick={stopAIInsights}
+                className="flex items-center space-x-2 px-4 py-2 border border-gray-600 text-gray-300 rounded-lg hover:text-white hover:border-crypto-red transition-colors focus-ring"
+              >
+                <Square className="h-4 w-4" />
+                <span>Stop</span>
+              </button>
             )}
-          </button>
+            <button
+              onClick={generateAIInsights}
+              disabled={generatingInsights || loading}
+              className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-crypto-accent to-blue-500 text-white rounded-lg hover:from-crypto-accent/80 hover:to-blue-500/80 transition-all disabled:opacity-50 disabled:cursor-not-allowed focus-ring"
+            >
+              {generatingInsights ? (
+                <>
+                  <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent"></div>
+                  <span>{streamingInsights ? 'Streaming...' : 'Analyzing...'}</span>
+                </>
+              ) : (
+                <>
+                  <Brain className="h-4 w-4" />
+                  <span>Generate AI Insights</span>
+                  <Sparkles className="h-4 w-4" />
+                </>
+              )}
+            </button>
+          </div>
         </div>
         
         {insightsError && (
@@ -371,7 +410,10 @@ const Dashboard = () => {
           </div>
         ) : (
           <div className="prose prose-invert max-w-none">
-            <p className="text-gray-300 leading-relaxed">{insights}</p>
+            <p className="text-gray-300 leading-relaxed whitespace-pre-wrap">
+              {insights}
+              {streamingInsights && <span className="inline-block w-2 h-4 ml-1 bg-crypto-accent animate-pulse align-middle"></span>}
+            </p>
           </div>
         )}
       </div>
@@ -1,82 +1,189 @@
-import React, { useState, useEffect } from 'react'
-import { Plus, Eye, EyeOff, TrendingUp, Users, Calendar } from 'lucide-react'
+import React, { useState, useEffect, useRef } from 'react'
+import { Plus, Eye, EyeOff, TrendingUp, Users, Calendar, BadgeCheck, RefreshCw, Trash2 } from 'lucide-react'
+import supabaseService from '../services/supabaseService'
+
+const SIGNAL_WINDOW_MS = 7 * 24 * 60 * 60 * 1000
+
+const accountTypes = [
+  { value: 'twitter', label: 'Twitter', placeholder: 'Enter Twitter username (e.g., @elonmusk)' },
+  { value: 'telegram', label: 'Telegram', placeholder: 'Enter public Telegram channel (e.g., @channel)' },
+  { value: 'discord', label: 'Discord', placeholder: 'Enter Discord server ID' },
+  { value: 'reddit', label: 'Reddit', placeholder: 'Enter subreddit (e.g., r/CryptoCurrency) or search terms' },
+  { value: 'rss', label: 'News', placeholder: 'Enter RSS or Atom feed URL' },
+  { value: 'farcaster', label: 'Farcaster', placeholder: 'Enter Farcaster channel (e.g., /bitcoin) or FID' }
+]
+
+// Subreddits, searches, feeds and Farcaster accounts are stored under the tracked
+// identifier itself
+const IDENTIFIER_SOURCES = ['reddit', 'rss', 'farcaster']
+
+const formatFollowers = (count) => new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(count || 0)
+
+const formatRelative = (timestamp, now) => {
+  if (!timestamp) return 'Never'
+  const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000)
+  if (minutes < 1) return 'Just now'
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`
+  const days = Math.floor(hours / 24)
+  return `${days} day${days === 1 ? '' : 's'} ago`
+}
+
+const handleOf = (account) => account.account_type === 'twitter'
+  ? `@${account.account_identifier.replace(/^@/, '')}`
+  : account.account_identifier
+
+// Stored tweets match on their author, channel messages (rows with a source) on their
+// Telegram channel, Discord server or tracked identifier, as in
+// get_tracked_account_activity
+const isAccountMention = (account, mention) => {
+  const identifier = account.account_identifier.replace(/^@/, '').toLowerCase()
+  if (mention.source) {
+    return account.account_type === mention.source && (
+      account.account_identifier === mention.server_id ||
+      (account.external_id && account.external_id === mention.channel_id) ||
+      (mention.source === 'telegram' && identifier === mention.channel_name?.toLowerCase()) ||
+      (IDENTIFIER_SOURCES.includes(mention.source) && account.account_identifier.toLowerCase() === mention.channel_id?.toLowerCase())
+    )
+  }
+  return account.account_type === 'twitter' && (
+    (account.external_id && account.external_id === mention.author_id) ||
+    identifier === mention.author_username?.toLowerCase()
+  )
+}
 
 const Monitoring = () => {
   const [accounts, setAccounts] = useState([])
+  const [activity, setActivity] = useState({})
   const [newAccount, setNewAccount] = useState('')
+  const [accountType, setAccountType] = useState('twitter')
   const [loading, setLoading] = useState(true)
+  const [adding, setAdding] = useState(false)
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState(null)
+  const [now, setNow] = useState(Date.now())
+  const accountsRef = useRef([])
+  const activityTimer = useRef(null)
 
   useEffect(() => {
-    // Simulate loading accounts
-    setTimeout(() => {
-      setAccounts([
-        {
-          id: 1,
-          username: '@elonmusk',
-          followers: '150M',
-          status: 'active',
-          lastMention: '2 hours ago',
-          signals: 45,
-          avatar: '🚀'
-        },
-        {
-          id: 2,
-          username: '@VitalikButerin',
-          followers: '5.1M',
-          status: 'active',
-          lastMention: '4 hours ago',
-          signals: 32,
-          avatar: '🦄'
-        },
-        {
-          id: 3,
-          username: '@APompliano',
-          followers: '1.8M',
-          status: 'paused',
-          lastMention: '1 day ago',
-          signals: 28,
-          avatar: '💎'
-        },
-        {
-          id: 4,
-          username: '@cz_binance',
-          followers: '8.2M',
-          status: 'active',
-          lastMention: '6 hours ago',
-          signals: 56,
-          avatar: '⚡'
-        }
-      ])
-      setLoading(false)
-    }, 1000)
+    loadAccounts()
+
+    // New mentions by a tracked account refresh its last mention and signal count
+    const subscription = supabaseService.subscribeToMentions(({ new: mention }) => {
+      if (accountsRef.current.some(account => isAccountMention(account, mention))) {
+        clearTimeout(activityTimer.current)
+        activityTimer.current = setTimeout(loadActivity, 2000)
+      }
+    })
+    const clock = setInterval(() => setNow(Date.now()), 60000)
+
+    return () => {
+      subscription.unsubscribe()
+      clearInterval(clock)
+      clearTimeout(activityTimer.current)
+    }
   }, [])
 
-  const addAccount = () => {
-    if (newAccount.trim()) {
-      const account = {
-        id: Date.now(),
-        username: newAccount.startsWith('@') ? newAccount : `@${newAccount}`,
-        followers: '0',
-        status: 'active',
-        lastMention: 'Never',
-        signals: 0,
-        avatar: '👤'
+  const updateAccounts = (next) => {
+    accountsRef.current = next
+    setAccounts(next)
+  }
+
+  const loadAccounts = async () => {
+    try {
+      updateAccounts(await supabaseService.getTrackedAccounts({ includePaused: true }))
+      await loadActivity()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadActivity = async () => {
+    try {
+      const rows = await supabaseService.getTrackedAccountActivity(Date.now() - SIGNAL_WINDOW_MS)
+      setActivity(Object.fromEntries(rows.map(row => [row.account_id, row])))
+    } catch (err) {
+      console.error('Failed to load tracked account activity:', err)
+    }
+  }
+
+  const addAccount = async () => {
+    const identifier = newAccount.trim()
+    if (!identifier) return
+
+    setAdding(true)
+    setError(null)
+    try {
+      let accountData = { type: accountType, identifier, name: identifier }
+      if (accountType === 'twitter') {
+        const profile = await supabaseService.lookupAccount('twitter', identifier)
+        accountData = {
+          type: 'twitter',
+          identifier: profile.identifier,
+          name: profile.name,
+          externalId: profile.external_id,
+          avatarUrl: profile.avatar_url,
+          followerCount: profile.follower_count,
+          isVerified: profile.is_verified,
+          influenceScore: profile.influence_score
+        }
       }
-      setAccounts([...accounts, account])
+
+      const account = await supabaseService.addTrackedAccount(accountData)
+      updateAccounts([account, ...accountsRef.current])
       setNewAccount('')
+      loadActivity()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setAdding(false)
     }
   }
 
-  const toggleStatus = (id) => {
-    setAccounts(accounts.map(account => 
-      account.id === id 
-        ? { ...account, status: account.status === 'active' ? 'paused' : 'active' }
-        : account
-    ))
+  const runAccountAction = async (id, action) => {
+    setBusy(id)
+    setError(null)
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(null)
+    }
   }
 
-  const removeAccount = (id) => {
-    setAccounts(accounts.filter(account => account.id !== id))
+  const replaceAccount = (updated) => {
+    updateAccounts(accountsRef.current.map(account => account.id === updated.id ? updated : account))
+  }
+
+  const toggleStatus = (account) => runAccountAction(account.id, async () => {
+    replaceAccount(await supabaseService.updateTrackedAccount(account.id, { is_active: !account.is_active }))
+  })
+
+  const refreshProfile = (account) => runAccountAction(account.id, async () => {
+    const profile = await supabaseService.lookupAccount(account.account_type, account.account_identifier)
+    replaceAccount(await supabaseService.updateTrackedAccount(account.id, {
+      account_name: profile.name,
+      external_id: profile.external_id,
+      avatar_url: profile.avatar_url,
+      follower_count: profile.follower_count,
+      is_verified: profile.is_verified,
+      influence_score: profile.influence_score,
+      last_lookup_at: new Date().toISOString()
+    }))
+    loadActivity()
+  })
+
+  const removeAccount = (account) => {
+    if (!window.confirm(`Stop tracking ${handleOf(account)}?`)) return
+    runAccountAction(account.id, async () => {
+      await supabaseService.removeTrackedAccount(account.id)
+      updateAccounts(accountsRef.current.filter(item => item.id !== account.id))
+    })
   }
 
   if (loading) {
@@ -87,6 +194,8 @@ const Monitoring = () => {
     )
   }
 
+  const totalSignals = accounts.reduce((sum, account) => sum + Number(activity[account.id]?.signal_count || 0), 0)
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="mb-8">
@@ -97,23 +206,37 @@ const Monitoring = () => {
       {/* Add New Account */}
       <div className="crypto-card p-6 rounded-lg mb-8">
         <h2 className="text-xl font-semibold mb-4">Add New Account</h2>
-        <div className="flex gap-4">
+        <div className="flex flex-col sm:flex-row gap-4">
+          <select
+            value={accountType}
+            onChange={(e) => setAccountType(e.target.value)}
+            className="px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
+          >
+            {accountTypes.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
           <input
             type="text"
             value={newAccount}
             onChange={(e) => setNewAccount(e.target.value)}
-            placeholder="Enter Twitter username (e.g., @elonmusk)"
+            placeholder={accountTypes.find(type => type.value === accountType).placeholder}
             className="flex-1 px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
             onKeyPress={(e) => e.key === 'Enter' && addAccount()}
           />
           <button
             onClick={addAccount}
-            className="crypto-button px-6 py-2 rounded-lg font-semibold text-black flex items-center"
+            disabled={adding}
+            className="crypto-button px-6 py-2 rounded-lg font-semibold text-black flex items-center disabled:opacity-50"
           >
             <Plus className="h-4 w-4 mr-2" />
-            Add Account
+            {adding ? 'Looking up...' : 'Add Account'}
           </button>
         </div>
+        {accountType === 'twitter' && (
+          <p className="text-xs text-gray-500 mt-2">Follower count and verification are looked up when the account is added.</p>
+        )}
+        {error && <p className="text-sm text-crypto-red mt-3">{error}</p>}
       </div>
 
       {/* Stats */}
@@ -132,7 +255,7 @@ const Monitoring = () => {
             <TrendingUp className="h-8 w-8 text-crypto-green mr-3" />
             <div>
               <p className="text-sm text-gray-400">Active Monitors</p>
-              <p className="text-2xl font-bold">{accounts.filter(a => a.status === 'active').length}</p>
+              <p className="text-2xl font-bold">{accounts.filter(a => a.is_active).length}</p>
             </div>
           </div>
         </div>
@@ -140,8 +263,8 @@ const Monitoring = () => {
           <div className="flex items-center">
             <Calendar className="h-8 w-8 text-crypto-gold mr-3" />
             <div>
-              <p className="text-sm text-gray-400">Total Signals</p>
-              <p className="text-2xl font-bold">{accounts.reduce((sum, acc) => sum + acc.signals, 0)}</p>
+              <p className="text-sm text-gray-400">Signals (7 days)</p>
+              <p className="text-2xl font-bold">{totalSignals}</p>
             </div>
           </div>
         </div>
@@ -152,62 +275,99 @@ const Monitoring = () => {
         <div className="px-6 py-4 border-b border-gray-700">
           <h2 className="text-xl font-semibold">Monitored Accounts</h2>
         </div>
-        <div className="divide-y divide-gray-700">
-          {accounts.map((account) => (
-            <div key={account.id} className="px-6 py-4 flex items-center justify-between">
-              <div className="flex items-center space-x-4">
-                <div className="text-2xl">{account.avatar}</div>
-                <div>
-                  <h3 className="font-semibold">{account.username}</h3>
-                  <p className="text-sm text-gray-400">{account.followers} followers</p>
-                </div>
-              </div>
-              
-              <div className="flex items-center space-x-6">
-                <div className="text-right">
-                  <p className="text-sm text-gray-400">Last Mention</p>
-                  <p className="font-medium">{account.lastMention}</p>
-                </div>
-                
-                <div className="text-right">
-                  <p className="text-sm text-gray-400">Signals</p>
-                  <p className="font-medium text-crypto-accent">{account.signals}</p>
-                </div>
-                
-                <div className="flex items-center space-x-2">
-                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                    account.status === 'active' 
-                      ? 'bg-crypto-green bg-opacity-20 text-crypto-green' 
-                      : 'bg-gray-600 bg-opacity-20 text-gray-400'
-                  }`}>
-                    {account.status}
-                  </span>
-                  
-                  <button
-                    onClick={() => toggleStatus(account.id)}
-                    className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
-                  >
-                    {account.status === 'active' ? (
-                      <EyeOff className="h-4 w-4" />
+        {accounts.length === 0 ? (
+          <p className="px-6 py-8 text-center text-gray-400">No tracked accounts yet. Add one above to start collecting signals.</p>
+        ) : (
+          <div className="divide-y divide-gray-700">
+            {accounts.map((account) => {
+              const stats = activity[account.id]
+
+              return (
+                <div key={account.id} className="px-6 py-4 flex items-center justify-between">
+                  <div className="flex items-center space-x-4">
+                    {account.avatar_url ? (
+                      <img src={account.avatar_url} alt="" className="h-10 w-10 rounded-full" />
                     ) : (
-                      <Eye className="h-4 w-4" />
+                      <div className="h-10 w-10 rounded-full bg-gray-700 flex items-center justify-center font-semibold">
+                        {handleOf(account).replace(/^@/, '').charAt(0).toUpperCase()}
+                      </div>
                     )}
-                  </button>
-                  
-                  <button
-                    onClick={() => removeAccount(account.id)}
-                    className="p-2 hover:bg-red-600 hover:bg-opacity-20 rounded-lg transition-colors text-red-400"
-                  >
-                    ×
-                  </button>
+                    <div>
+                      <h3 className="font-semibold flex items-center">
+                        {handleOf(account)}
+                        {account.is_verified && <BadgeCheck className="h-4 w-4 ml-1 text-crypto-accent" />}
+                      </h3>
+                      <p className="text-sm text-gray-400">
+                        {account.account_name && account.account_name !== account.account_identifier && `${account.account_name} • `}
+                        {account.account_type === 'twitter' ? `${formatFollowers(account.follower_count)} followers` : account.account_type}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-6">
+                    <div className="text-right">
+                      <p className="text-sm text-gray-400">Last Mention</p>
+                      <p className="font-medium">{formatRelative(stats?.last_mention_at, now)}</p>
+                    </div>
+
+                    <div className="text-right">
+                      <p className="text-sm text-gray-400">Signals</p>
+                      <p className="font-medium text-crypto-accent" title={stats?.projects?.length ? stats.projects.join(', ') : undefined}>
+                        {Number(stats?.signal_count || 0)}
+                      </p>
+                    </div>
+
+                    <div className="flex items-center space-x-2">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        account.is_active
+                          ? 'bg-crypto-green bg-opacity-20 text-crypto-green'
+                          : 'bg-gray-600 bg-opacity-20 text-gray-400'
+                      }`}>
+                        {account.is_active ? 'active' : 'paused'}
+                      </span>
+
+                      <button
+                        onClick={() => toggleStatus(account)}
+                        disabled={busy === account.id}
+                        title={account.is_active ? 'Pause' : 'Resume'}
+                        className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+                      >
+                        {account.is_active ? (
+                          <EyeOff className="h-4 w-4" />
+                        ) : (
+                          <Eye className="h-4 w-4" />
+                        )}
+                      </button>
+
+                      {account.account_type === 'twitter' && (
+                        <button
+                          onClick={() => refreshProfile(account)}
+                          disabled={busy === account.id}
+                          title="Refresh profile"
+                          className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+                        >
+                          <RefreshCw className={`h-4 w-4 ${busy === account.id ? 'animate-spin' : ''}`} />
+                        </button>
+                      )}
+
+                      <button
+                        onClick={() => removeAccount(account)}
+                        disabled={busy === account.id}
+                        title="Remove"
+                        className="p-2 hover:bg-red-600 hover:bg-opacity-20 rounded-lg transition-colors text-red-400"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
                 </div>
-              </div>
-            </div>
-          ))}
-        </div>
+              )
+            })}
+          </div>
+        )}
       </div>
     </div>
   )
 }
 
-export default Monitoring
\ No newline at end of file
+export default Monitoring
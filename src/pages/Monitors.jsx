@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Plus, Edit, Trash2, Pause, Play, Upload, Download, ChevronDown, ChevronRight, Radar, MessageSquare, Bell, ShieldOff, Layers } from 'lucide-react'
+import mentionMonitoringService from '../services/mentionMonitoringService'
+import MonitorForm from '../components/MonitorForm'
+import MonitorDetails from '../components/MonitorDetails'
+
+const stateClasses = {
+  processing: 'bg-crypto-accent bg-opacity-20 text-crypto-accent',
+  queued: 'bg-crypto-green bg-opacity-20 text-crypto-green',
+  idle: 'bg-gray-600 bg-opacity-20 text-gray-300',
+  paused: 'bg-gray-600 bg-opacity-20 text-gray-400'
+}
+
+const formatDuration = (ms) => {
+  const minutes = Math.ceil(ms / 60000)
+  return minutes <= 1 ? 'under a minute' : `${minutes} min`
+}
+
+// Keyword monitors from mentionMonitoringService with their histories and queue state
+const Monitors = () => {
+  const [monitors, setMonitors] = useState([])
+  const [stats, setStats] = useState(() => mentionMonitoringService.getMonitoringStats())
+  const [editing, setEditing] = useState(null) // null, 'new' or a monitor
+  const [expanded, setExpanded] = useState(null)
+  const [message, setMessage] = useState(null)
+  const fileInput = useRef(null)
+
+  const refresh = () => {
+    setMonitors(mentionMonitoringService.getAllMonitors().sort((a, b) => b.createdAt - a.createdAt))
+    setStats(mentionMonitoringService.getMonitoringStats())
+  }
+
+  useEffect(() => {
+    refresh()
+    const unsubscribe = mentionMonitoringService.subscribe(refresh)
+    // Rate limit windows move on their own
+    const interval = setInterval(refresh, 30000)
+    return () => {
+      unsubscribe()
+      clearInterval(interval)
+    }
+  }, [])
+
+  const saveMonitor = async (config) => {
+    if (editing === 'new') {
+      await mentionMonitoringService.createMonitor(config)
+    } else {
+      await mentionMonitoringService.updateMonitor(editing.id, config)
+    }
+    setEditing(null)
+    setMessage(null)
+  }
+
+  const toggleMonitor = async (monitor) => {
+    await mentionMonitoringService.toggleMonitor(monitor.id, !monitor.isActive)
+  }
+
+  const deleteMonitor = async (monitor) => {
+    if (!window.confirm(`Delete the monitor for ${monitor.keywords.join(', ')}? Its history and baselines are removed.`)) return
+    await mentionMonitoringService.deleteMonitor(monitor.id)
+    if (expanded === monitor.id) setExpanded(null)
+  }
+
+  const exportMonitors = () => {
+    const data = mentionMonitoringService.exportMonitors()
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `cryptosentinel-monitors-${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const importMonitors = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const data = JSON.parse(await file.text())
+      const count = await mentionMonitoringService.importMonitors(data)
+      setMessage({ ok: true, text: `Imported ${count} monitor${count === 1 ? '' : 's'}` })
+    } catch (error) {
+      setMessage({ ok: false, text: error instanceof SyntaxError ? 'Import failed: the file is not valid JSON' : error.message })
+    }
+  }
+
+  const twitterLimit = stats.rateLimitStatus?.twitter
+  const stream = stats.stream
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-3xl font-bold gradient-text">Keyword Monitors</h1>
+          <p className="text-gray-300 mt-2">Watch keywords for mention spikes, sentiment shifts and influencer mentions</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <input ref={fileInput} type="file" accept="application/json,.json" onChange={importMonitors} className="hidden" />
+          <button
+            onClick={() => fileInput.current.click()}
+            className="px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-700 transition-colors flex items-center"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Import
+          </button>
+          <button
+            onClick={exportMonitors}
+            disabled={monitors.length === 0}
+            className="px-4 py-2 border border-gray-600 rounded-lg hover:bg-gray-700 transition-colors flex items-center disabled:opacity-50"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Export
+          </button>
+          <button
+            onClick={() => setEditing('new')}
+            className="crypto-button px-6 py-2 rounded-lg font-semibold text-black flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New Monitor
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <p className={`mb-6 text-sm ${message.ok ? 'text-crypto-green' : 'text-crypto-red'}`}>{message.text}</p>
+      )}
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-6 mb-8">
+        <div className="crypto-card p-6 rounded-lg">
+          <div className="flex items-center">
+            <Radar className="h-8 w-8 text-crypto-accent mr-3" />
+            <div>
+              <p className="text-sm text-gray-400">Monitors</p>
+              <p className="text-2xl font-bold">{stats.activeMonitors}/{stats.totalMonitors}</p>
+            </div>
+          </div>
+        </div>
+        <div className="crypto-card p-6 rounded-lg">
+          <div className="flex items-center">
+            <MessageSquare className="h-8 w-8 text-crypto-green mr-3" />
+            <div>
+              <p className="text-sm text-gray-400">Mentions</p>
+              <p className="text-2xl font-bold">{stats.totalMentions}</p>
+            </div>
+          </div>
+        </div>
+        <div className="crypto-card p-6 rounded-lg">
+          <div className="flex items-center">
+            <Bell className="h-8 w-8 text-crypto-gold mr-3" />
+            <div>
+              <p className="text-sm text-gray-400">Alerts</p>
+              <p className="text-2xl font-bold">{stats.totalAlerts}</p>
+            </div>
+          </div>
+        </div>
+        <div className="crypto-card p-6 rounded-lg">
+          <div className="flex items-center">
+            <ShieldOff className="h-8 w-8 text-crypto-red mr-3" />
+            <div>
+              <p className="text-sm text-gray-400">Spam Filtered</p>
+              <p className="text-2xl font-bold">{stats.totalSpamFiltered}</p>
+            </div>
+          </div>
+        </div>
+        <div className="crypto-card p-6 rounded-lg">
+          <div className="flex items-center">
+            <Layers className="h-8 w-8 text-crypto-accent mr-3" />
+            <div>
+              <p className="text-sm text-gray-400">Queue</p>
+              <p className="text-2xl font-bold">{stats.queueSize}</p>
+              <p className="text-xs text-gray-500">{stats.isProcessing ? 'Processing a batch' : 'Waiting for next run'}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {twitterLimit && (
+        <p className="text-xs text-gray-500 mb-6">
+          Twitter requests left in this window: {twitterLimit.remaining} • resets in {formatDuration(twitterLimit.resetIn)}
+          {stream?.mode === 'stream' && (
+            <>
+              {' • '}
+              {stream.live
+                ? `filtered stream last connected ${new Date(stream.heartbeat).toLocaleTimeString()}`
+                : `filtered stream unavailable${stream.error ? ` (${stream.error})` : ''}, polling search`}
+              {stream.retryAt && Date.parse(stream.retryAt) > Date.now() ? ` • reconnecting in ${formatDuration(Date.parse(stream.retryAt) - Date.now())}` : ''}
+            </>
+          )}
+        </p>
+      )}
+
+      {editing && (
+        <MonitorForm
+          key={editing === 'new' ? 'new' : editing.id}
+          monitor={editing === 'new' ? null : editing}
+          onSubmit={saveMonitor}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {/* Monitors List */}
+      <div className="crypto-card rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-700">
+          <h2 className="text-xl font-semibold">Your Monitors</h2>
+        </div>
+        {monitors.length === 0 ? (
+          <p className="px-6 py-8 text-center text-gray-400">No monitors yet. Create one or import a file exported from another browser.</p>
+        ) : (
+          <div className="divide-y divide-gray-700">
+            {monitors.map(monitor => {
+              const status = mentionMonitoringService.getMonitorStatus(monitor.id)
+              const isExpanded = expanded === monitor.id
+
+              return (
+                <div key={monitor.id}>
+                  <div className="px-6 py-4 flex items-center justify-between gap-4">
+                    <button
+                      onClick={() => setExpanded(isExpanded ? null : monitor.id)}
+                      className="flex-1 flex items-start gap-3 text-left"
+                    >
+                      {isExpanded ? <ChevronDown className="h-4 w-4 mt-1" /> : <ChevronRight className="h-4 w-4 mt-1" />}
+                      <div>
+                        <div className="flex items-center gap-3">
+                          <h3 className="font-semibold">{monitor.keywords.join(', ')}</h3>
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${stateClasses[status.state]}`}>
+                            {status.state === 'queued' ? `queued #${status.queuePosition}` : status.state}
+                          </span>
+                          {status.streaming && (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-crypto-gold bg-opacity-20 text-crypto-gold">
+                              streaming{status.streamedSinceRun ? ` • ${status.streamedSinceRun} new` : ''}
+                            </span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {monitor.stats.totalMentions} mentions • {monitor.stats.alertsTriggered} alerts • {monitor.stats.spamFiltered || 0} spam filtered
+                          {monitor.stats.avgSentiment ? ` • sentiment ${monitor.stats.avgSentiment.toFixed(2)}` : ''}
+                          {' • '}
+                          {status.lastProcessed ? `last run ${new Date(status.lastProcessed).toLocaleString()}` : 'not run yet'}
+                        </p>
+                      </div>
+                    </button>
+
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => toggleMonitor(monitor)}
+                        title={monitor.isActive ? 'Pause' : 'Resume'}
+                        className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+                      >
+                        {monitor.isActive ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                      </button>
+                      <button
+                        onClick={() => setEditing(monitor)}
+                        title="Edit"
+                        className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => deleteMonitor(monitor)}
+                        title="Delete"
+                        className="p-2 hover:bg-red-600 hover:bg-opacity-20 rounded-lg transition-colors text-red-400"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                  {isExpanded && <MonitorDetails monitor={monitor} />}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Monitors
@@ -1,8 +1,27 @@
 import React, { useState, useEffect } from 'react'
 import { Search, TrendingUp, TrendingDown, RefreshCw } from 'lucide-react'
-import { PieChart, Pie, Cell, ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts'
-import sentimentService from '../services/sentimentService'
+import { PieChart, Pie, Cell, ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts'
+import sentimentService, { SENTIMENT_ASPECTS } from '../services/sentimentService'
 import monitoringService from '../services/monitoringService'
+import { useAuth } from '../context/AuthContext'
+import SentimentTrendChart from '../components/SentimentTrendChart'
+import SentimentPriceCorrelation from '../components/SentimentPriceCorrelation'
+import SourceSelector from '../components/SourceSelector'
+import { MENTION_SOURCES } from '../services/mentionSourceService'
+
+const engineOptions = [
+  { value: 'llm', label: 'AI model' },
+  { value: 'lexicon', label: 'Lexicon (offline)' }
+]
+
+const aspectLabels = {
+  price: 'Price action',
+  technology: 'Technology',
+  team: 'Team & governance',
+  security: 'Security',
+  regulation: 'Regulation',
+  listings: 'Listings'
+}
 
 const Sentiment = () => {
   const [searchTerm, setSearchTerm] = useState('')
@@ -10,6 +29,12 @@ const Sentiment = () => {
   const [analysis, setAnalysis] = useState(null)
   const [loading, setLoading] = useState(false)
   const [projects, setProjects] = useState([])
+  const { subscription } = useAuth()
+  // Free tier scores with the offline lexicon unless the user opts into the AI model
+  const [engine, setEngine] = useState(subscription === 'free' ? 'lexicon' : 'llm')
+  const [compareBaseline, setCompareBaseline] = useState(false)
+  const [sources, setSources] = useState(['twitter'])
+  const [cacheStats, setCacheStats] = useState(null)
 
   useEffect(() => {
     // Initialize with sample data
@@ -55,9 +80,13 @@ const Sentiment = () => {
       const result = await sentimentService.analyzeProjectSentiment(projectName, {
         timeframe: '24h',
         sampleSize: 100,
-        includeInfluencers: true
+        includeInfluencers: true,
+        engine,
+        compareBaseline,
+        sources
       })
       setAnalysis(result)
+      setCacheStats(await sentimentService.getCacheStats())
       
       // Update the projects list with real data
       const monitoredProjects = monitoringService.getMonitoredProjects()
@@ -108,15 +137,18 @@ const Sentiment = () => {
     { name: 'Neutral', value: selectedProjectData.sentiment.neutral, color: '#6B7280' }
   ] : []
 
-  const timeData = [
-    { time: '6h ago', sentiment: 68 },
-    { time: '5h ago', sentiment: 72 },
-    { time: '4h ago', sentiment: 65 },
-    { time: '3h ago', sentiment: 70 },
-    { time: '2h ago', sentiment: 74 },
-    { time: '1h ago', sentiment: 69 },
-    { time: 'Now', sentiment: 71 }
-  ]
+  const aspectData = SENTIMENT_ASPECTS
+    .filter(aspect => analysis?.aspect_sentiment?.[aspect])
+    .map(aspect => {
+      const aspectResult = analysis.aspect_sentiment[aspect]
+      return {
+        aspect: aspectLabels[aspect],
+        score: Math.round(aspectResult.sentiment_score * 100),
+        positive: aspectResult.positive_mentions,
+        neutral: aspectResult.neutral_mentions,
+        negative: aspectResult.negative_mentions
+      }
+    })
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -149,6 +181,17 @@ const Sentiment = () => {
               </option>
             ))}
           </select>
+          <select
+            value={engine}
+            onChange={(e) => setEngine(e.target.value)}
+            className="px-4 py-2 bg-crypto-darker border border-gray-600 rounded-lg focus:outline-none focus:border-crypto-accent"
+          >
+            {engineOptions.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
           <button
             onClick={() => analyzeProject(selectedProject)}
             disabled={loading}
@@ -158,6 +201,21 @@ const Sentiment = () => {
             Analyze
           </button>
         </div>
+        <div className="flex flex-wrap items-center gap-3 mt-4">
+          <span className="text-sm text-gray-400">Sources</span>
+          <SourceSelector value={sources} onChange={setSources} />
+        </div>
+        {engine === 'llm' && (
+          <label className="flex items-center mt-4 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={compareBaseline}
+              onChange={(e) => setCompareBaseline(e.target.checked)}
+              className="mr-2"
+            />
+            Compare against the lexicon baseline
+          </label>
+        )}
       </div>
 
       {/* Project Overview */}
@@ -226,26 +284,128 @@ const Sentiment = () => {
           </ResponsiveContainer>
         </div>
 
-        <div className="crypto-card p-6 rounded-lg">
-          <h2 className="text-xl font-semibold mb-4">Sentiment Trend</h2>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={timeData}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-              <XAxis dataKey="time" stroke="#9CA3AF" />
-              <YAxis stroke="#9CA3AF" />
-              <Tooltip 
-                contentStyle={{ 
-                  backgroundColor: '#1F2937', 
-                  border: '1px solid #374151',
-                  borderRadius: '8px'
-                }} 
-              />
-              <Bar dataKey="sentiment" fill="#00D2FF" />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
+        <SentimentTrendChart project={selectedProject} refreshKey={analysis} />
       </div>
 
+      <SentimentPriceCorrelation project={selectedProject} refreshKey={analysis} />
+
+      {/* Aspect Breakdown */}
+      {aspectData.length > 0 && (
+        <div className="crypto-card p-6 rounded-lg mb-8">
+          <h2 className="text-xl font-semibold mb-4">Aspect Breakdown</h2>
+          <div className="grid lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2">
+              <ResponsiveContainer width="100%" height={Math.max(aspectData.length * 50, 150)}>
+                <BarChart data={aspectData} layout="vertical" margin={{ left: 40 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis type="number" stroke="#9CA3AF" allowDecimals={false} />
+                  <YAxis type="category" dataKey="aspect" stroke="#9CA3AF" width={120} />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: '#1F2937',
+                      border: '1px solid #374151',
+                      borderRadius: '8px'
+                    }}
+                  />
+                  <Legend />
+                  <Bar dataKey="positive" stackId="mentions" fill="#00FF88" name="Positive" />
+                  <Bar dataKey="neutral" stackId="mentions" fill="#6B7280" name="Neutral" />
+                  <Bar dataKey="negative" stackId="mentions" fill="#FF4757" name="Negative" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="space-y-3">
+              {aspectData.map(item => (
+                <div key={item.aspect}>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="text-gray-300">{item.aspect}</span>
+                    <span className="font-medium">{item.score}%</span>
+                  </div>
+                  <div className="bg-gray-700 rounded-full h-2">
+                    <div
+                      className={`h-2 rounded-full ${
+                        item.score > 60 ? 'bg-crypto-green' : item.score < 40 ? 'bg-crypto-red' : 'bg-gray-400'
+                      }`}
+                      style={{ width: `${item.score}%` }}
+                    ></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* LLM vs Lexicon Baseline */}
+      {analysis?.baseline_comparison && analysis.baseline_comparison.total > 0 && (
+        <div className="crypto-card p-6 rounded-lg mb-8">
+          <h2 className="text-xl font-semibold mb-4">AI Model vs Lexicon Baseline</h2>
+          <div className="grid md:grid-cols-2 gap-6">
+            <div className="space-y-3">
+              <div className="flex justify-between">
+                <span className="text-gray-400">Label agreement</span>
+                <span className="font-semibold text-crypto-accent">
+                  {Math.round(analysis.baseline_comparison.agreement * 100)}%
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-400">Mean score delta</span>
+                <span className="font-semibold">{analysis.baseline_comparison.mean_abs_delta}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-400">Mentions compared</span>
+                <span className="font-semibold">{analysis.baseline_comparison.total}</span>
+              </div>
+              <table className="w-full text-sm mt-4">
+                <thead>
+                  <tr className="text-gray-400">
+                    <th className="text-left font-normal">AI \ Lexicon</th>
+                    {Object.keys(analysis.baseline_comparison.confusion).map(label => (
+                      <th key={label} className="text-right font-normal capitalize">{label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(analysis.baseline_comparison.confusion).map(([label, row]) => (
+                    <tr key={label}>
+                      <td className="capitalize text-gray-300">{label}</td>
+                      {Object.entries(row).map(([baselineLabel, count]) => (
+                        <td
+                          key={baselineLabel}
+                          className={`text-right ${label === baselineLabel ? 'text-crypto-green' : 'text-gray-300'}`}
+                        >
+                          {count}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <ResponsiveContainer width="100%" height={200}>
+              <BarChart
+                data={[
+                  { engine: 'AI model', score: Math.round(analysis.baseline_comparison.mean_score * 100) },
+                  { engine: 'Lexicon', score: Math.round(analysis.baseline_comparison.baseline_mean_score * 100) }
+                ]}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="engine" stroke="#9CA3AF" />
+                <YAxis domain={[0, 100]} stroke="#9CA3AF" />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: '#1F2937',
+                    border: '1px solid #374151',
+                    borderRadius: '8px'
+                  }}
+                />
+                <Bar dataKey="score" fill="#00D2FF" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
       {/* AI Analysis Results */}
       {analysis && (
         <div className="crypto-card p-6 rounded-lg">
@@ -254,6 +414,39 @@ const Sentiment = () => {
             <div>
               <h3 className="font-semibold mb-2">Sentiment: {analysis.sentiment}</h3>
               <p className="text-gray-300 mb-4">Confidence: {Math.round(analysis.confidence * 100)}%</p>
+              {analysis.engine && (
+                <p className="text-sm text-gray-400">
+                  Engine: {analysis.engine === 'lexicon' ? 'Lexicon (offline)' : 'AI model'}
+                  {analysis.metrics?.fallback_mentions > 0 &&
+                    ` · ${analysis.metrics.fallback_mentions} mentions fell back to the lexicon`}
+                </p>
+              )}
+              {analysis.metrics?.by_source && (
+                <p className="text-sm text-gray-400">
+                  Mentions by source: {Object.entries(analysis.metrics.by_source)
+                    .map(([source, count]) => `${MENTION_SOURCES[source]?.label || source} ${count}`)
+                    .join(' · ') || 'none'}
+                </p>
+              )}
+              {Object.keys(analysis.source_sentiment || {}).length > 1 && (
+                <p className="text-sm text-gray-400">
+                  Score by source: {Object.entries(analysis.source_sentiment)
+                    .map(([source, result]) => `${MENTION_SOURCES[source]?.label || source} ${Math.round(result.sentiment_score * 100)}%`)
+                    .join(' · ')}
+                  {` · Blended ${Math.round(analysis.sentiment_score * 100)}%`}
+                </p>
+              )}
+              {analysis.metrics?.spam_filtered > 0 && (
+                <p className="text-sm text-gray-400">
+                  {analysis.metrics.spam_filtered} mentions filtered as spam
+                </p>
+              )}
+              {cacheStats && (
+                <p className="text-sm text-gray-400">
+                  Sentiment cache: {cacheStats.hits} hits, {cacheStats.misses} misses
+                  ({Math.round(cacheStats.hitRate * 100)}% hit rate, {cacheStats.entries} stored)
+                </p>
+              )}
             </div>
             <div>
               <h3 className="font-semibold mb-2">Key Insights:</h3>
@@ -1,16 +1,17 @@
-import OpenAI from 'openai';
 import toolsService from './toolsService.js';
+import llmProviderService from './llmProviderService.js';
+import lexiconSentimentService, { SENTIMENT_ASPECTS } from './lexiconSentimentService.js';
 
-const openai = new OpenAI({
-  apiKey: import.meta.env.VITE_OPENROUTER_API_KEY,
-  baseURL: "https://openrouter.ai/api/v1",
-  dangerouslyAllowBrowser: true,
-});
+// Bump when the sentiment prompts change so cached results are re-scored
+export const SENTIMENT_PROMPT_VERSION = 'sentiment-v2';
 
-export const analyzeSentiment = async (text) => {
+const ASPECTS_PROMPT = `- aspects: object with an entry only for each aspect the text discusses, chosen from ${SENTIMENT_ASPECTS.join(', ')} (team includes governance, security includes exploits and hacks, listings covers exchange listings and delistings). Each entry is {"sentiment": "positive"|"negative"|"neutral", "sentiment_score": number between 0 and 1}`;
+
+export const analyzeSentiment = async (text, options = {}) => {
   try {
-    const response = await openai.chat.completions.create({
-      model: "google/gemini-2.0-flash-001",
+    const { client, model } = llmProviderService.resolve('sentiment', options);
+    const response = await client.chat.completions.create({
+      model,
       messages: [
         {
           role: "system",
@@ -20,8 +21,9 @@ export const analyzeSentiment = async (text) => {
 - sentiment_score: number between 0 and 1 (0=very negative, 0.5=neutral, 1=very positive)
 - explanation: brief explanation of the sentiment
 - key_phrases: array of important phrases that influenced the sentiment
+${ASPECTS_PROMPT}
 
-Example: {"sentiment":"positive","confidence":0.8,"sentiment_score":0.75,"explanation":"Bullish language about price growth","key_phrases":["moon","bullish","pump"]}`
+Example: {"sentiment":"positive","confidence":0.8,"sentiment_score":0.75,"explanation":"Bullish language about price growth","key_phrases":["moon","bullish","pump"],"aspects":{"price":{"sentiment":"positive","sentiment_score":0.85}}}`
         },
         {
           role: "user",
@@ -29,7 +31,7 @@ Example: {"sentiment":"positive","confidence":0.8,"sentiment_score":0.75,"explan
         }
       ],
       temperature: 0.1,
-      max_tokens: 200
+      max_tokens: 300
     });
 
     let content = response.choices[0].message.content.trim();
@@ -47,28 +49,229 @@ Example: {"sentiment":"positive","confidence":0.8,"sentiment_score":0.75,"explan
       confidence: Math.min(Math.max(result.confidence || 0.5, 0), 1),
       sentiment_score: Math.min(Math.max(result.sentiment_score || 0.5, 0), 1),
       explanation: result.explanation || 'No explanation available',
-      key_phrases: result.key_phrases || []
+      key_phrases: result.key_phrases || [],
+      aspects: normalizeAspects(result.aspects),
+      engine: 'llm'
     };
   } catch (error) {
     console.error('Sentiment analysis error:', error);
+    // Score with the offline lexicon rather than a flat neutral that skews aggregates
     return {
-      sentiment: 'neutral',
-      confidence: 0.5,
-      sentiment_score: 0.5,
-      explanation: 'Analysis failed - using neutral sentiment',
-      key_phrases: []
+      ...lexiconSentimentService.analyze(text),
+      fallback: true
     };
   }
 };
 
-export const generateMarketInsights = async (marketData) => {
+/**
+ * Batch sentiment classification
+ * Sends several texts in one prompt and returns results keyed by item id.
+ * Malformed or partial model output is repaired where possible; ids that could
+ * not be recovered are listed in `failedIds` so callers can retry them singly.
+ */
+export const analyzeSentimentBatch = async (items, options = {}) => {
+  if (!items.length) {
+    return { results: {}, failedIds: [] };
+  }
+
+  const requestedIds = new Set(items.map(item => String(item.id)));
+
   try {
-    const response = await openai.chat.completions.create({
-      model: "google/gemini-2.0-flash-001",
+    const { client, model } = llmProviderService.resolve('sentiment_batch', options);
+    const response = await client.chat.completions.create({
+      model,
       messages: [
         {
           role: "system",
-          content: `You are an expert crypto market analyst with deep knowledge of blockchain technology, market psychology, and trading patterns. 
+          content: `You are a crypto sentiment analyzer. You will receive a JSON array of items, each with an "id" and a "text". Return ONLY a valid JSON array (no markdown, no code blocks) with exactly one object per input item, in the same order, each with:
+- id: the id of the input item, unchanged
+- sentiment: "positive", "negative", or "neutral"
+- confidence: number between 0 and 1
+- sentiment_score: number between 0 and 1 (0=very negative, 0.5=neutral, 1=very positive)
+- explanation: brief explanation of the sentiment
+- key_phrases: array of important phrases that influenced the sentiment
+${ASPECTS_PROMPT}
+
+Example: [{"id":"t0","sentiment":"positive","confidence":0.8,"sentiment_score":0.75,"explanation":"Bullish language about price growth","key_phrases":["moon","pump"],"aspects":{"price":{"sentiment":"positive","sentiment_score":0.85}}}]`
+        },
+        {
+          role: "user",
+          content: `Classify these items:\n${JSON.stringify(items.map(item => ({
+            id: String(item.id),
+            text: item.text.slice(0, 200)
+          })))}`
+        }
+      ],
+      temperature: 0.1,
+      max_tokens: Math.min(160 * items.length + 100, 4000)
+    });
+
+    const parsed = parseJsonArrayLenient(response.choices[0].message.content || '');
+    const results = {};
+
+    parsed.forEach(raw => {
+      const id = raw?.id !== undefined ? String(raw.id) : null;
+      if (!id || !requestedIds.has(id) || results[id]) return;
+
+      const normalized = normalizeSentimentResult(raw);
+      if (normalized) {
+        results[id] = normalized;
+      }
+    });
+
+    return {
+      results,
+      failedIds: [...requestedIds].filter(id => !results[id])
+    };
+  } catch (error) {
+    console.error('Batch sentiment analysis error:', error);
+    return { results: {}, failedIds: [...requestedIds] };
+  }
+};
+
+/**
+ * Parse a JSON array from model output, repairing common defects:
+ * markdown fences, surrounding prose, trailing commas and truncated output.
+ * Falls back to parsing each complete top-level object individually.
+ */
+const parseJsonArrayLenient = (content) => {
+  let text = content.trim().replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+
+  const start = text.indexOf('[');
+  if (start === -1) {
+    // A single object instead of an array
+    const single = text.match(/\{[\s\S]*\}/);
+    return single ? parseJsonArrayLenient(`[${single[0]}]`) : [];
+  }
+
+  const fromArray = text.slice(start);
+  const end = fromArray.lastIndexOf(']');
+  // Truncated output: keep everything up to the last complete object
+  text = end === -1
+    ? fromArray.slice(0, fromArray.lastIndexOf('}') + 1) + ']'
+    : fromArray.slice(0, end + 1);
+
+  text = text.replace(/,\s*([\]}])/g, '$1');
+
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return extractTopLevelObjects(fromArray.slice(1))
+      .map(fragment => {
+        try {
+          return JSON.parse(fragment.replace(/,\s*([\]}])/g, '$1'));
+        } catch (fragmentError) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+};
+
+/**
+ * Find balanced `{...}` spans at the top level of an array body, skipping string contents.
+ * A trailing unterminated object (truncated output) is dropped.
+ */
+const extractTopLevelObjects = (text) => {
+  const objects = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) objects.push(text.slice(start, i + 1));
+    }
+  }
+
+  return objects;
+};
+
+/**
+ * Validate one classification, deriving a missing label or score from the other.
+ * Returns null when neither is usable.
+ */
+const normalizeSentimentResult = (raw) => {
+  const labels = ['positive', 'negative', 'neutral'];
+  let sentiment = typeof raw.sentiment === 'string' ? raw.sentiment.toLowerCase().trim() : null;
+  let score = Number(raw.sentiment_score);
+  const hasScore = raw.sentiment_score !== undefined && raw.sentiment_score !== null && !Number.isNaN(score);
+
+  if (sentiment && !labels.includes(sentiment)) {
+    sentiment = sentiment.includes('positive') ? 'positive'
+      : sentiment.includes('negative') ? 'negative'
+      : sentiment.includes('neutral') ? 'neutral'
+      : null;
+  }
+
+  if (!sentiment && !hasScore) {
+    return null;
+  }
+
+  if (!hasScore) {
+    score = sentiment === 'positive' ? 0.75 : sentiment === 'negative' ? 0.25 : 0.5;
+  }
+  score = Math.min(Math.max(score, 0), 1);
+
+  if (!sentiment) {
+    sentiment = score > 0.6 ? 'positive' : score < 0.4 ? 'negative' : 'neutral';
+  }
+
+  const confidence = Number(raw.confidence);
+
+  return {
+    sentiment,
+    confidence: Number.isNaN(confidence) ? 0.5 : Math.min(Math.max(confidence, 0), 1),
+    sentiment_score: score,
+    explanation: raw.explanation || 'No explanation available',
+    key_phrases: Array.isArray(raw.key_phrases) ? raw.key_phrases : [],
+    aspects: normalizeAspects(raw.aspects),
+    engine: 'llm'
+  };
+};
+
+/**
+ * Keep only known aspects with a usable label or score
+ */
+const normalizeAspects = (rawAspects) => {
+  if (!rawAspects || typeof rawAspects !== 'object') {
+    return {};
+  }
+
+  const aspects = {};
+  SENTIMENT_ASPECTS.forEach(aspect => {
+    const entry = rawAspects[aspect];
+    const normalized = entry && typeof entry === 'object' ? normalizeSentimentResult(entry) : null;
+    if (normalized) {
+      aspects[aspect] = { sentiment: normalized.sentiment, sentiment_score: normalized.sentiment_score };
+    }
+  });
+
+  return aspects;
+};
+
+/**
+ * Build the prompt for market insights from aggregated market data
+ */
+const buildMarketInsightsMessages = (marketData) => [
+  {
+    role: "system",
+    content: `You are an expert crypto market analyst with deep knowledge of blockchain technology, market psychology, and trading patterns. 
 
 Your task is to analyze real-time market data and provide actionable insights for crypto traders and investors. Focus on:
 
@@ -79,10 +282,10 @@ Your task is to analyze real-time market data and provide actionable insights fo
 5. Short-term and medium-term outlook
 
 Provide insights in a clear, professional tone. Be specific about data points and avoid generic statements. Include both bullish and bearish factors when relevant.`
-        },
-        {
-          role: "user",
-          content: `Analyze the following real-time crypto market data and provide comprehensive insights:
+  },
+  {
+    role: "user",
+    content: `Analyze the following real-time crypto market data and provide comprehensive insights:
 
 **Market Overview:**
 - Overall Trend: ${marketData.marketTrend}
@@ -104,8 +307,15 @@ ${marketData.sentimentAnalysis?.map(analysis =>
 **Top Mentions:** ${marketData.topMentions?.join(', ') || 'N/A'}
 
 Please provide a detailed analysis covering market sentiment, key trends, potential opportunities, risks to watch, and a brief outlook. Keep the response informative but concise (2-3 paragraphs).`
-        }
-      ],
+  }
+];
+
+export const generateMarketInsights = async (marketData, options = {}) => {
+  try {
+    const { client, model } = llmProviderService.resolve('insights', options);
+    const response = await client.chat.completions.create({
+      model,
+      messages: buildMarketInsightsMessages(marketData),
       temperature: 0.3,
       max_tokens: 500,
     });
@@ -117,18 +327,115 @@ Please provide a detailed analysis covering market sentiment, key trends, potent
   }
 };
 
+/**
+ * Check whether an error came from cancelling a request
+ */
+const isAbortError = (error, signal) =>
+  signal?.aborted || error?.name === 'AbortError' || error?.name === 'APIUserAbortError';
+
+/**
+ * Streaming variant of generateMarketInsights
+ * Yields { type: 'token', content } as text arrives, then { type: 'done', content }.
+ * Abort through `signal`; the iterator then yields { type: 'aborted', content }.
+ */
+export async function* streamMarketInsights(marketData, options = {}) {
+  const { signal } = options;
+  let content = '';
+
+  try {
+    const { client, model } = llmProviderService.resolve('insights', options);
+    const stream = await client.chat.completions.create({
+      model,
+      messages: buildMarketInsightsMessages(marketData),
+      temperature: 0.3,
+      max_tokens: 500,
+      stream: true
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const token = chunk.choices[0]?.delta?.content;
+      if (token) {
+        content += token;
+        yield { type: 'token', content: token };
+      }
+    }
+
+    yield { type: 'done', content };
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      yield { type: 'aborted', content };
+      return;
+    }
+    console.error('Market insights stream error:', error);
+    yield {
+      type: 'error',
+      error: error.message,
+      content: content || 'Unable to generate market insights at this time. The AI analysis service is temporarily unavailable. Please try again in a few moments.'
+    };
+  }
+}
+
+const TOOLS_SYSTEM_PROMPT = `You are CryptoSentinel AI, an expert cryptocurrency analyst with access to real-time market data and analysis tools.
+
+You can use the following tools to provide accurate, up-to-date information:
+- get_token_price: Get current price and market data for cryptocurrencies
+- search_tokens: Search for tokens by name or symbol
+- get_trending_tokens: Get currently trending cryptocurrencies
+- analyze_token_sentiment: Analyze social media sentiment for tokens
+- analyze_sentiment_price_correlation: Measure whether sentiment leads or lags price for a token
+- get_token_mentions: Get recent social media mentions
+- get_dex_token_data: Get DEX trading data from DexScreener
+- get_market_overview: Get overall market statistics
+- compare_tokens: Compare multiple tokens side by side
+
+Always use tools when users ask for current data, prices, trends, or analysis. Provide specific, actionable insights based on real data.`;
+
+/**
+ * Execute a single tool call and record a trace of it
+ * Used by chatWithTools and by the Assistant page to re-run a call
+ */
+export const executeToolWithTrace = async (toolName, parameters, id = null) => {
+  const startedAt = Date.now();
+  let result;
+
+  try {
+    result = await toolsService.executeTool(toolName, parameters);
+  } catch (error) {
+    result = {
+      error: true,
+      message: `Tool execution failed: ${error.message}`
+    };
+  }
+
+  return {
+    id: id || `call_${startedAt}_${Math.random().toString(36).substr(2, 9)}`,
+    name: toolName,
+    arguments: parameters,
+    result,
+    status: result?.error ? 'error' : 'success',
+    latencyMs: Date.now() - startedAt,
+    executedAt: new Date(startedAt).toISOString()
+  };
+};
+
 /**
  * Agentic AI Chat with Tools
  * Enables the AI to use tools for real-time data access
+ *
+ * Pass `onToolCall` to be notified when each tool call starts (status
+ * 'running') and when it finishes; the finished traces are also returned
+ * as `toolCalls`.
  */
 export const chatWithTools = async (messages, options = {}) => {
   const {
     maxIterations = 5,
     temperature = 0.7,
-    model = "google/gemini-2.0-flash-001"
+    onToolCall = null
   } = options;
+  const toolCalls = [];
 
   try {
+    const { client, model } = llmProviderService.resolve('chat', options);
     const tools = toolsService.getAvailableTools();
     let currentMessages = [...messages];
     let iteration = 0;
@@ -137,24 +444,12 @@ export const chatWithTools = async (messages, options = {}) => {
     if (!currentMessages.find(m => m.role === 'system')) {
       currentMessages.unshift({
         role: 'system',
-        content: `You are CryptoSentinel AI, an expert cryptocurrency analyst with access to real-time market data and analysis tools.
-
-You can use the following tools to provide accurate, up-to-date information:
-- get_token_price: Get current price and market data for cryptocurrencies
-- search_tokens: Search for tokens by name or symbol
-- get_trending_tokens: Get currently trending cryptocurrencies
-- analyze_token_sentiment: Analyze social media sentiment for tokens
-- get_token_mentions: Get recent social media mentions
-- get_dex_token_data: Get DEX trading data from DexScreener
-- get_market_overview: Get overall market statistics
-- compare_tokens: Compare multiple tokens side by side
-
-Always use tools when users ask for current data, prices, trends, or analysis. Provide specific, actionable insights based on real data.`
+        content: TOOLS_SYSTEM_PROMPT
       });
     }
 
     while (iteration < maxIterations) {
-      const response = await openai.chat.completions.create({
+      const response = await client.chat.completions.create({
         model,
         messages: currentMessages,
         tools,
@@ -172,16 +467,19 @@ Always use tools when users ask for current data, prices, trends, or analysis. P
         for (const toolCall of message.tool_calls) {
           try {
             const toolName = toolCall.function.name;
-            const parameters = JSON.parse(toolCall.function.arguments);
+            const parameters = JSON.parse(toolCall.function.arguments || '{}');
             
             console.log(`Executing tool: ${toolName}`, parameters);
+            onToolCall?.({ id: toolCall.id, name: toolName, arguments: parameters, status: 'running' });
             
-            const toolResult = await toolsService.executeTool(toolName, parameters);
+            const trace = await executeToolWithTrace(toolName, parameters, toolCall.id);
+            toolCalls.push(trace);
+            onToolCall?.(trace);
             
             currentMessages.push({
               role: 'tool',
               tool_call_id: toolCall.id,
-              content: JSON.stringify(toolResult)
+              content: JSON.stringify(trace.result)
             });
           } catch (error) {
             console.error(`Tool execution error:`, error);
@@ -206,6 +504,7 @@ Always use tools when users ask for current data, prices, trends, or analysis. P
         message: message.content,
         usage: response.usage,
         iterations: iteration + 1,
+        toolCalls,
         conversation: currentMessages
       };
     }
@@ -215,6 +514,7 @@ Always use tools when users ask for current data, prices, trends, or analysis. P
       error: 'Maximum iterations reached',
       message: 'The AI assistant reached the maximum number of tool iterations. Please try a simpler request.',
       iterations: maxIterations,
+      toolCalls,
       conversation: currentMessages
     };
 
@@ -224,23 +524,183 @@ Always use tools when users ask for current data, prices, trends, or analysis. P
       success: false,
       error: error.message,
       message: 'Unable to process your request at this time. Please try again.',
-      iterations: 0
+      iterations: 0,
+      toolCalls
     };
   }
 };
 
+/**
+ * Streaming variant of chatWithTools
+ * Yields events as the model responds:
+ * - { type: 'token', content } for each text delta
+ * - { type: 'tool_call_delta', index, id, name, arguments } while a tool call is being generated
+ * - { type: 'tool_call', toolCall } when a tool call starts (status 'running') and finishes
+ * - { type: 'done', message, toolCalls, iterations, conversation } at the end
+ * Abort through `signal`; the iterator then yields { type: 'aborted' }.
+ */
+export async function* streamChatWithTools(messages, options = {}) {
+  const {
+    maxIterations = 5,
+    temperature = 0.7,
+    signal
+  } = options;
+  const toolCalls = [];
+  const currentMessages = [...messages];
+  let iteration = 0;
+
+  if (!currentMessages.find(m => m.role === 'system')) {
+    currentMessages.unshift({ role: 'system', content: TOOLS_SYSTEM_PROMPT });
+  }
+
+  try {
+    const { client, model } = llmProviderService.resolve('chat', options);
+    const tools = toolsService.getAvailableTools();
+
+    while (iteration < maxIterations) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages: currentMessages,
+        tools,
+        tool_choice: "auto",
+        temperature,
+        max_tokens: 1000,
+        stream: true
+      }, { signal });
+
+      let content = '';
+      const pendingCalls = [];
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+          content += delta.content;
+          yield { type: 'token', content: delta.content };
+        }
+
+        // Tool call arguments arrive in fragments keyed by index
+        for (const callDelta of delta.tool_calls || []) {
+          const call = pendingCalls[callDelta.index] || (pendingCalls[callDelta.index] = {
+            id: null,
+            type: 'function',
+            function: { name: '', arguments: '' }
+          });
+          if (callDelta.id) call.id = callDelta.id;
+          if (callDelta.function?.name) call.function.name += callDelta.function.name;
+          if (callDelta.function?.arguments) call.function.arguments += callDelta.function.arguments;
+
+          yield {
+            type: 'tool_call_delta',
+            index: callDelta.index,
+            id: call.id,
+            name: call.function.name,
+            arguments: call.function.arguments
+          };
+        }
+      }
+
+      const assistantCalls = pendingCalls.filter(Boolean);
+      currentMessages.push({
+        role: 'assistant',
+        content: content || null,
+        ...(assistantCalls.length > 0 && { tool_calls: assistantCalls })
+      });
+
+      if (assistantCalls.length === 0) {
+        yield {
+          type: 'done',
+          success: true,
+          message: content,
+          toolCalls,
+          iterations: iteration + 1,
+          conversation: currentMessages
+        };
+        return;
+      }
+
+      for (const toolCall of assistantCalls) {
+        let parameters;
+        try {
+          parameters = JSON.parse(toolCall.function.arguments || '{}');
+        } catch (error) {
+          parameters = null;
+        }
+
+        if (!parameters) {
+          const failed = {
+            id: toolCall.id,
+            name: toolCall.function.name,
+            arguments: toolCall.function.arguments,
+            result: { error: true, message: 'Tool execution failed: invalid JSON arguments' },
+            status: 'error',
+            latencyMs: 0,
+            executedAt: new Date().toISOString()
+          };
+          toolCalls.push(failed);
+          yield { type: 'tool_call', toolCall: failed };
+          currentMessages.push({ role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(failed.result) });
+          continue;
+        }
+
+        yield {
+          type: 'tool_call',
+          toolCall: { id: toolCall.id, name: toolCall.function.name, arguments: parameters, status: 'running' }
+        };
+
+        const trace = await executeToolWithTrace(toolCall.function.name, parameters, toolCall.id);
+        toolCalls.push(trace);
+        yield { type: 'tool_call', toolCall: trace };
+
+        currentMessages.push({
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: JSON.stringify(trace.result)
+        });
+      }
+
+      iteration++;
+    }
+
+    yield {
+      type: 'done',
+      success: false,
+      error: 'Maximum iterations reached',
+      message: 'The AI assistant reached the maximum number of tool iterations. Please try a simpler request.',
+      toolCalls,
+      iterations: maxIterations,
+      conversation: currentMessages
+    };
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      yield { type: 'aborted', toolCalls, iterations: iteration };
+      return;
+    }
+    console.error('Agentic chat stream error:', error);
+    yield {
+      type: 'done',
+      success: false,
+      error: error.message,
+      message: 'Unable to process your request at this time. Please try again.',
+      toolCalls,
+      iterations: iteration
+    };
+  }
+}
+
 /**
  * Simple chat without tools (for basic conversations)
  */
 export const simpleChat = async (messages, options = {}) => {
   const {
     temperature = 0.7,
-    model = "google/gemini-2.0-flash-001",
     maxTokens = 500
   } = options;
 
   try {
-    const response = await openai.chat.completions.create({
+    const { client, model } = llmProviderService.resolve('chat', options);
+    const response = await client.chat.completions.create({
       model,
       messages,
       temperature,
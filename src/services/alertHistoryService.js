@@ -0,0 +1,301 @@
+/**
+ * Alert History Service for CryptoSentinel
+ * Durable log of triggered alerts and how each notification was delivered
+ *
+ * Every trigger is recorded as an event: the first trigger of an incident,
+ * deduplicated re-triggers, snooze reminders and escalations. Events are kept in
+ * localStorage and upserted to `monitoring_alerts` (keyed by client_event_id)
+ * in the background; events that fail to sync stay dirty and are retried.
+ */
+
+import supabaseService from './supabaseService.js';
+
+export const ALERT_EVENT_KINDS = ['triggered', 'retriggered', 'reminder', 'escalated'];
+
+// alert_email_deliveries status -> history delivery status
+const EMAIL_STATUS_MAP = {
+  queued: 'queued',
+  sent: 'delivered',
+  failed: 'failed',
+  bounced: 'bounced'
+};
+
+const EMAIL_STATUS_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const EXPORT_COLUMNS = ['id', 'timestamp', 'kind', 'alertId', 'incidentId', 'type', 'project', 'severity', 'title', 'message', 'deliveries', 'data'];
+
+class AlertHistoryService {
+  constructor() {
+    this.storageKey = 'cryptosentinel_alert_events';
+    this.maxEvents = 1000;
+    this.syncDelay = 2000;
+    this.events = [];
+    this.syncTimer = null;
+    this.isSyncing = false;
+
+    this.loadEventsFromStorage();
+  }
+
+  /**
+   * Record a triggered alert event
+   * `channels` lists where notifications will be sent; each starts as pending.
+   */
+  recordEvent({ alert, incident, kind = 'triggered', data, title, message, channels = [] }) {
+    const event = {
+      id: this.generateEventId(),
+      kind,
+      alertId: alert.id,
+      incidentId: incident?.id || null,
+      type: alert.type,
+      project: alert.config.project,
+      severity: incident?.severity || alert.config.severity || 'medium',
+      title,
+      message,
+      data,
+      timestamp: new Date().toISOString(),
+      deliveries: channels.map(channel => ({
+        channel,
+        status: 'pending',
+        attempts: 0,
+        error: null,
+        updatedAt: null
+      })),
+      synced: false,
+      revision: 0 // bumped on every change, so a sync only marks what it sent as synced
+    };
+
+    this.events.unshift(event);
+    this.events = this.events.slice(0, this.maxEvents);
+    this.saveEventsToStorage();
+    this.scheduleSync();
+
+    return event;
+  }
+
+  /**
+   * Record the outcome of a delivery attempt on a channel
+   * status: 'delivered' | 'queued' | 'retrying' | 'failed' | 'bounced' | 'skipped'
+   * Pass `attempt: false` for status changes reported later (digests sent, bounces).
+   */
+  recordDelivery(eventId, channel, { status, error = null, attempt = status !== 'skipped' }) {
+    const event = this.events.find(entry => entry.id === eventId);
+    if (!event) return null;
+
+    let delivery = event.deliveries.find(entry => entry.channel === channel);
+    if (!delivery) {
+      delivery = { channel, status: 'pending', attempts: 0, error: null, updatedAt: null };
+      event.deliveries.push(delivery);
+    }
+
+    if (attempt) {
+      delivery.attempts += 1;
+    }
+    delivery.status = status;
+    delivery.error = error;
+    delivery.updatedAt = new Date().toISOString();
+    event.synced = false;
+    event.revision = (event.revision || 0) + 1;
+
+    this.saveEventsToStorage();
+    this.scheduleSync();
+    return event;
+  }
+
+  /**
+   * Query the log, newest first
+   * Filters: search (title, message, project), project, type, kind, severity,
+   * deliveryStatus, alertId, incidentId, from/to (ISO or ms).
+   */
+  getEvents(filters = {}) {
+    const {
+      search = '',
+      project = null,
+      type = null,
+      kind = null,
+      severity = null,
+      deliveryStatus = null,
+      alertId = null,
+      incidentId = null,
+      from = null,
+      to = null,
+      limit = null
+    } = filters;
+
+    const term = search.trim().toLowerCase();
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = this.events.filter(event => {
+      if (project && event.project?.toLowerCase() !== project.toLowerCase()) return false;
+      if (type && event.type !== type) return false;
+      if (kind && event.kind !== kind) return false;
+      if (severity && event.severity !== severity) return false;
+      if (alertId && event.alertId !== alertId) return false;
+      if (incidentId && event.incidentId !== incidentId) return false;
+      if (deliveryStatus && !event.deliveries.some(delivery => delivery.status === deliveryStatus)) return false;
+
+      const time = new Date(event.timestamp).getTime();
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time > toTime) return false;
+
+      if (term) {
+        const haystack = `${event.title} ${event.message} ${event.project} ${event.type}`.toLowerCase();
+        if (!haystack.includes(term)) return false;
+      }
+      return true;
+    });
+
+    return limit ? matches.slice(0, limit) : matches;
+  }
+
+  getEvent(eventId) {
+    return this.events.find(event => event.id === eventId) || null;
+  }
+
+  /**
+   * Distinct projects and types in the log, for filter dropdowns
+   */
+  getFacets() {
+    return {
+      projects: [...new Set(this.events.map(event => event.project).filter(Boolean))].sort(),
+      types: [...new Set(this.events.map(event => event.type).filter(Boolean))].sort()
+    };
+  }
+
+  /**
+   * Export events as JSON or CSV text
+   */
+  exportEvents(events, format = 'json') {
+    if (format === 'json') {
+      return JSON.stringify(events.map(({ synced, revision, ...event }) => event), null, 2);
+    }
+
+    if (format !== 'csv') {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const rows = events.map(event => EXPORT_COLUMNS.map(column => {
+      if (column === 'deliveries') {
+        return event.deliveries.map(delivery => `${delivery.channel}:${delivery.status}`).join('; ');
+      }
+      if (column === 'data') {
+        return JSON.stringify(event.data ?? null);
+      }
+      return event[column] ?? '';
+    }));
+
+    return [EXPORT_COLUMNS, ...rows]
+      .map(row => row.map(value => this.escapeCsv(value)).join(','))
+      .join('\n');
+  }
+
+  escapeCsv(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Push unsynced events to monitoring_alerts
+   * Events changed while the upsert was in flight stay unsynced and are pushed again.
+   */
+  async syncEvents() {
+    if (this.isSyncing) return 0;
+
+    const pending = this.events.filter(event => !event.synced);
+    if (pending.length === 0) return 0;
+
+    const revisions = new Map(pending.map(event => [event.id, event.revision || 0]));
+    this.isSyncing = true;
+    try {
+      await supabaseService.saveAlertEvents(pending);
+      pending
+        .filter(event => (event.revision || 0) === revisions.get(event.id))
+        .forEach(event => {
+          event.synced = true;
+        });
+      this.saveEventsToStorage();
+      if (pending.some(event => !event.synced)) this.scheduleSync();
+      return pending.length;
+    } catch (error) {
+      console.error('Failed to sync alert events:', error);
+      return 0;
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Pull email delivery status from the server
+   * Digest emails are sent after the trigger and bounces arrive later still, so
+   * queued and delivered email records from the last week are re-checked.
+   */
+  async refreshEmailDeliveries() {
+    const since = Date.now() - EMAIL_STATUS_WINDOW_MS;
+    const tracked = this.events.filter(event =>
+      new Date(event.timestamp).getTime() >= since &&
+      event.deliveries.some(delivery => delivery.channel === 'email' && ['queued', 'delivered'].includes(delivery.status))
+    );
+    if (tracked.length === 0) return 0;
+
+    try {
+      const rows = await supabaseService.getEmailDeliveries(tracked.map(event => event.id));
+      let updated = 0;
+
+      rows.forEach(row => {
+        const status = EMAIL_STATUS_MAP[row.status];
+        const event = this.getEvent(row.client_event_id);
+        const delivery = event?.deliveries.find(entry => entry.channel === 'email');
+        if (!status || !delivery || delivery.status === status) return;
+
+        this.recordDelivery(event.id, 'email', { status, error: row.error, attempt: false });
+        updated++;
+      });
+      return updated;
+    } catch (error) {
+      console.error('Failed to refresh email delivery status:', error);
+      return 0;
+    }
+  }
+
+  scheduleSync() {
+    if (this.syncTimer) clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      this.syncEvents();
+    }, this.syncDelay);
+  }
+
+  clear() {
+    this.events = [];
+    this.saveEventsToStorage();
+  }
+
+  generateEventId() {
+    return `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Persistence methods
+   */
+  saveEventsToStorage() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.events));
+    } catch (error) {
+      console.error('Failed to save alert events to storage:', error);
+    }
+  }
+
+  loadEventsFromStorage() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        this.events = JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error('Failed to load alert events from storage:', error);
+      this.events = [];
+    }
+  }
+}
+
+export default new AlertHistoryService();
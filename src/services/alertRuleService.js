@@ -0,0 +1,296 @@
+/**
+ * Alert Rule Service for CryptoSentinel
+ * Evaluates composite alert rules: nested AND/OR/NOT groups over signal conditions
+ *
+ * Rule shape:
+ *   group     { op: 'and' | 'or' | 'not', conditions: [node, ...] }   ('not' takes exactly one)
+ *   condition { signal, operator: 'gt' | 'gte' | 'lt' | 'lte', value }
+ *
+ * Signals are fetched at most once per evaluation and groups short-circuit, so a
+ * rule only pays for the data sources it actually needs.
+ */
+
+import twitterService from './twitterService.js';
+import mentionSourceService, { MENTION_COUNT_LIMIT } from './mentionSourceService.js';
+import sentimentService from './sentimentService.js';
+import dexScreenerService from './dexScreenerService.js';
+import coinGeckoService from './coinGeckoService.js';
+import correlationService from './correlationService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const RULE_GROUP_OPS = ['and', 'or', 'not'];
+
+export const RULE_OPERATORS = {
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤'
+};
+
+export const RULE_SIGNALS = {
+  mention_change: { label: 'Mention change (1h vs previous 1h)', unit: '%', source: 'mentions' },
+  mention_count: { label: 'Mentions in the last hour', unit: '', source: 'mentions' },
+  sentiment_score: { label: 'Sentiment score (0-1)', unit: '', source: 'sentiment' },
+  influencer_mentions: { label: 'Influencer mentions', unit: '', source: 'influencers' },
+  dex_volume_24h: { label: 'DEX volume 24h', unit: 'USD', source: 'dex' },
+  dex_liquidity: { label: 'DEX liquidity', unit: 'USD', source: 'dex' },
+  fdv: { label: 'Fully diluted valuation', unit: 'USD', source: 'dex' },
+  price_change_24h: { label: 'Price change 24h', unit: '%', source: 'price' }
+};
+
+const MAX_RULE_DEPTH = 4;
+
+class AlertRuleService {
+  /**
+   * Default rule for a new composite alert
+   */
+  createDefaultRule() {
+    return {
+      op: 'and',
+      conditions: [
+        { signal: 'mention_change', operator: 'gte', value: 200 },
+        { signal: 'sentiment_score', operator: 'lt', value: 0.4 }
+      ]
+    };
+  }
+
+  /**
+   * Validate a rule tree
+   * Returns a list of errors, each prefixed with the node path (e.g. `rule.conditions[1]`).
+   */
+  validateRule(rule, path = 'rule', depth = 0) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+      return [`${path} is required`];
+    }
+
+    if (this.isGroup(rule)) {
+      if (depth >= MAX_RULE_DEPTH) {
+        errors.push(`${path} is nested deeper than ${MAX_RULE_DEPTH} levels`);
+        return errors;
+      }
+      if (!RULE_GROUP_OPS.includes(rule.op)) {
+        errors.push(`${path} has unknown group operator "${rule.op}"`);
+      }
+      if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+        errors.push(`${path} needs at least one condition`);
+        return errors;
+      }
+      if (rule.op === 'not' && rule.conditions.length !== 1) {
+        errors.push(`${path} NOT group must contain exactly one condition`);
+      }
+      rule.conditions.forEach((child, index) => {
+        errors.push(...this.validateRule(child, `${path}.conditions[${index}]`, depth + 1));
+      });
+      return errors;
+    }
+
+    if (!RULE_SIGNALS[rule.signal]) {
+      errors.push(`${path} has unknown signal "${rule.signal}"`);
+    }
+    if (!RULE_OPERATORS[rule.operator]) {
+      errors.push(`${path} has unknown operator "${rule.operator}"`);
+    }
+    if (rule.value === '' || rule.value === null || rule.value === undefined || isNaN(parseFloat(rule.value))) {
+      errors.push(`${path} needs a numeric value`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Evaluate a rule for a project
+   * Returns { matched, conditions } where conditions lists every leaf with its
+   * actual value; leaves skipped by short-circuiting have `evaluated: false`.
+   */
+  async evaluateRule(rule, context) {
+    const signals = new Map();
+    const conditions = [];
+    const result = await this.evaluateNode(rule, context, signals, conditions, 'rule', false);
+
+    return { matched: result === true, conditions };
+  }
+
+  /**
+   * Evaluate a node to true, false or null when it depends on a signal with no data
+   * Unknown stays unknown through NOT, so a missing signal never makes a rule match.
+   */
+  async evaluateNode(node, context, signals, conditions, path, skip) {
+    if (this.isGroup(node)) {
+      const { op, conditions: children } = node;
+
+      if (op === 'not') {
+        const childResult = await this.evaluateNode(children[0], context, signals, conditions, `${path}.conditions[0]`, skip);
+        return childResult === null ? null : !childResult;
+      }
+
+      // AND stops at the first false, OR at the first true; the rest are recorded as skipped
+      let result = op === 'and';
+      let decided = skip;
+      for (let index = 0; index < children.length; index++) {
+        const childResult = await this.evaluateNode(children[index], context, signals, conditions, `${path}.conditions[${index}]`, decided);
+        if (decided) continue;
+
+        if (childResult === null) {
+          result = null;
+        } else if (op === 'and' && !childResult) {
+          result = false;
+          decided = true;
+        } else if (op === 'or' && childResult) {
+          result = true;
+          decided = true;
+        }
+      }
+      return result;
+    }
+
+    const value = parseFloat(node.value);
+    const entry = {
+      path,
+      signal: node.signal,
+      operator: node.operator,
+      value,
+      label: this.describeCondition(node),
+      evaluated: !skip,
+      actual: null,
+      passed: false
+    };
+    conditions.push(entry);
+
+    if (skip) return false;
+
+    const actual = await this.getSignal(node.signal, context, signals);
+    entry.actual = actual;
+    entry.passed = actual !== null && this.compare(actual, node.operator, value);
+    return actual === null ? null : entry.passed;
+  }
+
+  compare(actual, operator, value) {
+    switch (operator) {
+      case 'gt': return actual > value;
+      case 'gte': return actual >= value;
+      case 'lt': return actual < value;
+      case 'lte': return actual <= value;
+      default: return false;
+    }
+  }
+
+  /**
+   * Fetch a signal value, memoized per evaluation by data source
+   * Returns null when the source has no data for the project.
+   */
+  async getSignal(signal, context, signals) {
+    const { source } = RULE_SIGNALS[signal];
+    if (!signals.has(source)) {
+      signals.set(source, this.fetchSource(source, context).catch(error => {
+        console.error(`Failed to fetch ${source} signal for ${context.project}:`, error);
+        return null;
+      }));
+    }
+
+    const data = await signals.get(source);
+    if (!data) return null;
+
+    switch (signal) {
+      case 'mention_change':
+        return data.baselineCount > 0 ? Math.round(((data.currentCount - data.baselineCount) / data.baselineCount) * 100) : 0;
+      case 'mention_count':
+        return data.currentCount;
+      case 'sentiment_score':
+        return data.sentimentScore;
+      case 'influencer_mentions':
+        return data.count;
+      case 'dex_volume_24h':
+        return data.volume24h;
+      case 'dex_liquidity':
+        return data.liquidity;
+      case 'fdv':
+        return data.fdv;
+      case 'price_change_24h':
+        return data.priceChange24h;
+      default:
+        return null;
+    }
+  }
+
+  async fetchSource(source, { project, coinId, tokenAddress, sources }) {
+    switch (source) {
+      case 'mentions': {
+        const now = Date.now();
+        const [current, baseline] = await Promise.all([
+          mentionSourceService.searchMentions(project, {
+            sources,
+            maxResults: MENTION_COUNT_LIMIT,
+            startTime: new Date(now - HOUR_MS).toISOString()
+          }),
+          mentionSourceService.searchMentions(project, {
+            sources,
+            maxResults: MENTION_COUNT_LIMIT,
+            startTime: new Date(now - 2 * HOUR_MS).toISOString(),
+            endTime: new Date(now - HOUR_MS).toISOString()
+          })
+        ]);
+        return { currentCount: current.tweets.length, baselineCount: baseline.tweets.length };
+      }
+      case 'sentiment': {
+        const sentiment = await sentimentService.analyzeProjectSentiment(project, {
+          timeframe: '1h',
+          sampleSize: 50,
+          sources
+        });
+        // The sample analysis served when scoring fails is no signal
+        return sentiment.mock ? null : { sentimentScore: sentiment.sentiment_score };
+      }
+      case 'influencers': {
+        const mentions = await twitterService.monitorHighSignalAccounts([project]);
+        return { count: mentions.length };
+      }
+      case 'dex': {
+        const metrics = tokenAddress
+          ? await dexScreenerService.getTokenMetrics(tokenAddress)
+          : await dexScreenerService.getProjectMetrics(project);
+        return metrics ? { volume24h: metrics.volume24h, liquidity: metrics.liquidity, fdv: metrics.marketCap } : null;
+      }
+      case 'price': {
+        const id = coinId || await correlationService.resolveCoinId(project);
+        const [coin] = await coinGeckoService.getCoinsMarketData([id]);
+        return coin && typeof coin.priceChangePercentage24h === 'number'
+          ? { priceChange24h: Math.round(coin.priceChangePercentage24h * 100) / 100 }
+          : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Human-readable rule, e.g. `(Mention change ≥ 200% AND Sentiment score < 0.4)`
+   */
+  describeRule(rule) {
+    if (!rule) return '';
+    if (!this.isGroup(rule)) return this.describeCondition(rule);
+
+    const parts = (rule.conditions || []).map(child => this.describeRule(child));
+    if (rule.op === 'not') {
+      return `NOT ${parts[0] || ''}`;
+    }
+    return `(${parts.join(` ${rule.op.toUpperCase()} `)})`;
+  }
+
+  describeCondition(condition) {
+    const signal = RULE_SIGNALS[condition.signal];
+    if (!signal) return `${condition.signal} ${condition.operator} ${condition.value}`;
+
+    const label = signal.label.replace(/\s*\(.*\)$/, '');
+    const unit = signal.unit === '%' ? '%' : signal.unit ? ` ${signal.unit}` : '';
+    return `${label} ${RULE_OPERATORS[condition.operator] || condition.operator} ${condition.value}${unit}`;
+  }
+
+  isGroup(node) {
+    return Boolean(node) && Object.prototype.hasOwnProperty.call(node, 'op');
+  }
+}
+
+export default new AlertRuleService();
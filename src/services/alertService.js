@@ -4,7 +4,58 @@
  */
 
 import twitterService from './twitterService.js';
+import mentionSourceService, { MENTION_COUNT_LIMIT } from './mentionSourceService.js';
 import sentimentService from './sentimentService.js';
+import alertRuleService from './alertRuleService.js';
+import coinGeckoService from './coinGeckoService.js';
+import dexScreenerService from './dexScreenerService.js';
+import correlationService from './correlationService.js';
+import anomalyDetectionService, { ANOMALY_METHODS } from './anomalyDetectionService.js';
+import supabaseService from './supabaseService.js';
+import alertHistoryService from './alertHistoryService.js';
+import chatChannelService from './chatChannelService.js';
+import webhookDeliveryService from './webhookDeliveryService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Lookback windows for price moves and liquidity drops
+export const MARKET_WINDOWS = {
+  '1h': HOUR_MS,
+  '4h': 4 * HOUR_MS,
+  '24h': 24 * HOUR_MS,
+  '7d': 7 * 24 * HOUR_MS
+};
+
+export const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+export const ALERT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+export const NOTIFICATION_METHODS = ['browser', 'email', 'webhook', 'telegram', 'discord', 'slack', 'console'];
+
+export const MARKET_ALERT_TYPES = ['price_cross', 'price_move', 'liquidity_drop', 'volume_24h_spike', 'fdv_threshold'];
+
+export const DIGEST_MODES = ['off', 'hourly', 'daily'];
+
+// Why a notification was held back instead of delivered
+const HOLD_REASONS = {
+  quiet_hours: 'quiet hours',
+  rate_limited: 'hourly limit reached',
+  digest: 'digest'
+};
+
+const createDefaultPolicy = () => ({
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    allowCritical: true // critical alerts still go out during quiet hours
+  },
+  digestHour: 9, // local hour daily digests are sent
+  channels: Object.fromEntries(NOTIFICATION_METHODS.map(channel => [channel, {
+    minSeverity: 'low',
+    maxPerHour: null,
+    digest: 'off'
+  }]))
+});
 
 class AlertService {
   constructor() {
@@ -14,10 +65,26 @@ class AlertService {
     this.isProcessing = false;
     this.checkInterval = 60000; // 1 minute
     this.maxRetries = 3;
+    this.incidents = new Map();
+    this.lifecycleInterval = null;
+    this.maxResolvedIncidents = 200;
+    this.notificationPolicy = createDefaultPolicy();
+    this.heldNotifications = [];
+    this.sentLog = {}; // channel -> delivery timestamps in the last hour
+    this.alertSubscription = null;
     
     // Initialize with localStorage persistence
     this.loadAlertsFromStorage();
+    this.loadIncidentsFromStorage();
+    this.loadNotificationPolicyFromStorage();
+    this.loadNotificationStateFromStorage();
     this.startMonitoring();
+    this.syncAlertDefinitions().catch(error => {
+      console.error('Failed to sync alerts with the server:', error);
+    });
+
+    // Webhook retries finish after the notification queue has moved on
+    webhookDeliveryService.subscribe(delivery => this.handleWebhookDeliveryUpdate(delivery));
   }
 
   /**
@@ -31,7 +98,8 @@ class AlertService {
       created: new Date().toISOString(),
       triggered: 0,
       lastTriggered: null,
-      lastChecked: null
+      lastChecked: null,
+      serverId: null
     };
 
     // Validate alert configuration
@@ -41,7 +109,7 @@ class AlertService {
     }
 
     this.alerts.set(alert.id, alert);
-    this.saveAlertsToStorage();
+    await this.syncAlertDefinition(alert);
 
     // Start monitoring if alert is active
     if (alert.status === 'active') {
@@ -69,7 +137,7 @@ class AlertService {
     }
 
     this.alerts.set(alertId, updatedAlert);
-    this.saveAlertsToStorage();
+    await this.syncAlertDefinition(updatedAlert);
 
     // Restart monitoring with new configuration
     await this.stopAlertMonitoring(alertId);
@@ -93,6 +161,20 @@ class AlertService {
     this.alerts.delete(alertId);
     this.saveAlertsToStorage();
 
+    if (alert.serverId) {
+      try {
+        await supabaseService.deleteAlertDefinition(alertId);
+      } catch (error) {
+        console.error(`Failed to delete server alert ${alertId}:`, error);
+      }
+    }
+
+    // Close out incidents that can no longer re-trigger
+    const openIncident = this.getOpenIncident(alertId);
+    if (openIncident) {
+      await this.resolveIncident(openIncident.id);
+    }
+
     return true;
   }
 
@@ -119,6 +201,9 @@ class AlertService {
     if (this.activeMonitors.has(alert.id)) {
       return; // Already monitoring
     }
+    if (alert.serverId) {
+      return; // Checked by the periodic-monitoring function
+    }
 
     const monitor = {
       alert,
@@ -132,6 +217,82 @@ class AlertService {
     console.log(`Started monitoring alert: ${alert.id} (${alert.type})`);
   }
 
+  /**
+   * Store an alert server-side so it is checked with the browser closed
+   * Without a session or the alert_definitions table the alert keeps running in the browser.
+   */
+  async syncAlertDefinition(alert) {
+    try {
+      const wasServerSide = !!alert.serverId;
+      const definition = await supabaseService.saveAlertDefinition(alert);
+      this.applyAlertDefinition(alert, definition);
+      if (!wasServerSide) {
+        await this.syncNotificationPolicy();
+      }
+      await this.stopAlertMonitoring(alert.id);
+    } catch (error) {
+      if (alert.serverId) {
+        console.warn(`Alert ${alert.id} falls back to browser checks:`, error.message);
+      }
+      alert.serverId = null;
+    }
+    this.saveAlertsToStorage();
+  }
+
+  /**
+   * Register every stored alert server-side, e.g. after signing in
+   */
+  async syncAlertDefinitions() {
+    for (const alert of this.alerts.values()) {
+      await this.syncAlertDefinition(alert);
+      if (!alert.serverId && alert.status === 'active') {
+        await this.startAlertMonitoring(alert);
+      }
+    }
+    await this.syncNotificationPolicy();
+  }
+
+  /**
+   * Store the notification policy server-side while any alert is checked there
+   */
+  async syncNotificationPolicy() {
+    if (!Array.from(this.alerts.values()).some(alert => alert.serverId)) return;
+
+    try {
+      await supabaseService.saveNotificationPolicy(this.notificationPolicy);
+    } catch (error) {
+      console.error('Failed to save notification policy to the server:', error);
+    }
+  }
+
+  /**
+   * Copy server check status onto the browser's alert
+   */
+  applyAlertDefinition(alert, definition) {
+    alert.serverId = definition.id;
+    alert.lastChecked = definition.last_checked_at || alert.lastChecked;
+    alert.lastError = definition.last_error || null;
+    if (definition.last_triggered_at && (!alert.lastTriggered ||
+      new Date(definition.last_triggered_at) > new Date(alert.lastTriggered))) {
+      alert.lastTriggered = definition.last_triggered_at;
+    }
+  }
+
+  /**
+   * Refresh server check status for all server-evaluated alerts
+   */
+  async refreshAlertDefinitions() {
+    const definitions = await supabaseService.getAlertDefinitions();
+    definitions.forEach(definition => {
+      const alert = this.alerts.get(definition.client_alert_id);
+      if (alert) {
+        this.applyAlertDefinition(alert, definition);
+      }
+    });
+    this.saveAlertsToStorage();
+    return definitions.length;
+  }
+
   /**
    * Stop monitoring for a specific alert
    */
@@ -174,6 +335,24 @@ class AlertService {
         case 'volume_spike':
           ({ shouldTrigger, triggerData } = await this.checkVolumeSpike(alert));
           break;
+        case 'composite':
+          ({ shouldTrigger, triggerData } = await this.checkCompositeRule(alert));
+          break;
+        case 'price_cross':
+          ({ shouldTrigger, triggerData } = await this.checkPriceCross(alert));
+          break;
+        case 'price_move':
+          ({ shouldTrigger, triggerData } = await this.checkPriceMove(alert));
+          break;
+        case 'liquidity_drop':
+          ({ shouldTrigger, triggerData } = await this.checkLiquidityDrop(alert));
+          break;
+        case 'volume_24h_spike':
+          ({ shouldTrigger, triggerData } = await this.checkVolume24hSpike(alert));
+          break;
+        case 'fdv_threshold':
+          ({ shouldTrigger, triggerData } = await this.checkFdvThreshold(alert));
+          break;
         default:
           console.warn(`Unknown alert type: ${alert.type}`);
           return;
@@ -198,18 +377,34 @@ class AlertService {
    * Check for mention increase
    */
   async checkMentionIncrease(alert) {
-    const { project, threshold } = alert.config;
+    if (this.usesAnomalyDetection(alert)) {
+      const anomaly = await this.evaluateMentionAnomaly(alert);
+      const expected = anomaly.baseline.expected;
+      return {
+        shouldTrigger: anomaly.is_anomaly,
+        triggerData: {
+          current_mentions: anomaly.value,
+          baseline_mentions: Math.round(expected),
+          increase_percent: expected > 0 ? Math.round(((anomaly.value - expected) / expected) * 100) : 0,
+          ...this.formatAnomalyData(anomaly)
+        }
+      };
+    }
+
+    const { project, threshold, sources } = alert.config;
     const thresholdPercent = parseFloat(threshold) / 100;
 
     // Get current mentions
-    const currentMentions = await twitterService.searchMentions(project, {
-      maxResults: 100,
+    const currentMentions = await mentionSourceService.searchMentions(project, {
+      sources,
+      maxResults: MENTION_COUNT_LIMIT,
       startTime: new Date(Date.now() - 60 * 60 * 1000).toISOString() // Last hour
     });
 
     // Get baseline mentions (previous hour)
-    const baselineMentions = await twitterService.searchMentions(project, {
-      maxResults: 100,
+    const baselineMentions = await mentionSourceService.searchMentions(project, {
+      sources,
+      maxResults: MENTION_COUNT_LIMIT,
       startTime: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
       endTime: new Date(Date.now() - 60 * 60 * 1000).toISOString()
     });
@@ -235,20 +430,25 @@ class AlertService {
    * Check for sentiment changes
    */
   async checkSentimentChange(alert) {
-    const { project, threshold, direction } = alert.config;
+    const { project, threshold, direction, sources } = alert.config;
     const thresholdValue = parseFloat(threshold);
 
     const sentiment = await sentimentService.analyzeProjectSentiment(project, {
       timeframe: '1h',
-      sampleSize: 50
+      sampleSize: 50,
+      sources
     });
+    if (sentiment.mock) {
+      return { shouldTrigger: false, triggerData: null };
+    }
 
     let shouldTrigger = false;
     const currentScore = sentiment.sentiment_score * 100; // Convert to percentage
 
+    // Negative alerts fire when the 0-100 score falls to the threshold
     if (direction === 'positive' && currentScore >= thresholdValue) {
       shouldTrigger = true;
-    } else if (direction === 'negative' && currentScore <= -thresholdValue) {
+    } else if (direction === 'negative' && currentScore <= thresholdValue) {
       shouldTrigger = true;
     } else if (direction === 'any' && Math.abs(currentScore) >= thresholdValue) {
       shouldTrigger = true;
@@ -257,7 +457,7 @@ class AlertService {
     return {
       shouldTrigger,
       triggerData: {
-        current_sentiment: sentiment.overall_sentiment,
+        current_sentiment: this.getSentimentLabel(sentiment.metrics),
         sentiment_score: currentScore,
         confidence: sentiment.confidence,
         threshold: thresholdValue,
@@ -266,14 +466,27 @@ class AlertService {
     };
   }
 
+  /**
+   * Most common label among the scored mentions, as the server's sentiment source reports it
+   */
+  getSentimentLabel(metrics = {}) {
+    const counts = {
+      positive: metrics.positive_mentions || 0,
+      negative: metrics.negative_mentions || 0,
+      neutral: metrics.neutral_mentions || 0
+    };
+    return Object.keys(counts).reduce((a, b) => counts[a] >= counts[b] ? a : b);
+  }
+
   /**
    * Check for new mentions
    */
   async checkNewMention(alert) {
-    const { project, threshold } = alert.config;
+    const { project, threshold, sources } = alert.config;
     const minMentions = parseInt(threshold);
 
-    const mentions = await twitterService.searchMentions(project, {
+    const mentions = await mentionSourceService.searchMentions(project, {
+      sources,
       maxResults: 100,
       startTime: new Date(Date.now() - this.checkInterval).toISOString()
     });
@@ -285,9 +498,11 @@ class AlertService {
       triggerData: {
         new_mentions: mentions.tweets.length,
         threshold: minMentions,
+        by_source: mentions.meta.by_source,
         top_mentions: mentions.tweets.slice(0, 3).map(tweet => ({
           text: tweet.text.substring(0, 100) + '...',
           author: tweet.author.username,
+          source: tweet.source,
           engagement: tweet.engagement
         }))
       }
@@ -320,18 +535,34 @@ class AlertService {
    * Check for volume spikes
    */
   async checkVolumeSpike(alert) {
-    const { project, threshold } = alert.config;
+    if (this.usesAnomalyDetection(alert)) {
+      const anomaly = await this.evaluateMentionAnomaly(alert);
+      const expected = anomaly.baseline.expected;
+      return {
+        shouldTrigger: anomaly.is_anomaly,
+        triggerData: {
+          current_volume: anomaly.value,
+          average_volume: Math.round(expected),
+          spike_percent: expected > 0 ? Math.round(((anomaly.value - expected) / expected) * 100) : 0,
+          ...this.formatAnomalyData(anomaly)
+        }
+      };
+    }
+
+    const { project, threshold, sources } = alert.config;
     const thresholdPercent = parseFloat(threshold) / 100;
 
     // Get current volume (last hour)
-    const currentMentions = await twitterService.searchMentions(project, {
-      maxResults: 100,
+    const currentMentions = await mentionSourceService.searchMentions(project, {
+      sources,
+      maxResults: MENTION_COUNT_LIMIT,
       startTime: new Date(Date.now() - 60 * 60 * 1000).toISOString()
     });
 
     // Calculate average volume over last 24 hours
-    const historicalMentions = await twitterService.searchMentions(project, {
-      maxResults: 100,
+    const historicalMentions = await mentionSourceService.searchMentions(project, {
+      sources,
+      maxResults: MENTION_COUNT_LIMIT,
       startTime: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
     });
 
@@ -352,21 +583,441 @@ class AlertService {
     };
   }
 
+  /**
+   * Mention spike alerts use anomaly detection unless configured with `detection: 'threshold'`
+   * Alerts saved before detection existed have only a threshold and keep using it.
+   */
+  usesAnomalyDetection(alert) {
+    return this.getDetection(alert.config) === 'anomaly';
+  }
+
+  getDetection(config = {}) {
+    if (config.detection) return config.detection;
+    return config.threshold !== undefined && config.threshold !== null && config.threshold !== '' ? 'threshold' : 'anomaly';
+  }
+
+  /**
+   * Score trailing-hour mention volume against the project's baseline
+   * Hourly tweet counts seed the baseline when the counts endpoint is available;
+   * otherwise the search volume is recorded at most once an hour. The counts endpoint
+   * only covers Twitter, so alerts that include channel sources always use search and
+   * keep a baseline of their own.
+   */
+  async evaluateMentionAnomaly(alert) {
+    const { project, zScore, percentile, method = 'zscore', sources } = alert.config;
+    const withChannels = mentionSourceService.includesChannels(sources);
+    const key = withChannels
+      ? `${project.toLowerCase()}:mentions_1h:${mentionSourceService.normalizeSources(sources).sort().join('+')}`
+      : `${project.toLowerCase()}:mentions_1h`;
+    const now = Date.now();
+
+    let value = null;
+    let source = 'search';
+    if (!withChannels) {
+      try {
+        const { buckets } = await twitterService.getMentionCounts(project, { granularity: 'hour' });
+        const complete = buckets.filter(bucket => bucket.end <= now);
+        anomalyDetectionService.seed(key, complete.map(bucket => ({ timestamp: bucket.start, value: bucket.count })));
+
+        // Trailing 60 minutes: the partial current bucket plus the unelapsed share of the previous one
+        const partial = buckets.find(bucket => bucket.start <= now && bucket.end > now);
+        const previous = complete[complete.length - 1];
+        value = partial
+          ? Math.round(partial.count + (previous?.count || 0) * (1 - (now - partial.start) / HOUR_MS))
+          : previous?.count || 0;
+        source = 'counts';
+      } catch (error) {
+        // Fall back to the search volume below
+      }
+    }
+
+    if (value === null) {
+      const mentions = await mentionSourceService.searchMentions(project, {
+        sources,
+        maxResults: MENTION_COUNT_LIMIT,
+        startTime: new Date(now - HOUR_MS).toISOString()
+      });
+      value = mentions.tweets.length;
+    }
+
+    const anomaly = anomalyDetectionService.evaluate(key, value, {
+      timestamp: now,
+      method,
+      direction: 'up',
+      zThreshold: zScore ? parseFloat(zScore) : undefined,
+      percentileThreshold: percentile ? parseFloat(percentile) : undefined,
+      counts: true,
+      // Complete hours come from the counts endpoint; the trailing estimate is not a sample
+      record: source === 'search'
+    });
+
+    return { ...anomaly, source };
+  }
+
+  formatAnomalyData(anomaly) {
+    return {
+      detection: 'anomaly',
+      source: anomaly.source,
+      score: {
+        z_score: anomaly.z_score,
+        ewma_z_score: anomaly.ewma_z_score,
+        percentile: anomaly.percentile,
+        method: anomaly.method,
+        z_threshold: anomaly.z_threshold,
+        percentile_threshold: anomaly.percentile_threshold,
+        warming_up: anomaly.warming_up
+      },
+      baseline: anomaly.baseline
+    };
+  }
+
+  /**
+   * Check a composite rule of AND/OR/NOT groups over several signals
+   */
+  async checkCompositeRule(alert) {
+    const { project, rule, coinId, tokenAddress, sources } = alert.config;
+    const { matched, conditions } = await alertRuleService.evaluateRule(rule, { project, coinId, tokenAddress, sources });
+
+    return {
+      shouldTrigger: matched,
+      triggerData: {
+        rule: alertRuleService.describeRule(rule),
+        matched,
+        conditions
+      }
+    };
+  }
+
+  /**
+   * Check for price crossing a level since the previous check
+   * The first check only records the price, so an alert never fires on creation.
+   */
+  async checkPriceCross(alert) {
+    const { threshold, direction = 'any' } = alert.config;
+    const level = parseFloat(threshold);
+    const coinId = await this.resolveCoinId(alert);
+
+    const chart = await coinGeckoService.getMarketChart(coinId, 'usd', 1);
+    const current = chart.prices[chart.prices.length - 1]?.price;
+    if (typeof current !== 'number') {
+      return { shouldTrigger: false, triggerData: null };
+    }
+
+    const state = this.getAlertState(alert);
+    const previous = state.lastPrice;
+    state.lastPrice = current;
+
+    const crossedAbove = typeof previous === 'number' && previous < level && current >= level;
+    const crossedBelow = typeof previous === 'number' && previous > level && current <= level;
+    const shouldTrigger = (direction !== 'below' && crossedAbove) || (direction !== 'above' && crossedBelow);
+
+    return {
+      shouldTrigger,
+      triggerData: {
+        coin_id: coinId,
+        current_price: current,
+        previous_price: previous ?? null,
+        level,
+        crossed: crossedAbove ? 'above' : crossedBelow ? 'below' : null,
+        direction
+      }
+    };
+  }
+
+  /**
+   * Check for a percent price move within a window
+   */
+  async checkPriceMove(alert) {
+    const { threshold, window = '24h', direction = 'any' } = alert.config;
+    const thresholdPercent = parseFloat(threshold);
+    const coinId = await this.resolveCoinId(alert);
+
+    const windowMs = MARKET_WINDOWS[window];
+    const chart = await coinGeckoService.getMarketChart(coinId, 'usd', windowMs > MARKET_WINDOWS['24h'] ? 7 : 1);
+    const current = chart.prices[chart.prices.length - 1];
+    const start = this.valueAt(chart.prices, current ? current.timestamp - windowMs : 0);
+    if (!current || !start || !start.price) {
+      return { shouldTrigger: false, triggerData: null };
+    }
+
+    const changePercent = Math.round(((current.price - start.price) / start.price) * 10000) / 100;
+
+    let shouldTrigger = false;
+    if (direction === 'up') {
+      shouldTrigger = changePercent >= thresholdPercent;
+    } else if (direction === 'down') {
+      shouldTrigger = changePercent <= -thresholdPercent;
+    } else {
+      shouldTrigger = Math.abs(changePercent) >= thresholdPercent;
+    }
+
+    return {
+      shouldTrigger,
+      triggerData: {
+        coin_id: coinId,
+        current_price: current.price,
+        start_price: start.price,
+        change_percent: changePercent,
+        threshold_percent: thresholdPercent,
+        window,
+        direction
+      }
+    };
+  }
+
+  /**
+   * Check for liquidity draining from the main DEX pair
+   * Readings are kept on the alert; the drop is measured from the peak within the window.
+   */
+  async checkLiquidityDrop(alert) {
+    const { threshold, window = '1h' } = alert.config;
+    const thresholdPercent = parseFloat(threshold);
+
+    const metrics = await this.getDexMetrics(alert);
+    if (!metrics || !metrics.liquidity) {
+      return { shouldTrigger: false, triggerData: null };
+    }
+
+    const state = this.getAlertState(alert);
+    const now = Date.now();
+
+    // A different main pair means the old readings no longer apply
+    if (state.pairAddress !== metrics.pairAddress) {
+      state.pairAddress = metrics.pairAddress;
+      state.liquidityReadings = [];
+    }
+
+    state.liquidityReadings = (state.liquidityReadings || [])
+      .filter(reading => now - reading.timestamp <= MARKET_WINDOWS[window])
+      .concat({ timestamp: now, liquidity: metrics.liquidity });
+
+    const peak = Math.max(...state.liquidityReadings.map(reading => reading.liquidity));
+    const dropPercent = peak > 0 ? Math.round(((peak - metrics.liquidity) / peak) * 10000) / 100 : 0;
+
+    return {
+      shouldTrigger: dropPercent >= thresholdPercent,
+      triggerData: {
+        pair_address: metrics.pairAddress,
+        dex_id: metrics.dexId,
+        chain_id: metrics.chainId,
+        current_liquidity: metrics.liquidity,
+        peak_liquidity: peak,
+        drop_percent: dropPercent,
+        threshold_percent: thresholdPercent,
+        window
+      }
+    };
+  }
+
+  /**
+   * Check 24h trading volume against its trailing 7 day average
+   */
+  async checkVolume24hSpike(alert) {
+    const { threshold } = alert.config;
+    const thresholdPercent = parseFloat(threshold);
+    const coinId = await this.resolveCoinId(alert);
+
+    // CoinGecko volumes are rolling 24h totals; sample one per day for the trailing average
+    const chart = await coinGeckoService.getMarketChart(coinId, 'usd', 8);
+    const current = chart.volumes[chart.volumes.length - 1];
+    if (!current) {
+      return { shouldTrigger: false, triggerData: null };
+    }
+
+    const trailing = [];
+    for (let day = 1; day <= 7; day++) {
+      const point = this.valueAt(chart.volumes, current.timestamp - day * MARKET_WINDOWS['24h'], true);
+      if (point) trailing.push(point.volume);
+    }
+
+    const averageVolume = trailing.length > 0 ? trailing.reduce((sum, volume) => sum + volume, 0) / trailing.length : 0;
+    const spike = averageVolume > 0 ? (current.volume - averageVolume) / averageVolume : 0;
+
+    return {
+      shouldTrigger: averageVolume > 0 && spike * 100 >= thresholdPercent,
+      triggerData: {
+        coin_id: coinId,
+        current_volume: Math.round(current.volume),
+        average_volume: Math.round(averageVolume),
+        spike_percent: Math.round(spike * 100),
+        threshold_percent: thresholdPercent,
+        days_averaged: trailing.length
+      }
+    };
+  }
+
+  /**
+   * Check fully diluted valuation against a level
+   * Uses the DEX pair's FDV when a token address is configured, CoinGecko otherwise.
+   */
+  async checkFdvThreshold(alert) {
+    const { threshold, direction = 'above', tokenAddress } = alert.config;
+    const level = parseFloat(threshold);
+
+    let fdv = null;
+    let source = 'coingecko';
+    if (tokenAddress) {
+      const metrics = await this.getDexMetrics(alert);
+      fdv = metrics?.marketCap || null;
+      source = 'dexscreener';
+    } else {
+      const coinId = await this.resolveCoinId(alert);
+      const [coin] = await coinGeckoService.getCoinsMarketData([coinId]);
+      fdv = typeof coin?.fullyDilutedValuation === 'number' ? coin.fullyDilutedValuation : null;
+    }
+
+    if (fdv === null) {
+      return { shouldTrigger: false, triggerData: null };
+    }
+
+    return {
+      shouldTrigger: direction === 'below' ? fdv <= level : fdv >= level,
+      triggerData: {
+        fdv,
+        level,
+        direction,
+        source
+      }
+    };
+  }
+
+  /**
+   * Market data helpers
+   */
+  async resolveCoinId(alert) {
+    if (alert.config.coinId) return alert.config.coinId;
+
+    const state = this.getAlertState(alert);
+    if (!state.coinId) {
+      state.coinId = await correlationService.resolveCoinId(alert.config.project);
+    }
+    return state.coinId;
+  }
+
+  async getDexMetrics(alert) {
+    const { tokenAddress, project } = alert.config;
+    return tokenAddress
+      ? dexScreenerService.getTokenMetrics(tokenAddress)
+      : dexScreenerService.getProjectMetrics(project);
+  }
+
+  // Latest point at or before the timestamp; falls back to the earliest point unless strict
+  valueAt(points, timestamp, strict = false) {
+    let match = null;
+    for (const point of points) {
+      if (point.timestamp > timestamp) break;
+      match = point;
+    }
+    return match || (strict ? null : points[0] || null);
+  }
+
+  // Per-alert data carried between checks (previous price, liquidity readings, resolved coin id)
+  getAlertState(alert) {
+    if (!alert.state) alert.state = {};
+    return alert.state;
+  }
+
   /**
    * Trigger alert and send notification
    */
   async triggerAlert(alert, triggerData) {
+    const now = new Date().toISOString();
     alert.triggered += 1;
-    alert.lastTriggered = new Date().toISOString();
+    alert.lastTriggered = now;
+
+    const title = this.generateAlertTitle(alert, triggerData);
+    const message = this.generateAlertMessage(alert, triggerData);
+
+    // Re-triggers fold into the open incident instead of notifying again
+    const existing = this.getOpenIncident(alert.id);
+    if (existing) {
+      existing.occurrences += 1;
+      existing.lastTriggeredAt = now;
+      existing.title = title;
+      existing.message = message;
+      existing.data = triggerData;
+
+      // Remind once when a snooze runs out on an incident nobody has acknowledged
+      const remind = existing.status === 'open' && existing.snoozedUntil && new Date(existing.snoozedUntil) <= new Date(now);
+      const event = alertHistoryService.recordEvent({
+        alert,
+        incident: existing,
+        kind: remind ? 'reminder' : 'retriggered',
+        data: triggerData,
+        title,
+        message,
+        channels: remind ? [this.getNotificationChannel(alert)] : []
+      });
+      if (remind) {
+        existing.snoozedUntil = null;
+        this.queueNotification(alert, existing, { eventId: event.id });
+      }
+
+      this.saveIncidentsToStorage();
+      console.log(`Alert re-triggered: ${alert.id} (incident ${existing.id}, ${existing.occurrences} occurrences)`);
+      return existing;
+    }
+
+    const incident = {
+      id: this.generateIncidentId(),
+      alertId: alert.id,
+      remoteId: null,
+      type: alert.type,
+      project: alert.config.project,
+      severity: alert.config.severity || 'medium',
+      title,
+      message,
+      data: triggerData,
+      status: 'open',
+      occurrences: 1,
+      triggeredAt: now,
+      lastTriggeredAt: now,
+      acknowledgedAt: null,
+      resolvedAt: null,
+      snoozedUntil: null,
+      escalatedAt: null
+    };
+
+    this.incidents.set(incident.id, incident);
+    this.saveIncidentsToStorage();
+
+    const event = alertHistoryService.recordEvent({
+      alert,
+      incident,
+      data: triggerData,
+      title,
+      message,
+      channels: [this.getNotificationChannel(alert)]
+    });
+    this.queueNotification(alert, incident, { eventId: event.id });
+
+    console.log(`Alert triggered: ${alert.id} - ${title}`);
+    return incident;
+  }
+
+  /**
+   * Queue a notification for an incident
+   * `channel` overrides the alert's notification method (used for escalation).
+   */
+  queueNotification(alert, incident, options = {}) {
+    const { channel = null, escalated = false, webhookUrl = null, eventId = null } = options;
 
     const notification = {
       id: this.generateNotificationId(),
       alertId: alert.id,
+      incidentId: incident.id,
       type: alert.type,
       project: alert.config.project,
-      title: this.generateAlertTitle(alert, triggerData),
-      message: this.generateAlertMessage(alert, triggerData),
-      data: triggerData,
+      severity: incident.severity,
+      title: escalated ? `[Escalated] ${incident.title}` : incident.title,
+      message: escalated
+        ? `${incident.message} (unacknowledged since ${new Date(incident.triggeredAt).toLocaleString()})`
+        : incident.message,
+      data: incident.data,
+      channel,
+      webhookUrl,
+      escalated,
+      eventId,
       timestamp: new Date().toISOString(),
       delivered: false,
       retries: 0
@@ -380,7 +1031,229 @@ class AlertService {
       this.processNotificationQueue();
     }
 
-    console.log(`Alert triggered: ${alert.id} - ${notification.title}`);
+    return notification;
+  }
+
+  /**
+   * Incident lifecycle
+   * open -> acknowledged -> resolved; any unresolved incident can be snoozed until a time,
+   * which silences reminders and escalation.
+   */
+  getIncidents(filters = {}) {
+    const { status = null, alertId = null } = filters;
+    const now = Date.now();
+
+    return Array.from(this.incidents.values())
+      .filter(incident => !alertId || incident.alertId === alertId)
+      .filter(incident => {
+        if (!status || status === 'all') return true;
+        if (status === 'snoozed') return this.isSnoozed(incident, now);
+        return incident.status === status;
+      })
+      .sort((a, b) => new Date(b.lastTriggeredAt) - new Date(a.lastTriggeredAt));
+  }
+
+  getIncident(incidentId) {
+    return this.incidents.get(incidentId);
+  }
+
+  getOpenIncident(alertId) {
+    return Array.from(this.incidents.values()).find(incident =>
+      incident.alertId === alertId && incident.status !== 'resolved'
+    ) || null;
+  }
+
+  isSnoozed(incident, now = Date.now()) {
+    return incident.status !== 'resolved' && Boolean(incident.snoozedUntil) && new Date(incident.snoozedUntil).getTime() > now;
+  }
+
+  async acknowledgeIncident(incidentId) {
+    const incident = this.requireIncident(incidentId);
+    if (incident.status === 'resolved') {
+      throw new Error(`Incident ${incidentId} is already resolved`);
+    }
+
+    incident.status = 'acknowledged';
+    incident.acknowledgedAt = incident.acknowledgedAt || new Date().toISOString();
+    await this.persistIncident(incident, { acknowledged_at: incident.acknowledgedAt });
+    return incident;
+  }
+
+  async resolveIncident(incidentId) {
+    const incident = this.requireIncident(incidentId);
+
+    incident.status = 'resolved';
+    incident.resolvedAt = new Date().toISOString();
+    incident.snoozedUntil = null;
+    await this.persistIncident(incident, { resolved_at: incident.resolvedAt, snoozed_until: null });
+    return incident;
+  }
+
+  async snoozeIncident(incidentId, until) {
+    const incident = this.requireIncident(incidentId);
+    if (incident.status === 'resolved') {
+      throw new Error(`Incident ${incidentId} is already resolved`);
+    }
+
+    const snoozedUntil = new Date(until);
+    if (isNaN(snoozedUntil.getTime()) || snoozedUntil.getTime() <= Date.now()) {
+      throw new Error('Snooze time must be in the future');
+    }
+
+    incident.snoozedUntil = snoozedUntil.toISOString();
+    await this.persistIncident(incident, { snoozed_until: incident.snoozedUntil });
+    return incident;
+  }
+
+  requireIncident(incidentId) {
+    const incident = this.incidents.get(incidentId);
+    if (!incident) {
+      throw new Error(`Incident ${incidentId} not found`);
+    }
+    return incident;
+  }
+
+  /**
+   * Save an incident locally and mirror lifecycle changes to monitoring_alerts
+   */
+  async persistIncident(incident, remoteUpdates) {
+    this.saveIncidentsToStorage();
+
+    try {
+      if (incident.remoteId) {
+        await supabaseService.updateMonitoringAlert(incident.remoteId, remoteUpdates);
+      } else {
+        // Local incidents are logged per event; keep their rows in step
+        await supabaseService.updateIncidentAlerts(incident.id, remoteUpdates);
+      }
+    } catch (error) {
+      console.error(`Failed to sync incident ${incident.id}:`, error);
+    }
+  }
+
+  /**
+   * Merge alerts raised server-side into the incident inbox
+   */
+  async syncRemoteIncidents(limit = 50) {
+    const rows = await supabaseService.getMonitoringAlerts(limit, { serverOnly: true });
+
+    rows.forEach(row => {
+      this.incidents.set(`remote_${row.id}`, this.mapRemoteIncident(row));
+    });
+
+    this.saveIncidentsToStorage();
+    return rows.length;
+  }
+
+  /**
+   * Map a monitoring_alerts row onto an incident
+   * Rows from server-evaluated alerts keep the trigger data under metadata.data.
+   */
+  mapRemoteIncident(row) {
+    const id = `remote_${row.id}`;
+    const existing = this.incidents.get(id);
+    const status = row.resolved_at ? 'resolved' : row.acknowledged_at ? 'acknowledged' : 'open';
+
+    return {
+      ...existing,
+      id,
+      alertId: row.alert_definition_id ? row.alert_rule_id : null,
+      remoteId: row.id,
+      type: row.alert_type,
+      project: row.monitoring_config?.project_name || row.metadata?.project || existing?.project || null,
+      severity: row.severity,
+      title: row.title,
+      message: row.message,
+      data: row.alert_definition_id ? row.metadata?.data || null : row.metadata,
+      status,
+      occurrences: row.occurrence_count || 1,
+      triggeredAt: row.triggered_at,
+      lastTriggeredAt: row.last_triggered_at || row.triggered_at,
+      acknowledgedAt: row.acknowledged_at,
+      resolvedAt: row.resolved_at,
+      snoozedUntil: row.snoozed_until || null,
+      escalatedAt: row.escalated_at || null
+    };
+  }
+
+  /**
+   * Apply a live monitoring_alerts change from the realtime subscription
+   * Browser notifications for server-evaluated alerts can only be shown here.
+   */
+  handleServerAlertChange({ eventType, new: row }) {
+    if (!row?.id || row.client_event_id) return; // Incidents from this browser are already local
+
+    const previous = this.incidents.get(`remote_${row.id}`);
+    const incident = this.mapRemoteIncident(row);
+    this.incidents.set(incident.id, incident);
+    this.saveIncidentsToStorage();
+
+    const alert = incident.alertId ? this.alerts.get(incident.alertId) : null;
+    if (!alert) return;
+
+    const triggered = eventType === 'INSERT' || (previous && incident.occurrences > previous.occurrences);
+    if (triggered) {
+      alert.triggered = (alert.triggered || 0) + 1;
+      alert.lastTriggered = incident.lastTriggeredAt;
+      this.saveAlertsToStorage();
+    }
+
+    // Re-triggers only notify as a reminder once a snooze has ended
+    const reminder = triggered && eventType !== 'INSERT' && row.metadata?.kind === 'reminder';
+    const escalated = incident.escalatedAt && !previous?.escalatedAt;
+
+    if ((eventType === 'INSERT' || reminder) && this.getNotificationChannel(alert) === 'browser') {
+      this.sendBrowserNotification({ alertId: alert.id, title: incident.title, message: incident.message });
+    } else if (escalated && alert.config.escalation?.channel === 'browser') {
+      this.sendBrowserNotification({ alertId: alert.id, title: `[Escalated] ${incident.title}`, message: incident.message });
+    }
+  }
+
+  /**
+   * Escalate open incidents nobody acknowledged within the alert's escalation window
+   * `config.escalation = { channel, afterMinutes, webhookUrl? }`; the clock restarts after a snooze.
+   */
+  checkEscalations() {
+    const now = Date.now();
+    let escalated = 0;
+
+    this.incidents.forEach(incident => {
+      if (incident.status !== 'open' || incident.escalatedAt || this.isSnoozed(incident, now)) return;
+      if (incident.remoteId) return; // Escalated by the periodic-monitoring function
+
+      const alert = this.alerts.get(incident.alertId);
+      const escalation = alert?.config.escalation;
+      if (!escalation?.channel) return;
+
+      const since = Math.max(
+        new Date(incident.triggeredAt).getTime(),
+        incident.snoozedUntil ? new Date(incident.snoozedUntil).getTime() : 0
+      );
+      if (now - since < (parseFloat(escalation.afterMinutes) || 15) * 60 * 1000) return;
+
+      incident.escalatedAt = new Date(now).toISOString();
+      const event = alertHistoryService.recordEvent({
+        alert,
+        incident,
+        kind: 'escalated',
+        data: incident.data,
+        title: incident.title,
+        message: incident.message,
+        channels: [escalation.channel]
+      });
+      this.queueNotification(alert, incident, {
+        channel: escalation.channel,
+        webhookUrl: escalation.webhookUrl || null,
+        escalated: true,
+        eventId: event.id
+      });
+      escalated++;
+    });
+
+    if (escalated > 0) {
+      this.saveIncidentsToStorage();
+    }
+    return escalated;
   }
 
   /**
@@ -391,15 +1264,33 @@ class AlertService {
     
     switch (alert.type) {
       case 'mention_increase':
+        if (triggerData.detection === 'anomaly') {
+          return `${project} Unusual Mention Activity (z = ${triggerData.score.z_score})`;
+        }
         return `${project} Mentions Increased by ${triggerData.increase_percent}%`;
       case 'sentiment_change':
-        return `${project} Sentiment Alert: ${triggerData.current_sentiment.toUpperCase()}`;
+        return `${project} Sentiment Alert: ${String(triggerData.current_sentiment).toUpperCase()}`;
       case 'new_mention':
         return `${project} New Mentions: ${triggerData.new_mentions}`;
       case 'influencer_mention':
         return `${project} Mentioned by Influencers`;
       case 'volume_spike':
+        if (triggerData.detection === 'anomaly') {
+          return `${project} Volume Anomaly: +${triggerData.spike_percent}% (z = ${triggerData.score.z_score})`;
+        }
         return `${project} Volume Spike: +${triggerData.spike_percent}%`;
+      case 'composite':
+        return `${project} Rule Matched: ${alert.config.name || triggerData.rule}`;
+      case 'price_cross':
+        return `${project} Price Crossed ${triggerData.crossed === 'above' ? 'Above' : 'Below'} $${triggerData.level}`;
+      case 'price_move':
+        return `${project} Price ${triggerData.change_percent >= 0 ? '+' : ''}${triggerData.change_percent}% in ${triggerData.window}`;
+      case 'liquidity_drop':
+        return `${project} Liquidity Down ${triggerData.drop_percent}%`;
+      case 'volume_24h_spike':
+        return `${project} 24h Volume Spike: +${triggerData.spike_percent}%`;
+      case 'fdv_threshold':
+        return `${project} FDV ${triggerData.direction === 'below' ? 'Below' : 'Above'} $${triggerData.level.toLocaleString()}`;
       default:
         return `${project} Alert Triggered`;
     }
@@ -413,6 +1304,9 @@ class AlertService {
     
     switch (alert.type) {
       case 'mention_increase':
+        if (triggerData.detection === 'anomaly') {
+          return `${project} had ${triggerData.current_mentions} mentions in the last hour vs ${triggerData.baseline_mentions} expected for this hour (z-score ${triggerData.score.z_score}, ${triggerData.score.percentile}th percentile)`;
+        }
         return `${project} mentions increased from ${triggerData.baseline_mentions} to ${triggerData.current_mentions} (${triggerData.increase_percent}% increase)`;
       case 'sentiment_change':
         return `${project} sentiment is now ${triggerData.current_sentiment} with a score of ${triggerData.sentiment_score}% (confidence: ${Math.round(triggerData.confidence * 100)}%)`;
@@ -421,7 +1315,25 @@ class AlertService {
       case 'influencer_mention':
         return `${project} was mentioned by ${triggerData.influencer_mentions} high-signal accounts`;
       case 'volume_spike':
+        if (triggerData.detection === 'anomaly') {
+          return `${project} mention volume reached ${triggerData.current_volume} vs a baseline of ${triggerData.average_volume} (z-score ${triggerData.score.z_score}, ${triggerData.score.percentile}th percentile)`;
+        }
         return `${project} mention volume spiked to ${triggerData.current_volume} (${triggerData.spike_percent}% above average)`;
+      case 'composite':
+        return `${project} matched ${triggerData.rule}: ${triggerData.conditions
+          .filter(condition => condition.evaluated)
+          .map(condition => `${condition.label} (actual ${condition.actual ?? 'n/a'})`)
+          .join(', ')}`;
+      case 'price_cross':
+        return `${project} moved from $${triggerData.previous_price} to $${triggerData.current_price}, crossing ${triggerData.crossed} $${triggerData.level}`;
+      case 'price_move':
+        return `${project} price moved ${triggerData.change_percent}% in ${triggerData.window}, from $${triggerData.start_price} to $${triggerData.current_price}`;
+      case 'liquidity_drop':
+        return `${project} liquidity on ${triggerData.dex_id} (${triggerData.chain_id}) fell from $${Math.round(triggerData.peak_liquidity).toLocaleString()} to $${Math.round(triggerData.current_liquidity).toLocaleString()} within ${triggerData.window}`;
+      case 'volume_24h_spike':
+        return `${project} 24h volume is $${triggerData.current_volume.toLocaleString()}, ${triggerData.spike_percent}% above the ${triggerData.days_averaged} day average of $${triggerData.average_volume.toLocaleString()}`;
+      case 'fdv_threshold':
+        return `${project} fully diluted valuation is $${Math.round(triggerData.fdv).toLocaleString()} (${triggerData.source})`;
       default:
         return `Alert triggered for ${project}`;
     }
@@ -440,9 +1352,24 @@ class AlertService {
     while (this.notificationQueue.length > 0) {
       const notification = this.notificationQueue.shift();
       
+      const channel = this.getNotificationChannel(this.alerts.get(notification.alertId), notification);
+
+      // Digests were already let through by the policy when they were released
+      const decision = notification.digest ? { action: 'send' } : this.applyNotificationPolicy(notification, channel);
+      if (decision.action === 'skip') {
+        this.recordDelivery(notification, channel, { status: 'skipped', error: decision.reason });
+        continue;
+      }
+      if (decision.action === 'hold') {
+        this.holdNotification(notification, channel, decision.reason);
+        continue;
+      }
+
       try {
-        await this.deliverNotification(notification);
+        const result = await this.deliverNotification(notification);
         notification.delivered = true;
+        this.recordSend(channel);
+        this.recordDelivery(notification, channel, { status: result?.status || 'delivered', error: result?.error || null });
       } catch (error) {
         console.error(`Failed to deliver notification ${notification.id}:`, error);
         notification.retries += 1;
@@ -450,6 +1377,9 @@ class AlertService {
         if (notification.retries < this.maxRetries) {
           // Re-queue for retry
           this.notificationQueue.push(notification);
+          this.recordDelivery(notification, channel, { status: 'retrying', error: error.message });
+        } else {
+          this.recordDelivery(notification, channel, { status: 'failed', error: error.message });
         }
       }
 
@@ -460,32 +1390,349 @@ class AlertService {
     this.isProcessing = false;
   }
 
+  getNotificationChannel(alert, notification = null) {
+    return notification?.channel || alert?.config.notificationMethod || 'console';
+  }
+
+  recordDelivery(notification, channel, result) {
+    // A digest reports its outcome on every event it rolled up
+    const eventIds = notification.digest ? notification.digestEventIds : [notification.eventId];
+    eventIds.filter(Boolean).forEach(eventId => {
+      alertHistoryService.recordDelivery(eventId, channel, result);
+    });
+  }
+
+  /**
+   * Notification policies
+   * Per user: quiet hours in a timezone, and per channel a severity
+   * floor, a maximum number of notifications per hour and an hourly/daily digest.
+   * Notifications below a floor are skipped; quiet hours, the hourly cap and digest
+   * mode hold them back, and held notifications for the same channel and destination
+   * are later sent as one summary. The policy is also stored server-side, where
+   * periodic-monitoring applies it to server-evaluated alerts.
+   */
+  getNotificationPolicy() {
+    return JSON.parse(JSON.stringify(this.notificationPolicy));
+  }
+
+  updateNotificationPolicy(policy) {
+    const merged = {
+      ...createDefaultPolicy(),
+      ...policy,
+      quietHours: { ...createDefaultPolicy().quietHours, ...policy.quietHours },
+      channels: Object.fromEntries(NOTIFICATION_METHODS.map(channel => [channel, {
+        ...createDefaultPolicy().channels[channel],
+        ...policy.channels?.[channel]
+      }]))
+    };
+
+    const errors = this.validateNotificationPolicy(merged);
+    if (errors.length > 0) {
+      throw new Error(`Invalid notification policy: ${errors.join(', ')}`);
+    }
+
+    this.notificationPolicy = merged;
+    this.saveNotificationPolicyToStorage();
+    this.syncNotificationPolicy();
+    // Loosened rules may free held notifications straight away
+    this.releaseHeldNotifications();
+    return this.getNotificationPolicy();
+  }
+
+  validateNotificationPolicy(policy) {
+    const errors = [];
+    const { quietHours } = policy;
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    if (!timePattern.test(quietHours.start) || !timePattern.test(quietHours.end)) {
+      errors.push('Quiet hours must use HH:MM times');
+    } else if (quietHours.start === quietHours.end) {
+      errors.push('Quiet hours start and end must differ');
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: quietHours.timezone });
+    } catch (error) {
+      errors.push(`Unknown timezone: ${quietHours.timezone}`);
+    }
+    if (!Number.isInteger(policy.digestHour) || policy.digestHour < 0 || policy.digestHour > 23) {
+      errors.push('Daily digest hour must be 0-23');
+    }
+
+    Object.entries(policy.channels).forEach(([channel, rules]) => {
+      if (!ALERT_SEVERITIES.includes(rules.minSeverity)) {
+        errors.push(`${channel} severity floor must be one of ${ALERT_SEVERITIES.join(', ')}`);
+      }
+      if (rules.maxPerHour !== null && !(Number.isInteger(rules.maxPerHour) && rules.maxPerHour > 0)) {
+        errors.push(`${channel} hourly limit must be a positive whole number`);
+      }
+      if (!DIGEST_MODES.includes(rules.digest)) {
+        errors.push(`${channel} digest must be one of ${DIGEST_MODES.join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Decide what happens to a notification on a channel: send, skip or hold
+   * Escalations skip the severity floor, and escalations and critical alerts are
+   * urgent, so they skip the digest (as send-alert-email does).
+   */
+  applyNotificationPolicy(notification, channel, now = Date.now()) {
+    const rules = this.notificationPolicy.channels[channel] || createDefaultPolicy().channels.console;
+    const severity = notification.severity || 'medium';
+
+    if (!notification.escalated && ALERT_SEVERITIES.indexOf(severity) < ALERT_SEVERITIES.indexOf(rules.minSeverity)) {
+      return { action: 'skip', reason: `Below ${channel} severity floor (${rules.minSeverity})` };
+    }
+    if (this.isQuietHours(now) && !(severity === 'critical' && this.notificationPolicy.quietHours.allowCritical)) {
+      return { action: 'hold', reason: 'quiet_hours' };
+    }
+    if (rules.digest !== 'off' && !this.isUrgent(notification)) {
+      return { action: 'hold', reason: 'digest' };
+    }
+    if (this.isRateLimited(channel, now)) {
+      return { action: 'hold', reason: 'rate_limited' };
+    }
+    return { action: 'send' };
+  }
+
+  isUrgent(notification) {
+    return notification.escalated || notification.severity === 'critical';
+  }
+
+  isQuietHours(now = Date.now()) {
+    const { enabled, start, end, timezone } = this.notificationPolicy.quietHours;
+    if (!enabled) return false;
+
+    const minutes = this.getLocalMinutes(now, timezone);
+    const toMinutes = time => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3));
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+
+    // Windows like 22:00-07:00 wrap past midnight
+    return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+  }
+
+  isRateLimited(channel, now = Date.now()) {
+    const { maxPerHour } = this.notificationPolicy.channels[channel] || {};
+    if (!maxPerHour) return false;
+    return (this.sentLog[channel] || []).filter(sentAt => now - sentAt < HOUR_MS).length >= maxPerHour;
+  }
+
+  recordSend(channel, now = Date.now()) {
+    this.sentLog[channel] = [...(this.sentLog[channel] || []).filter(sentAt => now - sentAt < HOUR_MS), now];
+    this.saveNotificationStateToStorage();
+  }
+
+  // Minutes since local midnight in a timezone
+  getLocalMinutes(timestamp, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp));
+    const value = type => parseInt(parts.find(part => part.type === type).value);
+    return value('hour') * 60 + value('minute');
+  }
+
+  /**
+   * Most recent digest send time at or before `now` (top of the hour, or the daily digest hour)
+   */
+  getDigestBoundary(mode, now = Date.now()) {
+    const minutes = this.getLocalMinutes(now, this.notificationPolicy.quietHours.timezone);
+    const startOfMinute = now - (now % 60000);
+
+    if (mode === 'hourly') {
+      return startOfMinute - (minutes % 60) * 60000;
+    }
+    const sinceDigestHour = (minutes - this.notificationPolicy.digestHour * 60 + 24 * 60) % (24 * 60);
+    return startOfMinute - sinceDigestHour * 60000;
+  }
+
+  holdNotification(notification, channel, reason) {
+    const alert = this.alerts.get(notification.alertId);
+    this.heldNotifications.push({
+      notification,
+      channel,
+      destination: `${channel}|${this.getNotificationDestination(alert, notification, channel)}`,
+      reason,
+      heldAt: Date.now()
+    });
+    this.saveNotificationStateToStorage();
+    this.recordDelivery(notification, channel, { status: 'held', error: HOLD_REASONS[reason], attempt: false });
+  }
+
+  // Held notifications are only summarized together when they would reach the same place
+  getNotificationDestination(alert, notification, channel) {
+    switch (channel) {
+      case 'webhook':
+        return notification.webhookUrl || alert?.config.webhookUrl || '';
+      case 'telegram':
+        return alert?.config.chatChannels?.telegram?.chatId || '';
+      case 'discord':
+      case 'slack':
+        return alert?.config.chatChannels?.[channel]?.webhookUrl || '';
+      default:
+        return '';
+    }
+  }
+
+  getHeldNotifications() {
+    return this.heldNotifications.map(({ notification, channel, reason, heldAt }) => ({
+      id: notification.id,
+      title: notification.title,
+      severity: notification.severity,
+      project: notification.project,
+      channel,
+      reason: HOLD_REASONS[reason],
+      heldAt: new Date(heldAt).toISOString()
+    }));
+  }
+
+  /**
+   * Send held notifications as one digest per channel and destination once nothing holds them:
+   * quiet hours are over, a digest boundary has passed, and the channel is under its hourly cap.
+   */
+  releaseHeldNotifications(now = Date.now()) {
+    if (this.heldNotifications.length === 0) return 0;
+    if (this.isQuietHours(now)) return 0;
+
+    const groups = new Map();
+    this.heldNotifications.forEach(held => {
+      groups.set(held.destination, [...(groups.get(held.destination) || []), held]);
+    });
+
+    let released = 0;
+    groups.forEach((items, destination) => {
+      const { channel } = items[0];
+      const rules = this.notificationPolicy.channels[channel] || {};
+      const firstHeldAt = Math.min(...items.map(held => held.heldAt));
+      // Urgent notifications held for quiet hours or the hourly cap do not wait for the digest
+      const urgent = items.some(held => this.isUrgent(held.notification));
+
+      if (!urgent && rules.digest && rules.digest !== 'off' && firstHeldAt >= this.getDigestBoundary(rules.digest, now)) return;
+      if (this.isRateLimited(channel, now)) return;
+
+      this.heldNotifications = this.heldNotifications.filter(held => held.destination !== destination);
+      this.queueDigest(items, channel);
+      released++;
+    });
+
+    if (released > 0) {
+      this.saveNotificationStateToStorage();
+    }
+    return released;
+  }
+
+  queueDigest(items, channel) {
+    const notifications = items.map(held => held.notification);
+    const latest = notifications[notifications.length - 1];
+    const severity = notifications
+      .map(notification => notification.severity || 'medium')
+      .sort((a, b) => ALERT_SEVERITIES.indexOf(b) - ALERT_SEVERITIES.indexOf(a))[0];
+    const projects = [...new Set(notifications.map(notification => notification.project))];
+    const reasons = [...new Set(items.map(held => HOLD_REASONS[held.reason]))];
+
+    // A single held notification goes out as itself
+    const notification = notifications.length === 1
+      ? { ...latest, digest: true, digestEventIds: [latest.eventId] }
+      : {
+        id: this.generateNotificationId(),
+        alertId: latest.alertId,
+        incidentId: null,
+        type: 'digest',
+        project: projects.join(', '),
+        severity,
+        title: `${notifications.length} alerts for ${projects.slice(0, 3).join(', ')}${projects.length > 3 ? '…' : ''}`,
+        message: notifications
+          .map(held => `[${held.severity}] ${held.title} (${new Date(held.timestamp).toLocaleString()})`)
+          .join('\n'),
+        data: {
+          held_for: reasons,
+          alerts: notifications.map(held => ({
+            alert_id: held.alertId,
+            incident_id: held.incidentId,
+            type: held.type,
+            severity: held.severity,
+            title: held.title,
+            message: held.message,
+            timestamp: held.timestamp
+          }))
+        },
+        channel,
+        webhookUrl: latest.webhookUrl,
+        escalated: false,
+        eventId: null,
+        digest: true,
+        digestEventIds: notifications.map(held => held.eventId),
+        timestamp: new Date().toISOString(),
+        delivered: false,
+        retries: 0
+      };
+
+    this.notificationQueue.push(notification);
+    if (!this.isProcessing) {
+      this.processNotificationQueue();
+    }
+    return notification;
+  }
+
   /**
    * Deliver notification based on method
+   * Resolves to an optional { status } when delivery is deferred (e.g. an email digest).
    */
   async deliverNotification(notification) {
     const alert = this.alerts.get(notification.alertId);
-    if (!alert) return;
+    if (!alert) return null;
 
-    const { notificationMethod } = alert.config;
+    const notificationMethod = notification.channel || alert.config.notificationMethod;
 
     switch (notificationMethod) {
       case 'browser':
         await this.sendBrowserNotification(notification);
-        break;
+        return null;
       case 'email':
-        await this.sendEmailNotification(notification);
-        break;
+        return this.sendEmailNotification(notification);
       case 'webhook':
-        await this.sendWebhookNotification(notification);
-        break;
+        return this.sendWebhookNotification(notification);
+      case 'telegram':
+      case 'discord':
+      case 'slack':
+        await chatChannelService.send(
+          notificationMethod,
+          alert.config.chatChannels?.[notificationMethod],
+          chatChannelService.fromAlertNotification(notification)
+        );
+        return null;
       case 'console':
       default:
         console.log(`🚨 ALERT: ${notification.title} - ${notification.message}`);
-        break;
+        return null;
     }
   }
 
+  /**
+   * Notification body shared by external channels
+   */
+  buildNotificationPayload(notification) {
+    return {
+      alert_id: notification.alertId,
+      incident_id: notification.incidentId,
+      event_id: notification.eventId,
+      ...(notification.type === 'digest' && { event_ids: notification.digestEventIds }),
+      type: notification.type,
+      severity: notification.severity,
+      escalated: notification.escalated,
+      project: notification.project,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      timestamp: notification.timestamp
+    };
+  }
+
   /**
    * Send browser notification
    */
@@ -509,47 +1756,65 @@ class AlertService {
   }
 
   /**
-   * Send email notification (placeholder)
+   * Send email notification through the send-alert-email edge function
+   * The function queues the email instead when the user has digests enabled;
+   * bounces and digest sends are picked up later by alertHistoryService.refreshEmailDeliveries.
    */
   async sendEmailNotification(notification) {
-    // In production, integrate with email service (SendGrid, AWS SES, etc.)
-    console.log(`📧 Email notification: ${notification.title}`);
-    console.log(`To: user@example.com`);
-    console.log(`Message: ${notification.message}`);
+    const result = await supabaseService.sendAlertEmail(this.buildNotificationPayload(notification));
+    return { status: result?.status === 'queued' ? 'queued' : 'delivered' };
   }
 
   /**
    * Send webhook notification
+   * webhookDeliveryService signs the payload and owns retries, so a failed first
+   * attempt is reported as retrying rather than re-queued here.
    */
   async sendWebhookNotification(notification) {
     const alert = this.alerts.get(notification.alertId);
-    const webhookUrl = alert.config.webhookUrl;
+    const webhookUrl = notification.webhookUrl || alert.config.webhookUrl;
     
-    if (!webhookUrl) return;
-
-    const payload = {
-      alert_id: notification.alertId,
-      type: notification.type,
-      project: notification.project,
-      title: notification.title,
-      message: notification.message,
-      data: notification.data,
-      timestamp: notification.timestamp
-    };
-
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload)
+    if (!webhookUrl) return null;
+
+    const delivery = await webhookDeliveryService.deliver({
+      url: webhookUrl,
+      secret: alert.config.webhookSecret || null,
+      eventType: notification.type === 'digest' ? 'alert.digest' : notification.escalated ? 'alert.escalated' : 'alert.triggered',
+      data: this.buildNotificationPayload(notification),
+      source: 'alert',
+      sourceId: alert.id,
+      meta: {
+        eventIds: notification.digest ? notification.digestEventIds : [notification.eventId],
+        channel: this.getNotificationChannel(alert, notification)
+      }
     });
 
-    if (!response.ok) {
-      throw new Error(`Webhook delivery failed: ${response.status}`);
+    switch (delivery.status) {
+      case 'delivered':
+        return null;
+      case 'retrying':
+        return { status: 'retrying', error: delivery.attempts[delivery.attempts.length - 1].error };
+      default:
+        return { status: 'failed', error: delivery.attempts[delivery.attempts.length - 1].error };
     }
   }
 
+  // Reflect background retries and replays in the alert history
+  handleWebhookDeliveryUpdate(delivery) {
+    // Deliveries logged before digests carry a single eventId
+    const eventIds = (delivery.meta?.eventIds || [delivery.meta?.eventId]).filter(Boolean);
+    if (eventIds.length === 0 || !['delivered', 'dead'].includes(delivery.status)) return;
+
+    const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+    eventIds.forEach(eventId => {
+      alertHistoryService.recordDelivery(eventId, delivery.meta.channel, {
+        status: delivery.status === 'delivered' ? 'delivered' : 'failed',
+        error: delivery.status === 'dead' ? lastAttempt?.error : null,
+        attempt: false
+      });
+    });
+  }
+
   /**
    * Validate alert configuration
    */
@@ -568,12 +1833,52 @@ class AlertService {
       errors.push('Notification method is required');
     }
 
+    if (alert.config?.severity && !ALERT_SEVERITIES.includes(alert.config.severity)) {
+      errors.push(`Severity must be one of ${ALERT_SEVERITIES.join(', ')}`);
+    }
+
+    const escalation = alert.config?.escalation;
+    if (escalation) {
+      if (!NOTIFICATION_METHODS.includes(escalation.channel)) {
+        errors.push(`Escalation channel must be one of ${NOTIFICATION_METHODS.join(', ')}`);
+      } else if (escalation.channel === alert.config.notificationMethod) {
+        errors.push('Escalation channel must differ from the notification method');
+      }
+      if (!(parseFloat(escalation.afterMinutes) > 0)) {
+        errors.push('Escalation delay must be a positive number of minutes');
+      }
+      if (escalation.channel === 'webhook' && !(escalation.webhookUrl || alert.config.webhookUrl)) {
+        errors.push('Escalation webhook URL is required');
+      }
+    }
+
+    // Chat channels need their bot token or webhook, whether used directly or for escalation
+    [alert.config?.notificationMethod, escalation?.channel]
+      .filter(channel => chatChannelService.isChatChannel(channel))
+      .forEach(channel => {
+        errors.push(...chatChannelService.validateConfig(channel, alert.config.chatChannels?.[channel]));
+      });
+
     // Type-specific validations
     switch (alert.type) {
       case 'mention_increase':
       case 'volume_spike':
-        if (!alert.config.threshold || isNaN(parseFloat(alert.config.threshold))) {
-          errors.push('Valid threshold percentage is required');
+        if (!['anomaly', 'threshold'].includes(alert.config.detection || 'anomaly')) {
+          errors.push('Detection must be anomaly or threshold');
+        } else if (alert.config.detection === 'threshold') {
+          if (!alert.config.threshold || isNaN(parseFloat(alert.config.threshold))) {
+            errors.push('Valid threshold percentage is required');
+          }
+        } else {
+          if (alert.config.zScore && !(parseFloat(alert.config.zScore) > 0)) {
+            errors.push('Z-score threshold must be a positive number');
+          }
+          if (alert.config.percentile && !(parseFloat(alert.config.percentile) > 50 && parseFloat(alert.config.percentile) <= 100)) {
+            errors.push('Percentile threshold must be between 50 and 100');
+          }
+          if (!ANOMALY_METHODS.includes(alert.config.method || 'zscore')) {
+            errors.push(`Method must be one of ${ANOMALY_METHODS.join(', ')}`);
+          }
         }
         break;
       case 'sentiment_change':
@@ -589,6 +1894,42 @@ class AlertService {
           errors.push('Valid mention count threshold is required');
         }
         break;
+      case 'composite':
+        errors.push(...alertRuleService.validateRule(alert.config?.rule));
+        break;
+      case 'price_cross':
+      case 'fdv_threshold':
+        if (!alert.config.threshold || isNaN(parseFloat(alert.config.threshold)) || parseFloat(alert.config.threshold) <= 0) {
+          errors.push('Valid USD level is required');
+        }
+        if (!(alert.type === 'price_cross' ? ['above', 'below', 'any'] : ['above', 'below']).includes(alert.config.direction || 'above')) {
+          errors.push(`Valid direction (above/below${alert.type === 'price_cross' ? '/any' : ''}) is required`);
+        }
+        break;
+      case 'price_move':
+        if (!alert.config.threshold || isNaN(parseFloat(alert.config.threshold))) {
+          errors.push('Valid threshold percentage is required');
+        }
+        if (!['up', 'down', 'any'].includes(alert.config.direction || 'any')) {
+          errors.push('Valid direction (up/down/any) is required');
+        }
+        if (!MARKET_WINDOWS[alert.config.window || '24h']) {
+          errors.push(`Window must be one of ${Object.keys(MARKET_WINDOWS).join(', ')}`);
+        }
+        break;
+      case 'liquidity_drop':
+        if (!alert.config.threshold || isNaN(parseFloat(alert.config.threshold))) {
+          errors.push('Valid threshold percentage is required');
+        }
+        if (!MARKET_WINDOWS[alert.config.window || '1h']) {
+          errors.push(`Window must be one of ${Object.keys(MARKET_WINDOWS).join(', ')}`);
+        }
+        break;
+      case 'volume_24h_spike':
+        if (!alert.config.threshold || isNaN(parseFloat(alert.config.threshold))) {
+          errors.push('Valid threshold percentage is required');
+        }
+        break;
     }
 
     return {
@@ -608,6 +1949,23 @@ class AlertService {
       }
     });
 
+    // Escalation and held-notification release run on their own clock, between alert checks
+    if (!this.lifecycleInterval) {
+      this.lifecycleInterval = setInterval(() => {
+        this.checkEscalations();
+        this.releaseHeldNotifications();
+      }, this.checkInterval);
+    }
+
+    // Incidents raised by server-side checks arrive live
+    if (!this.alertSubscription) {
+      try {
+        this.alertSubscription = supabaseService.subscribeToAlerts(payload => this.handleServerAlertChange(payload));
+      } catch (error) {
+        console.error('Failed to subscribe to server alerts:', error);
+      }
+    }
+
     console.log(`Alert monitoring started for ${this.activeMonitors.size} alerts`);
   }
 
@@ -618,6 +1976,14 @@ class AlertService {
     this.activeMonitors.forEach((monitor, alertId) => {
       this.stopAlertMonitoring(alertId);
     });
+    if (this.lifecycleInterval) {
+      clearInterval(this.lifecycleInterval);
+      this.lifecycleInterval = null;
+    }
+    if (this.alertSubscription) {
+      this.alertSubscription.unsubscribe();
+      this.alertSubscription = null;
+    }
     console.log('All alert monitoring stopped');
   }
 
@@ -632,6 +1998,10 @@ class AlertService {
     return `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  generateIncidentId() {
+    return `incident_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -648,6 +2018,88 @@ class AlertService {
     }
   }
 
+  saveIncidentsToStorage() {
+    try {
+      // Keep every unresolved incident and the most recent resolved ones
+      const incidents = Array.from(this.incidents.values());
+      const resolved = incidents
+        .filter(incident => incident.status === 'resolved')
+        .sort((a, b) => new Date(b.resolvedAt) - new Date(a.resolvedAt))
+        .slice(this.maxResolvedIncidents);
+      resolved.forEach(incident => this.incidents.delete(incident.id));
+
+      localStorage.setItem('cryptosentinel_alert_incidents', JSON.stringify(Array.from(this.incidents.entries())));
+    } catch (error) {
+      console.error('Failed to save alert incidents to storage:', error);
+    }
+  }
+
+  loadIncidentsFromStorage() {
+    try {
+      const stored = localStorage.getItem('cryptosentinel_alert_incidents');
+      if (stored) {
+        this.incidents = new Map(JSON.parse(stored));
+      }
+    } catch (error) {
+      console.error('Failed to load alert incidents from storage:', error);
+      this.incidents = new Map();
+    }
+  }
+
+  saveNotificationPolicyToStorage() {
+    try {
+      localStorage.setItem('cryptosentinel_notification_policy', JSON.stringify(this.notificationPolicy));
+    } catch (error) {
+      console.error('Failed to save notification policy to storage:', error);
+    }
+  }
+
+  loadNotificationPolicyFromStorage() {
+    try {
+      const stored = localStorage.getItem('cryptosentinel_notification_policy');
+      if (stored) {
+        const policy = JSON.parse(stored);
+        const defaults = createDefaultPolicy();
+        // Channels added since the policy was saved get default rules
+        this.notificationPolicy = {
+          ...defaults,
+          ...policy,
+          quietHours: { ...defaults.quietHours, ...policy.quietHours },
+          channels: { ...defaults.channels, ...policy.channels }
+        };
+      }
+    } catch (error) {
+      console.error('Failed to load notification policy from storage:', error);
+      this.notificationPolicy = createDefaultPolicy();
+    }
+  }
+
+  saveNotificationStateToStorage() {
+    try {
+      localStorage.setItem('cryptosentinel_notification_state', JSON.stringify({
+        held: this.heldNotifications,
+        sentLog: this.sentLog
+      }));
+    } catch (error) {
+      console.error('Failed to save notification state to storage:', error);
+    }
+  }
+
+  loadNotificationStateFromStorage() {
+    try {
+      const stored = localStorage.getItem('cryptosentinel_notification_state');
+      if (stored) {
+        const state = JSON.parse(stored);
+        this.heldNotifications = state.held || [];
+        this.sentLog = state.sentLog || {};
+      }
+    } catch (error) {
+      console.error('Failed to load notification state from storage:', error);
+      this.heldNotifications = [];
+      this.sentLog = {};
+    }
+  }
+
   loadAlertsFromStorage() {
     try {
       const stored = localStorage.getItem('cryptosentinel_alerts');
@@ -0,0 +1,267 @@
+/**
+ * Anomaly Detection Service for CryptoSentinel
+ * Keeps per-series baselines and scores new observations against them
+ *
+ * Each baseline (keyed e.g. `bitcoin:mentions_1h`) tracks:
+ * - a rolling window of recent observations (mean, stddev, percentile rank)
+ * - an EWMA mean and variance that adapts to level shifts
+ * - hour-of-day (UTC) mean and variance for daily seasonality
+ *
+ * Scores compare a value with the seasonal expectation when that hour has enough
+ * history, and with the EWMA otherwise, so BTC and small caps are each judged
+ * against their own normal.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const ANOMALY_METHODS = ['zscore', 'percentile', 'either'];
+export const ANOMALY_DIRECTIONS = ['up', 'down', 'both'];
+
+class AnomalyDetectionService {
+  constructor() {
+    this.storageKey = 'cryptosentinel_anomaly_baselines';
+    this.config = {
+      windowSize: 168, // one week of hourly observations
+      alpha: 0.1, // EWMA smoothing factor
+      minSamples: 24, // observations before a baseline can trigger
+      minSeasonalSamples: 3, // observations per hour-of-day before seasonality is used
+      zThreshold: 3,
+      percentileThreshold: 99,
+      sampleInterval: HOUR_MS // at most one observation per interval
+    };
+    this.baselines = {};
+
+    this.loadBaselinesFromStorage();
+  }
+
+  /**
+   * Add an observation to a baseline
+   * Observations in an interval that is already recorded are ignored, so callers
+   * can observe on every check. Returns true when the value was recorded.
+   */
+  observe(key, value, timestamp = Date.now(), options = {}) {
+    if (typeof value !== 'number' || !isFinite(value)) return false;
+
+    const baseline = this.getBaseline(key, options);
+    const slot = baseline.sampleInterval > 0 ? Math.floor(timestamp / baseline.sampleInterval) : timestamp;
+    if (baseline.lastSlot !== null && slot <= baseline.lastSlot) return false;
+
+    baseline.lastSlot = slot;
+    baseline.count++;
+    baseline.updatedAt = timestamp;
+
+    baseline.window.push(value);
+    if (baseline.window.length > baseline.windowSize) {
+      baseline.window.splice(0, baseline.window.length - baseline.windowSize);
+    }
+
+    // Exponentially weighted mean and variance
+    if (baseline.count === 1) {
+      baseline.ewma = value;
+      baseline.ewmVar = 0;
+    } else {
+      const diff = value - baseline.ewma;
+      const increment = this.config.alpha * diff;
+      baseline.ewma += increment;
+      baseline.ewmVar = (1 - this.config.alpha) * (baseline.ewmVar + diff * increment);
+    }
+
+    // Welford update for the hour-of-day bucket
+    const hour = baseline.hourly[new Date(timestamp).getUTCHours()];
+    hour.count++;
+    const delta = value - hour.mean;
+    hour.mean += delta / hour.count;
+    hour.m2 += delta * (value - hour.mean);
+
+    if (options.persist !== false) {
+      this.saveBaselinesToStorage();
+    }
+    return true;
+  }
+
+  /**
+   * Seed a baseline from historical observations ([{ timestamp, value }], oldest first)
+   */
+  seed(key, observations, options = {}) {
+    let recorded = 0;
+    [...observations]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(({ timestamp, value }) => {
+        if (this.observe(key, value, timestamp, { ...options, persist: false })) recorded++;
+      });
+
+    if (recorded > 0) {
+      this.saveBaselinesToStorage();
+    }
+    return recorded;
+  }
+
+  /**
+   * Score a value against a baseline without recording it
+   */
+  score(key, value, timestamp = Date.now(), options = {}) {
+    const baseline = this.baselines[key];
+    const summary = this.getBaselineSummary(key, timestamp);
+
+    if (!baseline || baseline.count === 0) {
+      return { value, z_score: null, percentile: null, baseline: summary };
+    }
+
+    let stddev = summary.seasonal ? summary.seasonal_stddev : summary.stddev;
+    const floor = options.counts
+      ? Math.sqrt(Math.max(summary.expected, 1)) // Poisson noise for count series
+      : options.minStddev || 0;
+    stddev = Math.max(stddev, floor);
+
+    const zScore = stddev > 0 ? (value - summary.expected) / stddev : 0;
+    const ewmaStddev = Math.max(summary.ewma_stddev, floor);
+
+    let below = 0;
+    let equal = 0;
+    baseline.window.forEach(observed => {
+      if (observed < value) below++;
+      else if (observed === value) equal++;
+    });
+
+    return {
+      value,
+      z_score: this.round(zScore),
+      ewma_z_score: ewmaStddev > 0 ? this.round((value - summary.ewma) / ewmaStddev) : 0,
+      percentile: this.round(((below + equal / 2) / baseline.window.length) * 100),
+      baseline: { ...summary, effective_stddev: this.round(stddev) }
+    };
+  }
+
+  /**
+   * Score a value, decide whether it is anomalous, then record it
+   */
+  evaluate(key, value, options = {}) {
+    const {
+      timestamp = Date.now(),
+      method = 'zscore',
+      direction = 'up',
+      zThreshold = this.config.zThreshold,
+      percentileThreshold = this.config.percentileThreshold,
+      minSamples = this.config.minSamples,
+      record = true
+    } = options;
+
+    const scored = this.score(key, value, timestamp, options);
+    const warmingUp = scored.baseline.samples < minSamples;
+
+    const zBreach = scored.z_score !== null && (
+      (direction !== 'down' && scored.z_score >= zThreshold) ||
+      (direction !== 'up' && scored.z_score <= -zThreshold)
+    );
+    const percentileBreach = scored.percentile !== null && (
+      (direction !== 'down' && scored.percentile >= percentileThreshold) ||
+      (direction !== 'up' && scored.percentile <= 100 - percentileThreshold)
+    );
+
+    let breached = zBreach;
+    if (method === 'percentile') breached = percentileBreach;
+    if (method === 'either') breached = zBreach || percentileBreach;
+
+    if (record) {
+      this.observe(key, value, timestamp, options);
+    }
+
+    return {
+      ...scored,
+      is_anomaly: !warmingUp && breached,
+      warming_up: warmingUp,
+      method,
+      direction,
+      z_threshold: zThreshold,
+      percentile_threshold: percentileThreshold
+    };
+  }
+
+  /**
+   * Baseline statistics, with the seasonal expectation for the hour of `timestamp`
+   */
+  getBaselineSummary(key, timestamp = Date.now()) {
+    const baseline = this.baselines[key];
+    if (!baseline || baseline.count === 0) {
+      return { samples: 0, expected: 0, mean: 0, stddev: 0, ewma: 0, ewma_stddev: 0, seasonal: false };
+    }
+
+    const n = baseline.window.length;
+    const mean = baseline.window.reduce((sum, value) => sum + value, 0) / n;
+    const variance = n > 1
+      ? baseline.window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)
+      : 0;
+
+    const hourOfDay = new Date(timestamp).getUTCHours();
+    const hour = baseline.hourly[hourOfDay];
+    const seasonal = hour.count >= this.config.minSeasonalSamples;
+    const seasonalStddev = hour.count > 1 ? Math.sqrt(hour.m2 / (hour.count - 1)) : 0;
+    const ewma = baseline.ewma;
+
+    return {
+      samples: baseline.count,
+      mean: this.round(mean),
+      stddev: this.round(Math.sqrt(variance)),
+      ewma: this.round(ewma),
+      ewma_stddev: this.round(Math.sqrt(baseline.ewmVar)),
+      seasonal,
+      hour_of_day: hourOfDay,
+      seasonal_mean: this.round(hour.mean),
+      seasonal_stddev: this.round(seasonalStddev),
+      seasonal_samples: hour.count,
+      expected: this.round(seasonal ? hour.mean : ewma),
+      updated_at: baseline.updatedAt
+    };
+  }
+
+  resetBaseline(key) {
+    delete this.baselines[key];
+    this.saveBaselinesToStorage();
+  }
+
+  getBaseline(key, options = {}) {
+    if (!this.baselines[key]) {
+      this.baselines[key] = {
+        windowSize: options.windowSize || this.config.windowSize,
+        sampleInterval: options.sampleInterval ?? this.config.sampleInterval,
+        count: 0,
+        lastSlot: null,
+        updatedAt: null,
+        window: [],
+        ewma: 0,
+        ewmVar: 0,
+        hourly: Array.from({ length: 24 }, () => ({ count: 0, mean: 0, m2: 0 }))
+      };
+    }
+    return this.baselines[key];
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  /**
+   * Persistence methods
+   */
+  saveBaselinesToStorage() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.baselines));
+    } catch (error) {
+      console.error('Failed to save anomaly baselines to storage:', error);
+    }
+  }
+
+  loadBaselinesFromStorage() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        this.baselines = JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error('Failed to load anomaly baselines from storage:', error);
+      this.baselines = {};
+    }
+  }
+}
+
+export default new AnomalyDetectionService();
@@ -0,0 +1,345 @@
+/**
+ * Chat Channel Service for CryptoSentinel
+ * Posts alerts to Telegram bots, Discord webhooks and Slack incoming webhooks
+ *
+ * Alerts and mention monitors are first normalized into a chat message
+ * ({ title, message, project, severity, type, metrics, mentions, timestamp }),
+ * then rendered in each platform's native rich format: Telegram HTML,
+ * Discord embeds and Slack blocks.
+ */
+
+export const CHAT_CHANNELS = {
+  telegram: {
+    label: 'Telegram',
+    fields: [
+      { key: 'botToken', label: 'Bot token', placeholder: '123456:ABC-DEF...' },
+      { key: 'chatId', label: 'Chat ID', placeholder: '-1001234567890 or @channel' }
+    ]
+  },
+  discord: {
+    label: 'Discord',
+    fields: [
+      { key: 'webhookUrl', label: 'Webhook URL', placeholder: 'https://discord.com/api/webhooks/...' }
+    ]
+  },
+  slack: {
+    label: 'Slack',
+    fields: [
+      { key: 'webhookUrl', label: 'Incoming webhook URL', placeholder: 'https://hooks.slack.com/services/...' }
+    ]
+  }
+};
+
+const SEVERITY_COLORS = {
+  low: 0x6b7280,
+  medium: 0x3b82f6,
+  high: 0xf59e0b,
+  critical: 0xef4444
+};
+
+const SEVERITY_EMOJI = {
+  low: '⚪',
+  medium: '🔵',
+  high: '🟠',
+  critical: '🔴'
+};
+
+const MAX_MENTIONS = 3;
+
+class ChatChannelService {
+  isChatChannel(channel) {
+    return Object.prototype.hasOwnProperty.call(CHAT_CHANNELS, channel);
+  }
+
+  /**
+   * Validate a channel's settings; returns a list of errors
+   */
+  validateConfig(channel, config = {}) {
+    const errors = [];
+    const { label } = CHAT_CHANNELS[channel];
+
+    switch (channel) {
+      case 'telegram':
+        if (!/^\d+:[\w-]+$/.test(config.botToken || '')) {
+          errors.push(`${label} bot token is required`);
+        }
+        if (!config.chatId) {
+          errors.push(`${label} chat ID is required`);
+        }
+        break;
+      case 'discord':
+        if (!/^https:\/\/(\w+\.)?discord(app)?\.com\/api\/webhooks\//.test(config.webhookUrl || '')) {
+          errors.push(`${label} webhook URL must be a discord.com/api/webhooks URL`);
+        }
+        break;
+      case 'slack':
+        if (!/^https:\/\/hooks\.slack\.com\//.test(config.webhookUrl || '')) {
+          errors.push(`${label} webhook URL must be a hooks.slack.com URL`);
+        }
+        break;
+    }
+
+    return errors;
+  }
+
+  /**
+   * Post a chat message to a channel
+   */
+  async send(channel, config, chatMessage) {
+    const errors = this.validateConfig(channel, config);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    switch (channel) {
+      case 'telegram':
+        return this.sendTelegram(config, chatMessage);
+      case 'discord':
+        return this.sendDiscord(config, chatMessage);
+      case 'slack':
+        return this.sendSlack(config, chatMessage);
+      default:
+        throw new Error(`Unknown chat channel: ${channel}`);
+    }
+  }
+
+  /**
+   * Send a sample alert so users can check the channel settings
+   */
+  async sendTest(channel, config, project = 'CryptoSentinel') {
+    return this.send(channel, config, {
+      title: `Test alert for ${project}`,
+      message: 'If you can read this, alerts will be delivered to this channel.',
+      project,
+      severity: 'medium',
+      type: 'test',
+      metrics: [
+        { label: 'Mentions (1h)', value: '128' },
+        { label: 'Sentiment', value: '0.62' }
+      ],
+      mentions: [],
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  async sendTelegram({ botToken, chatId }, chatMessage) {
+    const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: chatId,
+        text: this.formatTelegram(chatMessage),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      throw new Error(`Telegram delivery failed: ${body?.description || response.status}`);
+    }
+  }
+
+  async sendDiscord({ webhookUrl }, chatMessage) {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.formatDiscord(chatMessage))
+    });
+
+    if (!response.ok) {
+      throw new Error(`Discord delivery failed: ${response.status}`);
+    }
+  }
+
+  async sendSlack({ webhookUrl }, chatMessage) {
+    // Slack webhooks send no CORS headers, so the browser posts an opaque
+    // text/plain request; Slack still parses the JSON body, but the response
+    // (and any error) cannot be read.
+    await fetch(webhookUrl, {
+      method: 'POST',
+      mode: 'no-cors',
+      headers: { 'Content-Type': 'text/plain' },
+      body: JSON.stringify(this.formatSlack(chatMessage))
+    });
+  }
+
+  /**
+   * Formatters
+   */
+  formatTelegram(chatMessage) {
+    const { title, message, project, severity, metrics, mentions, timestamp } = chatMessage;
+    const lines = [
+      `${SEVERITY_EMOJI[severity] || SEVERITY_EMOJI.medium} <b>${this.escapeMarkup(title)}</b>`,
+      `<i>${this.escapeMarkup(project)} · ${this.escapeMarkup(severity)}</i>`,
+      '',
+      this.escapeMarkup(message)
+    ];
+
+    if (metrics.length > 0) {
+      lines.push('', ...metrics.map(metric => `<b>${this.escapeMarkup(metric.label)}:</b> ${this.escapeMarkup(metric.value)}`));
+    }
+    if (mentions.length > 0) {
+      lines.push('', '<b>Top mentions</b>', ...mentions.slice(0, MAX_MENTIONS).map(mention =>
+        `• ${this.escapeMarkup(this.truncate(mention.text, 200))} — ${this.escapeMarkup(mention.author)}`
+      ));
+    }
+    lines.push('', `<i>${new Date(timestamp).toUTCString()}</i>`);
+
+    return this.truncate(lines.join('\n'), 4096);
+  }
+
+  formatDiscord(chatMessage) {
+    const { title, message, project, severity, type, metrics, mentions, timestamp } = chatMessage;
+    const fields = [
+      { name: 'Project', value: project, inline: true },
+      { name: 'Severity', value: severity, inline: true },
+      ...metrics.map(metric => ({ name: metric.label, value: this.truncate(metric.value, 1024), inline: true })),
+      ...mentions.slice(0, MAX_MENTIONS).map(mention => ({
+        name: `Mention by ${mention.author}`,
+        value: this.truncate(mention.text, 1024),
+        inline: false
+      }))
+    ];
+
+    return {
+      username: 'CryptoSentinel',
+      embeds: [{
+        title: this.truncate(title, 256),
+        description: this.truncate(message, 4096),
+        color: SEVERITY_COLORS[severity] || SEVERITY_COLORS.medium,
+        fields: fields.slice(0, 25),
+        footer: { text: type.replace(/_/g, ' ') },
+        timestamp
+      }]
+    };
+  }
+
+  formatSlack(chatMessage) {
+    const { title, message, project, severity, metrics, mentions, timestamp } = chatMessage;
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: this.truncate(title, 150) } },
+      { type: 'section', text: { type: 'mrkdwn', text: this.truncate(this.escapeMarkup(message), 3000) } },
+      {
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Project*\n${this.escapeMarkup(project)}` },
+          { type: 'mrkdwn', text: `*Severity*\n${SEVERITY_EMOJI[severity] || ''} ${severity}` },
+          ...metrics.map(metric => ({ type: 'mrkdwn', text: `*${this.escapeMarkup(metric.label)}*\n${this.escapeMarkup(metric.value)}` }))
+        ].slice(0, 10)
+      }
+    ];
+
+    mentions.slice(0, MAX_MENTIONS).forEach(mention => {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `> ${this.escapeMarkup(this.truncate(mention.text, 280))} — ${this.escapeMarkup(mention.author)}` }]
+      });
+    });
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `<!date^${Math.floor(new Date(timestamp).getTime() / 1000)}^{date_short_pretty} {time}|${timestamp}>` }]
+    });
+
+    // `text` is the fallback shown in notifications
+    return { text: this.escapeMarkup(`${title}: ${message}`), blocks };
+  }
+
+  /**
+   * Build a chat message from an AlertService notification
+   */
+  fromAlertNotification(notification) {
+    const data = notification.data || {};
+    const mentions = [
+      ...(data.top_mentions || []).map(mention => ({ text: mention.text, author: `@${mention.author}` })),
+      ...(data.mentions || []).map(mention => ({ text: mention.text, author: mention.account_category || 'influencer' }))
+    ];
+
+    return {
+      title: notification.title,
+      message: notification.message,
+      project: notification.project,
+      severity: notification.severity || 'medium',
+      type: notification.type,
+      metrics: this.getAlertMetrics(notification.type, data),
+      mentions,
+      timestamp: notification.timestamp
+    };
+  }
+
+  /**
+   * Build a chat message from a MentionMonitoringService alert
+   */
+  fromMonitorAlert(monitor, alert) {
+    const data = alert.data || {};
+    const metrics = Object.entries(data)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([key, value]) => ({ label: this.humanize(key), value: String(Math.round(value * 1000) / 1000) }));
+
+    return {
+      title: `Monitor Alert: ${monitor.keywords.join(', ')}`,
+      message: alert.message,
+      project: monitor.keywords.join(', '),
+      severity: alert.severity || 'medium',
+      type: alert.type,
+      metrics,
+      mentions: (data.influencers || []).map(influencer => ({
+        text: influencer.text,
+        author: `@${influencer.username}`
+      })),
+      timestamp: new Date(alert.timestamp || Date.now()).toISOString()
+    };
+  }
+
+  // Headline numbers per alert type; anything else stays in the message
+  getAlertMetrics(type, data) {
+    const usd = value => `$${Number(value).toLocaleString()}`;
+    const pick = (...pairs) => pairs
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([label, value]) => ({ label, value: String(value) }));
+
+    switch (type) {
+      case 'mention_increase':
+        return pick(['Mentions (1h)', data.current_mentions], ['Expected', data.baseline_mentions], ['Change', data.increase_percent !== undefined ? `${data.increase_percent}%` : null], ['Z-score', data.score?.z_score]);
+      case 'sentiment_change':
+        return pick(['Sentiment', data.current_sentiment], ['Score', data.sentiment_score !== undefined ? `${data.sentiment_score}%` : null]);
+      case 'new_mention':
+        return pick(['New mentions', data.new_mentions]);
+      case 'influencer_mention':
+        return pick(['Influencer mentions', data.influencer_mentions]);
+      case 'volume_spike':
+        return pick(['Volume', data.current_volume], ['Average', data.average_volume], ['Spike', data.spike_percent !== undefined ? `${data.spike_percent}%` : null], ['Z-score', data.score?.z_score]);
+      case 'composite':
+        return (data.conditions || [])
+          .filter(condition => condition.evaluated)
+          .map(condition => ({ label: condition.label, value: `${condition.actual ?? 'n/a'} ${condition.passed ? '✓' : '✗'}` }));
+      case 'price_cross':
+      case 'price_move':
+        return pick(['Price', data.current_price !== undefined ? usd(data.current_price) : null], ['Change', data.change_percent !== undefined ? `${data.change_percent}%` : null], ['Level', data.level !== undefined ? usd(data.level) : null]);
+      case 'liquidity_drop':
+        return pick(['Liquidity', data.current_liquidity !== undefined ? usd(Math.round(data.current_liquidity)) : null], ['Drop', data.drop_percent !== undefined ? `${data.drop_percent}%` : null]);
+      case 'volume_24h_spike':
+        return pick(['24h volume', data.current_volume !== undefined ? usd(data.current_volume) : null], ['Spike', data.spike_percent !== undefined ? `${data.spike_percent}%` : null]);
+      case 'fdv_threshold':
+        return pick(['FDV', data.fdv !== undefined ? usd(Math.round(data.fdv)) : null]);
+      default:
+        return [];
+    }
+  }
+
+  humanize(key) {
+    return key.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^\w/, letter => letter.toUpperCase());
+  }
+
+  truncate(text, length) {
+    const value = String(text ?? '');
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+  }
+
+  // Telegram HTML and Slack mrkdwn both only need &, < and > escaped
+  escapeMarkup(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+export default new ChatChannelService();
@@ -192,6 +192,23 @@ class CoinGeckoService {
     }
   }
 
+  /**
+   * Get historical price and volume for a coin
+   * CoinGecko picks the granularity: 5 minute points for 1 day, hourly up to 90 days, daily beyond.
+   */
+  async getMarketChart(coinId, vsCurrency = 'usd', days = 1) {
+    const data = await this.makeRequest(
+      `/coins/${coinId}/market_chart?vs_currency=${vsCurrency}&days=${days}`,
+      `market_chart_${coinId}_${vsCurrency}_${days}`
+    );
+
+    return {
+      prices: (data.prices || []).map(([timestamp, price]) => ({ timestamp, price })),
+      volumes: (data.total_volumes || []).map(([timestamp, volume]) => ({ timestamp, volume })),
+      marketCaps: (data.market_caps || []).map(([timestamp, marketCap]) => ({ timestamp, marketCap }))
+    };
+  }
+
   /**
    * Search for coins, categories, and markets
    */
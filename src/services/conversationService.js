@@ -0,0 +1,169 @@
+/**
+ * Conversation Service for CryptoSentinel
+ * Persists AI assistant research threads so analysts can resume them
+ */
+
+class ConversationService {
+  constructor() {
+    this.conversations = new Map();
+    this.storageKey = 'cryptosentinel_conversations';
+    this.maxConversations = 50;
+
+    this.loadConversationsFromStorage();
+  }
+
+  /**
+   * Create a new conversation
+   */
+  createConversation(title = 'New research thread') {
+    const conversation = {
+      id: this.generateConversationId(),
+      title,
+      messages: [],
+      created: new Date().toISOString(),
+      updated: new Date().toISOString()
+    };
+
+    this.conversations.set(conversation.id, conversation);
+    this.pruneConversations();
+    this.saveConversationsToStorage();
+
+    return conversation;
+  }
+
+  /**
+   * Get all conversations, most recently updated first
+   */
+  getAllConversations() {
+    return Array.from(this.conversations.values()).sort((a, b) =>
+      new Date(b.updated) - new Date(a.updated)
+    );
+  }
+
+  /**
+   * Get conversation by ID
+   */
+  getConversation(conversationId) {
+    return this.conversations.get(conversationId);
+  }
+
+  /**
+   * Append a message to a conversation
+   */
+  addMessage(conversationId, message) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    const storedMessage = {
+      id: this.generateMessageId(),
+      toolCalls: [],
+      createdAt: new Date().toISOString(),
+      ...message
+    };
+
+    conversation.messages.push(storedMessage);
+    conversation.updated = new Date().toISOString();
+
+    // Title the thread after the first question
+    if (message.role === 'user' && conversation.messages.length === 1) {
+      conversation.title = message.content.slice(0, 60);
+    }
+
+    this.saveConversationsToStorage();
+    return storedMessage;
+  }
+
+  /**
+   * Update a message in place (e.g. after re-running a tool call)
+   */
+  updateMessage(conversationId, messageId, updates) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    conversation.messages = conversation.messages.map(message =>
+      message.id === messageId ? { ...message, ...updates } : message
+    );
+    conversation.updated = new Date().toISOString();
+
+    this.saveConversationsToStorage();
+    return conversation.messages.find(message => message.id === messageId);
+  }
+
+  /**
+   * Delete conversation
+   */
+  deleteConversation(conversationId) {
+    if (!this.conversations.has(conversationId)) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    this.conversations.delete(conversationId);
+    this.saveConversationsToStorage();
+
+    return true;
+  }
+
+  /**
+   * Build the chat history sent to the model when resuming a thread.
+   * Tool results are not replayed; the assistant replies already summarize them.
+   */
+  getChatHistory(conversationId) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return [];
+
+    return conversation.messages
+      .filter(message => ['user', 'assistant'].includes(message.role) && message.content)
+      .map(message => ({ role: message.role, content: message.content }));
+  }
+
+  /**
+   * Drop the oldest threads beyond the storage limit
+   */
+  pruneConversations() {
+    const sorted = this.getAllConversations();
+    sorted.slice(this.maxConversations).forEach(conversation => {
+      this.conversations.delete(conversation.id);
+    });
+  }
+
+  /**
+   * Utility functions
+   */
+  generateConversationId() {
+    return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  generateMessageId() {
+    return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Persistence methods
+   */
+  saveConversationsToStorage() {
+    try {
+      const conversationsArray = Array.from(this.conversations.entries());
+      localStorage.setItem(this.storageKey, JSON.stringify(conversationsArray));
+    } catch (error) {
+      console.error('Failed to save conversations to storage:', error);
+    }
+  }
+
+  loadConversationsFromStorage() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        this.conversations = new Map(JSON.parse(stored));
+      }
+    } catch (error) {
+      console.error('Failed to load conversations from storage:', error);
+      this.conversations = new Map();
+    }
+  }
+}
+
+export default new ConversationService();
@@ -0,0 +1,215 @@
+/**
+ * Correlation Service for CryptoSentinel
+ * Relates a project's sentiment time series to its price history
+ *
+ * Sentiment buckets are aligned with CoinGecko market_chart prices; each bucket's
+ * sentiment is correlated with the price return of the bucket `lag` steps later.
+ * A positive lag means sentiment moves first.
+ */
+
+import coinGeckoService from './coinGeckoService.js';
+import sentimentHistoryService from './sentimentHistoryService.js';
+
+const RANGE_DAYS = {
+  '24h': 1,
+  '7d': 7,
+  '30d': 30,
+  '90d': 90
+};
+
+class CorrelationService {
+  constructor() {
+    this.minPairs = 8; // fewer aligned points than this are not reported
+    this.leadThreshold = 0.3; // |r| needed before calling a lead/lag relationship
+  }
+
+  /**
+   * Analyze how sentiment and price move together for a project
+   */
+  async analyzeSentimentPriceCorrelation(project, options = {}) {
+    const {
+      coinId: requestedCoinId,
+      range = '7d',
+      bucket = range === '90d' ? '1d' : '1h',
+      maxLag = 6,
+      window = 24
+    } = options;
+
+    if (!RANGE_DAYS[range]) {
+      throw new Error(`Unknown range: ${range}`);
+    }
+
+    const coinId = requestedCoinId || await this.resolveCoinId(project);
+    const [series, chart] = await Promise.all([
+      sentimentHistoryService.getTimeSeries(project, { range, bucket }),
+      coinGeckoService.getMarketChart(coinId, 'usd', RANGE_DAYS[range])
+    ]);
+
+    const aligned = this.alignSeries(series.buckets, chart.prices);
+    const sentiment = aligned.map(point => point.sentiment);
+    const returns = aligned.map(point => point.return);
+
+    const crossCorrelation = [];
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+      crossCorrelation.push({ lag, ...this.laggedCorrelation(sentiment, returns, lag) });
+    }
+
+    const rollingCorrelation = aligned.map((point, index) => {
+      const start = Math.max(0, index - window + 1);
+      const { correlation } = this.laggedCorrelation(
+        sentiment.slice(start, index + 1),
+        returns.slice(start, index + 1),
+        0
+      );
+      return { timestamp: point.timestamp, correlation };
+    });
+
+    const leadLag = this.assessLeadLag(crossCorrelation);
+
+    return {
+      project,
+      coin_id: coinId,
+      range,
+      bucket,
+      lag_unit: bucket,
+      aligned,
+      cross_correlation: crossCorrelation,
+      rolling_correlation: rollingCorrelation,
+      ...leadLag,
+      summary: this.describe(project, leadLag, bucket)
+    };
+  }
+
+  /**
+   * Attach the closing price and return to each sentiment bucket
+   */
+  alignSeries(buckets, prices) {
+    if (buckets.length === 0) return [];
+
+    const bucketMs = buckets.length > 1 ? buckets[1].timestamp - buckets[0].timestamp : 0;
+    const sorted = [...prices].sort((a, b) => a.timestamp - b.timestamp);
+    let priceIndex = 0;
+    let lastPrice = null;
+
+    return buckets.map(bucket => {
+      const bucketEnd = bucket.timestamp + bucketMs;
+
+      // Close = last price observed before the bucket ends
+      while (priceIndex < sorted.length && sorted[priceIndex].timestamp < bucketEnd) {
+        lastPrice = sorted[priceIndex].price;
+        priceIndex++;
+      }
+
+      return {
+        timestamp: bucket.timestamp,
+        sentiment: bucket.score,
+        volume: bucket.volume,
+        price: lastPrice
+      };
+    }).map((point, index, points) => {
+      const previous = points[index - 1]?.price;
+      return {
+        ...point,
+        return: previous && point.price !== null ? (point.price - previous) / previous : null
+      };
+    });
+  }
+
+  /**
+   * Pearson correlation between x[t] and y[t + lag], skipping missing values
+   */
+  laggedCorrelation(x, y, lag) {
+    const pairs = [];
+    for (let t = 0; t < x.length; t++) {
+      const target = t + lag;
+      if (target < 0 || target >= y.length) continue;
+      if (x[t] === null || y[target] === null) continue;
+      pairs.push([x[t], y[target]]);
+    }
+
+    if (pairs.length < this.minPairs) {
+      return { correlation: null, pairs: pairs.length };
+    }
+
+    const n = pairs.length;
+    const meanX = pairs.reduce((sum, [a]) => sum + a, 0) / n;
+    const meanY = pairs.reduce((sum, [, b]) => sum + b, 0) / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    pairs.forEach(([a, b]) => {
+      covariance += (a - meanX) * (b - meanY);
+      varianceX += (a - meanX) ** 2;
+      varianceY += (b - meanY) ** 2;
+    });
+
+    if (varianceX === 0 || varianceY === 0) {
+      return { correlation: null, pairs: n };
+    }
+
+    return {
+      correlation: Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 1000) / 1000,
+      pairs: n
+    };
+  }
+
+  /**
+   * Pick the strongest lag and decide whether sentiment leads, lags or moves with price
+   */
+  assessLeadLag(crossCorrelation) {
+    const measured = crossCorrelation.filter(point => point.correlation !== null);
+    if (measured.length === 0) {
+      return { best_lag: null, best_correlation: null, significant: false, relationship: 'insufficient_data' };
+    }
+
+    const best = measured.reduce((a, b) => Math.abs(b.correlation) > Math.abs(a.correlation) ? b : a);
+    const r = best.correlation;
+    // t statistic for r; |t| > 2 is roughly p < 0.05
+    const tStat = Math.abs(r) < 1 ? r * Math.sqrt((best.pairs - 2) / (1 - r * r)) : Infinity;
+    const significant = Math.abs(tStat) > 2 && Math.abs(r) >= this.leadThreshold;
+
+    let relationship = 'no_relationship';
+    if (significant) {
+      relationship = best.lag > 0 ? 'sentiment_leads' : best.lag < 0 ? 'price_leads' : 'coincident';
+    }
+
+    return {
+      best_lag: best.lag,
+      best_correlation: r,
+      significant,
+      relationship
+    };
+  }
+
+  describe(project, { best_lag, best_correlation, relationship }, bucket) {
+    const steps = Math.abs(best_lag);
+    const direction = best_correlation > 0 ? 'positively' : 'negatively';
+
+    switch (relationship) {
+      case 'sentiment_leads':
+        return `${project} sentiment tends to lead price by ${steps} × ${bucket} (r = ${best_correlation}, ${direction} correlated).`;
+      case 'price_leads':
+        return `${project} price tends to lead sentiment by ${steps} × ${bucket} (r = ${best_correlation}); sentiment reacts to price.`;
+      case 'coincident':
+        return `${project} sentiment and price move together within the same ${bucket} bucket (r = ${best_correlation}).`;
+      case 'insufficient_data':
+        return `Not enough overlapping sentiment and price data for ${project} to measure correlation.`;
+      default:
+        return `No significant relationship between ${project} sentiment and price (strongest r = ${best_correlation} at lag ${best_lag}).`;
+    }
+  }
+
+  /**
+   * Map a project name to a CoinGecko coin id
+   */
+  async resolveCoinId(project) {
+    const results = await coinGeckoService.searchCoins(project);
+    const exact = results.coins.find(coin =>
+      coin.name.toLowerCase() === project.toLowerCase() || coin.symbol.toLowerCase() === project.toLowerCase()
+    );
+    return (exact || results.coins[0])?.id || project.toLowerCase();
+  }
+}
+
+export default new CorrelationService();
@@ -158,6 +158,34 @@ class DexScreenerService {
     }
   }
 
+  /**
+   * Get price and volume data for a project by name or symbol
+   * Uses the most liquid search result whose base token matches the query.
+   */
+  async getProjectMetrics(project) {
+    try {
+      const results = await this.searchTokens(project);
+      const query = project.toLowerCase();
+      const pairs = (results.pairs || []).filter(pair =>
+        pair.baseToken?.symbol?.toLowerCase() === query || pair.baseToken?.name?.toLowerCase() === query
+      );
+      const candidates = pairs.length > 0 ? pairs : results.pairs || [];
+
+      if (candidates.length === 0) {
+        return null;
+      }
+
+      const mainPair = candidates.reduce((prev, current) =>
+        (current.liquidity?.usd || 0) > (prev.liquidity?.usd || 0) ? current : prev
+      );
+
+      return this.getTokenMetrics(mainPair.baseToken?.address);
+    } catch (error) {
+      console.error('Project metrics error:', error);
+      return null;
+    }
+  }
+
   /**
    * Extract trending tokens from pairs data
    */
@@ -0,0 +1,60 @@
+/**
+ * Fixtures for the mock LLM provider
+ * Responses are matched by task and the first pattern found in the last user message,
+ * so the same prompt always produces the same output (offline development and CI).
+ */
+
+export const sentimentFixtures = [
+  {
+    pattern: /\b(rug|scam|hack|exploit|dump|crash|ngmi|bearish)\b/i,
+    response: {
+      sentiment: 'negative',
+      confidence: 0.85,
+      sentiment_score: 0.2,
+      explanation: 'Fixture: bearish or risk-related language',
+      key_phrases: ['dump', 'rug'],
+      aspects: {
+        price: { sentiment: 'negative', sentiment_score: 0.2 },
+        security: { sentiment: 'negative', sentiment_score: 0.1 }
+      }
+    }
+  },
+  {
+    pattern: /\b(moon|bullish|pump|breakout|wagmi|buy|ath)\b|🚀/i,
+    response: {
+      sentiment: 'positive',
+      confidence: 0.85,
+      sentiment_score: 0.8,
+      explanation: 'Fixture: bullish language about price growth',
+      key_phrases: ['moon', 'bullish'],
+      aspects: {
+        price: { sentiment: 'positive', sentiment_score: 0.85 }
+      }
+    }
+  }
+];
+
+export const defaultSentimentFixture = {
+  sentiment: 'neutral',
+  confidence: 0.6,
+  sentiment_score: 0.5,
+  explanation: 'Fixture: no strong sentiment signals',
+  key_phrases: [],
+  aspects: {}
+};
+
+export const insightsFixture = `Fixture market insights: sentiment across the tracked majors is mixed, with mention volume concentrated in Bitcoin and Ethereum. Short-term momentum is neutral; watch for volume confirmation before acting on any breakout.
+
+Risks: sentiment is driven by a small number of high-engagement accounts, and DEX liquidity on smaller pairs remains thin. Outlook: range-bound until a clear catalyst appears.`;
+
+// Tool the mock assistant calls on the first turn of a tool-enabled chat
+export const chatToolFixtures = [
+  { pattern: /\b(correlat\w*|lead|lag)\b/i, tool: 'analyze_sentiment_price_correlation', arguments: { token_name: 'Bitcoin', range: '7d' } },
+  { pattern: /\b(price|cost|worth)\b/i, tool: 'get_token_price', arguments: { token_symbol: 'BTC' } },
+  { pattern: /\b(sentiment|mood|feel)\b/i, tool: 'analyze_token_sentiment', arguments: { token_name: 'Bitcoin', timeframe: '24h' } },
+  { pattern: /\b(trending|hot|popular)\b/i, tool: 'get_trending_tokens', arguments: { source: 'coingecko' } }
+];
+
+export const defaultChatToolFixture = { tool: 'get_market_overview', arguments: { include_trending: true, top_coins_count: 5 } };
+
+export const chatReplyFixture = 'Fixture reply: based on the tool results above, market conditions look stable. This response comes from the mock LLM provider.';
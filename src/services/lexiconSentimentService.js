@@ -0,0 +1,292 @@
+/**
+ * Lexicon Sentiment Service for CryptoSentinel
+ * Offline, rule-based sentiment engine tuned for crypto social media
+ *
+ * Used as:
+ * - the automatic fallback when an LLM sentiment call fails
+ * - the primary engine on the free tier
+ * - a baseline to compare LLM output against
+ *
+ * Results use the same shape as aiService.analyzeSentiment.
+ */
+
+// Term valences on a -4..4 scale
+const TERM_VALENCES = {
+  // Bullish slang
+  moon: 3, mooning: 3, moonshot: 2.5, bullish: 2.5, bull: 1.5, pump: 1.5, pumping: 2,
+  wagmi: 2.5, gm: 0.5, hodl: 1.5, hodling: 1.5, lfg: 2.5, ath: 2, breakout: 2,
+  rally: 2, rallying: 2, gem: 2, alpha: 1, accumulate: 1.5, accumulating: 1.5,
+  undervalued: 2, send: 1, sending: 1.5, parabolic: 2.5, flippening: 1.5,
+  adoption: 1.5, partnership: 1.5, listing: 1, listed: 1, upgrade: 1.5, launch: 1,
+  mainnet: 1.5, airdrop: 0.5, green: 1, gains: 2, profit: 2, profits: 2, buy: 1,
+  buying: 1, up: 0.5, higher: 1, strong: 1.5, solid: 1.5, based: 1.5,
+  // Bearish slang
+  rug: -3.5, rugged: -3.5, rugpull: -3.5, scam: -3.5, scammer: -3.5, ponzi: -3.5,
+  ngmi: -2.5, rekt: -3, dump: -2.5, dumping: -2.5, dumped: -2.5, bearish: -2.5,
+  bear: -1.5, crash: -3, crashing: -3, crashed: -3, fud: -1.5, hack: -3, hacked: -3.5,
+  exploit: -3, exploited: -3.5, drained: -3.5, honeypot: -3.5, bagholder: -2,
+  bagholders: -2, capitulation: -2.5, liquidated: -2.5, liquidation: -2, overvalued: -2,
+  delist: -2.5, delisted: -2.5, delisting: -2.5, insolvent: -3.5, bankrupt: -3.5,
+  depeg: -3, depegged: -3, red: -1, bleeding: -2, losses: -2, loss: -1.5, sell: -1,
+  selling: -1, down: -0.5, lower: -1, weak: -1.5, dead: -2.5, fraud: -3.5,
+  sec: -0.5, lawsuit: -2, ban: -2, banned: -2.5,
+  // General sentiment words
+  good: 1.5, great: 2.5, amazing: 3, awesome: 3, love: 2.5, excited: 2, bullrun: 2.5,
+  bad: -2, terrible: -3, awful: -3, hate: -2.5, worried: -1.5, fear: -2, panic: -2.5,
+  risky: -1.5, risk: -1, warning: -1.5, careful: -1, avoid: -2
+};
+
+// Multi-word expressions, matched before single terms
+const PHRASE_VALENCES = {
+  'to the moon': 3.5,
+  'all time high': 2.5,
+  'buy the dip': 2,
+  'diamond hands': 2,
+  'few understand': 1.5,
+  'rug pull': -3.5,
+  'exit scam': -3.5,
+  'paper hands': -1.5,
+  'dead cat bounce': -2,
+  'going to zero': -3,
+  'stay away': -2.5,
+  'not financial advice': 0
+};
+
+const EMOJI_VALENCES = {
+  '🚀': 2.5, '🌙': 2, '🌕': 2, '💎': 1.5, '🙌': 1.5, '🔥': 1.5, '📈': 2, '🐂': 1.5,
+  '💰': 1.5, '🤑': 1.5, '✅': 1, '💪': 1.5, '🟢': 1, '😍': 2, '🥳': 2,
+  '📉': -2, '💀': -2, '🩸': -2, '😭': -1.5, '🤡': -2, '🐻': -1.5, '💩': -2.5,
+  '⚠️': -1.5, '🚨': -1.5, '🔴': -1, '😱': -2, '😡': -2, '🪦': -2.5
+};
+
+export const SENTIMENT_ASPECTS = ['price', 'technology', 'team', 'security', 'regulation', 'listings'];
+
+// Clauses matching an aspect's pattern contribute to that aspect's score
+const ASPECT_KEYWORDS = {
+  price: /\b(price|prices|pump\w*|dump\w*|moon\w*|ath|all time high|chart|rally\w*|breakout|support|resistance|dip|gains?|bull\w*|bear\w*|crash\w*|parabolic|candle\w*|market cap|mcap)\b|\$\d/i,
+  technology: /\b(upgrade\w*|mainnet|testnet|protocol|tech|technology|layer ?2|l2|scaling|tps|throughput|smart contracts?|devs?|developers?|roadmap|release\w*|fork|zk|rollups?|bridge|network|node\w*|validators?)\b/i,
+  team: /\b(team|founders?|ceo|cto|governance|dao|vote\w*|proposal\w*|foundation|leadership|treasury|core contributors?)\b/i,
+  security: /\b(hack\w*|exploit\w*|drain\w*|vulnerabilit\w*|bugs?|audit\w*|breach\w*|rug\w*|scam\w*|phishing|honeypot|security|stolen)\b/i,
+  regulation: /\b(sec|cftc|regulat\w*|lawsuit\w*|bann?\w*|compliance|legal|court|government|sanction\w*|etf|subpoena\w*|kyc)\b/i,
+  listings: /\b(listing\w*|listed|delist\w*|binance|coinbase|kraken|okx|bybit|upbit|robinhood|cex)\b/i
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'without',
+  "isn't", 'isnt', "aren't", 'arent', "wasn't", 'wasnt', "don't", 'dont', "doesn't",
+  'doesnt', "didn't", 'didnt', "won't", 'wont', "can't", 'cant', 'cannot', "shouldn't"
+]);
+
+const INTENSIFIERS = {
+  very: 0.3, extremely: 0.5, super: 0.4, so: 0.2, mega: 0.5, hugely: 0.4,
+  massively: 0.5, really: 0.25, totally: 0.3, absolutely: 0.4
+};
+
+const NEGATION_SCOPE = 3; // tokens after a negation whose polarity is flipped
+const NEGATION_FACTOR = -0.74;
+const NORMALIZATION_ALPHA = 15;
+
+const CASHTAG_PATTERN = /\$[a-z][a-z0-9]{1,9}\b/gi;
+const EMOJI_PATTERN = new RegExp(
+  Object.keys(EMOJI_VALENCES).map(emoji => emoji.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'),
+  'gu'
+);
+
+class LexiconSentimentService {
+  /**
+   * Analyze sentiment of a single text
+   */
+  analyze(text = '') {
+    const cashtags = [...new Set((text.match(CASHTAG_PATTERN) || []).map(tag => tag.toUpperCase()))];
+    const { signals, exclamations } = this.collectSignals(text);
+    const { sentiment, sentiment_score, compound } = this.summarize(signals, exclamations);
+
+    const positives = signals.filter(signal => signal.valence > 0).length;
+    const negatives = signals.filter(signal => signal.valence < 0).length;
+
+    return {
+      sentiment,
+      confidence: this.calculateConfidence(signals.length, compound),
+      sentiment_score,
+      explanation: signals.length > 0
+        ? `Lexicon: ${positives} bullish and ${negatives} bearish signals`
+        : 'Lexicon: no sentiment signals found',
+      key_phrases: [...signals]
+        .sort((a, b) => Math.abs(b.valence) - Math.abs(a.valence))
+        .slice(0, 5)
+        .map(signal => signal.term),
+      aspects: this.analyzeAspects(text),
+      cashtags,
+      engine: 'lexicon'
+    };
+  }
+
+  /**
+   * Score each aspect from the clauses that mention it
+   * Only aspects the text actually discusses are returned.
+   */
+  analyzeAspects(text = '') {
+    const clauses = text.split(/[.!?;\n]+|,|\bbut\b|\bhowever\b/i).filter(clause => clause.trim());
+    const aspects = {};
+
+    SENTIMENT_ASPECTS.forEach(aspect => {
+      const matching = clauses.filter(clause => ASPECT_KEYWORDS[aspect].test(clause));
+      if (matching.length === 0) return;
+
+      const { signals, exclamations } = this.collectSignals(matching.join('. '));
+      const { sentiment, sentiment_score } = this.summarize(signals, exclamations);
+      aspects[aspect] = { sentiment, sentiment_score };
+    });
+
+    return aspects;
+  }
+
+  /**
+   * Collect weighted sentiment signals (terms, phrases, emojis) from text
+   */
+  collectSignals(text) {
+    const signals = [];
+
+    // Emojis are scored once per occurrence
+    (text.match(EMOJI_PATTERN) || []).forEach(emoji => {
+      signals.push({ term: emoji, valence: EMOJI_VALENCES[emoji] });
+    });
+
+    // Cashtags are context, not sentiment; drop them before tokenizing
+    const normalized = text.replace(CASHTAG_PATTERN, ' ').replace(/https?:\/\/\S+/g, ' ');
+    const exclamations = Math.min((normalized.match(/!/g) || []).length, 3);
+
+    const tokens = this.tokenize(normalized);
+    let negatedFor = 0;
+    let boost = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const { word, shouting } = tokens[i];
+      const phrase = this.matchPhrase(tokens, i);
+
+      if (!phrase && NEGATIONS.has(word)) {
+        negatedFor = NEGATION_SCOPE;
+        continue;
+      }
+
+      if (!phrase && INTENSIFIERS[word] !== undefined) {
+        boost = INTENSIFIERS[word];
+        continue;
+      }
+
+      const term = phrase ? phrase.phrase : word;
+      let valence = phrase ? phrase.valence : TERM_VALENCES[word];
+
+      if (valence !== undefined && valence !== 0) {
+        valence *= 1 + boost + (shouting ? 0.2 : 0);
+        if (negatedFor > 0) valence *= NEGATION_FACTOR;
+
+        signals.push({ term: negatedFor > 0 ? `not ${term}` : term, valence });
+        boost = 0;
+      }
+
+      if (phrase) i += phrase.length - 1;
+      if (negatedFor > 0) negatedFor--;
+    }
+
+    return { signals, exclamations };
+  }
+
+  /**
+   * Turn signals into a 0-1 score and label
+   */
+  summarize(signals, exclamations) {
+    const total = signals.reduce((sum, signal) => sum + signal.valence, 0);
+    const emphasized = total === 0 ? 0 : total + Math.sign(total) * exclamations * 0.3;
+    const compound = emphasized / Math.sqrt(emphasized * emphasized + NORMALIZATION_ALPHA);
+    const sentimentScore = Math.round(((compound + 1) / 2) * 100) / 100;
+
+    return {
+      sentiment: sentimentScore > 0.6 ? 'positive' : sentimentScore < 0.4 ? 'negative' : 'neutral',
+      sentiment_score: sentimentScore,
+      compound
+    };
+  }
+
+  /**
+   * Analyze several texts; results are aligned with the input order
+   */
+  analyzeBatch(texts) {
+    return texts.map(text => this.analyze(text));
+  }
+
+  /**
+   * Compare results from another engine against lexicon results for the same texts
+   */
+  compare(results, baselineResults) {
+    const pairs = results
+      .map((result, index) => [result, baselineResults[index]])
+      .filter(([result, baseline]) => result && baseline);
+
+    if (pairs.length === 0) {
+      return { total: 0, agreement: 0, mean_score: 0.5, baseline_mean_score: 0.5, mean_abs_delta: 0, confusion: {} };
+    }
+
+    const labels = ['positive', 'neutral', 'negative'];
+    const confusion = Object.fromEntries(labels.map(label => [
+      label,
+      Object.fromEntries(labels.map(baselineLabel => [baselineLabel, 0]))
+    ]));
+
+    let agreements = 0;
+    let scoreSum = 0;
+    let baselineScoreSum = 0;
+    let deltaSum = 0;
+
+    pairs.forEach(([result, baseline]) => {
+      if (result.sentiment === baseline.sentiment) agreements++;
+      if (confusion[result.sentiment]?.[baseline.sentiment] !== undefined) {
+        confusion[result.sentiment][baseline.sentiment]++;
+      }
+
+      scoreSum += result.sentiment_score;
+      baselineScoreSum += baseline.sentiment_score;
+      deltaSum += Math.abs(result.sentiment_score - baseline.sentiment_score);
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+      total: pairs.length,
+      agreement: round(agreements / pairs.length),
+      mean_score: round(scoreSum / pairs.length),
+      baseline_mean_score: round(baselineScoreSum / pairs.length),
+      mean_abs_delta: round(deltaSum / pairs.length),
+      confusion
+    };
+  }
+
+  /**
+   * Utility functions
+   */
+  tokenize(text) {
+    return (text.match(/[A-Za-z][A-Za-z']*/g) || []).map(raw => ({
+      word: raw.toLowerCase(),
+      // All-caps words of 3+ letters read as emphasis ("MOON", not "I")
+      shouting: raw.length >= 3 && raw === raw.toUpperCase()
+    }));
+  }
+
+  matchPhrase(tokens, start) {
+    for (const [phrase, valence] of Object.entries(PHRASE_VALENCES)) {
+      const words = phrase.split(' ');
+      const matches = words.every((word, offset) => tokens[start + offset]?.word === word);
+      if (matches) {
+        return { phrase, valence, length: words.length };
+      }
+    }
+    return null;
+  }
+
+  calculateConfidence(signalCount, compound) {
+    if (signalCount === 0) return 0.4;
+    return Math.round(Math.min(0.9, 0.35 + signalCount * 0.08 + Math.abs(compound) * 0.3) * 100) / 100;
+  }
+}
+
+export default new LexiconSentimentService();
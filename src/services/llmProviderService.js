@@ -0,0 +1,296 @@
+/**
+ * LLM Provider Service for CryptoSentinel
+ * Resolves which LLM backend and model each AI task uses
+ *
+ * Providers:
+ * - openrouter: hosted models through OpenRouter (default)
+ * - openai_compatible: any OpenAI-compatible base URL (llama.cpp server, Ollama, vLLM...)
+ * - mock: deterministic fixture-based responses for offline development and CI
+ *
+ * Every provider exposes the OpenAI client surface (`chat.completions.create`),
+ * so aiService calls are identical regardless of the backend.
+ */
+
+import OpenAI from 'openai';
+import {
+  sentimentFixtures,
+  defaultSentimentFixture,
+  insightsFixture,
+  chatToolFixtures,
+  defaultChatToolFixture,
+  chatReplyFixture
+} from './fixtures/llmFixtures.js';
+
+const DEFAULT_MODEL = 'google/gemini-2.0-flash-001';
+
+export const LLM_PROVIDERS = ['openrouter', 'openai_compatible', 'mock'];
+export const LLM_TASKS = ['sentiment', 'insights', 'chat'];
+
+// Tasks that share another task's model setting
+const TASK_MODEL_ALIASES = {
+  sentiment_batch: 'sentiment'
+};
+
+class LLMProviderService {
+  constructor() {
+    this.storageKey = 'cryptosentinel_llm_settings';
+    this.clients = new Map();
+    this.settings = this.getDefaultSettings();
+
+    this.loadSettingsFromStorage();
+  }
+
+  /**
+   * Default settings, overridable through environment variables
+   */
+  getDefaultSettings() {
+    const env = import.meta.env;
+    return {
+      provider: env.VITE_LLM_PROVIDER || 'openrouter',
+      baseURL: env.VITE_LLM_BASE_URL || 'http://localhost:11434/v1',
+      models: {
+        sentiment: env.VITE_LLM_MODEL_SENTIMENT || DEFAULT_MODEL,
+        insights: env.VITE_LLM_MODEL_INSIGHTS || DEFAULT_MODEL,
+        chat: env.VITE_LLM_MODEL_CHAT || DEFAULT_MODEL
+      }
+    };
+  }
+
+  /**
+   * Get current settings
+   */
+  getSettings() {
+    return this.settings;
+  }
+
+  /**
+   * Update settings (partial updates are merged)
+   */
+  updateSettings(updates) {
+    if (updates.provider && !LLM_PROVIDERS.includes(updates.provider)) {
+      throw new Error(`Unknown LLM provider: ${updates.provider}`);
+    }
+
+    this.settings = {
+      ...this.settings,
+      ...updates,
+      models: { ...this.settings.models, ...updates.models }
+    };
+
+    // Base URL changes invalidate the cached compatible client
+    this.clients.delete('openai_compatible');
+    this.saveSettingsToStorage();
+
+    return this.settings;
+  }
+
+  /**
+   * Reset settings to environment defaults
+   */
+  resetSettings() {
+    this.settings = this.getDefaultSettings();
+    this.clients.clear();
+    this.saveSettingsToStorage();
+    return this.settings;
+  }
+
+  /**
+   * Resolve the client and model for a task
+   * `options.provider` and `options.model` override the settings for a single call
+   */
+  resolve(task, options = {}) {
+    const { provider, model } = this.resolveModel(task, options);
+
+    return {
+      provider,
+      model,
+      client: this.getClient(provider, task)
+    };
+  }
+
+  /**
+   * Identify the provider and model a task currently resolves to, without creating a client
+   */
+  getModelId(task, options = {}) {
+    const { provider, model } = this.resolveModel(task, options);
+    return `${provider}:${model}`;
+  }
+
+  resolveModel(task, options = {}) {
+    const modelKey = TASK_MODEL_ALIASES[task] || task;
+    return {
+      provider: options.provider || this.settings.provider,
+      model: options.model || this.settings.models[modelKey] || DEFAULT_MODEL
+    };
+  }
+
+  /**
+   * Get (or lazily create) the client for a provider
+   */
+  getClient(provider, task) {
+    if (provider === 'mock') {
+      return createMockClient(task);
+    }
+
+    if (!this.clients.has(provider)) {
+      this.clients.set(provider, this.createClient(provider));
+    }
+
+    return this.clients.get(provider);
+  }
+
+  createClient(provider) {
+    switch (provider) {
+      case 'openrouter':
+        return new OpenAI({
+          apiKey: import.meta.env.VITE_OPENROUTER_API_KEY,
+          baseURL: 'https://openrouter.ai/api/v1',
+          dangerouslyAllowBrowser: true,
+        });
+      case 'openai_compatible':
+        return new OpenAI({
+          // Local servers usually ignore the key, but the SDK requires one
+          apiKey: import.meta.env.VITE_LLM_API_KEY || 'not-needed',
+          baseURL: this.settings.baseURL,
+          dangerouslyAllowBrowser: true,
+        });
+      default:
+        throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Persistence methods
+   */
+  saveSettingsToStorage() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Failed to save LLM settings to storage:', error);
+    }
+  }
+
+  loadSettingsFromStorage() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        this.settings = {
+          ...this.settings,
+          ...parsed,
+          models: { ...this.settings.models, ...parsed.models }
+        };
+      }
+    } catch (error) {
+      console.error('Failed to load LLM settings from storage:', error);
+    }
+  }
+}
+
+/**
+ * Mock provider
+ * Mirrors the parts of the OpenAI chat completions API that aiService uses,
+ * including streaming and tool calls, with deterministic fixture output.
+ */
+const createMockClient = (task) => ({
+  chat: {
+    completions: {
+      create: async (params, requestOptions = {}) => {
+        if (requestOptions.signal?.aborted) {
+          throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+
+        const message = buildMockMessage(task, params);
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+        if (params.stream) {
+          return streamMockMessage(message, requestOptions.signal);
+        }
+
+        return {
+          id: 'mock-completion',
+          model: params.model,
+          choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+          usage
+        };
+      }
+    }
+  }
+});
+
+const lastUserText = (messages) => {
+  const userMessage = [...messages].reverse().find(m => m.role === 'user');
+  return typeof userMessage?.content === 'string' ? userMessage.content : '';
+};
+
+const buildMockMessage = (task, params) => {
+  const text = lastUserText(params.messages);
+
+  if (task === 'sentiment') {
+    const fixture = sentimentFixtures.find(f => f.pattern.test(text));
+    return { role: 'assistant', content: JSON.stringify(fixture ? fixture.response : defaultSentimentFixture) };
+  }
+
+  if (task === 'sentiment_batch') {
+    // The user message ends with the JSON array of { id, text } items
+    const items = JSON.parse(text.slice(text.indexOf('[')));
+    return {
+      role: 'assistant',
+      content: JSON.stringify(items.map(item => {
+        const fixture = sentimentFixtures.find(f => f.pattern.test(item.text));
+        return { id: item.id, ...(fixture ? fixture.response : defaultSentimentFixture) };
+      }))
+    };
+  }
+
+  if (task === 'insights') {
+    return { role: 'assistant', content: insightsFixture };
+  }
+
+  // Chat: call one tool on the first turn, then answer once results are in
+  const lastMessage = params.messages[params.messages.length - 1];
+  if (params.tools?.length && lastMessage?.role === 'user') {
+    const fixture = chatToolFixtures.find(f => f.pattern.test(text)) || defaultChatToolFixture;
+    return {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{
+        id: `mock_call_${fixture.tool}`,
+        type: 'function',
+        function: { name: fixture.tool, arguments: JSON.stringify(fixture.arguments) }
+      }]
+    };
+  }
+
+  return { role: 'assistant', content: chatReplyFixture };
+};
+
+async function* streamMockMessage(message, signal) {
+  const throwIfAborted = () => {
+    if (signal?.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    }
+  };
+
+  if (message.tool_calls) {
+    throwIfAborted();
+    yield {
+      choices: [{
+        index: 0,
+        delta: {
+          tool_calls: message.tool_calls.map((call, index) => ({ index, ...call }))
+        }
+      }]
+    };
+    return;
+  }
+
+  // Word-sized chunks so streaming UIs behave like they do against a real model
+  for (const token of message.content.match(/\S+\s*/g) || []) {
+    throwIfAborted();
+    await new Promise(resolve => setTimeout(resolve, 15));
+    yield { choices: [{ index: 0, delta: { content: token } }] };
+  }
+}
+
+export default new LLMProviderService();
@@ -13,6 +13,12 @@
  * 
  * 2. DATA FLOW:
  *    Twitter API → Rate Limiter → Data Processor → Alert Engine → Notification System
+ *
+ *    With VITE_TWITTER_INGESTION=stream, tweets come from the Twitter filtered stream
+ *    instead: the twitter-stream edge function keeps a rule per monitored keyword and
+ *    stores matched tweets, and each run reads the ones stored since the monitor's
+ *    last run, including while this tab was closed. Monitors fall back to search
+ *    polling while the stream is down or their keywords have no rule.
  *    
  * 3. STORAGE:
  *    - In-Memory: Active monitoring sessions, rate limits
@@ -25,9 +31,19 @@
  *    - Caching: Multi-layer caching strategy
  */
 
-import twitterService from './twitterService.js';
+import mentionSourceService from './mentionSourceService.js';
 import sentimentService from './sentimentService.js';
 import alertService from './alertService.js';
+import chatChannelService from './chatChannelService.js';
+import webhookDeliveryService from './webhookDeliveryService.js';
+import spamDetectionService from './spamDetectionService.js';
+import anomalyDetectionService from './anomalyDetectionService.js';
+import supabaseService from './supabaseService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stream rules are tagged with keywords normalized like this (ruleTag in twitterStream.ts)
+const streamRuleTag = keyword => keyword.trim().replace(/\s+/g, ' ').toLowerCase();
 
 class MentionMonitoringService {
   constructor() {
@@ -38,6 +54,13 @@ class MentionMonitoringService {
     this.rateLimitManager = new RateLimitManager();
     this.alertThresholds = new Map();
     this.webhookEndpoints = new Map();
+    this.processingMonitors = new Set();
+    this.listeners = new Set();
+    this.streamedCounts = new Map(); // monitorId -> tweets streamed over realtime since its last run
+    this.pendingStreamSync = new Set();
+    this.streamSyncTimer = null;
+    this.streamSubscription = null;
+    this.streamStatus = { streamed: new Set(), heartbeat: null, retryAt: null, error: null, checkedAt: null };
     
     // Configuration
     this.config = {
@@ -47,6 +70,10 @@ class MentionMonitoringService {
       retryAttempts: 3,
       alertCooldown: 300000, // 5 minutes
       dataRetention: 7 * 24 * 60 * 60 * 1000, // 7 days
+      ingestionMode: import.meta.env.VITE_TWITTER_INGESTION === 'stream' ? 'stream' : 'poll',
+      streamSyncDelay: 2000, // batch monitor changes into one rule sync
+      streamStatusInterval: 5 * 60 * 1000,
+      streamStaleAfter: 10 * 60 * 1000 // poll again when the stream has not connected for this long
     };
 
     this.initializeService();
@@ -59,6 +86,9 @@ class MentionMonitoringService {
     try {
       await this.loadStoredMonitors();
       await this.startProcessingLoop();
+      if (this.config.ingestionMode === 'stream') {
+        this.startStreaming();
+      }
       this.setupServiceWorker();
       console.log('Mention Monitoring Service initialized successfully');
     } catch (error) {
@@ -80,15 +110,25 @@ class MentionMonitoringService {
       isActive = true
     } = config;
 
+    const keywordList = (Array.isArray(keywords) ? keywords : [keywords])
+      .map(keyword => typeof keyword === 'string' ? keyword.trim() : '')
+      .filter(Boolean);
+    if (keywordList.length === 0) {
+      throw new Error('A monitor needs at least one keyword');
+    }
+
     const monitor = {
       id,
-      keywords: Array.isArray(keywords) ? keywords : [keywords],
+      keywords: keywordList,
       accounts,
       alertThresholds: {
         mentionSpike: alertThresholds.mentionSpike || 50,
         sentimentChange: alertThresholds.sentimentChange || 0.3,
         volumeIncrease: alertThresholds.volumeIncrease || 100,
         influencerMention: alertThresholds.influencerMention || true,
+        detection: alertThresholds.detection || 'anomaly', // 'anomaly' | 'threshold'
+        zScore: alertThresholds.zScore || 3,
+        anomalyMethod: alertThresholds.anomalyMethod || 'zscore',
         ...alertThresholds
       },
       filters: {
@@ -96,7 +136,10 @@ class MentionMonitoringService {
         minEngagement: filters.minEngagement || 5,
         excludeRetweets: filters.excludeRetweets || false,
         languages: filters.languages || ['en'],
-        ...filters
+        spamMode: filters.spamMode || 'exclude', // 'exclude' | 'downweight' | 'off'
+        spamThreshold: filters.spamThreshold || 0.6,
+        ...filters,
+        sources: mentionSourceService.normalizeSources(filters.sources)
       },
       webhooks,
       isActive,
@@ -106,6 +149,7 @@ class MentionMonitoringService {
         totalMentions: 0,
         alertsTriggered: 0,
         avgSentiment: 0,
+        spamFiltered: 0,
         lastAlert: null
       },
       data: {
@@ -122,7 +166,9 @@ class MentionMonitoringService {
     if (isActive) {
       this.addToProcessingQueue(id);
     }
+    this.queueStreamSync(id);
 
+    this.notify();
     return monitor;
   }
 
@@ -138,7 +184,9 @@ class MentionMonitoringService {
     const updatedMonitor = { ...monitor, ...updates, updatedAt: Date.now() };
     this.activeMonitors.set(id, updatedMonitor);
     await this.saveMonitorToStorage(updatedMonitor);
+    this.queueStreamSync(id);
 
+    this.notify();
     return updatedMonitor;
   }
 
@@ -153,8 +201,13 @@ class MentionMonitoringService {
 
     this.activeMonitors.delete(id);
     this.removeFromProcessingQueue(id);
+    this.streamedCounts.delete(id);
+    this.queueStreamSync(id);
     await this.removeMonitorFromStorage(id);
+    anomalyDetectionService.resetBaseline(`monitor:${id}:mention_rate`);
+    anomalyDetectionService.resetBaseline(`monitor:${id}:sentiment`);
 
+    this.notify();
     return true;
   }
 
@@ -184,6 +237,7 @@ class MentionMonitoringService {
       this.removeFromProcessingQueue(id);
     }
 
+    this.notify();
     return monitor;
   }
 
@@ -196,34 +250,53 @@ class MentionMonitoringService {
       return null;
     }
 
+    this.processingMonitors.add(monitorId);
+    this.notify();
+
     try {
-      // Check rate limits
-      if (!await this.rateLimitManager.canMakeRequest('twitter', monitor.keywords.length)) {
+      const timestamp = Date.now();
+
+      // Streamed monitors read their tweets from the stream's store and only poll channels;
+      // if that read fails, this run searches instead
+      const sources = mentionSourceService.normalizeSources(monitor.filters.sources);
+      const streamedTweets = sources.includes('twitter') && this.isStreamed(monitor)
+        ? await this.getStreamedMentions(monitor, timestamp)
+        : null;
+      const pollSources = streamedTweets ? sources.filter(source => source !== 'twitter') : sources;
+      this.streamedCounts.delete(monitorId);
+
+      // Check rate limits; only Twitter searches count against them
+      if (pollSources.includes('twitter') && !await this.rateLimitManager.canMakeRequest('twitter', monitor.keywords.length)) {
         console.log(`Rate limit reached for monitor ${monitorId}, skipping...`);
         return null;
       }
 
       const results = {
         monitorId,
-        timestamp: Date.now(),
+        timestamp,
         mentions: [],
         alerts: [],
         sentiment: null,
-        volume: 0
+        volume: 0,
+        spamFiltered: 0
       };
 
+      if (streamedTweets) {
+        results.mentions.push(...this.filterMentions(streamedTweets, monitor.filters));
+      }
+
       // Fetch mentions for each keyword
-      for (const keyword of monitor.keywords) {
+      for (const keyword of pollSources.length > 0 ? monitor.keywords : []) {
         try {
-          const mentions = await twitterService.searchMentions(keyword, {
+          const mentions = await mentionSourceService.searchMentions(keyword, {
+            sources: pollSources,
             maxResults: 100,
-            startTime: monitor.lastProcessed ? new Date(monitor.lastProcessed).toISOString() : undefined
+            startTime: monitor.stats.lastProcessed ? new Date(monitor.stats.lastProcessed).toISOString() : undefined
           });
 
           if (mentions.tweets && mentions.tweets.length > 0) {
             const filteredMentions = this.filterMentions(mentions.tweets, monitor.filters);
             results.mentions.push(...filteredMentions);
-            results.volume += filteredMentions.length;
           }
 
           // Rate limiting delay
@@ -233,6 +306,9 @@ class MentionMonitoringService {
         }
       }
 
+      // Score for bots and spam across all keywords so cross-keyword duplicates cluster
+      this.applySpamFilter(results, monitor.filters);
+
       // Analyze sentiment if we have mentions
       if (results.mentions.length > 0) {
         try {
@@ -259,21 +335,28 @@ class MentionMonitoringService {
     } catch (error) {
       console.error(`Error processing monitor ${monitorId}:`, error);
       return null;
+    } finally {
+      this.processingMonitors.delete(monitorId);
+      this.notify();
     }
   }
 
   /**
    * Filter mentions based on monitor criteria
+   * Other sources have no follower or language data, and their engagement is not
+   * comparable to Twitter's, so those checks only apply to tweets.
    */
   filterMentions(mentions, filters) {
     return mentions.filter(mention => {
+      const isTweet = !mention.source || mention.source === 'twitter';
+
       // Min followers check
-      if (filters.minFollowers && mention.author?.followers_count < filters.minFollowers) {
+      if (isTweet && filters.minFollowers && mention.author?.followers_count < filters.minFollowers) {
         return false;
       }
 
       // Min engagement check
-      if (filters.minEngagement && mention.engagement < filters.minEngagement) {
+      if (isTweet && filters.minEngagement && mention.engagement < filters.minEngagement) {
         return false;
       }
 
@@ -283,7 +366,7 @@ class MentionMonitoringService {
       }
 
       // Language filter
-      if (filters.languages && filters.languages.length > 0) {
+      if (isTweet && filters.languages && filters.languages.length > 0) {
         if (!filters.languages.includes(mention.lang)) {
           return false;
         }
@@ -293,25 +376,45 @@ class MentionMonitoringService {
     });
   }
 
+  /**
+   * Flag likely bots and spam, then exclude or down-weight them
+   * Volume is the sum of mention weights, so down-weighted spam counts partially.
+   */
+  applySpamFilter(results, filters) {
+    const mode = filters.spamMode || 'exclude';
+
+    if (mode === 'off') {
+      results.mentions = results.mentions.map(mention => ({ ...mention, weight: 1 }));
+      results.volume = results.mentions.length;
+      return;
+    }
+
+    const scored = spamDetectionService.scoreMentions(results.mentions, {
+      threshold: filters.spamThreshold
+    });
+    const { kept, filtered } = spamDetectionService.applyFilter(scored, mode);
+
+    results.mentions = kept;
+    results.spamFiltered = filtered.length;
+    results.volume = Math.round(kept.reduce((sum, mention) => sum + mention.weight, 0));
+  }
+
   /**
    * Analyze sentiment of mentions
+   * Averages are weighted by each mention's spam weight (1 when unscored).
    */
   async analyzeMentionsSentiment(mentions) {
     try {
-      const texts = mentions.slice(0, 20).map(m => m.text); // Limit to 20 for performance
-      const sentimentResults = await Promise.allSettled(
-        texts.map(text => sentimentService.analyzeSingleText(text))
-      );
-
-      const validResults = sentimentResults
-        .filter(result => result.status === 'fulfilled')
-        .map(result => result.value);
+      const sample = mentions.slice(0, 20); // Limit to 20 for performance
+      const validResults = await sentimentService.batchAnalyzeSentiment(sample.map(m => m.text));
 
       if (validResults.length === 0) {
         return null;
       }
 
-      const avgSentiment = validResults.reduce((sum, result) => sum + (result.sentiment_score || 0), 0) / validResults.length;
+      const weights = sample.map(mention => mention.weight ?? 1);
+      const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+      const avgSentiment = validResults.reduce((sum, result, index) => sum + (result.sentiment_score || 0) * weights[index], 0) / totalWeight;
       const avgConfidence = validResults.reduce((sum, result) => sum + (result.confidence || 0), 0) / validResults.length;
 
       return {
@@ -358,14 +461,51 @@ class MentionMonitoringService {
     const alerts = [];
     const thresholds = monitor.alertThresholds;
     const now = Date.now();
+    const useAnomalies = (thresholds.detection || 'anomaly') === 'anomaly';
+
+    // Score against the baselines before the cooldown check so every run is recorded
+    const anomalies = useAnomalies ? this.evaluateAnomalies(monitor, results) : {};
 
     // Check if we're in cooldown period
     if (monitor.stats.lastAlert && (now - monitor.stats.lastAlert) < this.config.alertCooldown) {
       return alerts;
     }
 
+    if (useAnomalies) {
+      if (anomalies.volume?.is_anomaly) {
+        alerts.push({
+          type: 'mention_spike',
+          severity: anomalies.volume.z_score >= 2 * anomalies.volume.z_threshold ? 'high' : 'medium',
+          message: `Mention spike detected: ${Math.round(anomalies.volume.value)} mentions/hour vs ${Math.round(anomalies.volume.baseline.expected)} expected (z-score ${anomalies.volume.z_score})`,
+          data: {
+            volume: results.volume,
+            rate_per_hour: anomalies.volume.value,
+            score: { z_score: anomalies.volume.z_score, ewma_z_score: anomalies.volume.ewma_z_score, percentile: anomalies.volume.percentile },
+            baseline: anomalies.volume.baseline
+          },
+          timestamp: now
+        });
+      }
+
+      if (anomalies.sentiment?.is_anomaly) {
+        alerts.push({
+          type: 'sentiment_change',
+          severity: 'medium',
+          message: `Unusual sentiment: ${anomalies.sentiment.value.toFixed(2)} vs ${anomalies.sentiment.baseline.expected.toFixed(2)} expected (z-score ${anomalies.sentiment.z_score})`,
+          data: {
+            current: anomalies.sentiment.value,
+            previous: monitor.stats.avgSentiment,
+            change: Math.abs(anomalies.sentiment.value - anomalies.sentiment.baseline.expected),
+            score: { z_score: anomalies.sentiment.z_score, ewma_z_score: anomalies.sentiment.ewma_z_score, percentile: anomalies.sentiment.percentile },
+            baseline: anomalies.sentiment.baseline
+          },
+          timestamp: now
+        });
+      }
+    }
+
     // Mention spike alert
-    if (thresholds.mentionSpike && results.volume > thresholds.mentionSpike) {
+    if (!useAnomalies && thresholds.mentionSpike && results.volume > thresholds.mentionSpike) {
       alerts.push({
         type: 'mention_spike',
         severity: 'high',
@@ -376,7 +516,7 @@ class MentionMonitoringService {
     }
 
     // Sentiment change alert
-    if (thresholds.sentimentChange && results.sentiment && monitor.stats.avgSentiment) {
+    if (!useAnomalies && thresholds.sentimentChange && results.sentiment && monitor.stats.avgSentiment) {
       const sentimentDiff = Math.abs(results.sentiment.average_sentiment - monitor.stats.avgSentiment);
       if (sentimentDiff > thresholds.sentimentChange) {
         alerts.push({
@@ -396,7 +536,8 @@ class MentionMonitoringService {
     // Influencer mention alert
     if (thresholds.influencerMention) {
       const influencerMentions = results.mentions.filter(mention => 
-        mention.author?.followers_count > 100000 || mention.author?.verified
+        !mention.spam?.isSpam &&
+        (mention.author?.followers_count > 100000 || mention.author?.verified)
       );
       
       if (influencerMentions.length > 0) {
@@ -420,12 +561,49 @@ class MentionMonitoringService {
     return alerts;
   }
 
+  /**
+   * Score this run's mention rate and average sentiment against the monitor's baselines
+   * Runs are irregular, so volume is normalized to mentions per hour since the last run.
+   */
+  evaluateAnomalies(monitor, results) {
+    const thresholds = monitor.alertThresholds;
+    const options = {
+      timestamp: results.timestamp,
+      method: thresholds.anomalyMethod || 'zscore',
+      zThreshold: parseFloat(thresholds.zScore) || 3,
+      sampleInterval: 0, // every run is a sample
+      windowSize: 500
+    };
+    const anomalies = {};
+
+    const lastProcessed = monitor.stats.lastProcessed;
+    if (lastProcessed && results.timestamp > lastProcessed) {
+      const rate = (results.volume / (results.timestamp - lastProcessed)) * HOUR_MS;
+      anomalies.volume = anomalyDetectionService.evaluate(`monitor:${monitor.id}:mention_rate`, rate, {
+        ...options,
+        direction: 'up',
+        minStddev: 1
+      });
+    }
+
+    if (results.sentiment) {
+      anomalies.sentiment = anomalyDetectionService.evaluate(`monitor:${monitor.id}:sentiment`, results.sentiment.average_sentiment, {
+        ...options,
+        direction: 'both',
+        minStddev: 0.05
+      });
+    }
+
+    return anomalies;
+  }
+
   /**
    * Update monitor data with new results
    */
   async updateMonitorData(monitor, results) {
     // Update stats
     monitor.stats.totalMentions += results.volume;
+    monitor.stats.spamFiltered = (monitor.stats.spamFiltered || 0) + results.spamFiltered;
     monitor.stats.lastProcessed = results.timestamp;
     
     if (results.sentiment) {
@@ -454,7 +632,8 @@ class MentionMonitoringService {
 
     monitor.data.volumeHistory.push({
       timestamp: results.timestamp,
-      volume: results.volume
+      volume: results.volume,
+      spamFiltered: results.spamFiltered
     });
     monitor.data.volumeHistory = monitor.data.volumeHistory.slice(-100);
 
@@ -495,28 +674,39 @@ class MentionMonitoringService {
 
   /**
    * Send alert to webhook endpoint
+   * Webhooks with a `type` of telegram, discord or slack get a native chat message
+   * (their settings sit on the webhook itself); others get a signed `monitor.alert`
+   * delivery, retried by webhookDeliveryService.
    */
   async sendWebhookAlert(webhook, monitor, alert) {
-    try {
-      const payload = {
+    if (chatChannelService.isChatChannel(webhook.type)) {
+      try {
+        await chatChannelService.send(webhook.type, webhook, chatChannelService.fromMonitorAlert(monitor, alert));
+      } catch (error) {
+        console.error(`${webhook.type} alert failed for monitor ${monitor.id}:`, error);
+      }
+      return;
+    }
+
+    const delivery = await webhookDeliveryService.deliver({
+      url: webhook.url,
+      secret: webhook.secret || null,
+      headers: webhook.headers,
+      eventType: 'monitor.alert',
+      data: {
+        source: 'monitoring',
         monitor: {
           id: monitor.id,
           keywords: monitor.keywords
         },
-        alert,
-        timestamp: Date.now()
-      };
+        alert
+      },
+      source: 'monitor',
+      sourceId: monitor.id
+    });
 
-      await fetch(webhook.url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...webhook.headers
-        },
-        body: JSON.stringify(payload)
-      });
-    } catch (error) {
-      console.error(`Webhook alert failed for ${webhook.url}:`, error);
+    if (delivery.status !== 'delivered') {
+      console.error(`Webhook alert for ${webhook.url} ${delivery.status === 'dead' ? 'failed' : 'will be retried'}:`, delivery.attempts[delivery.attempts.length - 1].error);
     }
   }
 
@@ -529,12 +719,150 @@ class MentionMonitoringService {
     }
 
     this.processingInterval = setInterval(async () => {
+      if (this.config.ingestionMode === 'stream' &&
+        Date.now() - (this.streamStatus.checkedAt || 0) > this.config.streamStatusInterval) {
+        this.queueStreamSync();
+      }
       if (!this.isProcessing && this.monitoringQueue.length > 0) {
         await this.processQueue();
       }
     }, this.config.processingInterval);
   }
 
+  /**
+   * Follow tweets from the filtered stream and register every monitor's keywords
+   */
+  startStreaming() {
+    if (!this.streamSubscription) {
+      try {
+        this.streamSubscription = supabaseService.subscribeToStreamedTweets(payload => this.handleStreamedTweet(payload.new));
+      } catch (error) {
+        console.error('Failed to subscribe to streamed tweets:', error);
+      }
+    }
+    this.activeMonitors.forEach((monitor, id) => this.pendingStreamSync.add(id));
+    this.queueStreamSync();
+  }
+
+  /**
+   * Count a streamed tweet for every active monitor watching one of its matched keywords
+   * Only for display; runs read the tweets from the mentions table.
+   */
+  handleStreamedTweet(row) {
+    if (!row || row.source !== 'twitter') return;
+
+    const tags = new Set(row.matching_rules || []);
+    let counted = false;
+
+    this.activeMonitors.forEach((monitor, id) => {
+      if (!monitor.isActive || !mentionSourceService.normalizeSources(monitor.filters.sources).includes('twitter')) return;
+      if (!monitor.keywords.some(keyword => tags.has(streamRuleTag(keyword)))) return;
+
+      this.streamedCounts.set(id, (this.streamedCounts.get(id) || 0) + 1);
+      counted = true;
+    });
+
+    if (counted) this.notify();
+  }
+
+  /**
+   * Tweets the stream stored for a monitor's keywords since its last run, up to `until`
+   * Resolves to null when they cannot be read, so the run searches instead.
+   */
+  async getStreamedMentions(monitor, until) {
+    try {
+      const rows = await supabaseService.getStreamedMentions(monitor.keywords.map(streamRuleTag), {
+        since: monitor.stats.lastProcessed ? new Date(monitor.stats.lastProcessed).toISOString() : undefined,
+        until: new Date(until).toISOString()
+      });
+      return rows.map(row => mentionSourceService.formatMention(row));
+    } catch (error) {
+      console.error(`Failed to read streamed tweets for monitor ${monitor.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a monitor's tweets come from the stream: every keyword has a rule and the
+   * stream connected recently
+   */
+  isStreamed(monitor) {
+    const status = this.streamStatus;
+    if (this.config.ingestionMode !== 'stream' || status.error || !status.heartbeat) return false;
+    if (Date.now() - new Date(status.heartbeat).getTime() > this.config.streamStaleAfter) return false;
+    return monitor.keywords.every(keyword => status.streamed.has(streamRuleTag(keyword)));
+  }
+
+  /**
+   * Sync changed monitors' keywords and the stream rules, batched over streamSyncDelay
+   */
+  queueStreamSync(monitorId) {
+    if (this.config.ingestionMode !== 'stream') return;
+    if (monitorId) this.pendingStreamSync.add(monitorId);
+
+    clearTimeout(this.streamSyncTimer);
+    this.streamSyncTimer = setTimeout(() => this.syncStream(), this.config.streamSyncDelay);
+  }
+
+  /**
+   * Store pending monitors' keywords, then sync the rules and read back stream health
+   * Without a session or the twitter-stream function, monitors keep polling search.
+   * Monitors whose keywords could not be stored stay pending for the next sync.
+   */
+  async syncStream() {
+    const monitorIds = [...this.pendingStreamSync];
+    this.pendingStreamSync.clear();
+    let stored = 0;
+
+    try {
+      for (const id of monitorIds) {
+        const monitor = this.activeMonitors.get(id);
+        if (!monitor) {
+          await supabaseService.deleteMonitorStreamKeywords(id);
+        } else {
+          await supabaseService.saveMonitorStreamKeywords({
+            id,
+            keywords: monitor.keywords,
+            isActive: monitor.isActive && mentionSourceService.normalizeSources(monitor.filters.sources).includes('twitter')
+          });
+        }
+        stored++;
+      }
+
+      const keywords = [...new Set(this.getAllMonitors().flatMap(monitor => monitor.keywords))];
+      const status = await supabaseService.syncStreamRules(keywords);
+      this.streamStatus = {
+        streamed: new Set(status.streamed || []),
+        heartbeat: status.heartbeat || null,
+        retryAt: status.retry_at || null,
+        error: null,
+        checkedAt: Date.now()
+      };
+    } catch (error) {
+      console.error('Failed to sync stream rules:', error);
+      monitorIds.slice(stored).forEach(id => this.pendingStreamSync.add(id));
+      this.streamStatus = { streamed: new Set(), heartbeat: null, retryAt: null, error: error.message, checkedAt: Date.now() };
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Stream health for display: mode, whether it is live, last connection and backoff
+   */
+  getStreamStatus() {
+    const { heartbeat, retryAt, error, streamed } = this.streamStatus;
+    return {
+      mode: this.config.ingestionMode,
+      live: this.config.ingestionMode === 'stream' && !error && !!heartbeat &&
+        Date.now() - new Date(heartbeat).getTime() <= this.config.streamStaleAfter,
+      heartbeat,
+      retryAt,
+      error,
+      streamedKeywords: streamed.size
+    };
+  }
+
   async processQueue() {
     if (this.isProcessing) return;
     
@@ -557,6 +885,7 @@ class MentionMonitoringService {
       console.error('Error processing queue:', error);
     } finally {
       this.isProcessing = false;
+      this.notify();
     }
   }
 
@@ -660,12 +989,54 @@ class MentionMonitoringService {
       activeMonitors: monitors.filter(m => m.isActive).length,
       totalMentions: monitors.reduce((sum, m) => sum + m.stats.totalMentions, 0),
       totalAlerts: monitors.reduce((sum, m) => sum + m.stats.alertsTriggered, 0),
+      totalSpamFiltered: monitors.reduce((sum, m) => sum + (m.stats.spamFiltered || 0), 0),
       queueSize: this.monitoringQueue.length,
       isProcessing: this.isProcessing,
-      rateLimitStatus: this.rateLimitManager.getStatus()
+      rateLimitStatus: this.rateLimitManager.getStatus(),
+      stream: this.getStreamStatus()
+    };
+  }
+
+  /**
+   * Queue state of one monitor: 'processing', 'queued' (with its 1-based position), 'paused' or 'idle'
+   */
+  getMonitorStatus(id) {
+    const monitor = this.activeMonitors.get(id);
+    const queueIndex = this.monitoringQueue.indexOf(id);
+
+    let state = 'idle';
+    if (this.processingMonitors.has(id)) state = 'processing';
+    else if (queueIndex > -1) state = 'queued';
+    else if (monitor && !monitor.isActive) state = 'paused';
+
+    return {
+      state,
+      queuePosition: queueIndex > -1 ? queueIndex + 1 : null,
+      lastProcessed: monitor?.stats.lastProcessed || null,
+      streaming: !!monitor && mentionSourceService.normalizeSources(monitor.filters.sources).includes('twitter') &&
+        this.isStreamed(monitor),
+      streamedSinceRun: this.streamedCounts.get(id) || 0
     };
   }
 
+  /**
+   * Subscribe to monitor changes and processing runs; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Monitor listener failed:', error);
+      }
+    });
+  }
+
   /**
    * Export/Import monitors
    */
@@ -682,6 +1053,14 @@ class MentionMonitoringService {
       throw new Error('Invalid import data');
     }
 
+    // Check every monitor first so a bad file imports nothing
+    data.monitors.forEach((monitor, index) => {
+      const keywords = [].concat(monitor?.keywords || []).filter(keyword => typeof keyword === 'string' && keyword.trim());
+      if (keywords.length === 0) {
+        throw new Error(`Invalid import data: monitor ${index + 1} has no keywords`);
+      }
+    });
+
     for (const monitor of data.monitors) {
       monitor.id = this.generateMonitorId(); // Generate new ID
       await this.createMonitor(monitor);
@@ -0,0 +1,147 @@
+/**
+ * Mention Source Service for CryptoSentinel
+ * Searches mentions across Twitter and the Telegram channels, Discord servers,
+ * subreddits, news feeds and Farcaster channels stored by the channel-ingestion
+ * edge function
+ *
+ * Channel messages are returned in the twitterService.formatTweetData shape, with
+ * `source`, `url` and `channel` added, so sentiment, monitors and alerts can treat
+ * every mention alike. Tweets get `source: 'twitter'`.
+ */
+
+import twitterService from './twitterService.js';
+import supabaseService from './supabaseService.js';
+
+export const MENTION_SOURCES = {
+  twitter: { label: 'Twitter' },
+  telegram: { label: 'Telegram' },
+  discord: { label: 'Discord' },
+  reddit: { label: 'Reddit' },
+  rss: { label: 'News' },
+  farcaster: { label: 'Farcaster' }
+};
+
+export const CHANNEL_SOURCES = ['telegram', 'discord', 'reddit', 'rss', 'farcaster'];
+export const DEFAULT_SOURCES = ['twitter'];
+// Mentions fetched per source when a check counts them, so busy projects do not cap at
+// one page of 100; ten search requests at most
+export const MENTION_COUNT_LIMIT = 1000;
+
+class MentionSourceService {
+  /**
+   * Known sources from a list, or the default when none are left
+   */
+  normalizeSources(sources) {
+    const known = (sources || []).filter(source => MENTION_SOURCES[source]);
+    return known.length > 0 ? [...new Set(known)] : DEFAULT_SOURCES;
+  }
+
+  /**
+   * Whether a source list reaches beyond Twitter
+   */
+  includesChannels(sources) {
+    return this.normalizeSources(sources).some(source => CHANNEL_SOURCES.includes(source));
+  }
+
+  /**
+   * Search mentions of a project or keyword in the selected sources
+   * Takes the twitterService.searchMentions options plus `sources`. Results are newest
+   * first; `meta.by_source` counts them per source.
+   */
+  async searchMentions(query, options = {}) {
+    const sources = this.normalizeSources(options.sources);
+    const channels = sources.filter(source => CHANNEL_SOURCES.includes(source));
+
+    const [twitter, messages] = await Promise.all([
+      sources.includes('twitter')
+        ? twitterService.searchMentions(query, options)
+        : { tweets: [], meta: { result_count: 0 } },
+      channels.length > 0 ? this.getChannelMentions(query, { ...options, sources: channels }) : []
+    ]);
+
+    const tweets = [
+      ...twitter.tweets.map(tweet => ({ ...tweet, source: 'twitter' })),
+      ...messages
+    ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      tweets,
+      meta: {
+        ...twitter.meta,
+        result_count: tweets.length,
+        by_source: this.countBySource(tweets)
+      }
+    };
+  }
+
+  /**
+   * Stored channel messages, posts and feed items mentioning a project or keyword
+   * Unlike Twitter search there is no mock fallback; a failed query returns nothing.
+   */
+  async getChannelMentions(query, options = {}) {
+    const { sources = CHANNEL_SOURCES, startTime, endTime, maxResults = 100 } = options;
+
+    try {
+      const rows = await supabaseService.getChannelMentions(twitterService.getSearchTerms(query), {
+        sources,
+        startTime,
+        endTime,
+        limit: maxResults
+      });
+      return rows.map(row => this.formatMention(row));
+    } catch (error) {
+      console.error('Error fetching channel mentions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Shape a mentions table row like twitterService.formatTweetData
+   */
+  formatMention(row) {
+    return {
+      id: row.source_id,
+      source: row.source,
+      text: row.text,
+      createdAt: row.created_at,
+      lang: row.lang,
+      url: row.url,
+      channel: {
+        id: row.channel_id,
+        name: row.channel_name,
+        serverId: row.server_id
+      },
+      author: {
+        id: row.author?.id,
+        username: row.author?.username || 'unknown',
+        name: row.author?.name || 'Unknown User',
+        verified: row.author?.verified || false,
+        followers: row.author?.followers || 0,
+        following: row.author?.following || 0,
+        tweetCount: row.author?.tweetCount || 0,
+        createdAt: row.author?.createdAt
+      },
+      metrics: {
+        retweets: row.metrics?.retweets || 0,
+        likes: row.metrics?.likes || 0,
+        replies: row.metrics?.replies || 0,
+        quotes: row.metrics?.quotes || 0
+      },
+      engagement: row.engagement || 0,
+      influence: Number(row.influence) || 0
+    };
+  }
+
+  /**
+   * Count mentions per source
+   */
+  countBySource(mentions) {
+    return mentions.reduce((counts, mention) => {
+      const source = mention.source || 'twitter';
+      counts[source] = (counts[source] || 0) + 1;
+      return counts;
+    }, {});
+  }
+}
+
+export default new MentionSourceService();
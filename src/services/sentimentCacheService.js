@@ -0,0 +1,274 @@
+/**
+ * Sentiment Cache Service for CryptoSentinel
+ * Persists per-text sentiment results in IndexedDB so identical tweets are
+ * scored once, across page loads and across projects.
+ *
+ * Entries are keyed by a hash of the normalized text and record the model id and
+ * prompt version that produced them; an entry from a different model or prompt
+ * version counts as a miss. Entries expire after `ttl` and the oldest are evicted
+ * beyond `maxEntries`. Falls back to an in-memory Map where IndexedDB is unavailable.
+ */
+
+const DB_NAME = 'cryptosentinel';
+// 2: version 1 databases may hold only the webhook log's store, which has moved out
+const DB_VERSION = 2;
+const STORE_NAME = 'sentiment_results';
+
+class SentimentCacheService {
+  constructor() {
+    this.ttl = 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.maxEntries = 5000;
+    this.memoryStore = new Map();
+    this.dbPromise = null;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  /**
+   * Look up cached results for several texts
+   * Returns a Map of input index -> cached result for every hit.
+   */
+  async getMany(texts, { modelId, promptVersion }) {
+    const keys = await Promise.all(texts.map(text => this.hashText(text)));
+    const entries = await this.readEntries(keys);
+    const hits = new Map();
+    const now = Date.now();
+
+    entries.forEach((entry, index) => {
+      const valid = entry &&
+        entry.modelId === modelId &&
+        entry.promptVersion === promptVersion &&
+        now - entry.storedAt < this.ttl;
+
+      if (valid) {
+        hits.set(index, entry.result);
+      }
+    });
+
+    this.stats.hits += hits.size;
+    this.stats.misses += texts.length - hits.size;
+
+    return hits;
+  }
+
+  /**
+   * Look up a single text
+   */
+  async get(text, context) {
+    const hits = await this.getMany([text], context);
+    return hits.get(0) || null;
+  }
+
+  /**
+   * Store results for several texts
+   */
+  async setMany(items, { modelId, promptVersion }) {
+    if (!items.length) return;
+
+    const storedAt = Date.now();
+    const entries = await Promise.all(items.map(async ({ text, result }) => ({
+      key: await this.hashText(text),
+      result,
+      modelId,
+      promptVersion,
+      storedAt
+    })));
+
+    await this.writeEntries(entries);
+    this.stats.writes += entries.length;
+
+    await this.evict();
+  }
+
+  /**
+   * Store a single result
+   */
+  async set(text, result, context) {
+    return this.setMany([{ text, result }], context);
+  }
+
+  /**
+   * Remove expired entries, then the oldest entries beyond the size limit
+   */
+  async evict() {
+    try {
+      const db = await this.getDatabase();
+      if (!db) {
+        this.evictFromMemory();
+        return;
+      }
+
+      const expiredBefore = Date.now() - this.ttl;
+      const count = await this.request(db.transaction(STORE_NAME).objectStore(STORE_NAME).count());
+      let overflow = Math.max(count - this.maxEntries, 0);
+
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const cursorRequest = transaction.objectStore(STORE_NAME).index('storedAt').openCursor();
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) return;
+
+          // The index is ordered oldest first, so stop at the first entry worth keeping
+          if (overflow > 0 || cursor.value.storedAt < expiredBefore) {
+            cursor.delete();
+            overflow = Math.max(overflow - 1, 0);
+            this.stats.evictions++;
+            cursor.continue();
+          }
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.error('Sentiment cache eviction failed:', error);
+    }
+  }
+
+  /**
+   * Get hit/miss statistics
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) / 100 : 0,
+      entries: await this.countEntries()
+    };
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  /**
+   * Clear all cached results
+   */
+  async clear() {
+    this.memoryStore.clear();
+    try {
+      const db = await this.getDatabase();
+      if (db) {
+        await this.request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+      }
+    } catch (error) {
+      console.error('Failed to clear sentiment cache:', error);
+    }
+  }
+
+  /**
+   * Hash normalized text (SHA-256, or FNV-1a where SubtleCrypto is unavailable)
+   */
+  async hashText(text) {
+    const normalized = text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+    if (globalThis.crypto?.subtle) {
+      const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+      return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized.length; i++) {
+      hash ^= normalized.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `fnv_${hash.toString(16)}_${normalized.length}`;
+  }
+
+  /**
+   * Storage helpers
+   */
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        const openRequest = indexedDB.open(DB_NAME, DB_VERSION);
+        openRequest.onupgradeneeded = () => {
+          const db = openRequest.result;
+          if (db.objectStoreNames.contains(STORE_NAME)) return;
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('storedAt', 'storedAt');
+        };
+        openRequest.onsuccess = () => resolve(openRequest.result);
+        openRequest.onerror = () => {
+          console.error('Failed to open sentiment cache database:', openRequest.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async readEntries(keys) {
+    try {
+      const db = await this.getDatabase();
+      if (!db) {
+        return keys.map(key => this.memoryStore.get(key));
+      }
+
+      const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+      return await Promise.all(keys.map(key => this.request(store.get(key))));
+    } catch (error) {
+      console.error('Failed to read sentiment cache:', error);
+      return keys.map(() => undefined);
+    }
+  }
+
+  async writeEntries(entries) {
+    try {
+      const db = await this.getDatabase();
+      if (!db) {
+        entries.forEach(entry => this.memoryStore.set(entry.key, entry));
+        return;
+      }
+
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        entries.forEach(entry => store.put(entry));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.error('Failed to write sentiment cache:', error);
+    }
+  }
+
+  async countEntries() {
+    try {
+      const db = await this.getDatabase();
+      if (!db) return this.memoryStore.size;
+      return await this.request(db.transaction(STORE_NAME).objectStore(STORE_NAME).count());
+    } catch (error) {
+      console.error('Failed to count sentiment cache entries:', error);
+      return 0;
+    }
+  }
+
+  evictFromMemory() {
+    const expiredBefore = Date.now() - this.ttl;
+    const entries = Array.from(this.memoryStore.values()).sort((a, b) => a.storedAt - b.storedAt);
+    let overflow = Math.max(entries.length - this.maxEntries, 0);
+
+    for (const entry of entries) {
+      if (overflow <= 0 && entry.storedAt >= expiredBefore) break;
+      this.memoryStore.delete(entry.key);
+      overflow = Math.max(overflow - 1, 0);
+      this.stats.evictions++;
+    }
+  }
+
+  request(idbRequest) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => resolve(idbRequest.result);
+      idbRequest.onerror = () => reject(idbRequest.error);
+    });
+  }
+}
+
+export default new SentimentCacheService();
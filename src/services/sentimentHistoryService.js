@@ -0,0 +1,203 @@
+/**
+ * Sentiment History Service for CryptoSentinel
+ * Keeps scored mentions over time and buckets them into sentiment time series
+ *
+ * Scored mentions come from the `twitter_mentions` table when available and from
+ * a local store of mentions scored in this browser; both are merged by tweet id.
+ */
+
+import supabaseService from './supabaseService.js';
+
+export const SERIES_BUCKETS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+export const SERIES_RANGES = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000
+};
+
+const MAX_BUCKETS = 2016; // 7 days of 5 minute buckets
+
+class SentimentHistoryService {
+  constructor() {
+    this.storageKey = 'cryptosentinel_sentiment_history';
+    this.maxEntriesPerProject = 5000;
+    this.history = {};
+
+    this.loadHistoryFromStorage();
+  }
+
+  /**
+   * Record scored mentions for a project
+   * `sentimentResults` is aligned with `mentions`.
+   */
+  recordMentions(project, mentions, sentimentResults) {
+    const key = project.toLowerCase();
+    const existing = new Map((this.history[key] || []).map(entry => [entry.id, entry]));
+
+    mentions.forEach((mention, index) => {
+      const result = sentimentResults[index];
+      const createdAt = mention.created_at || mention.createdAt;
+      if (!result || !createdAt || typeof result.sentiment_score !== 'number') return;
+
+      const id = String(mention.id || mention.tweet_id || `${createdAt}_${index}`);
+      existing.set(id, {
+        id,
+        created_at: new Date(createdAt).toISOString(),
+        sentiment_score: result.sentiment_score,
+        sentiment: result.sentiment
+      });
+    });
+
+    // Keep the newest entries within the retention window
+    const oldest = Date.now() - SERIES_RANGES['90d'];
+    this.history[key] = Array.from(existing.values())
+      .filter(entry => new Date(entry.created_at).getTime() >= oldest)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, this.maxEntriesPerProject);
+
+    this.saveHistoryToStorage();
+  }
+
+  /**
+   * Get a bucketed sentiment time series for a project
+   * Each bucket has the average score (null when empty), mention volume and label distribution.
+   */
+  async getTimeSeries(project, options = {}) {
+    const { range = '24h', bucket = '1h', source = 'auto' } = options;
+
+    if (!SERIES_RANGES[range]) {
+      throw new Error(`Unknown range: ${range}`);
+    }
+    if (!SERIES_BUCKETS[bucket]) {
+      throw new Error(`Unknown bucket: ${bucket}`);
+    }
+
+    const bucketMs = SERIES_BUCKETS[bucket];
+    if (SERIES_RANGES[range] / bucketMs > MAX_BUCKETS) {
+      throw new Error(`Bucket ${bucket} is too fine for range ${range}`);
+    }
+
+    const end = Math.ceil(Date.now() / bucketMs) * bucketMs;
+    const start = end - Math.ceil(SERIES_RANGES[range] / bucketMs) * bucketMs;
+
+    const mentions = await this.getScoredMentions(project, new Date(start).toISOString(), source);
+    const buckets = this.bucketize(mentions, start, end, bucketMs);
+
+    return {
+      project,
+      range,
+      bucket,
+      source,
+      total_mentions: mentions.length,
+      buckets
+    };
+  }
+
+  /**
+   * Bucket sizes that stay within the bucket limit for a range
+   */
+  getBucketOptions(range) {
+    return Object.keys(SERIES_BUCKETS).filter(bucket =>
+      SERIES_RANGES[range] / SERIES_BUCKETS[bucket] <= MAX_BUCKETS
+    );
+  }
+
+  /**
+   * Merge remote and local scored mentions since a timestamp
+   */
+  async getScoredMentions(project, since, source) {
+    const merged = new Map();
+
+    if (source !== 'local') {
+      const remote = await supabaseService.getScoredMentions(project, { since });
+      remote.forEach(mention => {
+        merged.set(String(mention.tweet_id), {
+          id: String(mention.tweet_id),
+          created_at: mention.created_at,
+          sentiment_score: Number(mention.sentiment_score),
+          sentiment: mention.sentiment_analysis?.sentiment || this.scoreToLabel(Number(mention.sentiment_score))
+        });
+      });
+    }
+
+    if (source !== 'remote') {
+      (this.history[project.toLowerCase()] || [])
+        .filter(entry => entry.created_at >= since)
+        .forEach(entry => {
+          if (!merged.has(entry.id)) merged.set(entry.id, entry);
+        });
+    }
+
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Group mentions into fixed-width buckets from start (inclusive) to end (exclusive)
+   */
+  bucketize(mentions, start, end, bucketMs) {
+    const buckets = [];
+    for (let time = start; time < end; time += bucketMs) {
+      buckets.push({
+        timestamp: time,
+        start: new Date(time).toISOString(),
+        scoreSum: 0,
+        volume: 0,
+        distribution: { positive: 0, negative: 0, neutral: 0 }
+      });
+    }
+
+    mentions.forEach(mention => {
+      const time = new Date(mention.created_at).getTime();
+      if (time < start || time >= end) return;
+
+      const target = buckets[Math.floor((time - start) / bucketMs)];
+      target.scoreSum += mention.sentiment_score;
+      target.volume++;
+
+      const label = target.distribution[mention.sentiment] !== undefined ? mention.sentiment : 'neutral';
+      target.distribution[label]++;
+    });
+
+    return buckets.map(({ scoreSum, ...bucket }) => ({
+      ...bucket,
+      score: bucket.volume > 0 ? Math.round((scoreSum / bucket.volume) * 100) / 100 : null
+    }));
+  }
+
+  scoreToLabel(score) {
+    if (score > 0.6) return 'positive';
+    if (score < 0.4) return 'negative';
+    return 'neutral';
+  }
+
+  /**
+   * Persistence methods
+   */
+  saveHistoryToStorage() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+    } catch (error) {
+      console.error('Failed to save sentiment history to storage:', error);
+    }
+  }
+
+  loadHistoryFromStorage() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        this.history = JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error('Failed to load sentiment history from storage:', error);
+      this.history = {};
+    }
+  }
+}
+
+export default new SentimentHistoryService();
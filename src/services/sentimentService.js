@@ -3,14 +3,26 @@
  * Provides comprehensive sentiment analysis with multiple data sources
  */
 
-import { analyzeSentiment } from './aiService.js';
+import { analyzeSentiment, analyzeSentimentBatch, SENTIMENT_PROMPT_VERSION } from './aiService.js';
 import supabaseService from './supabaseService.js';
+import lexiconSentimentService, { SENTIMENT_ASPECTS } from './lexiconSentimentService.js';
+import sentimentCacheService from './sentimentCacheService.js';
+import sentimentHistoryService from './sentimentHistoryService.js';
+import spamDetectionService from './spamDetectionService.js';
+import llmProviderService from './llmProviderService.js';
+import twitterService from './twitterService.js';
+import mentionSourceService, { CHANNEL_SOURCES, MENTION_SOURCES } from './mentionSourceService.js';
+
+export const SENTIMENT_ENGINES = ['llm', 'lexicon'];
+export { SENTIMENT_ASPECTS };
 
 class SentimentService {
   constructor() {
     this.sentimentCache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-    this.batchSize = 50;
+    this.batchSize = 20; // texts per LLM prompt
+    this.batchConcurrency = 3; // prompts in flight at once
+    this.defaultEngine = 'llm';
     this.sentimentWeights = {
       'very_positive': 1.0,
       'positive': 0.6,
@@ -28,10 +40,16 @@ class SentimentService {
       timeframe = '24h',
       includeInfluencers = true,
       minEngagement = 10,
-      sampleSize = 100
+      sampleSize = 100,
+      engine = this.defaultEngine,
+      compareBaseline = false,
+      excludeSpam = true,
+      sourceWeights = {}
     } = options;
+    const sources = mentionSourceService.normalizeSources(options.sources);
+    const channels = sources.filter(source => CHANNEL_SOURCES.includes(source));
 
-    const cacheKey = `${project}_${timeframe}_${sampleSize}`;
+    const cacheKey = `${project}_${timeframe}_${sampleSize}_${engine}_${compareBaseline}_${excludeSpam}_${sources.join('+')}_${JSON.stringify(sourceWeights)}`;
     
     // Check cache first
     if (this.sentimentCache.has(cacheKey)) {
@@ -42,44 +60,80 @@ class SentimentService {
     }
 
     try {
-      // First try to get cached sentiment data
-      const cachedSentiment = await supabaseService.getCachedSentiment(project, timeframe);
-      
-      // If we have recent cached data, return it
-      if (cachedSentiment.metrics.total_mentions > 10) {
-        // Cache the result
-        this.sentimentCache.set(cacheKey, {
-          data: cachedSentiment,
-          timestamp: Date.now()
-        });
-        return cachedSentiment;
+      // Stored sentiment only covers tweets, so it stands in for Twitter-only analysis
+      if (channels.length === 0) {
+        const cachedSentiment = await supabaseService.getCachedSentiment(project, timeframe);
+
+        // If we have recent cached data, return it
+        if (cachedSentiment.metrics.total_mentions > 10) {
+          // Cache the result
+          this.sentimentCache.set(cacheKey, {
+            data: cachedSentiment,
+            timestamp: Date.now()
+          });
+          return cachedSentiment;
+        }
       }
 
-      // Otherwise fetch fresh mentions through secure edge function
-      const mentionResponse = await supabaseService.getTwitterMentions(project, {
-        timeframe,
-        maxResults: sampleSize
-      });
-      
-      const mentions = mentionResponse.data || [];
-
-      // Filter by engagement threshold
-      const filteredTweets = mentions.tweets.filter(tweet => 
-        tweet.engagement >= minEngagement
-      );
+      // Otherwise fetch fresh tweets through secure edge function and stored channel messages
+      const [tweets, channelMentions] = await Promise.all([
+        sources.includes('twitter') ? this.fetchTwitterMentions(project, { timeframe, sampleSize }) : [],
+        channels.length > 0
+          ? mentionSourceService.getChannelMentions(project, {
+            sources: channels,
+            startTime: this.getTimeframeStart(timeframe),
+            maxResults: sampleSize
+          })
+          : []
+      ]);
+
+      // Filter by engagement threshold; channel messages carry little or no engagement data
+      const engagedTweets = [
+        ...tweets.filter(tweet => tweet.engagement >= minEngagement),
+        ...channelMentions
+      ];
+
+      // Drop likely bots and spam so shill bursts don't skew the score
+      const spamScored = excludeSpam ? spamDetectionService.scoreMentions(engagedTweets) : engagedTweets;
+      const filteredTweets = spamScored.filter(tweet => !tweet.spam?.isSpam);
 
       // Analyze sentiment for each tweet
-      const sentimentResults = await this.batchAnalyzeSentiment(
-        filteredTweets.map(tweet => tweet.text)
-      );
+      const texts = filteredTweets.map(tweet => tweet.text);
+      const sentimentResults = await this.batchAnalyzeSentiment(texts, { engine });
 
-      // Calculate weighted sentiment scores
+      // Calculate weighted sentiment scores, per source and blended
       const analysis = this.calculateProjectSentiment(
         filteredTweets,
         sentimentResults,
-        includeInfluencers
+        includeInfluencers,
+        sourceWeights
+      );
+      analysis.engine = engine;
+      analysis.sources = sources;
+      analysis.metrics.spam_filtered = spamScored.length - filteredTweets.length;
+      analysis.metrics.by_source = mentionSourceService.countBySource(filteredTweets);
+
+      // Keep scored mentions for the sentiment time series; only tweets belong in twitter_mentions.
+      // Texts that could not be scored count as neutral above but are not stored.
+      const storedResults = sentimentResults.map(result => (result.engine ? result : null));
+      sentimentHistoryService.recordMentions(project, filteredTweets, storedResults);
+      const scoredTweets = filteredTweets
+        .map((tweet, index) => ({ tweet, result: storedResults[index] }))
+        .filter(({ tweet }) => tweet.source === 'twitter');
+      await supabaseService.saveMentionSentiments(
+        project,
+        scoredTweets.map(({ tweet }) => tweet),
+        scoredTweets.map(({ result }) => result)
       );
 
+      // Score the same texts with the lexicon to benchmark LLM output
+      if (compareBaseline && engine === 'llm') {
+        analysis.baseline_comparison = lexiconSentimentService.compare(
+          sentimentResults,
+          lexiconSentimentService.analyzeBatch(texts)
+        );
+      }
+
       // Cache results
       this.sentimentCache.set(cacheKey, {
         data: analysis,
@@ -94,67 +148,193 @@ class SentimentService {
     }
   }
 
+  /**
+   * Recent tweets about a project from the twitter-mentions edge function
+   * The function returns raw API tweets, or stored rows when the API fails, so
+   * engagement is computed here like twitterService.formatTweetData does.
+   * API tweets also get the formatted author and createdAt the spam scorer reads;
+   * stored rows have no account data, so they are scored on content only.
+   */
+  async fetchTwitterMentions(project, { timeframe, sampleSize }) {
+    const mentionResponse = await supabaseService.getTwitterMentions(project, {
+      timeframe,
+      maxResults: sampleSize
+    });
+    const tweets = mentionResponse.data || [];
+    const users = new Set((mentionResponse.includes?.users || []).map(user => user.id));
+    const formatted = new Map(
+      twitterService.formatTweetData({ data: tweets.filter(tweet => !tweet.tweet_id), includes: mentionResponse.includes })
+        .tweets.map(tweet => [tweet.id, tweet])
+    );
+
+    return tweets.map(tweet => ({
+      ...tweet,
+      id: tweet.tweet_id || tweet.id,
+      source: 'twitter',
+      author: users.has(tweet.author_id) ? formatted.get(tweet.id)?.author : undefined,
+      createdAt: tweet.created_at,
+      engagement: tweet.engagement ?? twitterService.calculateEngagement(tweet.public_metrics)
+    }));
+  }
+
   /**
    * Batch analyze sentiment for multiple texts
+   * Sends `batchSize` texts per LLM prompt with at most `concurrency` prompts in flight,
+   * and falls back to per-text calls only for items the batch response missed.
+   * Results are aligned with the input order.
+   * Texts already in the per-text cache are not sent to the model.
+   * With `engine: 'lexicon'` texts are scored offline and no LLM calls are made.
    */
-  async batchAnalyzeSentiment(texts) {
-    const results = [];
-    
-    for (let i = 0; i < texts.length; i += this.batchSize) {
-      const batch = texts.slice(i, i + this.batchSize);
-      const batchPromises = batch.map(text => this.analyzeSingleText(text));
-      
-      try {
-        const batchResults = await Promise.allSettled(batchPromises);
-        results.push(...batchResults.map(result => 
-          result.status === 'fulfilled' ? result.value : this.getDefaultSentiment()
-        ));
-      } catch (error) {
-        console.error('Batch sentiment analysis error:', error);
-        // Add default sentiments for failed batch
-        results.push(...batch.map(() => this.getDefaultSentiment()));
+  async batchAnalyzeSentiment(texts, options = {}) {
+    const {
+      batchSize = this.batchSize,
+      concurrency = this.batchConcurrency,
+      engine = this.defaultEngine
+    } = options;
+
+    if (engine === 'lexicon') {
+      return texts.map(text => this.formatSentimentResult(lexiconSentimentService.analyze(text), text));
+    }
+
+    const results = new Array(texts.length);
+    const cacheContext = this.getCacheContext();
+    const cached = await sentimentCacheService.getMany(texts, cacheContext);
+
+    cached.forEach((result, index) => {
+      results[index] = this.formatSentimentResult(result, texts[index]);
+    });
+
+    const pending = texts
+      .map((text, index) => ({ id: `t${index}`, index, text }))
+      .filter(item => !cached.has(item.index));
+    const batches = [];
+
+    for (let i = 0; i < pending.length; i += batchSize) {
+      batches.push(pending.slice(i, i + batchSize));
+    }
+
+    await this.runWithConcurrency(batches, concurrency, async (batch) => {
+      const { results: batchResults, failedIds } = await analyzeSentimentBatch(batch);
+
+      batch.forEach(item => {
+        if (batchResults[item.id]) {
+          results[item.index] = this.formatSentimentResult(batchResults[item.id], item.text);
+        }
+      });
+
+      await sentimentCacheService.setMany(
+        batch
+          .filter(item => batchResults[item.id])
+          .map(item => ({ text: item.text, result: batchResults[item.id] })),
+        cacheContext
+      );
+
+      // Retry only the items the batch call could not classify
+      const failedItems = batch.filter(item => failedIds.includes(item.id));
+      if (failedItems.length > 0) {
+        console.warn(`Batch sentiment: retrying ${failedItems.length}/${batch.length} items individually`);
+        const singleResults = await Promise.allSettled(
+          failedItems.map(item => this.analyzeSingleText(item.text, { skipCacheLookup: true }))
+        );
+        singleResults.forEach((result, i) => {
+          results[failedItems[i].index] = result.status === 'fulfilled'
+            ? result.value
+            : this.getDefaultSentiment(failedItems[i].text);
+        });
       }
+    });
+
+    // Any slot left empty by a failed worker gets the neutral default
+    return Array.from(results, (result, index) => result || this.getDefaultSentiment(texts[index]));
+  }
 
-      // Rate limiting delay
-      if (i + this.batchSize < texts.length) {
-        await this.delay(100);
+  /**
+   * Run an async task over items with a concurrency limit
+   */
+  async runWithConcurrency(items, concurrency, task) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        try {
+          await task(item);
+        } catch (error) {
+          console.error('Concurrent task error:', error);
+        }
       }
-    }
+    });
 
-    return results;
+    await Promise.all(workers);
   }
 
   /**
-   * Analyze sentiment for a single text
+   * Analyze sentiment for a single text, consulting the per-text cache first
    */
-  async analyzeSingleText(text) {
+  async analyzeSingleText(text, options = {}) {
+    const cacheContext = this.getCacheContext();
+
     try {
+      if (!options.skipCacheLookup) {
+        const cached = await sentimentCacheService.get(text, cacheContext);
+        if (cached) {
+          return this.formatSentimentResult(cached, text);
+        }
+      }
+
       const result = await analyzeSentiment(text);
-      return {
-        sentiment: result.sentiment,
-        confidence: result.confidence,
-        sentiment_score: result.sentiment_score,
-        explanation: result.explanation,
-        key_phrases: result.key_phrases,
-        text: text.slice(0, 100) + (text.length > 100 ? '...' : '')
-      };
+
+      // Lexicon fallbacks are not cached so the text is re-scored once the model recovers
+      if (!result.fallback) {
+        await sentimentCacheService.set(text, result, cacheContext);
+      }
+
+      return this.formatSentimentResult(result, text);
     } catch (error) {
       console.error('Single text sentiment analysis error:', error);
-      return {
-        sentiment: 'neutral',
-        confidence: 0.5,
-        sentiment_score: 0.5,
-        explanation: 'Analysis failed - using neutral sentiment',
-        key_phrases: [],
-        text: text.slice(0, 100) + (text.length > 100 ? '...' : '')
-      };
+      return this.formatSentimentResult({ ...lexiconSentimentService.analyze(text), fallback: true }, text);
     }
   }
 
+  /**
+   * Model and prompt version that cached results must match
+   */
+  getCacheContext() {
+    return {
+      modelId: llmProviderService.getModelId('sentiment'),
+      promptVersion: SENTIMENT_PROMPT_VERSION
+    };
+  }
+
+  /**
+   * Get per-text sentiment cache hit/miss statistics
+   */
+  async getCacheStats() {
+    return sentimentCacheService.getStats();
+  }
+
+  /**
+   * Shape an AI sentiment result for storage alongside its text
+   */
+  formatSentimentResult(result, text) {
+    return {
+      sentiment: result.sentiment,
+      confidence: result.confidence,
+      sentiment_score: result.sentiment_score,
+      explanation: result.explanation,
+      key_phrases: result.key_phrases,
+      aspects: result.aspects || {},
+      engine: result.engine,
+      fallback: Boolean(result.fallback),
+      text: text.slice(0, 100) + (text.length > 100 ? '...' : '')
+    };
+  }
+
   /**
    * Calculate comprehensive project sentiment
+   * `sentiment_score` blends every source; `source_sentiment` scores each one alone.
+   * `sourceWeights` scales a source's share of the blend (default 1 each).
    */
-  calculateProjectSentiment(tweets, sentimentResults, includeInfluencers) {
+  calculateProjectSentiment(tweets, sentimentResults, includeInfluencers, sourceWeights = {}) {
     if (!tweets.length || !sentimentResults.length) {
       return {
         project: 'Unknown',
@@ -175,6 +355,9 @@ class SentimentService {
     let totalScore = 0;
     let totalWeight = 0;
     const sentimentCounts = { positive: 0, negative: 0, neutral: 0 };
+    let fallbackCount = 0;
+    const aspectTotals = {};
+    const sourceTotals = {};
     const allKeyPhrases = [];
     const influencerSentiments = [];
     const sampleAnalyses = [];
@@ -192,11 +375,35 @@ class SentimentService {
         weight = 1 + (Math.log10(followers + 1) / 100) + (Math.log10(engagement + 1) / 10);
       }
 
-      totalScore += sentiment.sentiment_score * weight;
-      totalWeight += weight;
+      // Engagement means different things per source, so scores stay comparable
+      // only within one; the blend takes each source at its configured weight
+      const source = tweet.source || 'twitter';
+      const sourceTotal = sourceTotals[source] || (sourceTotals[source] = {
+        score: 0, weight: 0, mentions: 0, positive: 0, negative: 0, neutral: 0
+      });
+      sourceTotal.score += sentiment.sentiment_score * weight;
+      sourceTotal.weight += weight;
+      sourceTotal.mentions++;
+      sourceTotal[sentiment.sentiment]++;
+
+      const blendWeight = weight * (sourceWeights[source] ?? 1);
+      totalScore += sentiment.sentiment_score * blendWeight;
+      totalWeight += blendWeight;
 
       // Count sentiment types
       sentimentCounts[sentiment.sentiment]++;
+      if (sentiment.fallback) fallbackCount++;
+
+      // Accumulate per-aspect scores with the same weighting
+      Object.entries(sentiment.aspects || {}).forEach(([aspect, aspectResult]) => {
+        const totals = aspectTotals[aspect] || (aspectTotals[aspect] = {
+          score: 0, weight: 0, mentions: 0, positive: 0, negative: 0, neutral: 0
+        });
+        totals.score += aspectResult.sentiment_score * weight;
+        totals.weight += weight;
+        totals.mentions++;
+        totals[aspectResult.sentiment]++;
+      });
 
       // Track key phrases
       if (sentiment.key_phrases) {
@@ -229,6 +436,8 @@ class SentimentService {
 
     const averageScore = totalWeight > 0 ? totalScore / totalWeight : 0.5;
     const totalTweets = tweets.length;
+    const aspectSentiment = this.summarizeAspects(aspectTotals);
+    const sourceSentiment = this.summarizeSources(sourceTotals);
     
     // Generate explanation based on data
     const dominantSentiment = Object.keys(sentimentCounts).reduce((a, b) => 
@@ -247,6 +456,10 @@ class SentimentService {
       explanation += `Key themes: ${topPhrases.join(', ')}.`;
     }
 
+    if (fallbackCount > 0) {
+      explanation += ` ${fallbackCount} mentions were scored by the offline lexicon after LLM failures.`;
+    }
+
     return {
       project: tweets[0]?.text.match(/\$([A-Z]+)/)?.[1] || 'Unknown',
       sentiment_score: Math.round(averageScore * 100) / 100,
@@ -257,18 +470,64 @@ class SentimentService {
         positive_mentions: sentimentCounts.positive,
         negative_mentions: sentimentCounts.negative,
         neutral_mentions: sentimentCounts.neutral,
-        influencer_mentions: influencerSentiments.length
+        influencer_mentions: influencerSentiments.length,
+        fallback_mentions: fallbackCount
       },
-      key_insights: this.generateKeyInsights(sentimentCounts, influencerSentiments, topPhrases),
+      key_insights: this.generateKeyInsights(sentimentCounts, influencerSentiments, topPhrases, aspectSentiment, sourceSentiment),
+      aspect_sentiment: aspectSentiment,
+      source_sentiment: sourceSentiment,
       sample_analyses: sampleAnalyses,
       influencer_sentiment: influencerSentiments
     };
   }
 
+  /**
+   * Turn accumulated aspect totals into weighted scores and labels
+   */
+  summarizeAspects(aspectTotals) {
+    const aspects = {};
+
+    SENTIMENT_ASPECTS.forEach(aspect => {
+      const totals = aspectTotals[aspect];
+      if (!totals || totals.weight === 0) return;
+
+      const score = Math.round((totals.score / totals.weight) * 100) / 100;
+      aspects[aspect] = {
+        sentiment: score > 0.6 ? 'positive' : score < 0.4 ? 'negative' : 'neutral',
+        sentiment_score: score,
+        mentions: totals.mentions,
+        positive_mentions: totals.positive,
+        negative_mentions: totals.negative,
+        neutral_mentions: totals.neutral
+      };
+    });
+
+    return aspects;
+  }
+
+  /**
+   * Turn accumulated per-source totals into weighted scores and labels
+   */
+  summarizeSources(sourceTotals) {
+    return Object.fromEntries(Object.entries(sourceTotals)
+      .filter(([, totals]) => totals.weight > 0)
+      .map(([source, totals]) => {
+        const score = Math.round((totals.score / totals.weight) * 100) / 100;
+        return [source, {
+          sentiment: score > 0.6 ? 'positive' : score < 0.4 ? 'negative' : 'neutral',
+          sentiment_score: score,
+          mentions: totals.mentions,
+          positive_mentions: totals.positive,
+          negative_mentions: totals.negative,
+          neutral_mentions: totals.neutral
+        }];
+      }));
+  }
+
   /**
    * Generate key insights from sentiment analysis
    */
-  generateKeyInsights(sentimentCounts, influencerSentiments, topPhrases) {
+  generateKeyInsights(sentimentCounts, influencerSentiments, topPhrases, aspectSentiment = {}, sourceSentiment = {}) {
     const insights = [];
     const total = Object.values(sentimentCounts).reduce((sum, count) => sum + count, 0);
     
@@ -296,6 +555,27 @@ class SentimentService {
       }
     }
     
+    // Aspect insight: surface the weakest aspect when it diverges from the rest
+    const weakestAspect = Object.entries(aspectSentiment)
+      .filter(([, aspect]) => aspect.mentions >= 2)
+      .sort(([, a], [, b]) => a.sentiment_score - b.sentiment_score)[0];
+    if (weakestAspect && weakestAspect[1].sentiment === 'negative') {
+      insights.push(`Negative on ${weakestAspect[0]} (${weakestAspect[1].negative_mentions}/${weakestAspect[1].mentions} mentions)`);
+    }
+
+    // Source insight: call out communities that disagree
+    const scoredSources = Object.entries(sourceSentiment)
+      .filter(([, source]) => source.mentions >= 2)
+      .sort(([, a], [, b]) => b.sentiment_score - a.sentiment_score);
+    if (scoredSources.length > 1) {
+      const [highSource, high] = scoredSources[0];
+      const [lowSource, low] = scoredSources[scoredSources.length - 1];
+      if (high.sentiment_score - low.sentiment_score > 0.2) {
+        const label = (source) => MENTION_SOURCES[source]?.label || source;
+        insights.push(`${label(highSource)} is more positive than ${label(lowSource)} (${Math.round(high.sentiment_score * 100)}% vs ${Math.round(low.sentiment_score * 100)}%)`);
+      }
+    }
+
     // Key phrases insight
     if (topPhrases.length > 0) {
       insights.push(`Common themes: ${topPhrases.slice(0, 3).join(', ')}`);
@@ -420,15 +700,19 @@ class SentimentService {
 
   /**
    * Get default sentiment for errors
+   * Neutral, in the formatSentimentResult shape so it averages like any other result;
+   * without an engine it is never cached or stored.
    */
-  getDefaultSentiment() {
-    return {
+  getDefaultSentiment(text = '') {
+    return this.formatSentimentResult({
       sentiment: 'neutral',
       confidence: 0.5,
-      score: 0,
-      keywords: [],
-      emotions: []
-    };
+      sentiment_score: 0.5,
+      explanation: 'Sentiment could not be analyzed',
+      key_phrases: [],
+      aspects: {},
+      engine: null
+    }, text);
   }
 
   /**
@@ -459,10 +743,12 @@ class SentimentService {
 
   /**
    * Mock sentiment analysis for development
+   * Flagged with `mock` so alert checks do not treat it as a measurement.
    */
   getMockSentimentAnalysis(project) {
     return {
       project,
+      mock: true,
       overall_sentiment: 'positive',
       sentiment_score: 0.65,
       confidence: 0.82,
@@ -494,6 +780,12 @@ class SentimentService {
           text: `${project} showing strong technical indicators...`
         }
       ],
+      aspect_sentiment: {
+        price: { sentiment: 'positive', sentiment_score: 0.72, mentions: 96, positive_mentions: 64, negative_mentions: 14, neutral_mentions: 18 },
+        technology: { sentiment: 'positive', sentiment_score: 0.66, mentions: 41, positive_mentions: 24, negative_mentions: 6, neutral_mentions: 11 },
+        security: { sentiment: 'negative', sentiment_score: 0.34, mentions: 12, positive_mentions: 2, negative_mentions: 7, neutral_mentions: 3 },
+        listings: { sentiment: 'neutral', sentiment_score: 0.58, mentions: 9, positive_mentions: 4, negative_mentions: 1, neutral_mentions: 4 }
+      },
       trend_analysis: {
         direction: 'improving',
         strength: 0.25,
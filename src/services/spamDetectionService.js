@@ -0,0 +1,256 @@
+/**
+ * Spam Detection Service for CryptoSentinel
+ * Scores incoming mentions for bot and spam likelihood before they reach
+ * sentiment and volume metrics
+ *
+ * Signals:
+ * - near-duplicate text clusters (copy-paste shill bursts)
+ * - account age
+ * - follower/following ratio
+ * - posting cadence (lifetime tweets per day, bursts within a batch)
+ * - link, airdrop and giveaway patterns
+ *
+ * Works on mentions in the twitterService.formatTweetData shape, including channel
+ * messages from mentionSourceService.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PROMO_PATTERN = /\b(airdrop|giveaway|claim\w*|free\s+(tokens?|crypto|nft|mint)|whitelist|presale|dm\s+me|send\s+\d+|double\s+your|guaranteed|\d{3,}x)\b/i;
+const LINK_PATTERN = /https?:\/\/\S+/i;
+
+class SpamDetectionService {
+  constructor() {
+    this.config = {
+      threshold: 0.6, // scores at or above this are flagged as spam
+      duplicateSimilarity: 0.8, // Jaccard similarity for near-duplicates
+      minClusterSize: 3,
+      newAccountDays: 30,
+      burstWindow: 10 * 60 * 1000, // same author, same batch
+      burstCount: 3,
+      maxTweetsPerDay: 150
+    };
+  }
+
+  /**
+   * Score a batch of mentions
+   * Returns the mentions with a `spam` annotation: { score, isSpam, reasons }.
+   */
+  scoreMentions(mentions, options = {}) {
+    const threshold = options.threshold ?? this.config.threshold;
+    const clusters = this.findDuplicateClusters(mentions);
+    const bursts = this.findAuthorBursts(mentions);
+
+    return mentions.map((mention, index) => {
+      const reasons = [];
+      let score = 0;
+
+      const clusterSize = clusters[index];
+      if (clusterSize >= this.config.minClusterSize) {
+        score += Math.min(0.3 + (clusterSize - this.config.minClusterSize) * 0.05, 0.5);
+        reasons.push(`near-duplicate of ${clusterSize - 1} other mentions`);
+      }
+
+      // Authors from other sources have no follower counts or account ages to score,
+      // and tweets without an author would all read as brand-new empty accounts
+      if ((!mention.source || mention.source === 'twitter') && mention.author) {
+        const accountSignals = this.scoreAccount(mention.author, mention.createdAt);
+        score += accountSignals.score;
+        reasons.push(...accountSignals.reasons);
+      }
+
+      if (bursts.has(index)) {
+        score += 0.2;
+        reasons.push('posting burst from the same account');
+      }
+
+      const contentSignals = this.scoreContent(mention.text || '');
+      score += contentSignals.score;
+      reasons.push(...contentSignals.reasons);
+
+      score = Math.round(Math.min(score, 1) * 100) / 100;
+
+      return {
+        ...mention,
+        spam: {
+          score,
+          isSpam: score >= threshold,
+          reasons
+        }
+      };
+    });
+  }
+
+  /**
+   * Split scored mentions into kept and filtered sets
+   * In `downweight` mode nothing is dropped; each mention gets `weight = 1 - spam score`.
+   */
+  applyFilter(scoredMentions, mode = 'exclude') {
+    if (mode === 'downweight') {
+      return {
+        kept: scoredMentions.map(mention => ({ ...mention, weight: 1 - mention.spam.score })),
+        filtered: scoredMentions.filter(mention => mention.spam.isSpam)
+      };
+    }
+
+    return {
+      kept: scoredMentions.filter(mention => !mention.spam.isSpam).map(mention => ({ ...mention, weight: 1 })),
+      filtered: scoredMentions.filter(mention => mention.spam.isSpam)
+    };
+  }
+
+  /**
+   * Account-level signals: age, follower ratio, lifetime cadence
+   */
+  scoreAccount(author, mentionCreatedAt) {
+    const reasons = [];
+    let score = 0;
+
+    const referenceTime = mentionCreatedAt ? new Date(mentionCreatedAt).getTime() : Date.now();
+    if (author.createdAt) {
+      const ageDays = Math.max((referenceTime - new Date(author.createdAt).getTime()) / DAY_MS, 0);
+
+      if (ageDays < 7) {
+        score += 0.35;
+        reasons.push(`account is ${Math.floor(ageDays)} days old`);
+      } else if (ageDays < this.config.newAccountDays) {
+        score += 0.2;
+        reasons.push(`account is ${Math.floor(ageDays)} days old`);
+      }
+
+      if (author.tweetCount && ageDays >= 1 && author.tweetCount / ageDays > this.config.maxTweetsPerDay) {
+        score += 0.2;
+        reasons.push(`posts ${Math.round(author.tweetCount / ageDays)} times a day`);
+      }
+    }
+
+    const followers = author.followers ?? author.followers_count ?? 0;
+    const following = author.following ?? 0;
+    if (following >= 500 && followers / following < 0.1) {
+      score += 0.2;
+      reasons.push(`follows ${following} accounts with ${followers} followers`);
+    } else if (followers < 10 && !author.verified) {
+      score += 0.1;
+      reasons.push('fewer than 10 followers');
+    }
+
+    return { score, reasons };
+  }
+
+  /**
+   * Content signals: promo language, links, tag stuffing
+   */
+  scoreContent(text) {
+    const reasons = [];
+    let score = 0;
+
+    const promo = PROMO_PATTERN.test(text);
+    if (promo) {
+      score += 0.25;
+      reasons.push('airdrop or giveaway language');
+    }
+
+    if (promo && LINK_PATTERN.test(text)) {
+      score += 0.1;
+      reasons.push('promotional link');
+    }
+
+    const cashtags = (text.match(/\$[A-Za-z]{2,10}\b/g) || []).length;
+    const hashtags = (text.match(/#\w+/g) || []).length;
+    if (cashtags >= 4 || hashtags >= 5) {
+      score += 0.15;
+      reasons.push('tag stuffing');
+    }
+
+    return { score, reasons };
+  }
+
+  /**
+   * Size of each mention's near-duplicate cluster (1 when unique)
+   */
+  findDuplicateClusters(mentions) {
+    const shingles = mentions.map(mention => this.shingle(mention.text || ''));
+    const parent = mentions.map((_, index) => index);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < mentions.length; i++) {
+      if (shingles[i].size === 0) continue;
+      for (let j = i + 1; j < mentions.length; j++) {
+        if (find(i) === find(j) || shingles[j].size === 0) continue;
+        if (this.jaccard(shingles[i], shingles[j]) >= this.config.duplicateSimilarity) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const sizes = new Map();
+    mentions.forEach((_, index) => {
+      const root = find(index);
+      sizes.set(root, (sizes.get(root) || 0) + 1);
+    });
+
+    return mentions.map((_, index) => sizes.get(find(index)));
+  }
+
+  /**
+   * Indexes of mentions posted by an author several times within the burst window
+   */
+  findAuthorBursts(mentions) {
+    const byAuthor = new Map();
+    mentions.forEach((mention, index) => {
+      const authorId = mention.author?.id || mention.author?.username;
+      if (!authorId || !mention.createdAt) return;
+      if (!byAuthor.has(authorId)) byAuthor.set(authorId, []);
+      byAuthor.get(authorId).push({ index, time: new Date(mention.createdAt).getTime() });
+    });
+
+    const bursting = new Set();
+    byAuthor.forEach(posts => {
+      posts.sort((a, b) => a.time - b.time);
+      for (let start = 0; start + this.config.burstCount - 1 < posts.length; start++) {
+        const end = start + this.config.burstCount - 1;
+        if (posts[end].time - posts[start].time <= this.config.burstWindow) {
+          for (let i = start; i <= end; i++) bursting.add(posts[i].index);
+        }
+      }
+    });
+
+    return bursting;
+  }
+
+  /**
+   * Word 3-gram shingles of normalized text
+   * Links, @handles and numbers are masked so templated spam still matches.
+   */
+  shingle(text) {
+    const words = text
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' url ')
+      .replace(/@\w+/g, ' @user ')
+      .replace(/\d+(\.\d+)?/g, ' 0 ')
+      .replace(/[^\p{L}\p{N}$#@\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const shingles = new Set();
+    if (words.length < 3) {
+      if (words.length > 0) shingles.add(words.join(' '));
+      return shingles;
+    }
+
+    for (let i = 0; i <= words.length - 3; i++) {
+      shingles.add(words.slice(i, i + 3).join(' '));
+    }
+    return shingles;
+  }
+
+  jaccard(a, b) {
+    let intersection = 0;
+    a.forEach(item => {
+      if (b.has(item)) intersection++;
+    });
+    return intersection / (a.size + b.size - intersection);
+  }
+}
+
+export default new SpamDetectionService();
@@ -10,6 +10,13 @@ const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey)
 
+// JSON with sorted keys, so values read back from JSONB compare equal to what was stored
+const canonicalJson = (value) => JSON.stringify(value, (key, nested) =>
+  nested && typeof nested === 'object' && !Array.isArray(nested)
+    ? Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]))
+    : nested
+)
+
 class SupabaseService {
   constructor() {
     this.cache = new Map()
@@ -70,25 +77,51 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Look up an account's profile through the account-lookup edge function
+   * Resolves to { identifier, name, external_id, follower_count, is_verified, avatar_url, influence_score }.
+   */
+  async lookupAccount(type, identifier) {
+    const { data, error } = await supabase.functions.invoke('account-lookup', {
+      body: { type, identifier }
+    })
+
+    if (error) {
+      const details = await error.context?.json?.().catch(() => null)
+      throw new Error(details?.error || error.message)
+    }
+    return data
+  }
+
   /**
    * Add account to tracking list
    */
   async addTrackedAccount(accountData) {
     try {
+      const { data: { user } } = await supabase.auth.getUser()
+      if (!user) throw new Error('Sign in to track accounts')
+
       const { data, error } = await supabase
         .from('tracked_accounts')
         .insert({
+          user_id: user.id,
           account_type: accountData.type,
           account_identifier: accountData.identifier,
           account_name: accountData.name,
+          external_id: accountData.externalId || null,
+          avatar_url: accountData.avatarUrl || null,
           follower_count: accountData.followerCount || 0,
           is_verified: accountData.isVerified || false,
-          influence_score: accountData.influenceScore || 0.5
+          influence_score: accountData.influenceScore || 0.5,
+          last_lookup_at: accountData.externalId ? new Date().toISOString() : null
         })
         .select()
         .single()
 
-      if (error) throw error
+      if (error) {
+        if (error.code === '23505') throw new Error(`${accountData.identifier} is already tracked`)
+        throw error
+      }
       return data
 
     } catch (error) {
@@ -99,24 +132,69 @@ class SupabaseService {
 
   /**
    * Get user's tracked accounts
+   * Paused accounts are left out unless `includePaused` is set.
    */
-  async getTrackedAccounts() {
+  async getTrackedAccounts(options = {}) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('tracked_accounts')
         .select('*')
-        .eq('is_active', true)
         .order('created_at', { ascending: false })
 
+      if (!options.includePaused) {
+        query = query.eq('is_active', true)
+      }
+
+      const { data, error } = await query
+
       if (error) throw error
       return data || []
 
     } catch (error) {
       console.error('Error fetching tracked accounts:', error)
-      return []
+      throw error
     }
   }
 
+  /**
+   * Update a tracked account (pause/resume, refreshed profile details)
+   */
+  async updateTrackedAccount(accountId, updates) {
+    const { data, error } = await supabase
+      .from('tracked_accounts')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', accountId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Stop tracking an account
+   */
+  async removeTrackedAccount(accountId) {
+    const { error } = await supabase
+      .from('tracked_accounts')
+      .delete()
+      .eq('id', accountId)
+
+    if (error) throw error
+  }
+
+  /**
+   * Last mention and mention count since `since` for each tracked account, from stored mentions
+   */
+  async getTrackedAccountActivity(since) {
+    const { data, error } = await supabase.rpc('get_tracked_account_activity', {
+      since: new Date(since).toISOString()
+    })
+
+    if (error) throw error
+    return data || []
+  }
+
   /**
    * Create monitoring configuration
    */
@@ -169,9 +247,9 @@ class SupabaseService {
   /**
    * Get monitoring alerts
    */
-  async getMonitoringAlerts(limit = 50) {
+  async getMonitoringAlerts(limit = 50, options = {}) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('monitoring_alerts')
         .select(`
           *,
@@ -180,6 +258,13 @@ class SupabaseService {
         .order('triggered_at', { ascending: false })
         .limit(limit)
 
+      // Events logged by the browser already live in the local alert history
+      if (options.serverOnly) {
+        query = query.is('client_event_id', null)
+      }
+
+      const { data, error } = await query
+
       if (error) throw error
       return data || []
 
@@ -189,6 +274,251 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Update lifecycle fields on a monitoring alert
+   * (acknowledged_at, resolved_at, snoozed_until, escalated_at)
+   */
+  async updateMonitoringAlert(alertId, updates) {
+    const { data, error } = await supabase
+      .from('monitoring_alerts')
+      .update(updates)
+      .eq('id', alertId)
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Update lifecycle fields on every logged event of a client incident
+   */
+  async updateIncidentAlerts(incidentId, updates) {
+    const { error } = await supabase
+      .from('monitoring_alerts')
+      .update(updates)
+      .eq('incident_id', incidentId)
+
+    if (error) throw error
+  }
+
+  /**
+   * Upsert alert events logged by the browser, keyed by client_event_id
+   */
+  async saveAlertEvents(events) {
+    if (events.length === 0) return []
+
+    const rows = events.map(event => ({
+      client_event_id: event.id,
+      incident_id: event.incidentId,
+      alert_rule_id: event.alertId,
+      alert_type: event.type,
+      severity: event.severity,
+      title: event.title,
+      message: event.message,
+      metadata: {
+        kind: event.kind,
+        project: event.project,
+        data: event.data,
+        deliveries: event.deliveries
+      },
+      triggered_at: event.timestamp
+    }))
+
+    const { data, error } = await supabase
+      .from('monitoring_alerts')
+      .upsert(rows, { onConflict: 'client_event_id' })
+      .select('id, client_event_id')
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Store an alert so the periodic-monitoring function evaluates it server-side
+   * Keyed by the browser's alert id; server state (last price, baselines) is kept on update
+   * unless the alert's type or config changed, since it was built from the old settings.
+   */
+  async saveAlertDefinition(alert) {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Sign in to evaluate alerts on the server')
+
+    const { data: stored, error: storedError } = await supabase
+      .from('alert_definitions')
+      .select('alert_type, config')
+      .eq('client_alert_id', alert.id)
+      .maybeSingle()
+
+    if (storedError) throw storedError
+    const changed = stored &&
+      (stored.alert_type !== alert.type || canonicalJson(stored.config) !== canonicalJson(alert.config))
+
+    const { data, error } = await supabase
+      .from('alert_definitions')
+      .upsert({
+        user_id: user.id,
+        client_alert_id: alert.id,
+        alert_type: alert.type,
+        config: alert.config,
+        status: alert.status === 'active' ? 'active' : 'paused',
+        ...(changed && { state: {} }),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,client_alert_id' })
+      .select('id, triggered_count, last_triggered_at, last_checked_at, last_error')
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Remove a server-evaluated alert; its incidents stay in monitoring_alerts
+   */
+  async deleteAlertDefinition(alertId) {
+    const { error } = await supabase
+      .from('alert_definitions')
+      .delete()
+      .eq('client_alert_id', alertId)
+
+    if (error) throw error
+  }
+
+  /**
+   * Server-side check status for the signed-in user's alerts
+   */
+  async getAlertDefinitions() {
+    const { data, error } = await supabase
+      .from('alert_definitions')
+      .select('id, client_alert_id, status, triggered_count, last_triggered_at, last_checked_at, last_error')
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Store the notification policy so server-evaluated alerts follow it too
+   */
+  async saveNotificationPolicy(policy) {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Sign in to apply the notification policy on the server')
+
+    const { error } = await supabase
+      .from('notification_policies')
+      .upsert({
+        user_id: user.id,
+        policy,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+
+    if (error) throw error
+  }
+
+  /**
+   * Webhook deliveries made by the server for the signed-in user's alerts, newest first
+   */
+  async getWebhookDeliveries(limit = 200) {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Email an alert through the send-alert-email edge function
+   * Resolves to { status: 'sent' | 'queued', delivery_id }; queued emails go out in the next digest.
+   */
+  async sendAlertEmail(notification) {
+    return this.invokeSendAlertEmail({ action: 'send', notification })
+  }
+
+  /**
+   * Whether the recipient override is verified; alerts go to the account email until it is
+   * Resolves to { recipient, verified, pending }, pending while an emailed code is unexpired.
+   */
+  async getRecipientVerification() {
+    return this.invokeSendAlertEmail({ action: 'recipient_status' })
+  }
+
+  /**
+   * Email a verification code to the saved recipient override
+   */
+  async requestRecipientVerification() {
+    return this.invokeSendAlertEmail({ action: 'verify_recipient' })
+  }
+
+  /**
+   * Verify the recipient override with the code emailed to it
+   */
+  async confirmRecipient(code) {
+    return this.invokeSendAlertEmail({ action: 'verify_recipient', code })
+  }
+
+  async invokeSendAlertEmail(body) {
+    const { data, error } = await supabase.functions.invoke('send-alert-email', { body })
+
+    if (error) {
+      // Non-2xx responses carry the transport error in the body
+      const details = await error.context?.json?.().catch(() => null)
+      throw new Error(details?.error || error.message)
+    }
+    return data
+  }
+
+  /**
+   * Get server-side email delivery status for logged alert events
+   */
+  async getEmailDeliveries(eventIds) {
+    if (eventIds.length === 0) return []
+
+    const { data, error } = await supabase
+      .from('alert_email_deliveries')
+      .select('client_event_id, status, error, updated_at')
+      .in('client_event_id', eventIds)
+
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Get the signed-in user's email preferences (recipient override, digest settings)
+   */
+  async getEmailPreferences() {
+    const { data, error } = await supabase
+      .from('email_preferences')
+      .select('*')
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  /**
+   * Save email preferences for the signed-in user
+   */
+  async saveEmailPreferences(preferences) {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Sign in to change email preferences')
+
+    const { data, error } = await supabase
+      .from('email_preferences')
+      .upsert({
+        user_id: user.id,
+        recipient: preferences.recipient || null,
+        digest_enabled: preferences.digest_enabled,
+        digest_interval_minutes: preferences.digest_interval_minutes,
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  }
+
   /**
    * Get cached sentiment analysis
    */
@@ -280,6 +610,160 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Get scored mentions for a project since a timestamp, oldest first
+   */
+  async getScoredMentions(project, options = {}) {
+    try {
+      const { data, error } = await supabase
+        .from('twitter_mentions')
+        .select('tweet_id, created_at, sentiment_score, sentiment_analysis')
+        .eq('project', project.toLowerCase())
+        .gte('created_at', options.since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString())
+        .not('sentiment_score', 'is', null)
+        .order('created_at', { ascending: true })
+        .limit(options.limit || 10000)
+
+      if (error) throw error
+      return data || []
+
+    } catch (error) {
+      console.error('Error fetching scored mentions:', error)
+      return []
+    }
+  }
+
+  /**
+   * Store sentiment results on mention rows so history is shared across clients
+   */
+  async saveMentionSentiments(project, mentions, sentimentResults) {
+    const rows = mentions
+      .map((mention, index) => ({ mention, result: sentimentResults[index] }))
+      .filter(({ mention, result }) => result && mention.id && mention.text && (mention.created_at || mention.createdAt))
+      .map(({ mention, result }) => ({
+        project: project.toLowerCase(),
+        tweet_id: String(mention.id),
+        text: mention.text,
+        created_at: mention.created_at || mention.createdAt,
+        author_id: mention.author_id,
+        public_metrics: mention.public_metrics,
+        sentiment_score: result.sentiment_score,
+        sentiment_analysis: {
+          sentiment: result.sentiment,
+          confidence: result.confidence,
+          explanation: result.explanation,
+          key_phrases: result.key_phrases,
+          aspects: result.aspects,
+          engine: result.engine
+        }
+      }))
+
+    if (rows.length === 0) return
+
+    try {
+      const { error } = await supabase
+        .from('twitter_mentions')
+        .upsert(rows, { onConflict: 'tweet_id' })
+
+      if (error) throw error
+
+    } catch (error) {
+      console.error('Error saving mention sentiments:', error)
+    }
+  }
+
+  /**
+   * Get stored channel messages, posts and feed items containing any of the terms, newest first
+   */
+  async getChannelMentions(terms, options = {}) {
+    const { sources = ['telegram', 'discord', 'reddit', 'rss', 'farcaster'], startTime, endTime, limit = 100 } = options
+
+    // Quoted so commas and dots in keywords do not break the filter
+    let query = supabase
+      .from('mentions')
+      .select('*')
+      .in('source', sources)
+      .or(terms.map(term => `text.ilike."%${term.replace(/["\\]/g, '')}%"`).join(','))
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (startTime) query = query.gte('created_at', startTime)
+    if (endTime) query = query.lt('created_at', endTime)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Tweets the filtered stream stored for any of the given rule tags, ingested in (since, until]
+   */
+  async getStreamedMentions(tags, options = {}) {
+    const { since, until, limit = 500 } = options
+
+    let query = supabase
+      .from('mentions')
+      .select('*')
+      .eq('source', 'twitter')
+      .overlaps('matching_rules', tags)
+      .order('ingested_at', { ascending: false })
+      .limit(limit)
+
+    if (since) query = query.gt('ingested_at', since)
+    if (until) query = query.lte('ingested_at', until)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data || []
+  }
+
+  /**
+   * Store a monitor's keywords so the twitter-stream function keeps stream rules for them
+   * Keyed by the browser's monitor id, like alert definitions.
+   */
+  async saveMonitorStreamKeywords(monitor) {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) throw new Error('Sign in to stream monitor keywords')
+
+    const { error } = await supabase
+      .from('monitor_stream_keywords')
+      .upsert({
+        user_id: user.id,
+        client_monitor_id: monitor.id,
+        keywords: monitor.keywords,
+        is_active: monitor.isActive,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,client_monitor_id' })
+
+    if (error) throw error
+  }
+
+  /**
+   * Stop streaming a deleted monitor's keywords
+   */
+  async deleteMonitorStreamKeywords(monitorId) {
+    const { error } = await supabase
+      .from('monitor_stream_keywords')
+      .delete()
+      .eq('client_monitor_id', monitorId)
+
+    if (error) throw error
+  }
+
+  /**
+   * Sync the filtered-stream rules with the stored monitor keywords
+   * Resolves to { streamed, skipped, heartbeat, retry_at } for the given keywords.
+   */
+  async syncStreamRules(keywords) {
+    const { data, error } = await supabase.functions.invoke('twitter-stream', {
+      body: { action: 'sync', keywords }
+    })
+
+    if (error) throw error
+    if (data?.error) throw new Error(data.error)
+    return data
+  }
+
   /**
    * Trigger periodic monitoring manually
    */
@@ -298,15 +782,59 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Subscribe to newly stored tweets and channel messages
+   */
+  subscribeToMentions(callback) {
+    return supabase
+      .channel('mentions')
+      .on('postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'twitter_mentions'
+        },
+        callback
+      )
+      .on('postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'mentions'
+        },
+        callback
+      )
+      .subscribe()
+  }
+
+  /**
+   * Subscribe to tweets stored by the twitter-stream function
+   */
+  subscribeToStreamedTweets(callback) {
+    return supabase
+      .channel('twitter_stream')
+      .on('postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'mentions',
+          filter: 'source=eq.twitter'
+        },
+        callback
+      )
+      .subscribe()
+  }
+
   /**
    * Subscribe to real-time alerts
+   * Inserts are new incidents; updates carry re-triggers, escalations and lifecycle changes.
    */
   subscribeToAlerts(callback) {
     return supabase
       .channel('monitoring_alerts')
       .on('postgres_changes', 
         { 
-          event: 'INSERT', 
+          event: '*', 
           schema: 'public', 
           table: 'monitoring_alerts' 
         }, 
@@ -7,6 +7,7 @@ import dexScreenerService from './dexScreenerService.js';
 import coinGeckoService from './coinGeckoService.js';
 import twitterService from './twitterService.js';
 import sentimentService from './sentimentService.js';
+import correlationService from './correlationService.js';
 
 class ToolsService {
   constructor() {
@@ -108,6 +109,38 @@ class ToolsService {
           }
         }
       },
+      {
+        type: "function",
+        function: {
+          name: "analyze_sentiment_price_correlation",
+          description: "Measure how a token's social sentiment correlates with its price, including whether sentiment tends to lead or lag price moves",
+          parameters: {
+            type: "object",
+            properties: {
+              token_name: {
+                type: "string",
+                description: "The token name, as tracked for sentiment (e.g., Bitcoin)"
+              },
+              coin_id: {
+                type: "string",
+                description: "CoinGecko coin id, if it differs from the token name (e.g., bitcoin)"
+              },
+              range: {
+                type: "string",
+                enum: ["24h", "7d", "30d", "90d"],
+                description: "History to analyze",
+                default: "7d"
+              },
+              max_lag: {
+                type: "number",
+                description: "Largest lead/lag to test, in buckets (hourly, or daily for 90d)",
+                default: 6
+              }
+            },
+            required: ["token_name"]
+          }
+        }
+      },
       {
         type: "function",
         function: {
@@ -225,6 +258,8 @@ class ToolsService {
           return await this.getTrendingTokens(parameters);
         case 'analyze_token_sentiment':
           return await this.analyzeTokenSentiment(parameters);
+        case 'analyze_sentiment_price_correlation':
+          return await this.analyzeSentimentPriceCorrelation(parameters);
         case 'get_token_mentions':
           return await this.getTokenMentions(parameters);
         case 'get_dex_token_data':
@@ -340,6 +375,35 @@ class ToolsService {
     }
   }
 
+  async analyzeSentimentPriceCorrelation({ token_name, coin_id, range = '7d', max_lag = 6 }) {
+    try {
+      const analysis = await correlationService.analyzeSentimentPriceCorrelation(token_name, {
+        coinId: coin_id,
+        range,
+        maxLag: max_lag
+      });
+
+      // Leave out the per-bucket series; the model only needs the statistics
+      return {
+        success: true,
+        data: {
+          summary: analysis.summary,
+          relationship: analysis.relationship,
+          best_lag: analysis.best_lag,
+          best_correlation: analysis.best_correlation,
+          significant: analysis.significant,
+          lag_unit: analysis.lag_unit,
+          cross_correlation: analysis.cross_correlation,
+          coin_id: analysis.coin_id
+        },
+        token: token_name,
+        range
+      };
+    } catch (error) {
+      return { error: true, message: error.message };
+    }
+  }
+
   async getTokenMentions({ token_name, max_results = 50, include_sentiment = true }) {
     try {
       const mentions = await twitterService.searchMentions(token_name, {
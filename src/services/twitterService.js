@@ -66,12 +66,13 @@ class TwitterService {
 
   /**
    * Search for recent tweets mentioning crypto projects
+   * The API returns at most 100 tweets a request; larger `maxResults` follow next_token.
    */
   async searchMentions(query, options = {}) {
     const {
       maxResults = 100,
       tweetFields = 'created_at,author_id,public_metrics,context_annotations,lang',
-      userFields = 'username,name,verified,public_metrics',
+      userFields = 'username,name,verified,public_metrics,created_at',
       expansions = 'author_id',
       startTime = null,
       endTime = null
@@ -90,6 +91,12 @@ class TwitterService {
 
     try {
       const data = await this.makeRequest('/tweets/search/recent', params);
+      while (data.meta?.next_token && (data.data?.length || 0) < maxResults) {
+        const page = await this.makeRequest('/tweets/search/recent', { ...params, next_token: data.meta.next_token });
+        data.data = [...(data.data || []), ...(page.data || [])];
+        data.includes = { users: [...(data.includes?.users || []), ...(page.includes?.users || [])] };
+        data.meta = { ...page.meta, result_count: data.data.length };
+      }
       return this.formatTweetData(data);
     } catch (error) {
       console.error('Error searching mentions:', error);
@@ -98,26 +105,60 @@ class TwitterService {
   }
 
   /**
-   * Build optimized search query for crypto mentions
+   * Get mention counts per time bucket for the last 7 days
+   * Unlike searchMentions there is no mock fallback: callers building baselines
+   * should not learn from fabricated counts, so errors are thrown.
    */
-  buildSearchQuery(project) {
-    const cryptoTerms = {
-      'bitcoin': '$BTC OR Bitcoin OR #Bitcoin',
-      'ethereum': '$ETH OR Ethereum OR #Ethereum',
-      'solana': '$SOL OR Solana OR #Solana',
-      'cardano': '$ADA OR Cardano OR #Cardano',
-      'polygon': '$MATIC OR Polygon OR #Polygon',
-      'chainlink': '$LINK OR Chainlink OR #Chainlink',
-      'avalanche': '$AVAX OR Avalanche OR #Avalanche',
-      'polkadot': '$DOT OR Polkadot OR #Polkadot'
+  async getMentionCounts(query, options = {}) {
+    const { granularity = 'hour', startTime = null, endTime = null } = options;
+
+    const params = {
+      query: this.buildSearchQuery(query),
+      granularity
     };
+    if (startTime) params.start_time = startTime;
+    if (endTime) params.end_time = endTime;
+
+    const data = await this.makeRequest('/tweets/counts/recent', params);
 
-    const baseQuery = cryptoTerms[project.toLowerCase()] || `$${project.toUpperCase()} OR ${project}`;
+    return {
+      buckets: (data.data || []).map(bucket => ({
+        start: new Date(bucket.start).getTime(),
+        end: new Date(bucket.end).getTime(),
+        count: bucket.tweet_count
+      })),
+      total: data.meta?.total_tweet_count ?? 0
+    };
+  }
+
+  /**
+   * Build optimized search query for crypto mentions
+   */
+  buildSearchQuery(project) {
+    const baseQuery = this.getSearchTerms(project).join(' OR ');
     
     // Add crypto-specific filters
     return `(${baseQuery}) lang:en -is:retweet has:hashtags`;
   }
 
+  /**
+   * Ticker, name and hashtag a project is mentioned by
+   */
+  getSearchTerms(project) {
+    const cryptoTerms = {
+      'bitcoin': ['$BTC', 'Bitcoin', '#Bitcoin'],
+      'ethereum': ['$ETH', 'Ethereum', '#Ethereum'],
+      'solana': ['$SOL', 'Solana', '#Solana'],
+      'cardano': ['$ADA', 'Cardano', '#Cardano'],
+      'polygon': ['$MATIC', 'Polygon', '#Polygon'],
+      'chainlink': ['$LINK', 'Chainlink', '#Chainlink'],
+      'avalanche': ['$AVAX', 'Avalanche', '#Avalanche'],
+      'polkadot': ['$DOT', 'Polkadot', '#Polkadot']
+    };
+
+    return cryptoTerms[project.toLowerCase()] || [`$${project.toUpperCase()}`, project];
+  }
+
   /**
    * Format raw Twitter API response data
    */
@@ -139,12 +180,16 @@ class TwitterService {
         id: tweet.id,
         text: tweet.text,
         createdAt: tweet.created_at,
+        lang: tweet.lang,
         author: {
           id: tweet.author_id,
           username: author.username || 'unknown',
           name: author.name || 'Unknown User',
           verified: author.verified || false,
-          followers: author.public_metrics?.followers_count || 0
+          followers: author.public_metrics?.followers_count || 0,
+          following: author.public_metrics?.following_count || 0,
+          tweetCount: author.public_metrics?.tweet_count || 0,
+          createdAt: author.created_at
         },
         metrics: {
           retweets: tweet.public_metrics?.retweet_count || 0,
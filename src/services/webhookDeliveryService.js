@@ -0,0 +1,438 @@
+/**
+ * Webhook Delivery Service for CryptoSentinel
+ * Signed, retried webhook deliveries with a persistent delivery log
+ *
+ * Every delivery wraps its data in a versioned envelope and is signed with the
+ * webhook's secret:
+ *
+ *   X-CryptoSentinel-Timestamp: <unix seconds>
+ *   X-CryptoSentinel-Signature: v1=<hex HMAC-SHA256 of `${timestamp}.${body}`>
+ *   Idempotency-Key: <delivery id, stable across retries and replays>
+ *
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with
+ * exponential backoff; other 4xx responses and exhausted retries land in the
+ * dead-letter queue, from which deliveries can be replayed.
+ *
+ * Server-evaluated alerts log their deliveries in the webhook_deliveries table with
+ * the same statuses; settled ones are merged into this log.
+ */
+
+import supabaseService from './supabaseService.js';
+
+export const WEBHOOK_PAYLOAD_VERSION = 1;
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'dead'];
+
+// Deliveries logged by the service worker (public/sw-mention-monitor.js), in a database
+// of their own so its version does not have to move with the sentiment cache's
+const BACKGROUND_DB_NAME = 'cryptosentinel-webhooks';
+const BACKGROUND_STORE = 'webhook_deliveries';
+
+const RESPONSE_SNIPPET_LENGTH = 500;
+
+class WebhookDeliveryService {
+  constructor() {
+    this.storageKey = 'cryptosentinel_webhook_deliveries';
+    this.config = {
+      maxAttempts: 6,
+      baseDelay: 30 * 1000, // 30s, 1m, 2m, 4m, 8m
+      maxDelay: 30 * 60 * 1000,
+      timeout: 10 * 1000,
+      maxSettledDeliveries: 500, // delivered and dead entries kept in the log
+      maxDeadLetters: 200 // newest dead letters kept within maxSettledDeliveries
+    };
+    this.deliveries = new Map();
+    this.listeners = new Set();
+    this.retryTimer = null;
+
+    this.loadDeliveriesFromStorage();
+    this.scheduleRetries();
+  }
+
+  /**
+   * Deliver an event to a webhook
+   * Makes the first attempt before resolving; failed attempts are retried in the background.
+   * Resolves to the delivery record.
+   */
+  async deliver({ url, secret = null, headers = {}, eventType, data, source = 'alert', sourceId = null, meta = {} }) {
+    const id = this.generateDeliveryId();
+    const body = JSON.stringify({
+      version: WEBHOOK_PAYLOAD_VERSION,
+      id,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data
+    });
+
+    const delivery = {
+      id,
+      url,
+      secret,
+      headers,
+      eventType,
+      body,
+      source,
+      sourceId,
+      meta,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString(),
+      deliveredAt: null
+    };
+
+    this.deliveries.set(id, delivery);
+    return this.attempt(delivery);
+  }
+
+  /**
+   * Replay a delivery with the same body and idempotency key
+   */
+  async replay(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery) {
+      throw new Error(`Webhook delivery ${deliveryId} not found`);
+    }
+    if (delivery.status === 'pending') {
+      throw new Error('Delivery is already in progress');
+    }
+
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = null;
+    delivery.replayedAt = new Date().toISOString();
+    // A replay gets a fresh retry budget
+    delivery.retryBase = delivery.attempts.length;
+    return this.attempt(delivery);
+  }
+
+  async attempt(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attemptNumber = delivery.attempts.length + 1;
+    const headers = {
+      'Content-Type': 'application/json',
+      ...delivery.headers,
+      'X-CryptoSentinel-Event': delivery.eventType,
+      'X-CryptoSentinel-Version': String(WEBHOOK_PAYLOAD_VERSION),
+      'X-CryptoSentinel-Timestamp': String(timestamp),
+      'X-CryptoSentinel-Attempt': String(attemptNumber),
+      'Idempotency-Key': delivery.id
+    };
+    if (delivery.secret) {
+      headers['X-CryptoSentinel-Signature'] = `v1=${await this.sign(delivery.secret, timestamp, delivery.body)}`;
+    }
+
+    const record = { at: new Date().toISOString(), statusCode: null, latencyMs: null, response: null, error: null };
+    const started = performance.now();
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.config.timeout);
+    let retryAfter = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body: delivery.body,
+        signal: controller.signal
+      });
+
+      record.statusCode = response.status;
+      record.response = (await response.text().catch(() => '')).slice(0, RESPONSE_SNIPPET_LENGTH);
+      retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+      if (!response.ok) {
+        record.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      record.error = error.name === 'AbortError' ? `Timed out after ${this.config.timeout / 1000}s` : error.message;
+    } finally {
+      clearTimeout(timeout);
+      record.latencyMs = Math.round(performance.now() - started);
+    }
+
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = record.at;
+      delivery.nextAttemptAt = null;
+    } else if (this.isRetryable(record.statusCode) && this.attemptsInRun(delivery) < this.config.maxAttempts) {
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = Date.now() + (retryAfter ?? this.getBackoffDelay(this.attemptsInRun(delivery)));
+    } else {
+      delivery.status = 'dead';
+      delivery.nextAttemptAt = null;
+      console.error(`Webhook delivery ${delivery.id} to ${delivery.url} moved to dead-letter queue: ${record.error}`);
+    }
+
+    this.saveDeliveriesToStorage();
+    this.scheduleRetries();
+    this.notify(delivery);
+    return delivery;
+  }
+
+  /**
+   * Retry every delivery whose backoff has elapsed
+   */
+  async processRetries() {
+    const due = Array.from(this.deliveries.values())
+      .filter(delivery => delivery.status === 'retrying' && delivery.nextAttemptAt <= Date.now());
+
+    for (const delivery of due) {
+      delivery.status = 'pending';
+      await this.attempt(delivery);
+    }
+  }
+
+  scheduleRetries() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    const next = Math.min(...Array.from(this.deliveries.values())
+      .filter(delivery => delivery.status === 'retrying')
+      .map(delivery => delivery.nextAttemptAt));
+    if (!isFinite(next)) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processRetries().catch(error => console.error('Webhook retry failed:', error));
+    }, Math.max(next - Date.now(), 0));
+  }
+
+  // 30s, 60s, 120s, ... capped, with ±20% jitter so retries of many deliveries spread out
+  getBackoffDelay(attempts) {
+    const delay = Math.min(this.config.baseDelay * 2 ** (attempts - 1), this.config.maxDelay);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  isRetryable(statusCode) {
+    return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+  }
+
+  attemptsInRun(delivery) {
+    return delivery.attempts.length - (delivery.retryBase || 0);
+  }
+
+  parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = parseInt(value);
+    if (!isNaN(seconds)) return Math.min(seconds * 1000, this.config.maxDelay);
+    const date = new Date(value).getTime();
+    return isNaN(date) ? null : Math.min(Math.max(date - Date.now(), 0), this.config.maxDelay);
+  }
+
+  /**
+   * HMAC-SHA256 over `${timestamp}.${body}`, hex encoded
+   */
+  async sign(secret, timestamp, body) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  generateSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    return `whsec_${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Query the delivery log, newest first
+   * Filters: url, status ('dead' is the dead-letter queue), source, sourceId
+   */
+  getDeliveries(filters = {}) {
+    const { url = null, status = null, source = null, sourceId = null } = filters;
+
+    return Array.from(this.deliveries.values())
+      .filter(delivery =>
+        (!url || delivery.url === url) &&
+        (!status || delivery.status === status) &&
+        (!source || delivery.source === source) &&
+        (!sourceId || delivery.sourceId === sourceId)
+      )
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(({ secret, ...delivery }) => delivery);
+  }
+
+  getDeadLetters() {
+    return this.getDeliveries({ status: 'dead' });
+  }
+
+  getWebhookUrls() {
+    return [...new Set(Array.from(this.deliveries.values()).map(delivery => delivery.url))].sort();
+  }
+
+  /**
+   * Per-webhook summary: deliveries, success rate, average latency
+   */
+  getStats(url) {
+    const deliveries = Array.from(this.deliveries.values()).filter(delivery => delivery.url === url);
+    const attempts = deliveries.flatMap(delivery => delivery.attempts);
+    const settled = deliveries.filter(delivery => ['delivered', 'dead'].includes(delivery.status));
+
+    return {
+      deliveries: deliveries.length,
+      delivered: deliveries.filter(delivery => delivery.status === 'delivered').length,
+      dead: deliveries.filter(delivery => delivery.status === 'dead').length,
+      retrying: deliveries.filter(delivery => delivery.status === 'retrying').length,
+      successRate: settled.length > 0
+        ? Math.round((settled.filter(delivery => delivery.status === 'delivered').length / settled.length) * 100)
+        : null,
+      avgLatencyMs: attempts.length > 0
+        ? Math.round(attempts.reduce((sum, attempt) => sum + attempt.latencyMs, 0) / attempts.length)
+        : null
+    };
+  }
+
+  discard(deliveryId) {
+    this.deliveries.delete(deliveryId);
+    this.saveDeliveriesToStorage();
+  }
+
+  /**
+   * Subscribe to delivery updates; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(delivery) {
+    const { secret, ...visible } = delivery;
+    this.listeners.forEach(listener => {
+      try {
+        listener(visible);
+      } catch (error) {
+        console.error('Webhook delivery listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Move settled deliveries logged by the service worker into this log
+   * Deliveries the worker is still retrying stay with it.
+   */
+  async importBackgroundDeliveries() {
+    if (typeof indexedDB === 'undefined') return 0;
+
+    try {
+      const db = await this.openBackgroundDb();
+      const entries = await this.idbRequest(db.transaction(BACKGROUND_STORE).objectStore(BACKGROUND_STORE).getAll());
+      const settled = entries.filter(entry => ['delivered', 'dead'].includes(entry.status));
+      if (settled.length === 0) return 0;
+
+      settled.forEach(entry => this.deliveries.set(entry.id, entry));
+      this.saveDeliveriesToStorage();
+
+      const store = db.transaction(BACKGROUND_STORE, 'readwrite').objectStore(BACKGROUND_STORE);
+      await Promise.all(settled.map(entry => this.idbRequest(store.delete(entry.id))));
+      settled.forEach(entry => this.notify(entry));
+      return settled.length;
+    } catch (error) {
+      console.error('Failed to import background webhook deliveries:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Merge settled deliveries made by the periodic-monitoring function into this log
+   * Deliveries replayed here keep their local state.
+   */
+  async importServerDeliveries() {
+    try {
+      const rows = await supabaseService.getWebhookDeliveries();
+      const settled = rows
+        .filter(row => ['delivered', 'dead'].includes(row.status))
+        .filter(row => !this.deliveries.get(row.id)?.replayedAt)
+        .map(row => ({
+          id: row.id,
+          url: row.url,
+          secret: row.secret,
+          headers: {},
+          eventType: row.event_type,
+          body: row.body,
+          source: row.source,
+          sourceId: row.source_id,
+          meta: { ...row.meta, origin: 'server' },
+          status: row.status,
+          attempts: row.attempts,
+          nextAttemptAt: null,
+          createdAt: row.created_at,
+          deliveredAt: row.delivered_at
+        }));
+      if (settled.length === 0) return 0;
+
+      settled.forEach(entry => this.deliveries.set(entry.id, entry));
+      this.saveDeliveriesToStorage();
+      settled.forEach(entry => this.notify(entry));
+      return settled.length;
+    } catch (error) {
+      console.error('Failed to import server webhook deliveries:', error);
+      return 0;
+    }
+  }
+
+  openBackgroundDb() {
+    const request = indexedDB.open(BACKGROUND_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(BACKGROUND_STORE, { keyPath: 'id' });
+    };
+    return this.idbRequest(request);
+  }
+
+  idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  generateDeliveryId() {
+    return `whd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Persistence methods
+   * Pending, retrying and dead deliveries are always kept; delivered ones are trimmed.
+   */
+  saveDeliveriesToStorage() {
+    try {
+      const all = Array.from(this.deliveries.values())
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      // Deliveries still being attempted are always kept; settled ones are capped
+      const open = all.filter(delivery => !['delivered', 'dead'].includes(delivery.status));
+      const dead = all
+        .filter(delivery => delivery.status === 'dead')
+        .slice(0, Math.min(this.config.maxDeadLetters, this.config.maxSettledDeliveries));
+      const delivered = all
+        .filter(delivery => delivery.status === 'delivered')
+        .slice(0, Math.max(this.config.maxSettledDeliveries - dead.length, 0));
+      const kept = [...open, ...dead, ...delivered];
+
+      this.deliveries = new Map(kept.map(delivery => [delivery.id, delivery]));
+      localStorage.setItem(this.storageKey, JSON.stringify(kept));
+    } catch (error) {
+      console.error('Failed to save webhook deliveries to storage:', error);
+    }
+  }
+
+  loadDeliveriesFromStorage() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        JSON.parse(stored).forEach(delivery => {
+          // An attempt interrupted by a reload is retried
+          if (delivery.status === 'pending') {
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = Date.now();
+          }
+          this.deliveries.set(delivery.id, delivery);
+        });
+      }
+    } catch (error) {
+      console.error('Failed to load webhook deliveries from storage:', error);
+      this.deliveries = new Map();
+    }
+  }
+}
+
+export default new WebhookDeliveryService();
@@ -0,0 +1,195 @@
+// Anomaly scoring for server-evaluated alerts, ported from src/services/anomalyDetectionService.js
+//
+// Baselines are plain objects kept in alert_definitions.state, so each alert carries
+// its own rolling window, EWMA and hour-of-day statistics between runs.
+
+const HOUR_MS = 60 * 60 * 1000
+
+const config = {
+  windowSize: 168, // one week of hourly observations
+  alpha: 0.1, // EWMA smoothing factor
+  minSamples: 24, // observations before a baseline can trigger
+  minSeasonalSamples: 3, // observations per hour-of-day before seasonality is used
+  zThreshold: 3,
+  percentileThreshold: 99,
+  sampleInterval: HOUR_MS // at most one observation per interval
+}
+
+export interface Baseline {
+  windowSize: number
+  sampleInterval: number
+  count: number
+  lastSlot: number | null
+  updatedAt: number | null
+  window: number[]
+  ewma: number
+  ewmVar: number
+  hourly: { count: number, mean: number, m2: number }[]
+}
+
+export interface EvaluateOptions {
+  timestamp?: number
+  method?: 'zscore' | 'percentile' | 'either'
+  direction?: 'up' | 'down' | 'both'
+  zThreshold?: number
+  percentileThreshold?: number
+  counts?: boolean
+  record?: boolean
+}
+
+export function createBaseline(): Baseline {
+  return {
+    windowSize: config.windowSize,
+    sampleInterval: config.sampleInterval,
+    count: 0,
+    lastSlot: null,
+    updatedAt: null,
+    window: [],
+    ewma: 0,
+    ewmVar: 0,
+    hourly: Array.from({ length: 24 }, () => ({ count: 0, mean: 0, m2: 0 }))
+  }
+}
+
+// Add an observation; values in an interval that is already recorded are ignored
+export function observe(baseline: Baseline, value: number, timestamp: number): boolean {
+  if (typeof value !== 'number' || !isFinite(value)) return false
+
+  const slot = baseline.sampleInterval > 0 ? Math.floor(timestamp / baseline.sampleInterval) : timestamp
+  if (baseline.lastSlot !== null && slot <= baseline.lastSlot) return false
+
+  baseline.lastSlot = slot
+  baseline.count++
+  baseline.updatedAt = timestamp
+
+  baseline.window.push(value)
+  if (baseline.window.length > baseline.windowSize) {
+    baseline.window.splice(0, baseline.window.length - baseline.windowSize)
+  }
+
+  if (baseline.count === 1) {
+    baseline.ewma = value
+    baseline.ewmVar = 0
+  } else {
+    const diff = value - baseline.ewma
+    const increment = config.alpha * diff
+    baseline.ewma += increment
+    baseline.ewmVar = (1 - config.alpha) * (baseline.ewmVar + diff * increment)
+  }
+
+  const hour = baseline.hourly[new Date(timestamp).getUTCHours()]
+  hour.count++
+  const delta = value - hour.mean
+  hour.mean += delta / hour.count
+  hour.m2 += delta * (value - hour.mean)
+
+  return true
+}
+
+export function seed(baseline: Baseline, observations: { timestamp: number, value: number }[]): number {
+  return [...observations]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .filter(({ timestamp, value }) => observe(baseline, value, timestamp))
+    .length
+}
+
+export function summarize(baseline: Baseline, timestamp: number) {
+  if (baseline.count === 0) {
+    return { samples: 0, expected: 0, mean: 0, stddev: 0, ewma: 0, ewma_stddev: 0, seasonal: false }
+  }
+
+  const n = baseline.window.length
+  const mean = baseline.window.reduce((sum, value) => sum + value, 0) / n
+  const variance = n > 1
+    ? baseline.window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)
+    : 0
+
+  const hourOfDay = new Date(timestamp).getUTCHours()
+  const hour = baseline.hourly[hourOfDay]
+  const seasonal = hour.count >= config.minSeasonalSamples
+  const seasonalStddev = hour.count > 1 ? Math.sqrt(hour.m2 / (hour.count - 1)) : 0
+
+  return {
+    samples: baseline.count,
+    mean: round(mean),
+    stddev: round(Math.sqrt(variance)),
+    ewma: round(baseline.ewma),
+    ewma_stddev: round(Math.sqrt(baseline.ewmVar)),
+    seasonal,
+    hour_of_day: hourOfDay,
+    seasonal_mean: round(hour.mean),
+    seasonal_stddev: round(seasonalStddev),
+    seasonal_samples: hour.count,
+    expected: round(seasonal ? hour.mean : baseline.ewma),
+    updated_at: baseline.updatedAt
+  }
+}
+
+// Score a value, decide whether it is anomalous, then record it
+export function evaluate(baseline: Baseline, value: number, options: EvaluateOptions = {}): Record<string, any> {
+  const {
+    timestamp = Date.now(),
+    method = 'zscore',
+    direction = 'up',
+    zThreshold = config.zThreshold,
+    percentileThreshold = config.percentileThreshold,
+    counts = false,
+    record = true
+  } = options
+
+  const summary: Record<string, any> = summarize(baseline, timestamp)
+  let scored: Record<string, any> = { value, z_score: null, percentile: null, baseline: summary }
+
+  if (baseline.count > 0) {
+    const floor = counts ? Math.sqrt(Math.max(summary.expected, 1)) : 0 // Poisson noise for count series
+    const stddev = Math.max(summary.seasonal ? summary.seasonal_stddev : summary.stddev, floor)
+    const ewmaStddev = Math.max(summary.ewma_stddev, floor)
+
+    let below = 0
+    let equal = 0
+    baseline.window.forEach(observed => {
+      if (observed < value) below++
+      else if (observed === value) equal++
+    })
+
+    scored = {
+      value,
+      z_score: round(stddev > 0 ? (value - summary.expected) / stddev : 0),
+      ewma_z_score: ewmaStddev > 0 ? round((value - summary.ewma) / ewmaStddev) : 0,
+      percentile: round(((below + equal / 2) / baseline.window.length) * 100),
+      baseline: { ...summary, effective_stddev: round(stddev) }
+    }
+  }
+
+  const warmingUp = summary.samples < config.minSamples
+  const zBreach = scored.z_score !== null && (
+    (direction !== 'down' && scored.z_score >= zThreshold) ||
+    (direction !== 'up' && scored.z_score <= -zThreshold)
+  )
+  const percentileBreach = scored.percentile !== null && (
+    (direction !== 'down' && scored.percentile >= percentileThreshold) ||
+    (direction !== 'up' && scored.percentile <= 100 - percentileThreshold)
+  )
+
+  let breached = zBreach
+  if (method === 'percentile') breached = percentileBreach
+  if (method === 'either') breached = zBreach || percentileBreach
+
+  if (record) {
+    observe(baseline, value, timestamp)
+  }
+
+  return {
+    ...scored,
+    is_anomaly: !warmingUp && breached,
+    warming_up: warmingUp,
+    method,
+    direction,
+    z_threshold: zThreshold,
+    percentile_threshold: percentileThreshold
+  }
+}
+
+function round(value: number) {
+  return Math.round(value * 1000) / 1000
+}
@@ -0,0 +1,721 @@
+// Alert checkers for server-side evaluation, with the semantics of the browser
+// checkers in src/services/alertService.js and alertRuleService.js
+//
+// A definition is { alert_type, config, state, last_checked_at } from alert_definitions.
+// Checkers may update `state` (previous price, liquidity readings, anomaly baseline);
+// the caller saves it after every run.
+
+import { CHANNEL_SOURCES, Sources } from './sources.ts'
+import { Baseline, createBaseline, evaluate, seed } from './anomaly.ts'
+
+const HOUR_MS = 60 * 60 * 1000
+
+export const MARKET_WINDOWS: Record<string, number> = {
+  '1h': HOUR_MS,
+  '4h': 4 * HOUR_MS,
+  '24h': 24 * HOUR_MS,
+  '7d': 7 * 24 * HOUR_MS
+}
+
+export interface AlertDefinition {
+  id: string
+  user_id: string
+  client_alert_id: string
+  alert_type: string
+  config: Record<string, any>
+  state: Record<string, any>
+  triggered_count: number
+  last_checked_at: string | null
+}
+
+export interface CheckResult {
+  shouldTrigger: boolean
+  triggerData: Record<string, any> | null
+}
+
+type Checker = (definition: AlertDefinition, sources: Sources, now: number) => Promise<CheckResult>
+
+const checkers: Record<string, Checker> = {
+  mention_increase: checkMentionIncrease,
+  sentiment_change: checkSentimentChange,
+  new_mention: checkNewMention,
+  influencer_mention: checkInfluencerMention,
+  volume_spike: checkVolumeSpike,
+  composite: checkCompositeRule,
+  price_cross: checkPriceCross,
+  price_move: checkPriceMove,
+  liquidity_drop: checkLiquidityDrop,
+  volume_24h_spike: checkVolume24hSpike,
+  fdv_threshold: checkFdvThreshold
+}
+
+export function checkAlert(definition: AlertDefinition, sources: Sources, now = Date.now()): Promise<CheckResult> {
+  const checker = checkers[definition.alert_type]
+  if (!checker) {
+    throw new Error(`Unknown alert type: ${definition.alert_type}`)
+  }
+  return checker(definition, sources, now)
+}
+
+async function checkMentionIncrease(definition: AlertDefinition, sources: Sources, now: number): Promise<CheckResult> {
+  if (usesAnomalyDetection(definition)) {
+    const anomaly = await evaluateMentionAnomaly(definition, sources, now)
+    const expected = anomaly.baseline.expected
+    return {
+      shouldTrigger: anomaly.is_anomaly,
+      triggerData: {
+        current_mentions: anomaly.value,
+        baseline_mentions: Math.round(expected),
+        increase_percent: expected > 0 ? Math.round(((anomaly.value - expected) / expected) * 100) : 0,
+        ...formatAnomalyData(anomaly)
+      }
+    }
+  }
+
+  const { project, threshold } = definition.config
+  const thresholdPercent = parseFloat(threshold) / 100
+
+  const current = await sources.searchMentions(project, { sources: definition.config.sources, startTime: now - HOUR_MS })
+  const baseline = await sources.searchMentions(project, { sources: definition.config.sources, startTime: now - 2 * HOUR_MS, endTime: now - HOUR_MS })
+  const increase = baseline.length > 0 ? (current.length - baseline.length) / baseline.length : 0
+
+  return {
+    shouldTrigger: increase >= thresholdPercent,
+    triggerData: {
+      current_mentions: current.length,
+      baseline_mentions: baseline.length,
+      increase_percent: Math.round(increase * 100),
+      threshold_percent: Math.round(thresholdPercent * 100)
+    }
+  }
+}
+
+async function checkSentimentChange(definition: AlertDefinition, sources: Sources): Promise<CheckResult> {
+  const { project, threshold, direction } = definition.config
+  const thresholdValue = parseFloat(threshold)
+
+  const sentiment = await sources.getSentiment(project)
+  if (!sentiment) {
+    return { shouldTrigger: false, triggerData: null }
+  }
+
+  // Negative alerts fire when the 0-100 score falls to the threshold
+  const currentScore = sentiment.sentiment_score * 100
+  const shouldTrigger =
+    (direction === 'positive' && currentScore >= thresholdValue) ||
+    (direction === 'negative' && currentScore <= thresholdValue) ||
+    (direction === 'any' && Math.abs(currentScore) >= thresholdValue)
+
+  return {
+    shouldTrigger,
+    triggerData: {
+      current_sentiment: sentiment.overall_sentiment,
+      sentiment_score: currentScore,
+      confidence: sentiment.confidence,
+      threshold: thresholdValue,
+      direction
+    }
+  }
+}
+
+// The browser looks back one check interval; the server looks back to its previous run
+async function checkNewMention(definition: AlertDefinition, sources: Sources, now: number): Promise<CheckResult> {
+  const { project, threshold } = definition.config
+  const minMentions = parseInt(threshold)
+  const since = definition.last_checked_at
+    ? Math.max(new Date(definition.last_checked_at).getTime(), now - HOUR_MS)
+    : now - 5 * 60 * 1000
+
+  const mentions = await sources.searchMentions(project, { sources: definition.config.sources, startTime: since })
+
+  return {
+    shouldTrigger: mentions.length >= minMentions,
+    triggerData: {
+      new_mentions: mentions.length,
+      threshold: minMentions,
+      top_mentions: mentions.slice(0, 3).map(tweet => ({
+        text: tweet.text.substring(0, 100) + '...',
+        author: tweet.author.username,
+        engagement: tweet.engagement
+      }))
+    }
+  }
+}
+
+async function checkInfluencerMention(definition: AlertDefinition, sources: Sources): Promise<CheckResult> {
+  const mentions = await sources.getInfluencerMentions(definition.config.project)
+
+  return {
+    shouldTrigger: mentions.length > 0,
+    triggerData: {
+      influencer_mentions: mentions.length,
+      mentions: mentions.slice(0, 3).map(mention => ({
+        text: mention.text.substring(0, 100) + '...',
+        account_weight: mention.account_weight,
+        account_category: mention.account_category
+      }))
+    }
+  }
+}
+
+async function checkVolumeSpike(definition: AlertDefinition, sources: Sources, now: number): Promise<CheckResult> {
+  if (usesAnomalyDetection(definition)) {
+    const anomaly = await evaluateMentionAnomaly(definition, sources, now)
+    const expected = anomaly.baseline.expected
+    return {
+      shouldTrigger: anomaly.is_anomaly,
+      triggerData: {
+        current_volume: anomaly.value,
+        average_volume: Math.round(expected),
+        spike_percent: expected > 0 ? Math.round(((anomaly.value - expected) / expected) * 100) : 0,
+        ...formatAnomalyData(anomaly)
+      }
+    }
+  }
+
+  const { project, threshold } = definition.config
+  const thresholdPercent = parseFloat(threshold) / 100
+
+  const current = await sources.searchMentions(project, { sources: definition.config.sources, startTime: now - HOUR_MS })
+  const historical = await sources.searchMentions(project, { sources: definition.config.sources, startTime: now - 24 * HOUR_MS })
+  const averageVolume = historical.length / 24
+  const spike = averageVolume > 0 ? (current.length - averageVolume) / averageVolume : 0
+
+  return {
+    shouldTrigger: spike >= thresholdPercent,
+    triggerData: {
+      current_volume: current.length,
+      average_volume: Math.round(averageVolume),
+      spike_percent: Math.round(spike * 100),
+      threshold_percent: Math.round(thresholdPercent * 100)
+    }
+  }
+}
+
+// Alerts saved before detection existed have only a threshold and keep using it
+function usesAnomalyDetection(definition: AlertDefinition) {
+  const { detection, threshold } = definition.config
+  if (detection) return detection === 'anomaly'
+  return threshold === undefined || threshold === null || threshold === ''
+}
+
+// Trailing-hour mention volume scored against the alert's own baseline
+async function evaluateMentionAnomaly(definition: AlertDefinition, sources: Sources, now: number): Promise<Record<string, any>> {
+  const { project, zScore, percentile, method = 'zscore' } = definition.config
+  const baseline: Baseline = definition.state.baseline || createBaseline()
+  definition.state.baseline = baseline
+
+  let value: number | null = null
+  let source = 'search'
+  // The counts endpoint only covers Twitter; channel sources are always counted from search
+  if (!CHANNEL_SOURCES.some(channel => definition.config.sources?.includes(channel))) {
+    try {
+      const buckets = await sources.getMentionCounts(project)
+      const complete = buckets.filter(bucket => bucket.end <= now)
+      seed(baseline, complete.map(bucket => ({ timestamp: bucket.start, value: bucket.count })))
+
+      // Trailing 60 minutes: the partial current bucket plus the unelapsed share of the previous one
+      const partial = buckets.find(bucket => bucket.start <= now && bucket.end > now)
+      const previous = complete[complete.length - 1]
+      value = partial
+        ? Math.round(partial.count + (previous?.count || 0) * (1 - (now - partial.start) / HOUR_MS))
+        : previous?.count || 0
+      source = 'counts'
+    } catch (_error) {
+      // Fall back to the search volume below
+    }
+  }
+  if (value === null) {
+    value = (await sources.searchMentions(project, { sources: definition.config.sources, startTime: now - HOUR_MS })).length
+  }
+
+  const anomaly = evaluate(baseline, value, {
+    timestamp: now,
+    method,
+    direction: 'up',
+    zThreshold: zScore ? parseFloat(zScore) : undefined,
+    percentileThreshold: percentile ? parseFloat(percentile) : undefined,
+    counts: true,
+    // Complete hours come from the counts endpoint; the trailing estimate is not a sample
+    record: source === 'search'
+  })
+
+  return { ...anomaly, source }
+}
+
+function formatAnomalyData(anomaly: Record<string, any>) {
+  return {
+    detection: 'anomaly',
+    source: anomaly.source,
+    score: {
+      z_score: anomaly.z_score,
+      ewma_z_score: anomaly.ewma_z_score,
+      percentile: anomaly.percentile,
+      method: anomaly.method,
+      z_threshold: anomaly.z_threshold,
+      percentile_threshold: anomaly.percentile_threshold,
+      warming_up: anomaly.warming_up
+    },
+    baseline: anomaly.baseline
+  }
+}
+
+/**
+ * Composite rules: nested AND/OR/NOT groups over signal conditions
+ */
+const ruleSignals: Record<string, { label: string, unit: string, source: string }> = {
+  mention_change: { label: 'Mention change (1h vs previous 1h)', unit: '%', source: 'mentions' },
+  mention_count: { label: 'Mentions in the last hour', unit: '', source: 'mentions' },
+  sentiment_score: { label: 'Sentiment score (0-1)', unit: '', source: 'sentiment' },
+  influencer_mentions: { label: 'Influencer mentions', unit: '', source: 'influencers' },
+  dex_volume_24h: { label: 'DEX volume 24h', unit: 'USD', source: 'dex' },
+  dex_liquidity: { label: 'DEX liquidity', unit: 'USD', source: 'dex' },
+  fdv: { label: 'Fully diluted valuation', unit: 'USD', source: 'dex' },
+  price_change_24h: { label: 'Price change 24h', unit: '%', source: 'price' }
+}
+
+const ruleOperators: Record<string, string> = { gt: '>', gte: '≥', lt: '<', lte: '≤' }
+
+async function checkCompositeRule(definition: AlertDefinition, sources: Sources, now: number): Promise<CheckResult> {
+  const { rule } = definition.config
+  const signals = new Map<string, Promise<any>>()
+  const conditions: Record<string, any>[] = []
+  const matched = await evaluateNode(rule, definition, sources, now, signals, conditions, 'rule', false) === true
+
+  return {
+    shouldTrigger: matched,
+    triggerData: { rule: describeRule(rule), matched, conditions }
+  }
+}
+
+// true, false or null when the node depends on a signal with no data; unknown stays
+// unknown through NOT, so a missing signal never makes a rule match
+async function evaluateNode(
+  node: any,
+  definition: AlertDefinition,
+  sources: Sources,
+  now: number,
+  signals: Map<string, Promise<any>>,
+  conditions: Record<string, any>[],
+  path: string,
+  skip: boolean
+): Promise<boolean | null> {
+  if (isGroup(node)) {
+    const { op, conditions: children } = node
+
+    if (op === 'not') {
+      const childResult = await evaluateNode(children[0], definition, sources, now, signals, conditions, `${path}.conditions[0]`, skip)
+      return childResult === null ? null : !childResult
+    }
+
+    // AND stops at the first false, OR at the first true; the rest are recorded as skipped
+    let result: boolean | null = op === 'and'
+    let decided = skip
+    for (let index = 0; index < children.length; index++) {
+      const childResult = await evaluateNode(children[index], definition, sources, now, signals, conditions, `${path}.conditions[${index}]`, decided)
+      if (decided) continue
+
+      if (childResult === null) {
+        result = null
+      } else if (op === 'and' && !childResult) {
+        result = false
+        decided = true
+      } else if (op === 'or' && childResult) {
+        result = true
+        decided = true
+      }
+    }
+    return result
+  }
+
+  const value = parseFloat(node.value)
+  const entry: Record<string, any> = {
+    path,
+    signal: node.signal,
+    operator: node.operator,
+    value,
+    label: describeCondition(node),
+    evaluated: !skip,
+    actual: null,
+    passed: false
+  }
+  conditions.push(entry)
+
+  if (skip) return false
+
+  const actual = await getSignal(node.signal, definition, sources, now, signals)
+  entry.actual = actual
+  entry.passed = actual !== null && compare(actual, node.operator, value)
+  return actual === null ? null : entry.passed
+}
+
+function compare(actual: number, operator: string, value: number) {
+  switch (operator) {
+    case 'gt': return actual > value
+    case 'gte': return actual >= value
+    case 'lt': return actual < value
+    case 'lte': return actual <= value
+    default: return false
+  }
+}
+
+async function getSignal(signal: string, definition: AlertDefinition, sources: Sources, now: number, signals: Map<string, Promise<any>>) {
+  const { source } = ruleSignals[signal] || {}
+  if (!source) return null
+
+  if (!signals.has(source)) {
+    signals.set(source, fetchRuleSource(source, definition, sources, now).catch(error => {
+      console.error(`Failed to fetch ${source} signal for ${definition.config.project}:`, error)
+      return null
+    }))
+  }
+
+  const data = await signals.get(source)
+  if (!data) return null
+
+  switch (signal) {
+    case 'mention_change':
+      return data.baselineCount > 0 ? Math.round(((data.currentCount - data.baselineCount) / data.baselineCount) * 100) : 0
+    case 'mention_count':
+      return data.currentCount
+    case 'sentiment_score':
+      return data.sentimentScore
+    case 'influencer_mentions':
+      return data.count
+    case 'dex_volume_24h':
+      return data.volume24h
+    case 'dex_liquidity':
+      return data.liquidity
+    case 'fdv':
+      return data.fdv
+    case 'price_change_24h':
+      return data.priceChange24h
+    default:
+      return null
+  }
+}
+
+async function fetchRuleSource(source: string, definition: AlertDefinition, sources: Sources, now: number) {
+  const { project, coinId, tokenAddress } = definition.config
+
+  switch (source) {
+    case 'mentions': {
+      const [current, baseline] = await Promise.all([
+        sources.searchMentions(project, { sources: definition.config.sources, startTime: now - HOUR_MS }),
+        sources.searchMentions(project, { sources: definition.config.sources, startTime: now - 2 * HOUR_MS, endTime: now - HOUR_MS })
+      ])
+      return { currentCount: current.length, baselineCount: baseline.length }
+    }
+    case 'sentiment': {
+      const sentiment = await sources.getSentiment(project)
+      return sentiment ? { sentimentScore: sentiment.sentiment_score } : null
+    }
+    case 'influencers': {
+      const mentions = await sources.getInfluencerMentions(project)
+      return { count: mentions.length }
+    }
+    case 'dex': {
+      const metrics = tokenAddress ? await sources.getTokenMetrics(tokenAddress) : await sources.getProjectMetrics(project)
+      return metrics ? { volume24h: metrics.volume24h, liquidity: metrics.liquidity, fdv: metrics.marketCap } : null
+    }
+    case 'price': {
+      const coin = await sources.getCoinMarket(coinId || await sources.resolveCoinId(project))
+      return coin && typeof coin.priceChangePercentage24h === 'number'
+        ? { priceChange24h: Math.round(coin.priceChangePercentage24h * 100) / 100 }
+        : null
+    }
+    default:
+      return null
+  }
+}
+
+export function describeRule(rule: any): string {
+  if (!rule) return ''
+  if (!isGroup(rule)) return describeCondition(rule)
+
+  const parts = (rule.conditions || []).map((child: any) => describeRule(child))
+  if (rule.op === 'not') {
+    return `NOT ${parts[0] || ''}`
+  }
+  return `(${parts.join(` ${rule.op.toUpperCase()} `)})`
+}
+
+function describeCondition(condition: any) {
+  const signal = ruleSignals[condition.signal]
+  if (!signal) return `${condition.signal} ${condition.operator} ${condition.value}`
+
+  const label = signal.label.replace(/\s*\(.*\)$/, '')
+  const unit = signal.unit === '%' ? '%' : signal.unit ? ` ${signal.unit}` : ''
+  return `${label} ${ruleOperators[condition.operator] || condition.operator} ${condition.value}${unit}`
+}
+
+function isGroup(node: any) {
+  return Boolean(node) && Object.prototype.hasOwnProperty.call(node, 'op')
+}
+
+/**
+ * Market checkers
+ */
+async function checkPriceCross(definition: AlertDefinition, sources: Sources): Promise<CheckResult> {
+  const { threshold, direction = 'any' } = definition.config
+  const level = parseFloat(threshold)
+  const coinId = await resolveCoinId(definition, sources)
+
+  const chart = await sources.getMarketChart(coinId, 1)
+  const current = chart.prices[chart.prices.length - 1]?.price
+  if (typeof current !== 'number') {
+    return { shouldTrigger: false, triggerData: null }
+  }
+
+  // The first check only records the price, so an alert never fires on creation
+  const previous = definition.state.lastPrice
+  definition.state.lastPrice = current
+
+  const crossedAbove = typeof previous === 'number' && previous < level && current >= level
+  const crossedBelow = typeof previous === 'number' && previous > level && current <= level
+
+  return {
+    shouldTrigger: (direction !== 'below' && crossedAbove) || (direction !== 'above' && crossedBelow),
+    triggerData: {
+      coin_id: coinId,
+      current_price: current,
+      previous_price: previous ?? null,
+      level,
+      crossed: crossedAbove ? 'above' : crossedBelow ? 'below' : null,
+      direction
+    }
+  }
+}
+
+async function checkPriceMove(definition: AlertDefinition, sources: Sources): Promise<CheckResult> {
+  const { threshold, window = '24h', direction = 'any' } = definition.config
+  const thresholdPercent = parseFloat(threshold)
+  const coinId = await resolveCoinId(definition, sources)
+
+  const windowMs = MARKET_WINDOWS[window]
+  const chart = await sources.getMarketChart(coinId, windowMs > MARKET_WINDOWS['24h'] ? 7 : 1)
+  const current = chart.prices[chart.prices.length - 1]
+  const start = valueAt(chart.prices, current ? current.timestamp - windowMs : 0)
+  if (!current || !start || !start.price) {
+    return { shouldTrigger: false, triggerData: null }
+  }
+
+  const changePercent = Math.round(((current.price - start.price) / start.price) * 10000) / 100
+
+  let shouldTrigger = Math.abs(changePercent) >= thresholdPercent
+  if (direction === 'up') shouldTrigger = changePercent >= thresholdPercent
+  if (direction === 'down') shouldTrigger = changePercent <= -thresholdPercent
+
+  return {
+    shouldTrigger,
+    triggerData: {
+      coin_id: coinId,
+      current_price: current.price,
+      start_price: start.price,
+      change_percent: changePercent,
+      threshold_percent: thresholdPercent,
+      window,
+      direction
+    }
+  }
+}
+
+async function checkLiquidityDrop(definition: AlertDefinition, sources: Sources, now: number): Promise<CheckResult> {
+  const { threshold, window = '1h' } = definition.config
+  const thresholdPercent = parseFloat(threshold)
+
+  const metrics = await getDexMetrics(definition, sources)
+  if (!metrics || !metrics.liquidity) {
+    return { shouldTrigger: false, triggerData: null }
+  }
+
+  const state = definition.state
+
+  // A different main pair means the old readings no longer apply
+  if (state.pairAddress !== metrics.pairAddress) {
+    state.pairAddress = metrics.pairAddress
+    state.liquidityReadings = []
+  }
+
+  state.liquidityReadings = (state.liquidityReadings || [])
+    .filter((reading: any) => now - reading.timestamp <= MARKET_WINDOWS[window])
+    .concat({ timestamp: now, liquidity: metrics.liquidity })
+
+  const peak = Math.max(...state.liquidityReadings.map((reading: any) => reading.liquidity))
+  const dropPercent = peak > 0 ? Math.round(((peak - metrics.liquidity) / peak) * 10000) / 100 : 0
+
+  return {
+    shouldTrigger: dropPercent >= thresholdPercent,
+    triggerData: {
+      pair_address: metrics.pairAddress,
+      dex_id: metrics.dexId,
+      chain_id: metrics.chainId,
+      current_liquidity: metrics.liquidity,
+      peak_liquidity: peak,
+      drop_percent: dropPercent,
+      threshold_percent: thresholdPercent,
+      window
+    }
+  }
+}
+
+async function checkVolume24hSpike(definition: AlertDefinition, sources: Sources): Promise<CheckResult> {
+  const thresholdPercent = parseFloat(definition.config.threshold)
+  const coinId = await resolveCoinId(definition, sources)
+
+  // CoinGecko volumes are rolling 24h totals; sample one per day for the trailing average
+  const chart = await sources.getMarketChart(coinId, 8)
+  const current = chart.volumes[chart.volumes.length - 1]
+  if (!current) {
+    return { shouldTrigger: false, triggerData: null }
+  }
+
+  const trailing: number[] = []
+  for (let day = 1; day <= 7; day++) {
+    const point = valueAt(chart.volumes, current.timestamp - day * MARKET_WINDOWS['24h'], true)
+    if (point) trailing.push(point.volume)
+  }
+
+  const averageVolume = trailing.length > 0 ? trailing.reduce((sum, volume) => sum + volume, 0) / trailing.length : 0
+  const spike = averageVolume > 0 ? (current.volume - averageVolume) / averageVolume : 0
+
+  return {
+    shouldTrigger: averageVolume > 0 && spike * 100 >= thresholdPercent,
+    triggerData: {
+      coin_id: coinId,
+      current_volume: Math.round(current.volume),
+      average_volume: Math.round(averageVolume),
+      spike_percent: Math.round(spike * 100),
+      threshold_percent: thresholdPercent,
+      days_averaged: trailing.length
+    }
+  }
+}
+
+async function checkFdvThreshold(definition: AlertDefinition, sources: Sources): Promise<CheckResult> {
+  const { threshold, direction = 'above', tokenAddress } = definition.config
+  const level = parseFloat(threshold)
+
+  let fdv: number | null = null
+  let source = 'coingecko'
+  if (tokenAddress) {
+    const metrics = await getDexMetrics(definition, sources)
+    fdv = metrics?.marketCap || null
+    source = 'dexscreener'
+  } else {
+    const coin = await sources.getCoinMarket(await resolveCoinId(definition, sources))
+    fdv = typeof coin?.fullyDilutedValuation === 'number' ? coin.fullyDilutedValuation : null
+  }
+
+  if (fdv === null) {
+    return { shouldTrigger: false, triggerData: null }
+  }
+
+  return {
+    shouldTrigger: direction === 'below' ? fdv <= level : fdv >= level,
+    triggerData: { fdv, level, direction, source }
+  }
+}
+
+async function resolveCoinId(definition: AlertDefinition, sources: Sources): Promise<string> {
+  if (definition.config.coinId) return definition.config.coinId
+  if (!definition.state.coinId) {
+    definition.state.coinId = await sources.resolveCoinId(definition.config.project)
+  }
+  return definition.state.coinId
+}
+
+function getDexMetrics(definition: AlertDefinition, sources: Sources) {
+  const { tokenAddress, project } = definition.config
+  return tokenAddress ? sources.getTokenMetrics(tokenAddress) : sources.getProjectMetrics(project)
+}
+
+// Latest point at or before the timestamp; falls back to the earliest point unless strict
+function valueAt<T extends { timestamp: number }>(points: T[], timestamp: number, strict = false): T | null {
+  let match: T | null = null
+  for (const point of points) {
+    if (point.timestamp > timestamp) break
+    match = point
+  }
+  return match || (strict ? null : points[0] || null)
+}
+
+/**
+ * Titles and messages, matching alertService.generateAlertTitle / generateAlertMessage
+ */
+export function generateAlertTitle(definition: AlertDefinition, triggerData: Record<string, any>) {
+  const { project } = definition.config
+
+  switch (definition.alert_type) {
+    case 'mention_increase':
+      if (triggerData.detection === 'anomaly') {
+        return `${project} Unusual Mention Activity (z = ${triggerData.score.z_score})`
+      }
+      return `${project} Mentions Increased by ${triggerData.increase_percent}%`
+    case 'sentiment_change':
+      return `${project} Sentiment Alert: ${String(triggerData.current_sentiment).toUpperCase()}`
+    case 'new_mention':
+      return `${project} New Mentions: ${triggerData.new_mentions}`
+    case 'influencer_mention':
+      return `${project} Mentioned by Influencers`
+    case 'volume_spike':
+      if (triggerData.detection === 'anomaly') {
+        return `${project} Volume Anomaly: +${triggerData.spike_percent}% (z = ${triggerData.score.z_score})`
+      }
+      return `${project} Volume Spike: +${triggerData.spike_percent}%`
+    case 'composite':
+      return `${project} Rule Matched: ${definition.config.name || triggerData.rule}`
+    case 'price_cross':
+      return `${project} Price Crossed ${triggerData.crossed === 'above' ? 'Above' : 'Below'} $${triggerData.level}`
+    case 'price_move':
+      return `${project} Price ${triggerData.change_percent >= 0 ? '+' : ''}${triggerData.change_percent}% in ${triggerData.window}`
+    case 'liquidity_drop':
+      return `${project} Liquidity Down ${triggerData.drop_percent}%`
+    case 'volume_24h_spike':
+      return `${project} 24h Volume Spike: +${triggerData.spike_percent}%`
+    case 'fdv_threshold':
+      return `${project} FDV ${triggerData.direction === 'below' ? 'Below' : 'Above'} $${triggerData.level.toLocaleString()}`
+    default:
+      return `${project} Alert Triggered`
+  }
+}
+
+export function generateAlertMessage(definition: AlertDefinition, triggerData: Record<string, any>) {
+  const { project } = definition.config
+
+  switch (definition.alert_type) {
+    case 'mention_increase':
+      if (triggerData.detection === 'anomaly') {
+        return `${project} had ${triggerData.current_mentions} mentions in the last hour vs ${triggerData.baseline_mentions} expected for this hour (z-score ${triggerData.score.z_score}, ${triggerData.score.percentile}th percentile)`
+      }
+      return `${project} mentions increased from ${triggerData.baseline_mentions} to ${triggerData.current_mentions} (${triggerData.increase_percent}% increase)`
+    case 'sentiment_change':
+      return `${project} sentiment is now ${triggerData.current_sentiment} with a score of ${triggerData.sentiment_score}% (confidence: ${Math.round(triggerData.confidence * 100)}%)`
+    case 'new_mention':
+      return `${project} has ${triggerData.new_mentions} new mentions since the last check`
+    case 'influencer_mention':
+      return `${project} was mentioned by ${triggerData.influencer_mentions} high-signal accounts`
+    case 'volume_spike':
+      if (triggerData.detection === 'anomaly') {
+        return `${project} mention volume reached ${triggerData.current_volume} vs a baseline of ${triggerData.average_volume} (z-score ${triggerData.score.z_score}, ${triggerData.score.percentile}th percentile)`
+      }
+      return `${project} mention volume spiked to ${triggerData.current_volume} (${triggerData.spike_percent}% above average)`
+    case 'composite':
+      return `${project} matched ${triggerData.rule}: ${triggerData.conditions
+        .filter((condition: any) => condition.evaluated)
+        .map((condition: any) => `${condition.label} (actual ${condition.actual ?? 'n/a'})`)
+        .join(', ')}`
+    case 'price_cross':
+      return `${project} moved from $${triggerData.previous_price} to $${triggerData.current_price}, crossing ${triggerData.crossed} $${triggerData.level}`
+    case 'price_move':
+      return `${project} price moved ${triggerData.change_percent}% in ${triggerData.window}, from $${triggerData.start_price} to $${triggerData.current_price}`
+    case 'liquidity_drop':
+      return `${project} liquidity on ${triggerData.dex_id} (${triggerData.chain_id}) fell from $${Math.round(triggerData.peak_liquidity).toLocaleString()} to $${Math.round(triggerData.current_liquidity).toLocaleString()} within ${triggerData.window}`
+    case 'volume_24h_spike':
+      return `${project} 24h volume is $${triggerData.current_volume.toLocaleString()}, ${triggerData.spike_percent}% above the ${triggerData.days_averaged} day average of $${triggerData.average_volume.toLocaleString()}`
+    case 'fdv_threshold':
+      return `${project} fully diluted valuation is $${Math.round(triggerData.fdv).toLocaleString()} (${triggerData.source})`
+    default:
+      return `Alert triggered for ${project}`
+  }
+}
@@ -0,0 +1,664 @@
+// Channel delivery for server-evaluated alerts
+//
+// Sends the same payloads as the browser: emails go through send-alert-email,
+// webhooks get the signed v1 envelope (see src/services/webhookDeliveryService.js)
+// and chat channels get a rich message. Browser notifications cannot be sent from
+// here; open app tabs show them when the incident arrives over realtime.
+//
+// Every notification first goes through the user's notification policy (policy.ts).
+// Held notifications wait in held_notifications until releaseHeldNotifications sends
+// them as one summary. Webhooks are logged in webhook_deliveries and retried with
+// backoff by retryWebhookDeliveries, with the statuses of the browser's log.
+
+import {
+  ALERT_SEVERITIES,
+  HOLD_REASONS,
+  HOUR_MS,
+  HoldReason,
+  NotificationPolicy,
+  applyNotificationPolicy,
+  channelRules,
+  getDigestBoundary,
+  isQuietHours,
+  isRateLimited,
+  isUrgent,
+  normalizePolicy
+} from './policy.ts'
+
+export interface AlertPayload {
+  alert_id: string
+  incident_id: string | null
+  event_id: null
+  incident_ids?: string[] // incidents rolled up in a digest
+  type: string
+  severity: string
+  escalated: boolean
+  project: string
+  title: string
+  message: string
+  data: Record<string, any> | null
+  timestamp: string
+}
+
+export interface DeliveryResult {
+  channel: string
+  status: 'delivered' | 'queued' | 'retrying' | 'held' | 'failed' | 'skipped'
+  error: string | null
+  attempts: number
+  updatedAt: string
+}
+
+interface AlertDelivery {
+  channel: string
+  userId: string
+  config: Record<string, any>
+  payload: AlertPayload
+  webhookUrl?: string | null
+  alertRowId?: string | null // monitoring_alerts row, for held notifications
+}
+
+interface WebhookAttempt {
+  at: string
+  statusCode: number | null
+  latencyMs: number | null
+  response: string | null
+  error: string | null
+}
+
+interface WebhookDelivery {
+  id: string
+  user_id: string
+  url: string
+  secret: string | null
+  event_type: string
+  body: string
+  source: string
+  source_id: string | null
+  meta: { channel: string, incidentIds: string[] }
+  status: 'pending' | 'retrying' | 'delivered' | 'dead'
+  attempts: WebhookAttempt[]
+  next_attempt_at: string | null
+  created_at: string
+  delivered_at: string | null
+}
+
+const WEBHOOK_PAYLOAD_VERSION = 1
+const WEBHOOK_TIMEOUT_MS = 10 * 1000
+// Same schedule as webhookDeliveryService; retries run with periodic-monitoring, so
+// they are at most a run late
+const WEBHOOK_MAX_ATTEMPTS = 6
+const WEBHOOK_BASE_DELAY_MS = 30 * 1000
+const WEBHOOK_MAX_DELAY_MS = 30 * 60 * 1000
+const RESPONSE_SNIPPET_LENGTH = 500
+
+const severityColors: Record<string, number> = {
+  low: 0x6b7280,
+  medium: 0x3b82f6,
+  high: 0xf59e0b,
+  critical: 0xef4444
+}
+
+const severityEmoji: Record<string, string> = {
+  low: '⚪',
+  medium: '🔵',
+  high: '🟠',
+  critical: '🔴'
+}
+
+/**
+ * Deliver one alert through a channel under the user's notification policy
+ * Skipped and held notifications are reported as such; never throws.
+ */
+export async function deliverAlert(supabaseClient: any, delivery: AlertDelivery): Promise<DeliveryResult> {
+  const { channel, userId, payload } = delivery
+
+  try {
+    const policy = await loadPolicy(supabaseClient, userId)
+    const decision = applyNotificationPolicy(policy, payload, channel, await countRecentSends(supabaseClient, userId, channel, policy))
+    if (decision.action === 'skip') {
+      return deliveryResult(channel, 'skipped', decision.reason)
+    }
+    if (decision.action === 'hold') {
+      await holdNotification(supabaseClient, delivery, decision.reason)
+      return deliveryResult(channel, 'held', HOLD_REASONS[decision.reason])
+    }
+  } catch (error) {
+    // An alert that cannot be checked against the policy is still sent
+    console.error(`Failed to apply notification policy to ${payload.incident_id}:`, error)
+  }
+
+  return sendAlert(supabaseClient, delivery)
+}
+
+/**
+ * Send held notifications as one summary per user, channel and destination once
+ * nothing holds them: quiet hours are over, a digest boundary has passed (urgent
+ * notifications do not wait for it), and the channel is under its hourly cap.
+ */
+export async function releaseHeldNotifications(supabaseClient: any, now = Date.now()) {
+  const { data: held, error } = await supabaseClient
+    .from('held_notifications')
+    .select('*')
+    .order('held_at', { ascending: true })
+
+  if (error) {
+    console.error('Failed to fetch held notifications:', error)
+    return 0
+  }
+
+  const byUser = new Map<string, any[]>()
+  ;(held || []).forEach((row: any) => byUser.set(row.user_id, [...(byUser.get(row.user_id) || []), row]))
+
+  let released = 0
+  for (const [userId, rows] of byUser) {
+    const policy = await loadPolicy(supabaseClient, userId)
+    if (isQuietHours(policy, now)) continue
+
+    const groups = new Map<string, any[]>()
+    rows.forEach(row => {
+      const key = `${row.channel}|${row.destination}`
+      groups.set(key, [...(groups.get(key) || []), row])
+    })
+
+    for (const items of groups.values()) {
+      const { channel } = items[0]
+      const rules = channelRules(policy, channel)
+      const firstHeldAt = Math.min(...items.map(item => new Date(item.held_at).getTime()))
+      const urgent = items.some(item => isUrgent(item.payload))
+
+      if (!urgent && rules.digest !== 'off' && firstHeldAt >= getDigestBoundary(policy, rules.digest, now)) continue
+      if (isRateLimited(policy, channel, await countRecentSends(supabaseClient, userId, channel, policy))) continue
+
+      // Removed before sending, so an overlapping run cannot send the summary twice
+      const { error: deleteError } = await supabaseClient
+        .from('held_notifications')
+        .delete()
+        .in('id', items.map(item => item.id))
+      if (deleteError) {
+        console.error('Failed to release held notifications:', deleteError)
+        continue
+      }
+
+      const latest = items[items.length - 1]
+      const result = await sendAlert(supabaseClient, {
+        channel,
+        userId,
+        config: latest.config,
+        webhookUrl: latest.webhook_url,
+        payload: buildDigest(items.map(item => item.payload), items.map(item => item.reason))
+      })
+      await recordIncidentDeliveries(supabaseClient, items.map(item => item.payload.incident_id), result)
+      released++
+    }
+  }
+
+  // Older sends no longer count against maxPerHour
+  await supabaseClient
+    .from('notification_sends')
+    .delete()
+    .lt('sent_at', new Date(now - HOUR_MS).toISOString())
+
+  return released
+}
+
+/**
+ * Retry every logged webhook delivery whose backoff has elapsed, and update the
+ * incidents it belongs to
+ */
+export async function retryWebhookDeliveries(supabaseClient: any) {
+  const { data: due, error } = await supabaseClient
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('status', 'retrying')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(50)
+
+  if (error) {
+    console.error('Failed to fetch webhook retries:', error)
+    return 0
+  }
+
+  let retried = 0
+  for (const delivery of (due || []) as WebhookDelivery[]) {
+    // Claimed first, so an overlapping run skips it
+    const { data: claimed } = await supabaseClient
+      .from('webhook_deliveries')
+      .update({ status: 'pending' })
+      .eq('id', delivery.id)
+      .eq('status', 'retrying')
+      .select('id')
+    if (!claimed?.length) continue
+
+    await attemptWebhook(supabaseClient, delivery)
+    await recordIncidentDeliveries(supabaseClient, delivery.meta.incidentIds, webhookResult(delivery.meta.channel, delivery))
+    retried++
+  }
+
+  return retried
+}
+
+// One delivery record per channel, as in the browser's alert history
+export function mergeDeliveries(existing: DeliveryResult[] = [], updates: DeliveryResult[]) {
+  const merged = new Map(existing.map(delivery => [delivery.channel, delivery]))
+  updates.forEach(update => {
+    const previous = merged.get(update.channel)
+    merged.set(update.channel, { ...update, attempts: (previous?.attempts || 0) + update.attempts })
+  })
+  return Array.from(merged.values())
+}
+
+function deliveryResult(channel: string, status: DeliveryResult['status'], error: string | null = null): DeliveryResult {
+  return {
+    channel,
+    status,
+    error,
+    attempts: status === 'skipped' || status === 'held' ? 0 : 1,
+    updatedAt: new Date().toISOString()
+  }
+}
+
+// Send without the policy; every send except failed and skipped ones counts against maxPerHour
+async function sendAlert(supabaseClient: any, delivery: AlertDelivery): Promise<DeliveryResult> {
+  const result = await sendThroughChannel(supabaseClient, delivery)
+  if (result.status !== 'skipped' && result.status !== 'failed') {
+    await recordSend(supabaseClient, delivery.userId, delivery.channel)
+  }
+  return result
+}
+
+async function sendThroughChannel(
+  supabaseClient: any,
+  { channel, userId, config, payload, webhookUrl = null }: AlertDelivery
+): Promise<DeliveryResult> {
+  const result = (status: DeliveryResult['status'], error: string | null = null) => deliveryResult(channel, status, error)
+
+  try {
+    switch (channel) {
+      case 'email': {
+        const { data, error } = await supabaseClient.functions.invoke('send-alert-email', {
+          body: { action: 'send', user_id: userId, notification: payload }
+        })
+        if (error) {
+          const details = await error.context?.json?.().catch(() => null)
+          throw new Error(details?.error || error.message)
+        }
+        return result(data?.status === 'queued' ? 'queued' : 'delivered')
+      }
+      case 'webhook': {
+        const url = webhookUrl || config.webhookUrl
+        if (!url) return result('skipped', 'No webhook URL configured')
+        const delivery = await sendWebhook(supabaseClient, {
+          url,
+          secret: config.webhookSecret || null,
+          userId,
+          channel,
+          payload
+        })
+        return webhookResult(channel, delivery)
+      }
+      case 'telegram':
+      case 'discord':
+      case 'slack':
+        await sendChat(channel, config.chatChannels?.[channel] || {}, payload)
+        return result('delivered')
+      case 'browser':
+        return result('skipped', 'Shown by open app tabs')
+      case 'console':
+      default:
+        console.log(`🚨 ALERT: ${payload.title} - ${payload.message}`)
+        return result('delivered')
+    }
+  } catch (error) {
+    console.error(`Failed to deliver ${channel} alert ${payload.incident_id}:`, error)
+    return result('failed', error.message)
+  }
+}
+
+async function loadPolicy(supabaseClient: any, userId: string): Promise<NotificationPolicy> {
+  const { data, error } = await supabaseClient
+    .from('notification_policies')
+    .select('policy')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) throw new Error(`Failed to load notification policy: ${error.message}`)
+  return normalizePolicy(data?.policy || null)
+}
+
+async function countRecentSends(supabaseClient: any, userId: string, channel: string, policy: NotificationPolicy) {
+  if (!channelRules(policy, channel).maxPerHour) return 0
+
+  const { count, error } = await supabaseClient
+    .from('notification_sends')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('channel', channel)
+    .gte('sent_at', new Date(Date.now() - HOUR_MS).toISOString())
+
+  if (error) throw new Error(`Failed to count notification sends: ${error.message}`)
+  return count || 0
+}
+
+async function recordSend(supabaseClient: any, userId: string, channel: string) {
+  const { error } = await supabaseClient
+    .from('notification_sends')
+    .insert({ user_id: userId, channel })
+  if (error) console.error('Failed to record notification send:', error)
+}
+
+async function holdNotification(supabaseClient: any, delivery: AlertDelivery, reason: HoldReason) {
+  const { channel, userId, config, payload, webhookUrl = null, alertRowId = null } = delivery
+  const { error } = await supabaseClient
+    .from('held_notifications')
+    .insert({
+      user_id: userId,
+      monitoring_alert_id: alertRowId,
+      channel,
+      destination: getNotificationDestination(config, channel, webhookUrl),
+      reason,
+      payload,
+      config,
+      webhook_url: webhookUrl
+    })
+
+  if (error) throw new Error(`Failed to hold notification: ${error.message}`)
+}
+
+// Held notifications are only summarized together when they would reach the same place
+function getNotificationDestination(config: Record<string, any>, channel: string, webhookUrl: string | null) {
+  switch (channel) {
+    case 'webhook':
+      return webhookUrl || config.webhookUrl || ''
+    case 'telegram':
+      return config.chatChannels?.telegram?.chatId || ''
+    case 'discord':
+    case 'slack':
+      return config.chatChannels?.[channel]?.webhookUrl || ''
+    default:
+      return ''
+  }
+}
+
+// A single held notification goes out as itself
+function buildDigest(payloads: AlertPayload[], reasons: HoldReason[]): AlertPayload {
+  const latest = payloads[payloads.length - 1]
+  if (payloads.length === 1) return latest
+
+  const severity = payloads
+    .map(payload => payload.severity || 'medium')
+    .sort((a, b) => ALERT_SEVERITIES.indexOf(b) - ALERT_SEVERITIES.indexOf(a))[0]
+  const projects = [...new Set(payloads.map(payload => payload.project))]
+
+  return {
+    alert_id: latest.alert_id,
+    incident_id: null,
+    incident_ids: payloads.map(payload => payload.incident_id).filter((id): id is string => !!id),
+    event_id: null,
+    type: 'digest',
+    severity,
+    escalated: false,
+    project: projects.join(', '),
+    title: `${payloads.length} alerts for ${projects.slice(0, 3).join(', ')}${projects.length > 3 ? '…' : ''}`,
+    message: payloads
+      .map(payload => `[${payload.severity}] ${payload.title} (${new Date(payload.timestamp).toUTCString()})`)
+      .join('\n'),
+    data: {
+      held_for: [...new Set(reasons.map(reason => HOLD_REASONS[reason]))],
+      alerts: payloads.map(payload => ({
+        alert_id: payload.alert_id,
+        incident_id: payload.incident_id,
+        type: payload.type,
+        severity: payload.severity,
+        title: payload.title,
+        message: payload.message,
+        timestamp: payload.timestamp
+      }))
+    },
+    timestamp: new Date().toISOString()
+  }
+}
+
+// Merge a delivery outcome into the metadata of the incidents it was for
+async function recordIncidentDeliveries(supabaseClient: any, incidentIds: (string | null)[], result: DeliveryResult) {
+  const ids = incidentIds.filter(Boolean)
+  if (ids.length === 0) return
+
+  const { data: rows, error } = await supabaseClient
+    .from('monitoring_alerts')
+    .select('id, metadata')
+    .in('incident_id', ids)
+
+  if (error) {
+    console.error('Failed to fetch incidents for delivery update:', error)
+    return
+  }
+
+  for (const row of rows || []) {
+    await supabaseClient
+      .from('monitoring_alerts')
+      .update({ metadata: { ...row.metadata, deliveries: mergeDeliveries(row.metadata?.deliveries, [result]) } })
+      .eq('id', row.id)
+  }
+}
+
+function webhookResult(channel: string, delivery: WebhookDelivery): DeliveryResult {
+  const error = delivery.attempts[delivery.attempts.length - 1]?.error || null
+  switch (delivery.status) {
+    case 'delivered':
+      return deliveryResult(channel, 'delivered')
+    case 'retrying':
+      return deliveryResult(channel, 'retrying', error)
+    default:
+      return deliveryResult(channel, 'failed', error)
+  }
+}
+
+async function sendWebhook(
+  supabaseClient: any,
+  { url, secret, userId, channel, payload }: { url: string, secret: string | null, userId: string, channel: string, payload: AlertPayload }
+) {
+  const id = `whd_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`
+  const eventType = payload.type === 'digest' ? 'alert.digest' : payload.escalated ? 'alert.escalated' : 'alert.triggered'
+  const delivery: WebhookDelivery = {
+    id,
+    user_id: userId,
+    url,
+    secret,
+    event_type: eventType,
+    body: JSON.stringify({
+      version: WEBHOOK_PAYLOAD_VERSION,
+      id,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data: payload
+    }),
+    source: 'alert',
+    source_id: payload.alert_id,
+    meta: { channel, incidentIds: payload.incident_ids || (payload.incident_id ? [payload.incident_id] : []) },
+    status: 'pending',
+    attempts: [],
+    next_attempt_at: null,
+    created_at: new Date().toISOString(),
+    delivered_at: null
+  }
+
+  return attemptWebhook(supabaseClient, delivery)
+}
+
+/**
+ * Attempt a webhook delivery and log the outcome
+ * Network errors, timeouts, 408, 429 and 5xx are retried with backoff; other 4xx
+ * responses and exhausted retries leave it dead, as in webhookDeliveryService.
+ */
+async function attemptWebhook(supabaseClient: any, delivery: WebhookDelivery) {
+  const timestamp = Math.floor(Date.now() / 1000)
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'X-CryptoSentinel-Event': delivery.event_type,
+    'X-CryptoSentinel-Version': String(WEBHOOK_PAYLOAD_VERSION),
+    'X-CryptoSentinel-Timestamp': String(timestamp),
+    'X-CryptoSentinel-Attempt': String(delivery.attempts.length + 1),
+    'Idempotency-Key': delivery.id
+  }
+  if (delivery.secret) {
+    headers['X-CryptoSentinel-Signature'] = `v1=${await sign(delivery.secret, `${timestamp}.${delivery.body}`)}`
+  }
+
+  const record: WebhookAttempt = { at: new Date().toISOString(), statusCode: null, latencyMs: null, response: null, error: null }
+  const started = Date.now()
+  let retryAfter: number | null = null
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body: delivery.body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    })
+
+    record.statusCode = response.status
+    record.response = (await response.text().catch(() => '')).slice(0, RESPONSE_SNIPPET_LENGTH)
+    retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+    if (!response.ok) {
+      record.error = `HTTP ${response.status}`
+    }
+  } catch (error) {
+    record.error = error.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s` : error.message
+  }
+  record.latencyMs = Date.now() - started
+
+  delivery.attempts = [...delivery.attempts, record]
+  const statusCode = record.statusCode
+  const retryable = statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500
+
+  if (!record.error) {
+    delivery.status = 'delivered'
+    delivery.delivered_at = record.at
+    delivery.next_attempt_at = null
+  } else if (retryable && delivery.attempts.length < WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'retrying'
+    delivery.next_attempt_at = new Date(Date.now() + (retryAfter ?? getBackoffDelay(delivery.attempts.length))).toISOString()
+  } else {
+    delivery.status = 'dead'
+    delivery.next_attempt_at = null
+    console.error(`Webhook delivery ${delivery.id} to ${delivery.url} moved to dead-letter queue: ${record.error}`)
+  }
+
+  const { error } = await supabaseClient
+    .from('webhook_deliveries')
+    .upsert(delivery, { onConflict: 'id' })
+  if (error) console.error(`Failed to log webhook delivery ${delivery.id}:`, error)
+
+  return delivery
+}
+
+// 30s, 60s, 120s, ... capped, with ±20% jitter so retries of many deliveries spread out
+function getBackoffDelay(attempts: number) {
+  const delay = Math.min(WEBHOOK_BASE_DELAY_MS * 2 ** (attempts - 1), WEBHOOK_MAX_DELAY_MS)
+  return Math.round(delay * (0.8 + Math.random() * 0.4))
+}
+
+function parseRetryAfter(value: string | null) {
+  if (!value) return null
+  const seconds = parseInt(value)
+  if (!isNaN(seconds)) return Math.min(seconds * 1000, WEBHOOK_MAX_DELAY_MS)
+  const date = new Date(value).getTime()
+  return isNaN(date) ? null : Math.min(Math.max(date - Date.now(), 0), WEBHOOK_MAX_DELAY_MS)
+}
+
+async function sign(secret: string, message: string) {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message))
+  return Array.from(new Uint8Array(signature)).map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+async function sendChat(channel: string, settings: Record<string, string>, payload: AlertPayload) {
+  const { title, message, project, severity, type, timestamp } = payload
+  const emoji = severityEmoji[severity] || severityEmoji.medium
+
+  switch (channel) {
+    case 'telegram': {
+      if (!settings.botToken || !settings.chatId) throw new Error('Telegram bot token and chat ID are required')
+      const response = await fetch(`https://api.telegram.org/bot${settings.botToken}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chat_id: settings.chatId,
+          text: [
+            `${emoji} <b>${escapeMarkup(title)}</b>`,
+            `<i>${escapeMarkup(project)} · ${escapeMarkup(severity)}</i>`,
+            '',
+            escapeMarkup(message),
+            '',
+            `<i>${new Date(timestamp).toUTCString()}</i>`
+          ].join('\n').slice(0, 4096),
+          parse_mode: 'HTML',
+          disable_web_page_preview: true
+        })
+      })
+      if (!response.ok) {
+        const body = await response.json().catch(() => null)
+        throw new Error(`Telegram delivery failed: ${body?.description || response.status}`)
+      }
+      return
+    }
+    case 'discord': {
+      if (!settings.webhookUrl) throw new Error('Discord webhook URL is required')
+      const response = await fetch(settings.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: 'CryptoSentinel',
+          embeds: [{
+            title: title.slice(0, 256),
+            description: message.slice(0, 4096),
+            color: severityColors[severity] || severityColors.medium,
+            fields: [
+              { name: 'Project', value: project, inline: true },
+              { name: 'Severity', value: severity, inline: true }
+            ],
+            footer: { text: type.replace(/_/g, ' ') },
+            timestamp
+          }]
+        })
+      })
+      if (!response.ok) {
+        throw new Error(`Discord delivery failed: ${response.status}`)
+      }
+      return
+    }
+    case 'slack': {
+      if (!settings.webhookUrl) throw new Error('Slack webhook URL is required')
+      // Unlike the browser, the server can read Slack's response
+      const response = await fetch(settings.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          text: escapeMarkup(`${title}: ${message}`),
+          blocks: [
+            { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } },
+            { type: 'section', text: { type: 'mrkdwn', text: escapeMarkup(message).slice(0, 3000) } },
+            {
+              type: 'section',
+              fields: [
+                { type: 'mrkdwn', text: `*Project*\n${escapeMarkup(project)}` },
+                { type: 'mrkdwn', text: `*Severity*\n${emoji} ${severity}` }
+              ]
+            }
+          ]
+        })
+      })
+      if (!response.ok) {
+        throw new Error(`Slack delivery failed: ${await response.text().catch(() => response.status)}`)
+      }
+      return
+    }
+  }
+}
+
+// Telegram HTML and Slack mrkdwn both treat &, < and > as markup
+function escapeMarkup(value: string) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
@@ -0,0 +1,138 @@
+// Notification policy for server-evaluated alerts, with the rules of
+// alertService.applyNotificationPolicy in src/services/alertService.js
+//
+// The browser stores its policy in notification_policies whenever it changes. Quiet
+// hours and digest times are computed in the policy's timezone.
+
+export const HOUR_MS = 60 * 60 * 1000
+
+export const ALERT_SEVERITIES = ['low', 'medium', 'high', 'critical']
+
+export type HoldReason = 'quiet_hours' | 'rate_limited' | 'digest'
+
+// Why a notification was held back instead of delivered
+export const HOLD_REASONS: Record<HoldReason, string> = {
+  quiet_hours: 'quiet hours',
+  rate_limited: 'hourly limit reached',
+  digest: 'digest'
+}
+
+export interface ChannelRules {
+  minSeverity: string
+  maxPerHour: number | null
+  digest: 'off' | 'hourly' | 'daily'
+}
+
+export interface NotificationPolicy {
+  quietHours: { enabled: boolean, start: string, end: string, timezone: string, allowCritical: boolean }
+  digestHour: number
+  channels: Record<string, ChannelRules>
+}
+
+export type PolicyDecision =
+  | { action: 'send' }
+  | { action: 'skip', reason: string }
+  | { action: 'hold', reason: HoldReason }
+
+const DEFAULT_RULES: ChannelRules = { minSeverity: 'low', maxPerHour: null, digest: 'off' }
+
+/**
+ * A stored policy merged over the defaults; no stored policy sends everything
+ */
+export function normalizePolicy(stored: Partial<NotificationPolicy> | null): NotificationPolicy {
+  return {
+    digestHour: 9,
+    ...stored,
+    quietHours: {
+      enabled: false,
+      start: '22:00',
+      end: '07:00',
+      timezone: 'UTC',
+      allowCritical: true,
+      ...stored?.quietHours
+    },
+    channels: stored?.channels || {}
+  }
+}
+
+export function channelRules(policy: NotificationPolicy, channel: string): ChannelRules {
+  return { ...DEFAULT_RULES, ...policy.channels[channel] }
+}
+
+// Escalations and critical alerts skip the digest, as in send-alert-email
+export function isUrgent(notification: { severity: string, escalated: boolean }) {
+  return notification.escalated || notification.severity === 'critical'
+}
+
+/**
+ * Decide what happens to a notification on a channel: send, skip or hold
+ * `sentLastHour` is the number of notifications the channel sent in the last hour.
+ */
+export function applyNotificationPolicy(
+  policy: NotificationPolicy,
+  notification: { severity: string, escalated: boolean },
+  channel: string,
+  sentLastHour: number,
+  now = Date.now()
+): PolicyDecision {
+  const rules = channelRules(policy, channel)
+  const severity = notification.severity || 'medium'
+
+  if (!notification.escalated && ALERT_SEVERITIES.indexOf(severity) < ALERT_SEVERITIES.indexOf(rules.minSeverity)) {
+    return { action: 'skip', reason: `Below ${channel} severity floor (${rules.minSeverity})` }
+  }
+  if (isQuietHours(policy, now) && !(severity === 'critical' && policy.quietHours.allowCritical)) {
+    return { action: 'hold', reason: 'quiet_hours' }
+  }
+  if (rules.digest !== 'off' && !isUrgent(notification)) {
+    return { action: 'hold', reason: 'digest' }
+  }
+  if (isRateLimited(policy, channel, sentLastHour)) {
+    return { action: 'hold', reason: 'rate_limited' }
+  }
+  return { action: 'send' }
+}
+
+export function isQuietHours(policy: NotificationPolicy, now = Date.now()) {
+  const { enabled, start, end, timezone } = policy.quietHours
+  if (!enabled) return false
+
+  const minutes = getLocalMinutes(now, timezone)
+  const toMinutes = (time: string) => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3))
+  const from = toMinutes(start)
+  const to = toMinutes(end)
+
+  // Windows like 22:00-07:00 wrap past midnight
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to
+}
+
+export function isRateLimited(policy: NotificationPolicy, channel: string, sentLastHour: number) {
+  const { maxPerHour } = channelRules(policy, channel)
+  return !!maxPerHour && sentLastHour >= maxPerHour
+}
+
+/**
+ * Most recent digest send time at or before `now` (top of the hour, or the daily digest hour)
+ */
+export function getDigestBoundary(policy: NotificationPolicy, mode: string, now = Date.now()) {
+  const minutes = getLocalMinutes(now, policy.quietHours.timezone)
+  const startOfMinute = now - (now % 60000)
+
+  if (mode === 'hourly') {
+    return startOfMinute - (minutes % 60) * 60000
+  }
+  const sinceDigestHour = (minutes - policy.digestHour * 60 + 24 * 60) % (24 * 60)
+  return startOfMinute - sinceDigestHour * 60000
+}
+
+// Minutes since local midnight in a timezone
+function getLocalMinutes(timestamp: number, timezone: string) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(timestamp))
+  const value = (type: string) => parseInt(parts.find(part => part.type === type)!.value)
+  return value('hour') * 60 + value('minute')
+}
@@ -0,0 +1,328 @@
+// Data sources for server-evaluated alerts: Twitter, the Telegram, Discord, Reddit,
+// RSS and Farcaster mentions stored by channel-ingestion, CoinGecko, DexScreener and cached sentiment in
+// twitter_mentions
+//
+// These mirror the browser services the client checkers call, minus their mock-data
+// fallbacks: a failed fetch throws, so an outage never looks like a quiet market.
+// Responses are memoized for one run, so alerts on the same project share requests.
+
+const HOUR_MS = 60 * 60 * 1000
+// Mentions fetched per source for a search, so busy projects do not cap at one page of
+// 100 tweets; ten search requests at most
+const SEARCH_LIMIT = 1000
+
+const cryptoTerms: Record<string, string> = {
+  bitcoin: '$BTC OR Bitcoin OR #Bitcoin',
+  ethereum: '$ETH OR Ethereum OR #Ethereum',
+  solana: '$SOL OR Solana OR #Solana',
+  cardano: '$ADA OR Cardano OR #Cardano',
+  polygon: '$MATIC OR Polygon OR #Polygon',
+  chainlink: '$LINK OR Chainlink OR #Chainlink',
+  avalanche: '$AVAX OR Avalanche OR #Avalanche',
+  polkadot: '$DOT OR Polkadot OR #Polkadot'
+}
+
+// Same query as twitterService.buildSearchQuery; twitterStream.ts uses it for stream rules
+export function buildSearchQuery(project: string) {
+  return `(${getSearchTerms(project).join(' OR ')}) lang:en -is:retweet has:hashtags`
+}
+
+export function getSearchTerms(project: string) {
+  return (cryptoTerms[project.toLowerCase()] || `$${project.toUpperCase()} OR ${project}`).split(' OR ')
+}
+
+// Curated high-signal accounts, as in twitterService.getHighSignalAccounts
+const highSignalAccounts = [
+  { username: 'elonmusk', weight: 1.0, category: 'influencer' },
+  { username: 'VitalikButerin', weight: 0.95, category: 'founder' },
+  { username: 'aantonop', weight: 0.9, category: 'educator' },
+  { username: 'naval', weight: 0.85, category: 'investor' },
+  { username: 'balajis', weight: 0.85, category: 'analyst' }
+]
+
+export interface Tweet {
+  id: string
+  source?: string
+  text: string
+  author: { username: string }
+  engagement: number
+}
+
+export const CHANNEL_SOURCES = ['telegram', 'discord', 'reddit', 'rss', 'farcaster']
+
+export interface DexMetrics {
+  price: number
+  volume24h: number
+  liquidity: number
+  marketCap: number
+  pairAddress: string
+  dexId: string
+  chainId: string
+}
+
+export function createSources(supabaseClient: any) {
+  const memo = new Map<string, Promise<any>>()
+  const once = <T>(key: string, load: () => Promise<T>): Promise<T> => {
+    if (!memo.has(key)) memo.set(key, load())
+    return memo.get(key)!
+  }
+
+  const coinGeckoKey = Deno.env.get('COINGECKO_API_KEY')
+  const coinGeckoBase = coinGeckoKey ? 'https://pro-api.coingecko.com/api/v3' : 'https://api.coingecko.com/api/v3'
+
+  async function twitter(endpoint: string, params: Record<string, string>) {
+    const url = new URL(`https://api.twitter.com/2${endpoint}`)
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value))
+
+    const response = await fetch(url, {
+      headers: { 'Authorization': `Bearer ${Deno.env.get('TWITTER_BEARER_TOKEN')}` }
+    })
+    if (!response.ok) {
+      throw new Error(`Twitter API error: ${response.status}`)
+    }
+    return response.json()
+  }
+
+  async function coinGecko(path: string) {
+    const response = await fetch(`${coinGeckoBase}${path}`, {
+      headers: coinGeckoKey ? { 'x-cg-pro-api-key': coinGeckoKey } : {}
+    })
+    if (!response.ok) {
+      throw new Error(`CoinGecko API error: ${response.status}`)
+    }
+    return response.json()
+  }
+
+  async function dexScreener(path: string) {
+    const response = await fetch(`https://api.dexscreener.com/latest${path}`)
+    if (!response.ok) {
+      throw new Error(`DexScreener API error: ${response.status}`)
+    }
+    return response.json()
+  }
+
+  function searchTweets(project: string, startTime: number, endTime?: number): Promise<Tweet[]> {
+    const key = `search_${project}_${Math.floor(startTime / 60000)}_${endTime ? Math.floor(endTime / 60000) : ''}`
+    return once(key, async () => {
+      const params: Record<string, string> = {
+        query: buildSearchQuery(project),
+        max_results: '100',
+        'tweet.fields': 'created_at,author_id,public_metrics',
+        'user.fields': 'username',
+        expansions: 'author_id',
+        start_time: new Date(startTime).toISOString()
+      }
+      if (endTime) params.end_time = new Date(endTime).toISOString()
+
+      const tweets: any[] = []
+      const users = new Map<string, any>()
+      let nextToken: string | undefined
+      do {
+        const data = await twitter('/tweets/search/recent', nextToken ? { ...params, next_token: nextToken } : params)
+        tweets.push(...(data.data || []))
+        for (const user of data.includes?.users || []) users.set(user.id, user)
+        nextToken = data.meta?.next_token
+      } while (nextToken && tweets.length < SEARCH_LIMIT)
+
+      return tweets.map((tweet: any) => {
+        const metrics = tweet.public_metrics || {}
+        return {
+          id: tweet.id,
+          source: 'twitter',
+          text: tweet.text,
+          author: { username: (users.get(tweet.author_id) as any)?.username || 'unknown' },
+          engagement: (metrics.retweet_count || 0) * 3 + (metrics.like_count || 0) +
+            (metrics.reply_count || 0) * 2 + (metrics.quote_count || 0) * 2
+        }
+      })
+    })
+  }
+
+  // Stored channel messages containing any of the project's search terms
+  function searchChannelMentions(project: string, channels: string[], startTime: number, endTime?: number): Promise<Tweet[]> {
+    const key = `channels_${channels.join(',')}_${project}_${Math.floor(startTime / 60000)}_${endTime ? Math.floor(endTime / 60000) : ''}`
+    return once(key, async () => {
+      let query = supabaseClient
+        .from('mentions')
+        .select('source, source_id, text, author, engagement')
+        .in('source', channels)
+        .or(getSearchTerms(project).map(term => `text.ilike."%${term.replace(/["\\]/g, '')}%"`).join(','))
+        .gte('created_at', new Date(startTime).toISOString())
+        .order('created_at', { ascending: false })
+        .limit(SEARCH_LIMIT)
+      if (endTime) query = query.lt('created_at', new Date(endTime).toISOString())
+
+      const { data, error } = await query
+      if (error) throw error
+
+      return (data || []).map((row: any) => ({
+        id: row.source_id,
+        source: row.source,
+        text: row.text,
+        author: { username: row.author?.username || 'unknown' },
+        engagement: row.engagement || 0
+      }))
+    })
+  }
+
+  async function getTokenMetrics(tokenAddress: string): Promise<DexMetrics | null> {
+    const data = await once(`dex_token_${tokenAddress}`, () => dexScreener(`/dex/tokens/${tokenAddress}`))
+    if (!data.pairs || data.pairs.length === 0) return null
+
+    // The most liquid pair stands for the token
+    const mainPair = data.pairs.reduce((prev: any, current: any) =>
+      (current.liquidity?.usd || 0) > (prev.liquidity?.usd || 0) ? current : prev
+    )
+
+    return {
+      price: parseFloat(mainPair.priceUsd || '0'),
+      volume24h: parseFloat(mainPair.volume?.h24 || '0'),
+      liquidity: parseFloat(mainPair.liquidity?.usd || '0'),
+      marketCap: parseFloat(mainPair.fdv || '0'),
+      pairAddress: mainPair.pairAddress,
+      dexId: mainPair.dexId,
+      chainId: mainPair.chainId
+    }
+  }
+
+  return {
+    /**
+     * Mentions of a project in a time range from the alert's sources: at most
+     * SEARCH_LIMIT tweets and SEARCH_LIMIT channel messages, like the client's counts
+     */
+    async searchMentions(
+      project: string,
+      { startTime, endTime, sources = ['twitter'] }: { startTime: number, endTime?: number, sources?: string[] }
+    ): Promise<Tweet[]> {
+      const channels = CHANNEL_SOURCES.filter(source => sources.includes(source))
+      const [tweets, messages] = await Promise.all([
+        sources.includes('twitter') ? searchTweets(project, startTime, endTime) : [],
+        channels.length > 0 ? searchChannelMentions(project, channels, startTime, endTime) : []
+      ])
+      return [...tweets, ...messages]
+    },
+
+    /**
+     * Hourly tweet counts for the last 7 days
+     */
+    getMentionCounts(project: string): Promise<{ start: number, end: number, count: number }[]> {
+      return once(`counts_${project}`, async () => {
+        const data = await twitter('/tweets/counts/recent', { query: buildSearchQuery(project), granularity: 'hour' })
+        return (data.data || []).map((bucket: any) => ({
+          start: new Date(bucket.start).getTime(),
+          end: new Date(bucket.end).getTime(),
+          count: bucket.tweet_count
+        }))
+      })
+    },
+
+    /**
+     * Recent tweets about a project from the high-signal accounts
+     */
+    getInfluencerMentions(project: string) {
+      return once(`influencers_${project}`, async () => {
+        const mentions = []
+        for (const account of highSignalAccounts) {
+          try {
+            const data = await twitter('/tweets/search/recent', {
+              query: `from:${account.username} ($${project})`,
+              max_results: '10',
+              'tweet.fields': 'created_at,public_metrics'
+            })
+            mentions.push(...(data.data || []).map((tweet: any) => ({
+              text: tweet.text,
+              account_weight: account.weight,
+              account_category: account.category
+            })))
+          } catch (error) {
+            console.warn(`Failed to fetch from ${account.username}:`, error.message)
+          }
+        }
+        return mentions
+      })
+    },
+
+    /**
+     * Sentiment of the last hour's analyzed mentions (scores 0-1, 0.5 neutral)
+     */
+    getSentiment(project: string) {
+      return once(`sentiment_${project}`, async () => {
+        const { data, error } = await supabaseClient
+          .from('twitter_mentions')
+          .select('sentiment_score, sentiment_analysis')
+          .eq('project', project.toLowerCase())
+          .gte('created_at', new Date(Date.now() - HOUR_MS).toISOString())
+          .not('sentiment_score', 'is', null)
+
+        if (error) throw error
+        if (!data || data.length === 0) return null
+
+        const counts: Record<string, number> = { positive: 0, negative: 0, neutral: 0 }
+        data.forEach((mention: any) => {
+          const label = mention.sentiment_analysis?.sentiment || 'neutral'
+          counts[label] = (counts[label] || 0) + 1
+        })
+        const average = data.reduce((sum: number, mention: any) => sum + Number(mention.sentiment_score), 0) / data.length
+
+        return {
+          sentiment_score: Math.round(average * 100) / 100,
+          overall_sentiment: Object.keys(counts).reduce((a, b) => counts[a] >= counts[b] ? a : b),
+          confidence: Math.min(data.length / 20, 1),
+          mentions: data.length
+        }
+      })
+    },
+
+    async resolveCoinId(project: string): Promise<string> {
+      return once(`coin_id_${project}`, async () => {
+        const data = await coinGecko(`/search?query=${encodeURIComponent(project)}`)
+        const coins = data.coins || []
+        const exact = coins.find((coin: any) =>
+          coin.name.toLowerCase() === project.toLowerCase() || coin.symbol.toLowerCase() === project.toLowerCase()
+        )
+        return (exact || coins[0])?.id || project.toLowerCase()
+      })
+    },
+
+    getMarketChart(coinId: string, days: number): Promise<{
+      prices: { timestamp: number, price: number }[]
+      volumes: { timestamp: number, volume: number }[]
+    }> {
+      return once(`chart_${coinId}_${days}`, async () => {
+        const data = await coinGecko(`/coins/${coinId}/market_chart?vs_currency=usd&days=${days}`)
+        return {
+          prices: (data.prices || []).map(([timestamp, price]: number[]) => ({ timestamp, price })),
+          volumes: (data.total_volumes || []).map(([timestamp, volume]: number[]) => ({ timestamp, volume }))
+        }
+      })
+    },
+
+    getCoinMarket(coinId: string) {
+      return once(`market_${coinId}`, async () => {
+        const [coin] = await coinGecko(`/coins/markets?vs_currency=usd&ids=${encodeURIComponent(coinId)}&price_change_percentage=24h`)
+        return coin
+          ? { fullyDilutedValuation: coin.fully_diluted_valuation, priceChangePercentage24h: coin.price_change_percentage_24h }
+          : null
+      })
+    },
+
+    getTokenMetrics,
+
+    async getProjectMetrics(project: string): Promise<DexMetrics | null> {
+      const results = await once(`dex_search_${project}`, () => dexScreener(`/dex/search/?q=${encodeURIComponent(project)}`))
+      const query = project.toLowerCase()
+      const pairs = (results.pairs || []).filter((pair: any) =>
+        pair.baseToken?.symbol?.toLowerCase() === query || pair.baseToken?.name?.toLowerCase() === query
+      )
+      const candidates = pairs.length > 0 ? pairs : results.pairs || []
+      if (candidates.length === 0) return null
+
+      const mainPair = candidates.reduce((prev: any, current: any) =>
+        (current.liquidity?.usd || 0) > (prev.liquidity?.usd || 0) ? current : prev
+      )
+      return getTokenMetrics(mainPair.baseToken?.address)
+    }
+  }
+}
+
+export type Sources = ReturnType<typeof createSources>
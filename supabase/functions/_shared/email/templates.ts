@@ -0,0 +1,250 @@
+// HTML and plain-text alert email templates
+//
+// Each alert type lists the trigger data worth showing as metric rows; mention
+// alerts also include the sampled tweets and composite alerts every condition.
+
+export interface AlertNotification {
+  alert_id: string
+  incident_id?: string
+  event_id?: string
+  type: string
+  severity: string
+  escalated?: boolean
+  project: string
+  title: string
+  message: string
+  data: Record<string, any>
+  timestamp: string
+}
+
+interface Metric {
+  label: string
+  value: string
+}
+
+const severityColors: Record<string, string> = {
+  low: '#6b7280',
+  medium: '#3b82f6',
+  high: '#f59e0b',
+  critical: '#ef4444'
+}
+
+const usd = (value: number) => `$${Number(value).toLocaleString('en-US', { maximumFractionDigits: 6 })}`
+const percent = (value: number) => `${value > 0 ? '+' : ''}${value}%`
+
+const metricsByType: Record<string, (data: Record<string, any>) => Metric[]> = {
+  mention_increase: data => [
+    { label: 'Mentions (1h)', value: String(data.current_mentions) },
+    { label: 'Expected', value: String(data.baseline_mentions) },
+    { label: 'Change', value: percent(data.increase_percent) },
+    ...anomalyMetrics(data)
+  ],
+  sentiment_change: data => [
+    { label: 'Sentiment', value: String(data.current_sentiment) },
+    { label: 'Score', value: `${data.sentiment_score}%` },
+    { label: 'Confidence', value: `${Math.round((data.confidence ?? 0) * 100)}%` }
+  ],
+  new_mention: data => [
+    { label: 'New mentions', value: String(data.new_mentions) },
+    { label: 'Threshold', value: String(data.threshold) }
+  ],
+  influencer_mention: data => [
+    { label: 'Influencer mentions', value: String(data.influencer_mentions) }
+  ],
+  volume_spike: data => [
+    { label: 'Mention volume', value: String(data.current_volume) },
+    { label: 'Average', value: String(data.average_volume) },
+    { label: 'Spike', value: percent(data.spike_percent) },
+    ...anomalyMetrics(data)
+  ],
+  composite: data => [
+    { label: 'Rule', value: String(data.rule) }
+  ],
+  price_cross: data => [
+    { label: 'Price', value: usd(data.current_price) },
+    { label: 'Previous', value: usd(data.previous_price) },
+    { label: 'Level', value: `${data.crossed} ${usd(data.level)}` }
+  ],
+  price_move: data => [
+    { label: 'Price', value: usd(data.current_price) },
+    { label: `Start of ${data.window}`, value: usd(data.start_price) },
+    { label: 'Change', value: percent(data.change_percent) }
+  ],
+  liquidity_drop: data => [
+    { label: 'Liquidity', value: usd(Math.round(data.current_liquidity)) },
+    { label: 'Peak', value: usd(Math.round(data.peak_liquidity)) },
+    { label: 'Drop', value: `${data.drop_percent}% within ${data.window}` },
+    { label: 'Pair', value: `${data.dex_id} (${data.chain_id})` }
+  ],
+  volume_24h_spike: data => [
+    { label: '24h volume', value: usd(data.current_volume) },
+    { label: `${data.days_averaged} day average`, value: usd(data.average_volume) },
+    { label: 'Spike', value: percent(data.spike_percent) }
+  ],
+  fdv_threshold: data => [
+    { label: 'FDV', value: usd(Math.round(data.fdv)) },
+    { label: 'Level', value: `${data.direction} ${usd(data.level)}` },
+    { label: 'Source', value: String(data.source) }
+  ]
+}
+
+function anomalyMetrics(data: Record<string, any>): Metric[] {
+  if (data.detection !== 'anomaly' || !data.score) return []
+  return [
+    { label: 'Z-score', value: String(data.score.z_score) },
+    { label: 'Percentile', value: String(data.score.percentile) }
+  ]
+}
+
+function getMetrics(notification: AlertNotification): Metric[] {
+  const build = metricsByType[notification.type]
+  try {
+    return build ? build(notification.data || {}) : []
+  } catch (_error) {
+    // Trigger data from older clients may lack fields; the message still carries the essentials
+    return []
+  }
+}
+
+// Tweets sampled by mention alerts
+function getMentions(data: Record<string, any> = {}): { text: string, by: string }[] {
+  if (Array.isArray(data.top_mentions)) {
+    return data.top_mentions.map((mention: any) => ({ text: mention.text, by: `@${mention.author}` }))
+  }
+  if (Array.isArray(data.mentions)) {
+    return data.mentions.map((mention: any) => ({ text: mention.text, by: mention.account_category ?? 'influencer' }))
+  }
+  return []
+}
+
+function getConditions(data: Record<string, any> = {}): { label: string, actual: string, passed: boolean }[] {
+  if (!Array.isArray(data.conditions)) return []
+  return data.conditions
+    .filter((condition: any) => condition.evaluated)
+    .map((condition: any) => ({
+      label: condition.label,
+      actual: condition.actual === null ? 'n/a' : String(condition.actual),
+      passed: condition.passed
+    }))
+}
+
+export function renderAlertEmail(notification: AlertNotification, appUrl = '') {
+  const metrics = getMetrics(notification)
+  const mentions = getMentions(notification.data)
+  const conditions = getConditions(notification.data)
+  const color = severityColors[notification.severity] ?? severityColors.medium
+  const prefix = notification.escalated ? '[Escalated] ' : ''
+  const subject = `${prefix}[${notification.severity.toUpperCase()}] ${notification.title.replace(/^\[Escalated\] /, '')}`
+  const time = new Date(notification.timestamp).toUTCString()
+
+  const html = layout(`
+    <p style="margin:0 0 4px;color:${color};font-size:12px;font-weight:bold;text-transform:uppercase">
+      ${escapeHtml(notification.severity)} · ${escapeHtml(notification.type.replace(/_/g, ' '))}${notification.escalated ? ' · escalated' : ''}
+    </p>
+    <h1 style="margin:0 0 12px;font-size:20px">${escapeHtml(notification.title)}</h1>
+    <p style="margin:0 0 16px;white-space:pre-line">${escapeHtml(notification.message)}</p>
+    ${metrics.length > 0 ? `
+      <table style="border-collapse:collapse;width:100%;margin-bottom:16px">
+        ${metrics.map(metric => `
+          <tr>
+            <td style="padding:6px 0;color:#9ca3af;border-bottom:1px solid #374151">${escapeHtml(metric.label)}</td>
+            <td style="padding:6px 0;text-align:right;border-bottom:1px solid #374151">${escapeHtml(metric.value)}</td>
+          </tr>`).join('')}
+      </table>` : ''}
+    ${conditions.length > 0 ? `
+      <ul style="margin:0 0 16px;padding-left:20px">
+        ${conditions.map(condition => `<li>${condition.passed ? '✔' : '✘'} ${escapeHtml(condition.label)} (actual ${escapeHtml(condition.actual)})</li>`).join('')}
+      </ul>` : ''}
+    ${mentions.length > 0 ? `
+      ${mentions.map(mention => `
+        <blockquote style="margin:0 0 8px;padding:8px 12px;border-left:3px solid ${color};color:#d1d5db">
+          ${escapeHtml(mention.text)}<br><span style="color:#9ca3af;font-size:12px">${escapeHtml(mention.by)}</span>
+        </blockquote>`).join('')}` : ''}
+    <p style="margin:16px 0 0;color:#9ca3af;font-size:12px">
+      Triggered ${escapeHtml(time)}${appUrl ? ` · <a href="${escapeHtml(appUrl)}/alerts" style="color:#3b82f6">Open alerts</a>` : ''}
+    </p>
+  `)
+
+  const text = [
+    notification.title,
+    `Severity: ${notification.severity}${notification.escalated ? ' (escalated)' : ''}`,
+    '',
+    notification.message,
+    '',
+    ...metrics.map(metric => `${metric.label}: ${metric.value}`),
+    ...conditions.map(condition => `${condition.passed ? '[x]' : '[ ]'} ${condition.label} (actual ${condition.actual})`),
+    ...mentions.map(mention => `> ${mention.text} — ${mention.by}`),
+    '',
+    `Triggered ${time}`,
+    ...(appUrl ? [`${appUrl}/alerts`] : [])
+  ].join('\n')
+
+  return { subject, html, text }
+}
+
+export function renderDigestEmail(notifications: AlertNotification[], appUrl = '') {
+  const sorted = [...notifications].sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+  const projects = [...new Set(sorted.map(notification => notification.project))]
+  const subject = `CryptoSentinel digest: ${sorted.length} alert${sorted.length === 1 ? '' : 's'} for ${projects.slice(0, 3).join(', ')}${projects.length > 3 ? '…' : ''}`
+
+  const html = layout(`
+    <h1 style="margin:0 0 16px;font-size:20px">${sorted.length} alert${sorted.length === 1 ? '' : 's'} since your last digest</h1>
+    ${sorted.map(notification => `
+      <div style="margin-bottom:16px;padding-left:12px;border-left:3px solid ${severityColors[notification.severity] ?? severityColors.medium}">
+        <p style="margin:0;font-weight:bold">${escapeHtml(notification.title)}</p>
+        <p style="margin:4px 0">${escapeHtml(notification.message)}</p>
+        <p style="margin:0;color:#9ca3af;font-size:12px">${escapeHtml(notification.severity)} · ${escapeHtml(new Date(notification.timestamp).toUTCString())}</p>
+      </div>`).join('')}
+    ${appUrl ? `<p style="margin:16px 0 0;font-size:12px"><a href="${escapeHtml(appUrl)}/alerts" style="color:#3b82f6">Open alerts</a></p>` : ''}
+  `)
+
+  const text = [
+    `${sorted.length} alert${sorted.length === 1 ? '' : 's'} since your last digest`,
+    '',
+    ...sorted.map(notification => `- [${notification.severity}] ${notification.title}\n  ${notification.message}\n  ${new Date(notification.timestamp).toUTCString()}`),
+    ...(appUrl ? ['', `${appUrl}/alerts`] : [])
+  ].join('\n')
+
+  return { subject, html, text }
+}
+
+export function renderVerificationEmail(code: string, minutes: number) {
+  const subject = `CryptoSentinel verification code: ${code}`
+
+  const html = layout(`
+    <h1 style="margin:0 0 12px;font-size:20px">Confirm this address for alert emails</h1>
+    <p style="margin:0 0 16px">Enter this code in the email settings on the Alerts page:</p>
+    <p style="margin:0 0 16px;font-size:28px;font-weight:bold;letter-spacing:6px">${escapeHtml(code)}</p>
+    <p style="margin:0;color:#9ca3af;font-size:12px">The code expires in ${minutes} minutes. If you did not ask for it, ignore this email.</p>
+  `)
+
+  const text = [
+    'Confirm this address for alert emails',
+    '',
+    `Enter this code in the email settings on the Alerts page: ${code}`,
+    '',
+    `The code expires in ${minutes} minutes. If you did not ask for it, ignore this email.`
+  ].join('\n')
+
+  return { subject, html, text }
+}
+
+function layout(body: string) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#0f172a;font-family:-apple-system,Segoe UI,Roboto,sans-serif;color:#f3f4f6">
+    <div style="max-width:600px;margin:0 auto;padding:24px;background:#1e293b;border-radius:8px">
+      ${body}
+      <p style="margin:24px 0 0;color:#6b7280;font-size:11px">Sent by CryptoSentinel alerts</p>
+    </div>
+  </body>
+</html>`
+}
+
+function escapeHtml(value: string) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
@@ -0,0 +1,98 @@
+import { SMTPClient } from 'https://deno.land/x/denomailer@1.6.0/mod.ts'
+
+// Mail transports for alert emails, selected with EMAIL_TRANSPORT
+//
+//   smtp         SMTP_HOST, SMTP_PORT (587), SMTP_USERNAME, SMTP_PASSWORD, SMTP_TLS ('true' for implicit TLS)
+//   mailcatcher  MAILCATCHER_HOST (localhost), MAILCATCHER_PORT (1025) - Mailpit/MailHog/Inbucket for local dev
+//
+// Every transport sends from EMAIL_FROM and stamps its own Message-ID so bounce
+// reports can be matched back to the delivery.
+
+export interface EmailMessage {
+  to: string
+  subject: string
+  html: string
+  text: string
+}
+
+export interface EmailTransport {
+  name: string
+  send(message: EmailMessage): Promise<{ messageId: string }>
+}
+
+interface SmtpOptions {
+  hostname: string
+  port: number
+  tls: boolean
+  auth?: { username: string, password: string }
+  allowUnsecure?: boolean
+}
+
+const transports: Record<string, () => EmailTransport> = {
+  smtp: () => createSmtpTransport('smtp', {
+    hostname: requireEnv('SMTP_HOST'),
+    port: parseInt(Deno.env.get('SMTP_PORT') ?? '587'),
+    tls: Deno.env.get('SMTP_TLS') === 'true',
+    auth: Deno.env.get('SMTP_USERNAME')
+      ? { username: requireEnv('SMTP_USERNAME'), password: requireEnv('SMTP_PASSWORD') }
+      : undefined
+  }),
+  mailcatcher: () => createSmtpTransport('mailcatcher', {
+    hostname: Deno.env.get('MAILCATCHER_HOST') ?? 'localhost',
+    port: parseInt(Deno.env.get('MAILCATCHER_PORT') ?? '1025'),
+    tls: false,
+    allowUnsecure: true
+  })
+}
+
+export function createTransport(name = Deno.env.get('EMAIL_TRANSPORT') ?? 'mailcatcher'): EmailTransport {
+  const factory = transports[name]
+  if (!factory) {
+    throw new Error(`Unknown email transport "${name}" (expected ${Object.keys(transports).join(', ')})`)
+  }
+  return factory()
+}
+
+function createSmtpTransport(name: string, options: SmtpOptions): EmailTransport {
+  const from = requireEnv('EMAIL_FROM')
+  const domain = from.replace(/^.*@/, '').replace(/>$/, '')
+
+  return {
+    name,
+    async send(message: EmailMessage) {
+      const messageId = `<${crypto.randomUUID()}@${domain}>`
+      const client = new SMTPClient({
+        connection: {
+          hostname: options.hostname,
+          port: options.port,
+          tls: options.tls,
+          auth: options.auth
+        },
+        debug: options.allowUnsecure ? { allowUnsecure: true, noStartTLS: true } : undefined
+      })
+
+      try {
+        await client.send({
+          from,
+          to: message.to,
+          subject: message.subject,
+          content: message.text,
+          html: message.html,
+          headers: { 'Message-ID': messageId }
+        })
+      } finally {
+        await client.close()
+      }
+
+      return { messageId }
+    }
+  }
+}
+
+function requireEnv(key: string): string {
+  const value = Deno.env.get(key)
+  if (!value) {
+    throw new Error(`${key} is not configured`)
+  }
+  return value
+}
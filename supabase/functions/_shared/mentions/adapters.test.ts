@@ -0,0 +1,89 @@
+// Adapter parsing against the recorded responses in fixtures.ts
+//
+//   deno test --no-check --allow-env supabase/functions/_shared/mentions/
+
+import { assert, assertEquals } from 'https://deno.land/std@0.168.0/testing/asserts.ts'
+import { atomFeed, createFixtureFetch, farcasterCasts, redditListing, rssFeed } from './fixtures.ts'
+import { parseRedditListing } from './reddit.ts'
+import { parseFeed } from './rss.ts'
+import { FARCASTER_EPOCH, ingestFarcaster, parseCast } from './farcaster.ts'
+import { TrackedChannel, uniqueMentions } from './mention.ts'
+
+Deno.test('parseRedditListing maps posts and skips deleted ones', () => {
+  const mentions = parseRedditListing(redditListing, 'r/CryptoCurrency')
+
+  assertEquals(mentions.map(mention => mention.source_id), ['t3_1c2xk4f', 't3_1c2wz7q'])
+  assertEquals(mentions[0].text, 'Bitcoin ETF inflows hit a three week high\n\nSpot $BTC funds took in over $400M yesterday. Bullish into the halving?')
+  assertEquals(mentions[0].metrics, { retweets: 4, likes: 1840, replies: 312, quotes: 0 })
+  assertEquals(mentions[0].engagement, 2476)
+  assertEquals(mentions[0].created_at, '2024-04-15T16:00:00.000Z')
+  assertEquals(mentions[0].url, 'https://www.reddit.com/r/CryptoCurrency/comments/1c2xk4f/bitcoin_etf_inflows_hit_a_three_week_high/')
+  assertEquals(mentions[0].channel_name, 'r/CryptoCurrency')
+  assertEquals(mentions[1].text, 'Ethereum gas fees are a scam again')
+})
+
+Deno.test('parseFeed reads RSS items and skips undated ones', () => {
+  const mentions = parseFeed(rssFeed, 'https://news.example.com/rss')
+
+  assertEquals(mentions.map(mention => mention.source_id), ['cdn-48213', 'https://news.example.com/bitcoin-miners-sell'])
+  assertEquals(mentions[0].text, 'Solana validators ship client upgrade ahead of schedule\n\nThe SOL upgrade cuts block times & fees.')
+  assertEquals(mentions[0].author.name, 'Jane Ledger')
+  assertEquals(mentions[0].metrics.replies, 27)
+  assertEquals(mentions[0].created_at, '2024-04-15T14:05:00.000Z')
+  // Without dc:creator the feed title stands in for the author
+  assertEquals(mentions[1].author.name, 'Crypto Desk News')
+  assertEquals(mentions[1].channel_id, 'https://news.example.com/rss')
+})
+
+Deno.test('parseFeed reads Atom entries with their alternate link', () => {
+  const [mention] = parseFeed(atomFeed, 'https://research.example.org/atom')
+
+  assertEquals(mention.source_id, 'urn:uuid:0c6b8d52-danksharding')
+  assertEquals(mention.text, 'Ethereum & the road to danksharding\n\nBlobs made $ETH rollups cheaper; what comes next for data availability.')
+  assertEquals(mention.author.name, 'Vera Blob')
+  assertEquals(mention.url, 'https://research.example.org/posts/danksharding')
+  assertEquals(mention.channel_name, 'Protocol Research Blog')
+})
+
+Deno.test('parseCast reads cast-add messages and ignores removals', () => {
+  const casts = farcasterCasts.messages.map(parseCast)
+
+  assertEquals(casts[1], null)
+  assertEquals(casts[0], {
+    fid: 5650,
+    hash: '0x8f3a2c91d4e5b6a7c8d9e0f1a2b3c4d5e6f7a8b9',
+    text: 'Bitcoin just reclaimed 70k, onchain summer starts early',
+    createdAt: new Date('2024-04-15T16:00:00.000Z')
+  })
+  assertEquals(casts[2]?.fid, 3)
+})
+
+Deno.test('ingestFarcaster counts reactions for recent casts and settles older ones', async () => {
+  Deno.env.set('FARCASTER_HUB_URL', 'https://hub.example.com')
+  const fixtureFetch = createFixtureFetch()
+  // The first recorded cast is replayed as posted a minute ago
+  const recent = Math.floor(Date.now() / 1000) - FARCASTER_EPOCH - 60
+  const fetcher = async (input: string | URL, init?: RequestInit) => {
+    if (!String(input).includes('/v1/castsBy')) return fixtureFetch(input, init)
+    const [first, ...rest] = farcasterCasts.messages
+    return new Response(JSON.stringify({ ...farcasterCasts, messages: [{ ...first, data: { ...first.data, timestamp: recent } }, ...rest] }))
+  }
+  const channel: TrackedChannel = { id: '1', account_type: 'farcaster', account_identifier: '/bitcoin', external_id: null }
+
+  const result = await ingestFarcaster([channel], {}, fetcher)
+
+  assertEquals(result.errors, [])
+  assertEquals(result.mentions.length, 1)
+  assertEquals(result.mentions[0].author.username, 'vitalik.eth')
+  assertEquals(result.mentions[0].metrics, { retweets: 1, likes: 2, replies: 0, quotes: 0 })
+  assertEquals(result.settled?.map(mention => mention.source_id), ['0x4d7e1f0a9b8c7d6e5f4a3b2c1d0e9f8a7b6c5d4e'])
+})
+
+Deno.test('uniqueMentions keeps the first row per source id', () => {
+  const mentions = parseRedditListing(redditListing, 'r/CryptoCurrency')
+  const searched = parseRedditListing(redditListing, 'bitcoin')
+
+  const unique = uniqueMentions([...mentions, ...searched])
+  assertEquals(unique.length, 2)
+  assert(unique.every(mention => mention.channel_id === 'r/CryptoCurrency'))
+})
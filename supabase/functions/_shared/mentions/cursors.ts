@@ -0,0 +1,29 @@
+// Where each source's ingestion left off, in mention_source_cursors
+
+import { MentionSource } from './mention.ts'
+
+export async function loadCursors(supabaseClient: any, source: MentionSource): Promise<Record<string, string>> {
+  const { data, error } = await supabaseClient
+    .from('mention_source_cursors')
+    .select('cursor_key, cursor')
+    .eq('source', source)
+
+  if (error) throw new Error(`Failed to load cursors: ${error.message}`)
+  return Object.fromEntries((data || []).map((row: any) => [row.cursor_key, row.cursor]))
+}
+
+export async function saveCursors(supabaseClient: any, source: MentionSource, cursors: Record<string, string>) {
+  const rows = Object.entries(cursors).map(([cursor_key, cursor]) => ({
+    source,
+    cursor_key,
+    cursor,
+    updated_at: new Date().toISOString()
+  }))
+  if (rows.length === 0) return
+
+  const { error } = await supabaseClient
+    .from('mention_source_cursors')
+    .upsert(rows, { onConflict: 'source,cursor_key' })
+
+  if (error) throw new Error(`Failed to save cursors: ${error.message}`)
+}
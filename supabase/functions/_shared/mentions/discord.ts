@@ -0,0 +1,101 @@
+// Discord adapter: messages from the text and announcement channels of servers the
+// bot (DISCORD_BOT_TOKEN) has joined. Servers are tracked by guild id.
+//
+// Each channel keeps the id of the last message read as its cursor; a channel without
+// one starts from its latest page. The bot needs the Message Content intent, or
+// message text comes back empty and the message is skipped.
+
+import { AdapterResult, Fetcher, MentionRow, TrackedChannel, calculateEngagement, calculateInfluence } from './mention.ts'
+
+const API_BASE = 'https://discord.com/api/v10'
+const TEXT_CHANNEL_TYPES = [0, 5] // GUILD_TEXT, GUILD_ANNOUNCEMENT
+const PAGE_SIZE = 100
+
+export async function ingestDiscord(
+  servers: TrackedChannel[],
+  cursors: Record<string, string>,
+  fetcher: Fetcher = fetch
+): Promise<AdapterResult> {
+  const token = Deno.env.get('DISCORD_BOT_TOKEN')
+  if (!token) throw new Error('DISCORD_BOT_TOKEN is not set')
+
+  const discord = async (path: string) => {
+    const response = await fetcher(`${API_BASE}${path}`, {
+      headers: { 'Authorization': `Bot ${token}` }
+    })
+    if (!response.ok) {
+      const error = new Error(`Discord API error: ${response.status}`) as Error & { status: number }
+      error.status = response.status
+      throw error
+    }
+    return response.json()
+  }
+
+  const mentions: MentionRow[] = []
+  const nextCursors: Record<string, string> = {}
+  const errors: AdapterResult['errors'] = []
+
+  for (const server of servers) {
+    const guildId = server.account_identifier.trim()
+    try {
+      const channels = await discord(`/guilds/${guildId}/channels`)
+
+      for (const channel of channels.filter((channel: any) => TEXT_CHANNEL_TYPES.includes(channel.type))) {
+        const after = cursors[channel.id]
+        let messages
+        try {
+          messages = await discord(`/channels/${channel.id}/messages?limit=${PAGE_SIZE}${after ? `&after=${after}` : ''}`)
+        } catch (error) {
+          // Channels hidden from the bot are expected in most servers
+          if (error.status === 403) continue
+          throw error
+        }
+        if (messages.length === 0) continue
+
+        nextCursors[channel.id] = messages
+          .map((message: any) => message.id)
+          .reduce((a: string, b: string) => BigInt(a) > BigInt(b) ? a : b)
+
+        mentions.push(...messages
+          .filter((message: any) => message.content && !message.author?.bot)
+          .map((message: any) => formatMessage(message, guildId, channel)))
+      }
+    } catch (error) {
+      errors.push({ account: guildId, error: error.message })
+    }
+  }
+
+  return { mentions, cursors: nextCursors, errors }
+}
+
+function formatMessage(message: any, guildId: string, channel: any): MentionRow {
+  const metrics = {
+    retweets: 0,
+    likes: (message.reactions || []).reduce((sum: number, reaction: any) => sum + (reaction.count || 0), 0),
+    replies: message.thread?.message_count || 0,
+    quotes: 0
+  }
+  const engagement = calculateEngagement(metrics)
+
+  return {
+    source: 'discord',
+    source_id: message.id,
+    server_id: guildId,
+    channel_id: channel.id,
+    channel_name: channel.name || null,
+    text: message.content,
+    created_at: new Date(message.timestamp).toISOString(),
+    lang: null,
+    url: `https://discord.com/channels/${guildId}/${channel.id}/${message.id}`,
+    author: {
+      id: message.author.id,
+      username: message.author.username,
+      name: message.author.global_name || message.author.username,
+      verified: false,
+      followers: 0
+    },
+    metrics,
+    engagement,
+    influence: calculateInfluence(0, engagement)
+  }
+}
@@ -0,0 +1,171 @@
+// Farcaster adapter: casts read from a Farcaster hub's HTTP API (FARCASTER_HUB_URL,
+// with FARCASTER_HUB_API_KEY for hosted hubs that require one).
+//
+// Accounts are tracked by fid (`3`), channel name (`/bitcoin`) or channel URL. The
+// newest page of casts is read on every run; likes and recasts are only re-counted
+// for casts from the last day, which is when they still change. Older casts are
+// returned as `settled`, so their stored counts are not overwritten.
+
+import { AdapterResult, Fetcher, MentionRow, TrackedChannel, calculateEngagement, calculateInfluence } from './mention.ts'
+
+// Hub timestamps are seconds since 2021-01-01T00:00:00Z
+export const FARCASTER_EPOCH = 1609459200
+const PAGE_SIZE = 50
+const REACTION_WINDOW_MS = 24 * 60 * 60 * 1000
+const USER_DATA_TYPE_USERNAME = 6
+
+export async function ingestFarcaster(
+  accounts: TrackedChannel[],
+  _cursors: Record<string, string>,
+  fetcher: Fetcher = fetch
+): Promise<AdapterResult> {
+  const hubUrl = Deno.env.get('FARCASTER_HUB_URL')
+  if (!hubUrl) throw new Error('FARCASTER_HUB_URL is not set')
+  const apiKey = Deno.env.get('FARCASTER_HUB_API_KEY')
+
+  const hub = async (path: string, params: Record<string, string | number | boolean>) => {
+    const query = new URLSearchParams(Object.entries(params).map(([key, value]) => [key, String(value)]))
+    const response = await fetcher(`${hubUrl.replace(/\/$/, '')}/v1/${path}?${query}`, {
+      headers: apiKey ? { 'x-api-key': apiKey } : {}
+    })
+    if (!response.ok) throw new Error(`Farcaster hub error: ${response.status}`)
+    return response.json()
+  }
+
+  // Usernames are looked up once per run, however many casts an author has
+  const usernames = new Map<number, Promise<string | null>>()
+  const getUsername = (fid: number) => {
+    if (!usernames.has(fid)) {
+      usernames.set(fid, hub('userDataByFid', { fid, user_data_type: USER_DATA_TYPE_USERNAME })
+        .then(parseUsername)
+        .catch(() => null))
+    }
+    return usernames.get(fid)!
+  }
+
+  const mentions: MentionRow[] = []
+  const settled: MentionRow[] = []
+  const errors: AdapterResult['errors'] = []
+
+  for (const account of accounts) {
+    const identifier = account.account_identifier.trim()
+    try {
+      const target = parseFarcasterTarget(identifier)
+      const page = target.fid !== undefined
+        ? await hub('castsByFid', { fid: target.fid, pageSize: PAGE_SIZE, reverse: true })
+        : await hub('castsByParent', { url: target.url!, pageSize: PAGE_SIZE, reverse: true })
+
+      for (const message of page.messages || []) {
+        const cast = parseCast(message)
+        if (!cast) continue
+
+        if (Date.now() - cast.createdAt.getTime() < REACTION_WINDOW_MS) {
+          const reactions = await countReactions(hub, cast.fid, cast.hash)
+          mentions.push(formatCast(cast, identifier, await getUsername(cast.fid), reactions))
+        } else {
+          settled.push(formatCast(cast, identifier, await getUsername(cast.fid), { likes: 0, recasts: 0 }))
+        }
+      }
+    } catch (error) {
+      errors.push({ account: identifier, error: error.message })
+    }
+  }
+
+  return { mentions, settled, cursors: {}, errors }
+}
+
+/**
+ * What a tracked identifier points at: an fid, or the parent URL of a channel's casts
+ */
+export function parseFarcasterTarget(identifier: string): { fid?: number, url?: string } {
+  const value = identifier.trim()
+  if (/^\d+$/.test(value)) return { fid: parseInt(value) }
+  if (/^(https?|chain):\/\//i.test(value)) return { url: value }
+  return { url: `https://warpcast.com/~/channel/${value.replace(/^\//, '').toLowerCase()}` }
+}
+
+export interface FarcasterCast {
+  fid: number
+  hash: string
+  text: string
+  createdAt: Date
+}
+
+// A cast-add message from the hub, or null for anything else (removals, empty casts)
+export function parseCast(message: any): FarcasterCast | null {
+  const data = message?.data
+  if (data?.type !== 'MESSAGE_TYPE_CAST_ADD' || !data.castAddBody?.text) return null
+
+  return {
+    fid: data.fid,
+    hash: message.hash,
+    text: data.castAddBody.text,
+    createdAt: new Date((FARCASTER_EPOCH + data.timestamp) * 1000)
+  }
+}
+
+export function parseUsername(response: any): string | null {
+  const body = response?.data?.userDataBody
+  return body?.type === 'USER_DATA_TYPE_USERNAME' ? body.value : null
+}
+
+export function parseReactions(response: any) {
+  return (response?.messages || []).reduce((counts: { likes: number, recasts: number }, message: any) => {
+    const type = message?.data?.reactionBody?.type
+    if (type === 'REACTION_TYPE_LIKE') counts.likes++
+    if (type === 'REACTION_TYPE_RECAST') counts.recasts++
+    return counts
+  }, { likes: 0, recasts: 0 })
+}
+
+async function countReactions(
+  hub: (path: string, params: Record<string, string | number | boolean>) => Promise<any>,
+  fid: number,
+  hash: string
+) {
+  try {
+    const [likes, recasts] = await Promise.all(['REACTION_TYPE_LIKE', 'REACTION_TYPE_RECAST'].map(reaction_type =>
+      hub('reactionsByCast', { target_fid: fid, target_hash: hash, reaction_type, pageSize: 100 })
+    ))
+    return { likes: parseReactions(likes).likes, recasts: parseReactions(recasts).recasts }
+  } catch {
+    return { likes: 0, recasts: 0 }
+  }
+}
+
+/**
+ * Likes count as likes and recasts as retweets, as on Twitter. Hubs do not keep
+ * reply counts, so replies stay 0.
+ */
+export function formatCast(
+  cast: FarcasterCast,
+  channelId: string,
+  username: string | null,
+  reactions: { likes: number, recasts: number }
+): MentionRow {
+  const metrics = { retweets: reactions.recasts, likes: reactions.likes, replies: 0, quotes: 0 }
+  const engagement = calculateEngagement(metrics)
+  const handle = username || `fid:${cast.fid}`
+
+  return {
+    source: 'farcaster',
+    source_id: cast.hash,
+    server_id: null,
+    channel_id: channelId,
+    channel_name: channelId,
+    text: cast.text,
+    created_at: cast.createdAt.toISOString(),
+    lang: null,
+    url: username ? `https://warpcast.com/${username}/${cast.hash.slice(0, 10)}` : null,
+    author: {
+      id: String(cast.fid),
+      username: handle,
+      name: handle,
+      verified: false,
+      followers: 0
+    },
+    metrics,
+    engagement,
+    influence: calculateInfluence(0, engagement)
+  }
+}
@@ -0,0 +1,226 @@
+// Recorded API responses for the Reddit, RSS/Atom and Farcaster adapters, trimmed to
+// the fields they read. channel-ingestion serves them instead of the network when
+// MENTION_SOURCE_FIXTURES=true, and adapters.test.ts runs the parse functions against
+// them, e.g. parseRedditListing(redditListing, 'r/CryptoCurrency').
+//
+// Sources without a fixture here get a 404, so their adapter reports an error.
+
+import { Fetcher } from './mention.ts'
+
+export const redditListing = {
+  kind: 'Listing',
+  data: {
+    after: 't3_1c2x9ab',
+    children: [
+      {
+        kind: 't3',
+        data: {
+          id: '1c2xk4f',
+          name: 't3_1c2xk4f',
+          subreddit: 'CryptoCurrency',
+          subreddit_name_prefixed: 'r/CryptoCurrency',
+          title: 'Bitcoin ETF inflows hit a three week high',
+          selftext: 'Spot $BTC funds took in over $400M yesterday. Bullish into the halving?',
+          author: 'satoshi_fan_21',
+          author_fullname: 't2_8k3jd02',
+          created_utc: 1713196800,
+          score: 1840,
+          num_comments: 312,
+          num_crossposts: 4,
+          permalink: '/r/CryptoCurrency/comments/1c2xk4f/bitcoin_etf_inflows_hit_a_three_week_high/',
+          url: 'https://www.reddit.com/r/CryptoCurrency/comments/1c2xk4f/bitcoin_etf_inflows_hit_a_three_week_high/'
+        }
+      },
+      {
+        kind: 't3',
+        data: {
+          id: '1c2wz7q',
+          name: 't3_1c2wz7q',
+          subreddit: 'CryptoCurrency',
+          subreddit_name_prefixed: 'r/CryptoCurrency',
+          title: 'Ethereum gas fees are a scam again',
+          selftext: '',
+          author: 'gasless_gary',
+          author_fullname: 't2_1m9xq7',
+          created_utc: 1713193200,
+          score: 96,
+          num_comments: 58,
+          num_crossposts: 0,
+          permalink: '/r/CryptoCurrency/comments/1c2wz7q/ethereum_gas_fees_are_a_scam_again/',
+          url: 'https://www.reddit.com/r/CryptoCurrency/comments/1c2wz7q/ethereum_gas_fees_are_a_scam_again/'
+        }
+      },
+      {
+        kind: 't3',
+        data: {
+          id: '1c2x9ab',
+          name: 't3_1c2x9ab',
+          subreddit: 'CryptoCurrency',
+          subreddit_name_prefixed: 'r/CryptoCurrency',
+          title: '[deleted]',
+          selftext: '[deleted]',
+          author: '[deleted]',
+          created_utc: 1713189600,
+          score: 0,
+          num_comments: 2,
+          num_crossposts: 0,
+          permalink: '/r/CryptoCurrency/comments/1c2x9ab/deleted/'
+        }
+      }
+    ]
+  }
+}
+
+export const rssFeed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:slash="http://purl.org/rss/1.0/modules/slash/">
+  <channel>
+    <title>Crypto Desk News</title>
+    <link>https://news.example.com</link>
+    <description>Markets and protocol news</description>
+    <item>
+      <title><![CDATA[Solana validators ship client upgrade ahead of schedule]]></title>
+      <link>https://news.example.com/solana-client-upgrade</link>
+      <guid isPermaLink="false">cdn-48213</guid>
+      <pubDate>Mon, 15 Apr 2024 14:05:00 GMT</pubDate>
+      <dc:creator>Jane Ledger</dc:creator>
+      <description>&lt;p&gt;The &lt;b&gt;SOL&lt;/b&gt; upgrade cuts block times &amp;amp; fees.&lt;/p&gt;</description>
+      <slash:comments>27</slash:comments>
+    </item>
+    <item>
+      <title>Bitcoin miners sell reserves after hashprice slump</title>
+      <link>https://news.example.com/bitcoin-miners-sell</link>
+      <guid>https://news.example.com/bitcoin-miners-sell</guid>
+      <pubDate>Mon, 15 Apr 2024 09:30:00 GMT</pubDate>
+      <description>Miners moved 12,000 BTC to exchanges as revenue fell.</description>
+    </item>
+    <item>
+      <title>Undated sponsor post</title>
+      <link>https://news.example.com/sponsored</link>
+    </item>
+  </channel>
+</rss>`
+
+export const atomFeed = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Protocol Research Blog</title>
+  <id>urn:uuid:5b1f7c1e-research</id>
+  <updated>2024-04-15T12:00:00Z</updated>
+  <entry>
+    <title type="html">Ethereum &amp;amp; the road to danksharding</title>
+    <link rel="alternate" type="text/html" href="https://research.example.org/posts/danksharding"/>
+    <link rel="replies" href="https://research.example.org/posts/danksharding#comments"/>
+    <id>urn:uuid:0c6b8d52-danksharding</id>
+    <published>2024-04-15T11:00:00Z</published>
+    <updated>2024-04-15T12:00:00Z</updated>
+    <author><name>Vera Blob</name></author>
+    <summary>Blobs made $ETH rollups cheaper; what comes next for data availability.</summary>
+  </entry>
+</feed>`
+
+export const farcasterCasts = {
+  messages: [
+    {
+      data: {
+        type: 'MESSAGE_TYPE_CAST_ADD',
+        fid: 5650,
+        timestamp: 103737600,
+        network: 'FARCASTER_NETWORK_MAINNET',
+        castAddBody: {
+          text: 'Bitcoin just reclaimed 70k, onchain summer starts early',
+          parentUrl: 'https://warpcast.com/~/channel/bitcoin',
+          mentions: [],
+          mentionsPositions: [],
+          embeds: []
+        }
+      },
+      hash: '0x8f3a2c91d4e5b6a7c8d9e0f1a2b3c4d5e6f7a8b9',
+      hashScheme: 'HASH_SCHEME_BLAKE3',
+      signatureScheme: 'SIGNATURE_SCHEME_ED25519'
+    },
+    {
+      data: {
+        type: 'MESSAGE_TYPE_CAST_REMOVE',
+        fid: 5650,
+        timestamp: 103737000,
+        network: 'FARCASTER_NETWORK_MAINNET',
+        castRemoveBody: { targetHash: '0x11aa22bb33cc44dd55ee66ff77889900aabbccdd' }
+      },
+      hash: '0x22bb33cc44dd55ee66ff77889900aabbccddeeff'
+    },
+    {
+      data: {
+        type: 'MESSAGE_TYPE_CAST_ADD',
+        fid: 3,
+        timestamp: 103734000,
+        network: 'FARCASTER_NETWORK_MAINNET',
+        castAddBody: {
+          text: 'Worried about the BTC ETF outflows, feels like a dump is coming',
+          parentUrl: 'https://warpcast.com/~/channel/bitcoin',
+          mentions: [],
+          mentionsPositions: [],
+          embeds: []
+        }
+      },
+      hash: '0x4d7e1f0a9b8c7d6e5f4a3b2c1d0e9f8a7b6c5d4e',
+      hashScheme: 'HASH_SCHEME_BLAKE3',
+      signatureScheme: 'SIGNATURE_SCHEME_ED25519'
+    }
+  ],
+  nextPageToken: ''
+}
+
+export const farcasterUserData: Record<number, unknown> = {
+  5650: { data: { type: 'MESSAGE_TYPE_USER_DATA_ADD', fid: 5650, userDataBody: { type: 'USER_DATA_TYPE_USERNAME', value: 'vitalik.eth' } } },
+  3: { data: { type: 'MESSAGE_TYPE_USER_DATA_ADD', fid: 3, userDataBody: { type: 'USER_DATA_TYPE_USERNAME', value: 'dwr.eth' } } }
+}
+
+export const farcasterReactions = {
+  messages: [
+    { data: { type: 'MESSAGE_TYPE_REACTION_ADD', fid: 2, reactionBody: { type: 'REACTION_TYPE_LIKE' } } },
+    { data: { type: 'MESSAGE_TYPE_REACTION_ADD', fid: 12, reactionBody: { type: 'REACTION_TYPE_LIKE' } } },
+    { data: { type: 'MESSAGE_TYPE_REACTION_ADD', fid: 99, reactionBody: { type: 'REACTION_TYPE_RECAST' } } }
+  ],
+  nextPageToken: ''
+}
+
+/**
+ * A fetch that answers from the recordings above. Any feed URL gets the RSS feed,
+ * or the Atom feed when the URL mentions atom.
+ */
+export function createFixtureFetch(): Fetcher {
+  const json = (body: unknown) => new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } })
+  const xml = (body: string) => new Response(body, { headers: { 'Content-Type': 'application/xml' } })
+
+  return (input: string | URL) => {
+    const url = new URL(String(input))
+    const path = url.pathname
+
+    if (url.hostname.endsWith('reddit.com')) {
+      return Promise.resolve(path.endsWith('/access_token')
+        ? json({ access_token: 'fixture-token', token_type: 'bearer', expires_in: 86400 })
+        : json(redditListing))
+    }
+    if (path.endsWith('/v1/castsByFid') || path.endsWith('/v1/castsByParent')) {
+      return Promise.resolve(json(farcasterCasts))
+    }
+    if (path.endsWith('/v1/userDataByFid')) {
+      const userData = farcasterUserData[Number(url.searchParams.get('fid'))]
+      return Promise.resolve(userData ? json(userData) : new Response('{}', { status: 404 }))
+    }
+    if (path.endsWith('/v1/reactionsByCast')) {
+      const type = url.searchParams.get('reaction_type')
+      return Promise.resolve(json({
+        ...farcasterReactions,
+        messages: farcasterReactions.messages.filter(message => !type || message.data.reactionBody.type === type)
+      }))
+    }
+    if (/rss|feed|atom|xml/i.test(url.href)) {
+      return Promise.resolve(xml(/atom/i.test(url.href) ? atomFeed : rssFeed))
+    }
+
+    return Promise.resolve(new Response(
+      JSON.stringify({ ok: false, error_code: 404, description: `No fixture recorded for ${url.hostname}` }),
+      { status: 404, headers: { 'Content-Type': 'application/json' } }
+    ))
+  }
+}
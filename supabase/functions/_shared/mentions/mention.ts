@@ -0,0 +1,82 @@
+// Rows of the source-agnostic mentions table. Adapters fill the same author, metrics,
+// engagement and influence fields as twitterService.formatTweetData, so channel
+// messages can be scored and counted like tweets.
+
+export type MentionSource = 'twitter' | 'telegram' | 'discord' | 'reddit' | 'rss' | 'farcaster'
+
+// Adapters take their fetch so recorded fixtures can stand in for the APIs
+export type Fetcher = (input: string | URL, init?: RequestInit) => Promise<Response>
+
+export interface MentionRow {
+  source: MentionSource
+  source_id: string
+  server_id: string | null
+  channel_id: string | null
+  channel_name: string | null
+  text: string
+  created_at: string
+  lang: string | null
+  url: string | null
+  author: {
+    id: string
+    username: string
+    name: string
+    verified: boolean
+    followers: number
+    // Tweets only, for spam scoring
+    following?: number
+    tweetCount?: number
+    createdAt?: string | null
+  }
+  metrics: {
+    retweets: number
+    likes: number
+    replies: number
+    quotes: number
+  }
+  engagement: number
+  influence: number
+  // Stream rule tags a tweet matched; see twitterStream.ts
+  matching_rules?: string[]
+}
+
+// A tracked_accounts row of one of the non-Twitter types
+export interface TrackedChannel {
+  id: string
+  account_type: MentionSource
+  account_identifier: string
+  external_id: string | null
+}
+
+export interface AdapterResult {
+  mentions: MentionRow[]
+  // Rows whose metrics were not read this run; stored only when new, so the
+  // engagement already stored for them is kept
+  settled?: MentionRow[]
+  // Cursor keys and values to save once the mentions are stored
+  cursors: Record<string, string>
+  errors: { account: string, error: string }[]
+}
+
+// Overlapping tracked identifiers (a subreddit and a search, an fid and a channel it
+// posts in) can return the same message twice; one upsert may not touch a row twice
+export function uniqueMentions(rows: MentionRow[]) {
+  const seen = new Set<string>()
+  return rows.filter(row => {
+    const key = `${row.source}:${row.source_id}`
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+// Weighted like twitterService.calculateEngagement
+export function calculateEngagement(metrics: MentionRow['metrics']) {
+  return metrics.retweets * 3 + metrics.likes + metrics.replies * 2 + metrics.quotes * 2
+}
+
+// Weighted like twitterService.calculateInfluence
+export function calculateInfluence(followers: number, engagement: number) {
+  const influence = Math.min(Math.log10(followers + 1) / 10 + engagement / 100, 1)
+  return Math.round(influence * 100) / 100
+}
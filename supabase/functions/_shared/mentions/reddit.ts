@@ -0,0 +1,123 @@
+// Reddit adapter: new posts from tracked subreddits (`r/name`) and from Reddit
+// searches (any other identifier, e.g. `bitcoin etf`).
+//
+// Uses app-only OAuth when REDDIT_CLIENT_ID and REDDIT_CLIENT_SECRET are set and the
+// public JSON listings otherwise. There is no cursor: the newest page is read on every
+// run and upserted again, so scores and comment counts stay current.
+
+import { AdapterResult, Fetcher, MentionRow, TrackedChannel, calculateEngagement, calculateInfluence } from './mention.ts'
+
+const PAGE_SIZE = 100
+const MAX_TEXT_LENGTH = 2000
+const USER_AGENT = 'CryptoSentinel/1.0 (mention ingestion)'
+
+export async function ingestReddit(
+  channels: TrackedChannel[],
+  _cursors: Record<string, string>,
+  fetcher: Fetcher = fetch
+): Promise<AdapterResult> {
+  const token = await getAccessToken(fetcher)
+  const base = token ? 'https://oauth.reddit.com' : 'https://www.reddit.com'
+
+  const reddit = async (path: string) => {
+    const response = await fetcher(`${base}${path}`, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      }
+    })
+    if (!response.ok) throw new Error(`Reddit API error: ${response.status}`)
+    return response.json()
+  }
+
+  const mentions: MentionRow[] = []
+  const errors: AdapterResult['errors'] = []
+
+  for (const channel of channels) {
+    const identifier = channel.account_identifier.trim()
+    try {
+      const subreddit = parseSubreddit(identifier)
+      const listing = await reddit(subreddit
+        ? `/r/${subreddit}/new.json?limit=${PAGE_SIZE}&raw_json=1`
+        : `/search.json?q=${encodeURIComponent(identifier)}&sort=new&t=day&limit=${PAGE_SIZE}&raw_json=1`)
+
+      mentions.push(...parseRedditListing(listing, identifier))
+    } catch (error) {
+      errors.push({ account: identifier, error: error.message })
+    }
+  }
+
+  return { mentions, cursors: {}, errors }
+}
+
+async function getAccessToken(fetcher: Fetcher): Promise<string | null> {
+  const clientId = Deno.env.get('REDDIT_CLIENT_ID')
+  const clientSecret = Deno.env.get('REDDIT_CLIENT_SECRET')
+  if (!clientId || !clientSecret) return null
+
+  const response = await fetcher('https://www.reddit.com/api/v1/access_token', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${btoa(`${clientId}:${clientSecret}`)}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': USER_AGENT
+    },
+    body: 'grant_type=client_credentials'
+  })
+  if (!response.ok) throw new Error(`Reddit OAuth error: ${response.status}`)
+
+  const body = await response.json()
+  return body.access_token
+}
+
+/**
+ * Subreddit name of an `r/name`, `/r/name` or reddit.com/r/name identifier, or null
+ * for a search
+ */
+export function parseSubreddit(identifier: string) {
+  const match = identifier.trim().match(/^(?:https?:\/\/(?:www\.|old\.)?reddit\.com)?\/?r\/([A-Za-z0-9_]+)\/?$/i)
+  return match ? match[1] : null
+}
+
+/**
+ * Mentions from a Reddit listing. Score counts as likes, comments as replies and
+ * crossposts as retweets. Reddit does not expose author karma in listings, so
+ * followers stay 0.
+ */
+export function parseRedditListing(listing: any, channelId: string): MentionRow[] {
+  return (listing?.data?.children || [])
+    .filter((child: any) => child.kind === 't3' && child.data)
+    .map((child: any) => child.data)
+    .filter((post: any) => post.author !== '[deleted]')
+    .map((post: any) => {
+      const metrics = {
+        retweets: post.num_crossposts || 0,
+        likes: Math.max(post.score || 0, 0),
+        replies: post.num_comments || 0,
+        quotes: 0
+      }
+      const engagement = calculateEngagement(metrics)
+
+      return {
+        source: 'reddit',
+        source_id: post.name || `t3_${post.id}`,
+        server_id: null,
+        channel_id: channelId,
+        channel_name: post.subreddit_name_prefixed || (post.subreddit ? `r/${post.subreddit}` : null),
+        text: [post.title, post.selftext].filter(Boolean).join('\n\n').slice(0, MAX_TEXT_LENGTH),
+        created_at: new Date(post.created_utc * 1000).toISOString(),
+        lang: null,
+        url: post.permalink ? `https://www.reddit.com${post.permalink}` : post.url || null,
+        author: {
+          id: post.author_fullname || post.author,
+          username: post.author,
+          name: post.author,
+          verified: false,
+          followers: 0
+        },
+        metrics,
+        engagement,
+        influence: calculateInfluence(0, engagement)
+      } as MentionRow
+    })
+}
@@ -0,0 +1,126 @@
+// RSS/Atom adapter: items from tracked news feeds, tracked by feed URL.
+//
+// Feeds are matched against the alert and sentiment search terms when they are read,
+// so every item is stored. Like Reddit there is no cursor; feeds are short and
+// re-reading them only refreshes rows that already exist.
+
+import { AdapterResult, Fetcher, MentionRow, TrackedChannel, calculateEngagement, calculateInfluence } from './mention.ts'
+
+const MAX_TEXT_LENGTH = 2000
+
+export async function ingestRss(
+  feeds: TrackedChannel[],
+  _cursors: Record<string, string>,
+  fetcher: Fetcher = fetch
+): Promise<AdapterResult> {
+  const mentions: MentionRow[] = []
+  const errors: AdapterResult['errors'] = []
+
+  for (const feed of feeds) {
+    const feedUrl = feed.account_identifier.trim()
+    try {
+      const response = await fetcher(feedUrl, {
+        headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+      })
+      if (!response.ok) throw new Error(`Feed error: ${response.status}`)
+
+      mentions.push(...parseFeed(await response.text(), feedUrl))
+    } catch (error) {
+      errors.push({ account: feedUrl, error: error.message })
+    }
+  }
+
+  return { mentions, cursors: {}, errors }
+}
+
+/**
+ * Mentions from an RSS 2.0 or Atom document. Items without a date are skipped, since
+ * they cannot be placed in a window. `slash:comments` counts as replies where a feed
+ * reports it.
+ */
+export function parseFeed(xml: string, feedUrl: string): MentionRow[] {
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml)
+  const channelXml = isAtom ? xml.split(/<entry[\s>]/i)[0] : xml.split(/<item[\s>]/i)[0]
+  const feedTitle = readTag(channelXml, 'title')
+  const entries = matchAll(xml, isAtom ? 'entry' : 'item')
+
+  const mentions: MentionRow[] = []
+  for (const entry of entries) {
+    const published = readTag(entry, 'pubDate') || readTag(entry, 'published') || readTag(entry, 'updated') || readTag(entry, 'dc:date')
+    const createdAt = published ? new Date(published) : null
+    if (!createdAt || isNaN(createdAt.getTime())) continue
+
+    const link = isAtom ? readAtomLink(entry) : readTag(entry, 'link')
+    const title = readTag(entry, 'title')
+    const summary = readTag(entry, 'description') || readTag(entry, 'summary') || readTag(entry, 'content') || readTag(entry, 'content:encoded')
+    const author = readTag(entry, 'dc:creator') || readTag(readTag(entry, 'author', false), 'name') || readTag(entry, 'author') || feedTitle || 'Unknown'
+
+    const metrics = { retweets: 0, likes: 0, replies: parseInt(readTag(entry, 'slash:comments')) || 0, quotes: 0 }
+    const engagement = calculateEngagement(metrics)
+
+    mentions.push({
+      source: 'rss',
+      source_id: readTag(entry, 'guid') || readTag(entry, 'id') || link || `${feedUrl}#${createdAt.getTime()}`,
+      server_id: null,
+      channel_id: feedUrl,
+      channel_name: feedTitle || null,
+      text: [title, summary].filter(Boolean).join('\n\n').slice(0, MAX_TEXT_LENGTH),
+      created_at: createdAt.toISOString(),
+      lang: null,
+      url: link || null,
+      author: {
+        id: author,
+        username: author,
+        name: author,
+        verified: false,
+        followers: 0
+      },
+      metrics,
+      engagement,
+      influence: calculateInfluence(0, engagement)
+    })
+  }
+
+  return mentions.filter(mention => mention.text)
+}
+
+function matchAll(xml: string, tag: string) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi')
+  return [...xml.matchAll(pattern)].map(match => match[1])
+}
+
+// Text of the first matching element, unwrapped from CDATA with markup removed
+function readTag(xml: string, tag: string, asText = true) {
+  const escaped = tag.replace(':', '\\:')
+  const match = xml.match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`, 'i'))
+  if (!match) return ''
+  return asText ? toText(match[1]) : match[1]
+}
+
+// Atom entries may list several links; the alternate (or untyped) one is the article
+function readAtomLink(entry: string) {
+  const links = [...entry.matchAll(/<link\s([^>]*?)\/?>/gi)].map(match => match[1])
+  const alternate = links.find(attrs => !/rel=/i.test(attrs) || /rel=["']alternate["']/i.test(attrs))
+  const href = (alternate || links[0] || '').match(/href=["']([^"']+)["']/i)
+  return href ? decodeEntities(href[1]) : ''
+}
+
+function toText(value: string) {
+  const unwrapped = value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  // Escaped HTML in descriptions is decoded first so its tags can be stripped too
+  return decodeEntities(decodeEntities(unwrapped).replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+function decodeEntities(value: string) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&')
+}
@@ -0,0 +1,118 @@
+// Telegram adapter: posts from public channels and groups the bot (TELEGRAM_BOT_TOKEN)
+// has been added to, read with getUpdates.
+//
+// The bot has one update queue, so a single offset covers every channel. Updates from
+// chats nobody tracks are acknowledged and dropped. getUpdates does not work while the
+// bot has a webhook set.
+
+import { AdapterResult, Fetcher, MentionRow, TrackedChannel, calculateInfluence } from './mention.ts'
+
+const MAX_PAGES = 10
+const PAGE_SIZE = 100
+
+export async function ingestTelegram(
+  channels: TrackedChannel[],
+  cursors: Record<string, string>,
+  fetcher: Fetcher = fetch
+): Promise<AdapterResult> {
+  const token = Deno.env.get('TELEGRAM_BOT_TOKEN')
+  if (!token) throw new Error('TELEGRAM_BOT_TOKEN is not set')
+
+  const telegram = async (method: string, params: Record<string, unknown>) => {
+    const response = await fetcher(`https://api.telegram.org/bot${token}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params)
+    })
+    const body = await response.json()
+    if (!body.ok) {
+      throw new Error(`Telegram API error: ${body.error_code} ${body.description}`)
+    }
+    return body.result
+  }
+
+  // Channels are tracked by @username, t.me link or numeric chat id
+  const tracked = new Set(channels.flatMap(channel =>
+    channel.external_id ? [normalizeChannel(channel.account_identifier), channel.external_id] : [normalizeChannel(channel.account_identifier)]
+  ))
+
+  const mentions: MentionRow[] = []
+  const memberCounts = new Map<string, number>()
+  let nextOffset = cursors.updates ? parseInt(cursors.updates) : undefined
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const updates = await telegram('getUpdates', {
+      offset: nextOffset,
+      limit: PAGE_SIZE,
+      timeout: 0,
+      allowed_updates: ['channel_post', 'message']
+    })
+
+    for (const update of updates) {
+      nextOffset = update.update_id + 1
+      const message = update.channel_post || update.message
+      const text = message?.text || message?.caption
+      if (!text) continue
+
+      const chat = message.chat
+      const chatId = String(chat.id)
+      if (!tracked.has(chatId) && !(chat.username && tracked.has(chat.username.toLowerCase()))) continue
+
+      if (!memberCounts.has(chatId)) {
+        memberCounts.set(chatId, await telegram('getChatMemberCount', { chat_id: chat.id }).catch(() => 0))
+      }
+
+      mentions.push(formatMessage(message, text, memberCounts.get(chatId)!))
+    }
+
+    if (updates.length < PAGE_SIZE) break
+  }
+
+  return {
+    mentions,
+    cursors: nextOffset !== undefined ? { updates: String(nextOffset) } : {},
+    errors: []
+  }
+}
+
+function formatMessage(message: any, text: string, members: number): MentionRow {
+  const chat = message.chat
+  // Channel posts are signed by the channel; group messages by their sender
+  const sender = message.from && !message.sender_chat ? message.from : null
+  // The Bot API does not report views or reactions on posts
+  const metrics = { retweets: 0, likes: 0, replies: 0, quotes: 0 }
+  const followers = sender ? 0 : members
+
+  return {
+    source: 'telegram',
+    source_id: `${chat.id}:${message.message_id}`,
+    server_id: null,
+    channel_id: String(chat.id),
+    channel_name: chat.username || chat.title || null,
+    text,
+    created_at: new Date(message.date * 1000).toISOString(),
+    lang: null,
+    url: chat.username ? `https://t.me/${chat.username}/${message.message_id}` : null,
+    author: {
+      id: String(sender?.id ?? chat.id),
+      username: sender?.username || chat.username || 'unknown',
+      name: sender
+        ? [sender.first_name, sender.last_name].filter(Boolean).join(' ')
+        : message.author_signature || chat.title || 'Unknown Channel',
+      verified: false,
+      followers
+    },
+    metrics,
+    engagement: 0,
+    influence: calculateInfluence(followers, 0)
+  }
+}
+
+export function normalizeChannel(identifier: string) {
+  return identifier
+    .trim()
+    .replace(/^(https?:\/\/)?(www\.)?t(elegram)?\.me\//i, '')
+    .replace(/^@/, '')
+    .replace(/\/.*$/, '')
+    .toLowerCase()
+}
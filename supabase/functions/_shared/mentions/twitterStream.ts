@@ -0,0 +1,287 @@
+// Twitter filtered stream: rules built from monitored keywords, and a reader that holds
+// the stream for a bounded window, reconnecting with the backoff Twitter recommends.
+//
+// Every keyword gets its own rule, tagged with the normalized keyword and matching the
+// same query as recent search, so a streamed tweet lists the keywords it matched and
+// can be routed to the monitors watching them. Keywords past the plan's rule limit are
+// reported as skipped and stay on search polling.
+
+import { buildSearchQuery } from '../alerts/sources.ts'
+import { Fetcher, MentionRow, calculateEngagement, calculateInfluence } from './mention.ts'
+
+const API_BASE = 'https://api.twitter.com/2'
+const MAX_RULE_LENGTH = 512
+const MAX_TAG_LENGTH = 255
+// Twitter sends a keep-alive newline every 20 seconds; longer silence is a stall
+const STALL_TIMEOUT_MS = 30 * 1000
+const STREAM_FIELDS = {
+  'tweet.fields': 'created_at,author_id,public_metrics,lang',
+  'user.fields': 'username,name,verified,public_metrics,created_at',
+  'expansions': 'author_id'
+}
+
+export interface StreamRule {
+  id?: string
+  value: string
+  tag: string
+}
+
+export type BackoffKind = 'network' | 'http' | 'rate_limit'
+
+export interface StreamFailure {
+  kind: BackoffKind
+  attempt: number
+}
+
+export interface StreamRun {
+  connections: number
+  connectedAt: string | null
+  tweets: number
+  errors: string[]
+  // Set when the next connection has to wait past the end of the window
+  retryAt: number | null
+  failure: StreamFailure | null
+}
+
+// Keywords differing only in case or spacing share a rule
+export function ruleTag(keyword: string) {
+  return keyword.trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+export function buildStreamRules(keywords: string[], maxRules: number) {
+  const rules: StreamRule[] = []
+  const skipped: string[] = []
+
+  for (const tag of new Set(keywords.map(ruleTag).filter(Boolean))) {
+    const value = buildSearchQuery(tag)
+    if (rules.length >= maxRules || value.length > MAX_RULE_LENGTH || tag.length > MAX_TAG_LENGTH) {
+      skipped.push(tag)
+    } else {
+      rules.push({ value, tag })
+    }
+  }
+
+  return { rules, skipped }
+}
+
+/**
+ * Make the stream's rules match `desired`: rules whose tag is gone or whose query
+ * changed are deleted, missing ones added. Rules Twitter rejects come back in
+ * `errors` with their tag.
+ */
+export async function syncStreamRules(desired: StreamRule[], token: string, fetcher: Fetcher = fetch) {
+  const rulesApi = async (init?: RequestInit) => {
+    const response = await fetcher(`${API_BASE}/tweets/search/stream/rules`, {
+      ...init,
+      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
+    })
+    const body = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(`Twitter API error: ${response.status}${body.title ? ` ${body.title}` : ''}`)
+    }
+    return body
+  }
+
+  const current: StreamRule[] = (await rulesApi()).data || []
+  const wanted = new Map(desired.map(rule => [rule.tag, rule.value]))
+  const kept = current.filter(rule => wanted.get(rule.tag) === rule.value)
+  const stale = current.filter(rule => !kept.includes(rule))
+  const missing = desired.filter(rule => !kept.some(keptRule => keptRule.tag === rule.tag))
+
+  if (stale.length > 0) {
+    await rulesApi({ method: 'POST', body: JSON.stringify({ delete: { ids: stale.map(rule => rule.id) } }) })
+  }
+
+  let added: StreamRule[] = []
+  let errors: { tag: string, error: string }[] = []
+  if (missing.length > 0) {
+    const body = await rulesApi({ method: 'POST', body: JSON.stringify({ add: missing }) })
+    added = body.data || []
+    errors = (body.errors || []).map((error: any) => ({
+      tag: missing.find(rule => rule.value === error.value)?.tag || error.value || '*',
+      error: error.title || error.detail || 'Rule rejected'
+    }))
+  }
+
+  return { rules: [...kept, ...added], added: added.length, deleted: stale.length, errors }
+}
+
+/**
+ * Wait before reconnecting, per Twitter's guidance: network errors and stalls back
+ * off linearly from 250ms to 16s, HTTP errors exponentially from 5s to 320s, and
+ * rate limits exponentially from a minute.
+ */
+export function nextBackoff(kind: BackoffKind, attempt: number) {
+  const step = Math.max(attempt, 1)
+  if (kind === 'network') return Math.min(250 * step, 16 * 1000)
+  if (kind === 'http') return Math.min(5 * 1000 * 2 ** (step - 1), 320 * 1000)
+  return Math.min(60 * 1000 * 2 ** (step - 1), 15 * 60 * 1000)
+}
+
+/**
+ * Read the filtered stream until `until`, handing each batch of matched tweets to
+ * `onTweets`. Disconnects and stalls reconnect after a backoff; a backoff that would
+ * outlast the window ends the run with `retryAt` set. Pass the previous run's
+ * `failure` so backoff keeps growing across runs.
+ */
+export async function readStream(options: {
+  token: string
+  until: number
+  onTweets: (rows: MentionRow[]) => Promise<void>
+  backfillMinutes?: number
+  failure?: StreamFailure | null
+  fetcher?: Fetcher
+}): Promise<StreamRun> {
+  const { token, until, onTweets, backfillMinutes, fetcher = fetch } = options
+  const run: StreamRun = { connections: 0, connectedAt: null, tweets: 0, errors: [], retryAt: null, failure: options.failure || null }
+
+  const params = new URLSearchParams(STREAM_FIELDS)
+  if (backfillMinutes) params.set('backfill_minutes', String(backfillMinutes))
+  const url = `${API_BASE}/tweets/search/stream?${params}`
+
+  const fail = (kind: BackoffKind, message: string) => {
+    run.failure = { kind, attempt: run.failure?.kind === kind ? run.failure.attempt + 1 : 1 }
+    run.errors.push(message)
+  }
+
+  while (Date.now() < until) {
+    if (run.failure) {
+      const wait = nextBackoff(run.failure.kind, run.failure.attempt)
+      if (Date.now() + wait >= until) {
+        run.retryAt = Date.now() + wait
+        break
+      }
+      await new Promise(resolve => setTimeout(resolve, wait))
+    }
+
+    const controller = new AbortController()
+    run.connections++
+
+    let response: Response
+    try {
+      response = await fetcher(url, {
+        headers: { 'Authorization': `Bearer ${token}` },
+        signal: controller.signal
+      })
+    } catch (error) {
+      fail('network', error.message)
+      continue
+    }
+
+    if (!response.ok || !response.body) {
+      await response.body?.cancel()
+      fail(response.status === 429 ? 'rate_limit' : 'http', `Twitter stream error: ${response.status}`)
+      continue
+    }
+
+    // A working connection resets the backoff
+    run.connectedAt = new Date().toISOString()
+    run.failure = null
+    try {
+      await consumeStream(response.body, controller, until, async payloads => {
+        const rows = payloads.map(formatStreamTweet).filter((row): row is MentionRow => row !== null)
+        if (rows.length === 0) return
+        run.tweets += rows.length
+        try {
+          await onTweets(rows)
+        } catch (error) {
+          run.errors.push(error.message)
+        }
+      })
+      if (Date.now() >= until) break
+      fail('network', 'Twitter stream disconnected')
+    } catch (error) {
+      if (Date.now() >= until) break
+      fail('network', controller.signal.aborted ? 'Twitter stream stalled' : error.message)
+    }
+  }
+
+  return run
+}
+
+// Read newline-delimited payloads until the stream ends, stalls or the window closes
+async function consumeStream(
+  body: ReadableStream<Uint8Array>,
+  controller: AbortController,
+  until: number,
+  onPayloads: (payloads: any[]) => Promise<void>
+) {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let stallTimer: ReturnType<typeof setTimeout> | undefined
+  const windowTimer = setTimeout(() => controller.abort(), Math.max(until - Date.now(), 0))
+  const resetStallTimer = () => {
+    clearTimeout(stallTimer)
+    stallTimer = setTimeout(() => controller.abort(), STALL_TIMEOUT_MS)
+  }
+
+  try {
+    resetStallTimer()
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) return
+      resetStallTimer()
+
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split('\r\n')
+      buffer = lines.pop() || ''
+
+      const payloads = lines.filter(line => line.trim()).map(line => JSON.parse(line))
+      await onPayloads(payloads.filter(payload => payload.data))
+
+      // Operational disconnects arrive as an error payload before the stream closes
+      const disconnect = payloads.find(payload => !payload.data && payload.errors)
+      if (disconnect) throw new Error(disconnect.errors[0]?.title || 'Twitter stream disconnected')
+    }
+  } finally {
+    clearTimeout(stallTimer)
+    clearTimeout(windowTimer)
+    reader.cancel().catch(() => {})
+  }
+}
+
+/**
+ * A mentions row from a stream payload, shaped like twitterService.formatTweetData
+ * with the matched rule tags in `matching_rules`
+ */
+export function formatStreamTweet(payload: any): MentionRow | null {
+  const tweet = payload?.data
+  if (!tweet?.id || !tweet.text) return null
+
+  const author = (payload.includes?.users || []).find((user: any) => user.id === tweet.author_id) || {}
+  const followers = author.public_metrics?.followers_count || 0
+  const metrics = {
+    retweets: tweet.public_metrics?.retweet_count || 0,
+    likes: tweet.public_metrics?.like_count || 0,
+    replies: tweet.public_metrics?.reply_count || 0,
+    quotes: tweet.public_metrics?.quote_count || 0
+  }
+  const engagement = calculateEngagement(metrics)
+
+  return {
+    source: 'twitter',
+    source_id: tweet.id,
+    server_id: null,
+    channel_id: null,
+    channel_name: null,
+    text: tweet.text,
+    created_at: tweet.created_at || new Date().toISOString(),
+    lang: tweet.lang || null,
+    url: `https://twitter.com/${author.username || 'i/web'}/status/${tweet.id}`,
+    author: {
+      id: tweet.author_id,
+      username: author.username || 'unknown',
+      name: author.name || 'Unknown User',
+      verified: author.verified || false,
+      followers,
+      following: author.public_metrics?.following_count || 0,
+      tweetCount: author.public_metrics?.tweet_count || 0,
+      createdAt: author.created_at || null
+    },
+    metrics,
+    engagement,
+    influence: calculateInfluence(followers, engagement),
+    matching_rules: (payload.matching_rules || []).map((rule: any) => rule.tag).filter(Boolean)
+  }
+}
@@ -0,0 +1,71 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Profile details for an account before it is tracked: canonical handle, platform id,
+// follower count and verification. Only Twitter can be looked up; the bearer token
+// stays server-side.
+interface LookupRequest {
+  type: 'twitter' | 'telegram' | 'discord'
+  identifier: string
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { type, identifier }: LookupRequest = await req.json()
+    const username = (identifier || '').trim().replace(/^@/, '')
+
+    if (type !== 'twitter') {
+      return jsonResponse({ error: `Lookup is not available for ${type} accounts` }, 400)
+    }
+    if (!/^\w{1,15}$/.test(username)) {
+      return jsonResponse({ error: `Invalid Twitter username: ${identifier}` }, 400)
+    }
+
+    const response = await fetch(
+      `https://api.twitter.com/2/users/by/username/${username}?user.fields=public_metrics,verified,verified_type,profile_image_url`,
+      { headers: { 'Authorization': `Bearer ${Deno.env.get('TWITTER_BEARER_TOKEN')}` } }
+    )
+
+    if (!response.ok) {
+      throw new Error(`Twitter API error: ${response.status}`)
+    }
+
+    // Unknown and suspended users come back as 200 with an errors array
+    const { data: user, errors } = await response.json()
+    if (!user) {
+      return jsonResponse({ error: errors?.[0]?.detail || `Twitter user @${username} not found` }, 404)
+    }
+
+    const followers = user.public_metrics?.followers_count || 0
+    return jsonResponse({
+      type,
+      identifier: user.username,
+      name: user.name,
+      external_id: user.id,
+      follower_count: followers,
+      is_verified: Boolean(user.verified || (user.verified_type && user.verified_type !== 'none')),
+      avatar_url: user.profile_image_url || null,
+      // Same follower weighting as twitterService.calculateInfluence
+      influence_score: Math.round(Math.min(Math.log10(followers + 1) / 10, 1) * 100) / 100
+    })
+
+  } catch (error) {
+    console.error('Account lookup error:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  })
+}
@@ -0,0 +1,116 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { AdapterResult, Fetcher, MentionSource, TrackedChannel, uniqueMentions } from '../_shared/mentions/mention.ts'
+import { ingestTelegram } from '../_shared/mentions/telegram.ts'
+import { ingestDiscord } from '../_shared/mentions/discord.ts'
+import { ingestReddit } from '../_shared/mentions/reddit.ts'
+import { ingestRss } from '../_shared/mentions/rss.ts'
+import { ingestFarcaster } from '../_shared/mentions/farcaster.ts'
+import { createFixtureFetch } from '../_shared/mentions/fixtures.ts'
+import { loadCursors, saveCursors } from '../_shared/mentions/cursors.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Reads new messages from the Telegram channels, Discord servers, subreddits and
+// Reddit searches, RSS/Atom feeds and Farcaster accounts and channels in
+// tracked_accounts and stores them in the mentions table. Run on a schedule like
+// periodic-monitoring; each source resumes from its saved cursors.
+//
+// With MENTION_SOURCE_FIXTURES=true the adapters read recorded responses from
+// _shared/mentions/fixtures.ts instead of the network.
+
+type Adapter = (channels: TrackedChannel[], cursors: Record<string, string>, fetcher?: Fetcher) => Promise<AdapterResult>
+
+const ADAPTERS: [MentionSource, Adapter][] = [
+  ['telegram', ingestTelegram],
+  ['discord', ingestDiscord],
+  ['reddit', ingestReddit],
+  ['rss', ingestRss],
+  ['farcaster', ingestFarcaster]
+]
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '', // Use service role for cron jobs
+    )
+
+    const { data: accounts, error } = await supabaseClient
+      .from('tracked_accounts')
+      .select('id, account_type, account_identifier, external_id')
+      .in('account_type', ADAPTERS.map(([source]) => source))
+      .eq('is_active', true)
+
+    if (error) {
+      throw new Error(`Failed to fetch tracked accounts: ${error.message}`)
+    }
+
+    // Several users may track the same channel; it is read once
+    const channels = new Map<string, TrackedChannel>()
+    for (const account of accounts || []) {
+      channels.set(`${account.account_type}:${account.account_identifier.trim().toLowerCase()}`, account)
+    }
+    const ofType = (type: MentionSource) => [...channels.values()].filter(channel => channel.account_type === type)
+
+    const fetcher = Deno.env.get('MENTION_SOURCE_FIXTURES') === 'true' ? createFixtureFetch() : fetch
+    const results: Record<string, unknown> = {}
+
+    for (const [source, ingest] of ADAPTERS) {
+      const tracked = ofType(source)
+      if (tracked.length === 0) continue
+
+      try {
+        const cursors = await loadCursors(supabaseClient, source)
+        const result = await ingest(tracked, cursors, fetcher)
+        const mentions = uniqueMentions(result.mentions)
+
+        if (mentions.length > 0) {
+          const { error: insertError } = await supabaseClient
+            .from('mentions')
+            .upsert(mentions, { onConflict: 'source,source_id' })
+          if (insertError) throw new Error(`Failed to store mentions: ${insertError.message}`)
+        }
+
+        const stored = new Set(mentions.map(mention => mention.source_id))
+        const settled = uniqueMentions(result.settled || []).filter(mention => !stored.has(mention.source_id))
+        if (settled.length > 0) {
+          const { error: settledError } = await supabaseClient
+            .from('mentions')
+            .upsert(settled, { onConflict: 'source,source_id', ignoreDuplicates: true })
+          if (settledError) throw new Error(`Failed to store mentions: ${settledError.message}`)
+        }
+
+        // Cursors only move once their messages are stored
+        await saveCursors(supabaseClient, source, result.cursors)
+
+        results[source] = { channels: tracked.length, stored: mentions.length, errors: result.errors }
+      } catch (error) {
+        console.error(`${source} ingestion error:`, error)
+        results[source] = { channels: tracked.length, stored: 0, errors: [{ account: '*', error: error.message }] }
+      }
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, results, timestamp: new Date().toISOString() }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+
+  } catch (error) {
+    console.error('Channel ingestion error:', error)
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
@@ -1,11 +1,25 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { AlertDefinition, checkAlert, generateAlertTitle, generateAlertMessage } from '../_shared/alerts/checkers.ts'
+import { createSources } from '../_shared/alerts/sources.ts'
+import {
+  AlertPayload,
+  DeliveryResult,
+  deliverAlert,
+  mergeDeliveries,
+  releaseHeldNotifications,
+  retryWebhookDeliveries
+} from '../_shared/alerts/notify.ts'
+import { ruleTag } from '../_shared/mentions/twitterStream.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+// Alert definitions are checked at most this often, like the browser's check interval
+const ALERT_CHECK_INTERVAL_MS = 60 * 1000
+
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
@@ -103,11 +117,22 @@ serve(async (req) => {
       }
     }
 
+    // Alerts created on the Alerts page
+    const alertResults = await evaluateAlertDefinitions(supabaseClient)
+    const escalated = await escalateServerIncidents(supabaseClient)
+    // Held by the notification policy, and webhooks whose backoff has elapsed
+    const released = await releaseHeldNotifications(supabaseClient)
+    const webhookRetries = await retryWebhookDeliveries(supabaseClient)
+
     return new Response(
       JSON.stringify({
         success: true,
         processed: results.length,
         results: results,
+        alerts: alertResults,
+        escalated,
+        released,
+        webhook_retries: webhookRetries,
         timestamp: new Date().toISOString()
       }),
       { 
@@ -128,6 +153,11 @@ serve(async (req) => {
 })
 
 async function checkProjectMentions(supabaseClient: any, config: any) {
+  // The twitter-stream function already stores matching tweets
+  if (Deno.env.get('TWITTER_INGESTION_MODE') === 'stream') {
+    return checkStreamedMentions(supabaseClient, config)
+  }
+
   // Check rate limits first
   const { data: rateLimit } = await supabaseClient
     .from('api_rate_limits')
@@ -202,6 +232,55 @@ async function checkProjectMentions(supabaseClient: any, config: any) {
   }
 }
 
+// Tweets the stream matched to the config's keywords since its last check, filed
+// under the project in twitter_mentions like searched tweets
+async function checkStreamedMentions(supabaseClient: any, config: any) {
+  const keywords = config.keywords?.length ? config.keywords : [config.project_name]
+  const since = config.last_check || new Date(Date.now() - 5 * 60 * 1000).toISOString()
+
+  const { data: tweets, error } = await supabaseClient
+    .from('mentions')
+    .select('source_id, text, created_at, author, metrics')
+    .eq('source', 'twitter')
+    .overlaps('matching_rules', keywords.map(ruleTag))
+    .gt('ingested_at', since)
+    .order('ingested_at', { ascending: true })
+    .limit(500)
+
+  if (error) {
+    console.error('Error fetching streamed mentions:', error)
+    return { newMentions: 0, error: error.message }
+  }
+  if (!tweets || tweets.length === 0) {
+    return { newMentions: 0, fromStream: true }
+  }
+
+  // Sentiment columns are left alone, so scored tweets stay scored
+  const { error: upsertError } = await supabaseClient
+    .from('twitter_mentions')
+    .upsert(tweets.map((tweet: any) => ({
+      project: config.project_name.toLowerCase(),
+      tweet_id: tweet.source_id,
+      text: tweet.text,
+      created_at: tweet.created_at,
+      author_id: tweet.author?.id,
+      author_username: tweet.author?.username,
+      public_metrics: {
+        retweet_count: tweet.metrics?.retweets || 0,
+        like_count: tweet.metrics?.likes || 0,
+        reply_count: tweet.metrics?.replies || 0,
+        quote_count: tweet.metrics?.quotes || 0
+      },
+      processed_at: new Date().toISOString()
+    })), { onConflict: 'tweet_id' })
+
+  if (upsertError) {
+    console.error('Error filing streamed mentions:', upsertError)
+  }
+
+  return { newMentions: tweets.length, fromStream: true }
+}
+
 async function analyzeMentionSentiment(supabaseClient: any, project: string) {
   // Get recent mentions without sentiment analysis
   const { data: mentions } = await supabaseClient
@@ -298,3 +377,216 @@ async function checkAlertConditions(supabaseClient: any, config: any, mentionRes
 
   return alerts
 }
+
+
+/**
+ * Check every due alert definition and raise, fold or remind incidents in monitoring_alerts
+ * Mirrors alertService.checkAlert/triggerAlert: one open incident per alert, re-triggers
+ * only bump it, and an unacknowledged incident notifies once more when its snooze ends.
+ */
+async function evaluateAlertDefinitions(supabaseClient: any) {
+  const { data: definitions, error } = await supabaseClient
+    .from('alert_definitions')
+    .select('*')
+    .eq('status', 'active')
+    .or(`last_checked_at.is.null,last_checked_at.lt.${new Date(Date.now() - ALERT_CHECK_INTERVAL_MS).toISOString()}`)
+
+  if (error) {
+    throw new Error(`Failed to fetch alert definitions: ${error.message}`)
+  }
+
+  console.log(`Evaluating ${definitions?.length || 0} alert definitions`)
+
+  const sources = createSources(supabaseClient)
+  const results = []
+
+  for (const definition of (definitions || []) as AlertDefinition[]) {
+    const now = Date.now()
+    definition.state = definition.state || {}
+
+    try {
+      const { shouldTrigger, triggerData } = await checkAlert(definition, sources, now)
+      const outcome = shouldTrigger && triggerData
+        ? await raiseIncident(supabaseClient, definition, triggerData, now)
+        : null
+
+      await supabaseClient
+        .from('alert_definitions')
+        .update({
+          state: definition.state,
+          last_checked_at: new Date(now).toISOString(),
+          last_error: null,
+          ...(outcome && {
+            triggered_count: definition.triggered_count + 1,
+            last_triggered_at: new Date(now).toISOString()
+          })
+        })
+        .eq('id', definition.id)
+
+      results.push({ alert: definition.client_alert_id, status: outcome ?? 'checked' })
+
+    } catch (checkError) {
+      console.error(`Error checking alert ${definition.client_alert_id}:`, checkError)
+      await supabaseClient
+        .from('alert_definitions')
+        .update({ state: definition.state, last_checked_at: new Date(now).toISOString(), last_error: checkError.message })
+        .eq('id', definition.id)
+
+      results.push({ alert: definition.client_alert_id, status: 'error', error: checkError.message })
+    }
+  }
+
+  return results
+}
+
+async function raiseIncident(supabaseClient: any, definition: AlertDefinition, triggerData: Record<string, any>, now: number) {
+  const timestamp = new Date(now).toISOString()
+  const title = generateAlertTitle(definition, triggerData)
+  const message = generateAlertMessage(definition, triggerData)
+  const channel = definition.config.notificationMethod || 'console'
+
+  const { data: open } = await supabaseClient
+    .from('monitoring_alerts')
+    .select('*')
+    .eq('alert_definition_id', definition.id)
+    .is('resolved_at', null)
+    .order('triggered_at', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (open) {
+    const remind = !open.acknowledged_at && open.snoozed_until && new Date(open.snoozed_until).getTime() <= now
+    const row = { ...open, title, message, last_triggered_at: timestamp }
+    const deliveries = remind
+      ? mergeDeliveries(open.metadata?.deliveries, [await notifyIncident(supabaseClient, definition, row, channel)])
+      : open.metadata?.deliveries || []
+
+    await supabaseClient
+      .from('monitoring_alerts')
+      .update({
+        title,
+        message,
+        occurrence_count: (open.occurrence_count || 1) + 1,
+        last_triggered_at: timestamp,
+        snoozed_until: remind ? null : open.snoozed_until,
+        metadata: { ...open.metadata, kind: remind ? 'reminder' : 'retriggered', data: triggerData, deliveries }
+      })
+      .eq('id', open.id)
+
+    return remind ? 'reminded' : 'retriggered'
+  }
+
+  const { data: row, error } = await supabaseClient
+    .from('monitoring_alerts')
+    .insert({
+      user_id: definition.user_id,
+      alert_definition_id: definition.id,
+      alert_rule_id: definition.client_alert_id,
+      incident_id: `srv_${crypto.randomUUID()}`,
+      alert_type: definition.alert_type,
+      severity: definition.config.severity || 'medium',
+      title,
+      message,
+      metadata: { source: 'server', kind: 'triggered', project: definition.config.project, data: triggerData, deliveries: [] },
+      triggered_at: timestamp,
+      last_triggered_at: timestamp
+    })
+    .select()
+    .single()
+
+  if (error) {
+    throw new Error(`Failed to record incident: ${error.message}`)
+  }
+
+  const delivery = await notifyIncident(supabaseClient, definition, row, channel)
+  await supabaseClient
+    .from('monitoring_alerts')
+    .update({ metadata: { ...row.metadata, deliveries: [delivery] } })
+    .eq('id', row.id)
+
+  return 'triggered'
+}
+
+/**
+ * Escalate server incidents nobody acknowledged within the alert's escalation window
+ * Same rules as alertService.checkEscalations; the clock restarts after a snooze.
+ */
+async function escalateServerIncidents(supabaseClient: any) {
+  const { data: rows, error } = await supabaseClient
+    .from('monitoring_alerts')
+    .select('*, alert_definition:alert_definitions(*)')
+    .not('alert_definition_id', 'is', null)
+    .is('resolved_at', null)
+    .is('acknowledged_at', null)
+    .is('escalated_at', null)
+
+  if (error) {
+    console.error('Failed to fetch incidents for escalation:', error)
+    return 0
+  }
+
+  const now = Date.now()
+  let escalated = 0
+
+  for (const row of rows || []) {
+    const definition = row.alert_definition as AlertDefinition | null
+    const escalation = definition?.config.escalation
+    if (!definition || !escalation?.channel) continue
+
+    const snoozedUntil = row.snoozed_until ? new Date(row.snoozed_until).getTime() : 0
+    if (snoozedUntil > now) continue
+
+    const since = Math.max(new Date(row.triggered_at).getTime(), snoozedUntil)
+    if (now - since < (parseFloat(escalation.afterMinutes) || 15) * 60 * 1000) continue
+
+    const delivery = await notifyIncident(supabaseClient, definition, row, escalation.channel, {
+      escalated: true,
+      webhookUrl: escalation.webhookUrl || null
+    })
+
+    await supabaseClient
+      .from('monitoring_alerts')
+      .update({
+        escalated_at: new Date(now).toISOString(),
+        metadata: { ...row.metadata, kind: 'escalated', deliveries: mergeDeliveries(row.metadata?.deliveries, [delivery]) }
+      })
+      .eq('id', row.id)
+
+    escalated++
+  }
+
+  return escalated
+}
+
+function notifyIncident(
+  supabaseClient: any,
+  definition: AlertDefinition,
+  row: any,
+  channel: string,
+  { escalated = false, webhookUrl = null }: { escalated?: boolean, webhookUrl?: string | null } = {}
+): Promise<DeliveryResult> {
+  const payload: AlertPayload = {
+    alert_id: definition.client_alert_id,
+    incident_id: row.incident_id,
+    event_id: null,
+    type: definition.alert_type,
+    severity: row.severity,
+    escalated,
+    project: definition.config.project,
+    title: escalated ? `[Escalated] ${row.title}` : row.title,
+    message: escalated
+      ? `${row.message} (unacknowledged since ${new Date(row.triggered_at).toUTCString()})`
+      : row.message,
+    data: row.metadata?.data ?? null,
+    timestamp: new Date().toISOString()
+  }
+
+  return deliverAlert(supabaseClient, {
+    channel,
+    userId: definition.user_id,
+    config: definition.config,
+    payload,
+    webhookUrl,
+    alertRowId: row.id
+  })
+}
@@ -0,0 +1,387 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { createTransport } from '../_shared/email/transports.ts'
+import { renderAlertEmail, renderDigestEmail, renderVerificationEmail, AlertNotification } from '../_shared/email/templates.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-email-webhook-secret',
+}
+
+// Actions:
+//   send              (user JWT, or service role with user_id)  email one alert now, or queue it when the user has digests on
+//   flush_digests     (service role, cron) send every digest whose interval has elapsed
+//   bounce            (EMAIL_WEBHOOK_SECRET) mark a delivery bounced/failed by Message-ID
+//   recipient_status  (user JWT) whether the recipient override is verified
+//   verify_recipient  (user JWT) email a code to the recipient override, or confirm it with `code`
+//
+// Alerts go to the account email until the recipient override is verified, so callers
+// cannot have alert content they wrote sent to someone else's address.
+interface EmailRequest {
+  action?: 'send' | 'flush_digests' | 'bounce' | 'recipient_status' | 'verify_recipient'
+  notification?: AlertNotification
+  user_id?: string // recipient when called with the service role (server-evaluated alerts)
+  code?: string
+  message_id?: string
+  type?: 'bounce' | 'complaint' | 'failed'
+  reason?: string
+}
+
+const appUrl = Deno.env.get('APP_URL') ?? ''
+
+const VERIFICATION_MINUTES = 30
+const VERIFICATION_RESEND_MS = 60 * 1000
+const VERIFICATION_MAX_ATTEMPTS = 5
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const adminClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    )
+
+    const body: EmailRequest = await req.json()
+
+    switch (body.action ?? 'send') {
+      case 'send':
+        return await sendAlertEmail(req, adminClient, body)
+      case 'flush_digests':
+        if (req.headers.get('Authorization') !== `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`) {
+          return jsonResponse({ error: 'Digests can only be flushed with the service role key' }, 401)
+        }
+        return jsonResponse(await flushDigests(adminClient))
+      case 'bounce':
+        if (!Deno.env.get('EMAIL_WEBHOOK_SECRET') || req.headers.get('x-email-webhook-secret') !== Deno.env.get('EMAIL_WEBHOOK_SECRET')) {
+          return jsonResponse({ error: 'Invalid webhook secret' }, 401)
+        }
+        return jsonResponse(await recordBounce(adminClient, body))
+      case 'recipient_status':
+      case 'verify_recipient': {
+        const user = await resolveUser(req, adminClient)
+        if (!user) {
+          return jsonResponse({ error: 'Sign in to change email preferences' }, 401)
+        }
+        if (body.action === 'recipient_status') {
+          return jsonResponse(await getRecipientStatus(adminClient, user))
+        }
+        return body.code
+          ? await confirmRecipient(adminClient, user, body.code)
+          : await requestRecipientVerification(adminClient, user)
+      }
+      default:
+        return jsonResponse({ error: `Unknown action: ${body.action}` }, 400)
+    }
+
+  } catch (error) {
+    console.error('Alert email error:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
+
+async function sendAlertEmail(req: Request, adminClient: any, body: EmailRequest) {
+  const { notification } = body
+  if (!notification?.type || !notification.title) {
+    return jsonResponse({ error: 'notification with type and title is required' }, 400)
+  }
+
+  const user = await resolveUser(req, adminClient, body.user_id)
+  if (!user) {
+    return jsonResponse({ error: 'Sign in to receive alert emails' }, 401)
+  }
+
+  const { data: preferences } = await adminClient
+    .from('email_preferences')
+    .select('*')
+    .eq('user_id', user.id)
+    .maybeSingle()
+
+  const recipient = await resolveRecipient(adminClient, user, preferences)
+  if (!recipient) {
+    return jsonResponse({ error: 'No email address on file' }, 400)
+  }
+
+  const delivery = {
+    user_id: user.id,
+    client_event_id: notification.event_id ?? null,
+    incident_id: notification.incident_id ?? null,
+    alert_type: notification.type,
+    severity: notification.severity ?? 'medium',
+    recipient,
+    subject: notification.title.slice(0, 255),
+    payload: notification
+  }
+
+  // Escalations and critical alerts are urgent, so they skip the digest
+  const batch = preferences?.digest_enabled && !notification.escalated && notification.severity !== 'critical'
+  if (batch) {
+    const { data: queued, error } = await adminClient
+      .from('alert_email_deliveries')
+      .insert({ ...delivery, status: 'queued' })
+      .select('id')
+      .single()
+
+    if (error) throw error
+    return jsonResponse({ status: 'queued', delivery_id: queued.id })
+  }
+
+  const email = renderAlertEmail(notification, appUrl)
+  const transport = createTransport()
+  let result: { messageId: string } | null = null
+  let sendError: string | null = null
+
+  try {
+    result = await transport.send({ to: recipient, ...email })
+  } catch (error) {
+    console.error(`Failed to send alert email via ${transport.name}:`, error)
+    sendError = error.message
+  }
+
+  const { data: logged, error } = await adminClient
+    .from('alert_email_deliveries')
+    .insert({
+      ...delivery,
+      subject: email.subject.slice(0, 255),
+      status: result ? 'sent' : 'failed',
+      transport: transport.name,
+      message_id: result?.messageId ?? null,
+      error: sendError,
+      sent_at: result ? new Date().toISOString() : null
+    })
+    .select('id')
+    .single()
+
+  if (error) {
+    console.error('Failed to log alert email delivery:', error)
+  }
+
+  if (!result) {
+    return jsonResponse({ status: 'failed', delivery_id: logged?.id ?? null, error: sendError }, 502)
+  }
+  return jsonResponse({ status: 'sent', delivery_id: logged?.id ?? null, message_id: result.messageId })
+}
+
+// The signed-in caller, or any user when periodic-monitoring calls with the service role
+async function resolveUser(req: Request, adminClient: any, userId?: string) {
+  const authorization = req.headers.get('Authorization') ?? ''
+
+  if (userId && authorization === `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`) {
+    const { data } = await adminClient.auth.admin.getUserById(userId)
+    return data?.user ?? null
+  }
+
+  const userClient = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+    { global: { headers: { Authorization: authorization } } }
+  )
+  const { data: { user } } = await userClient.auth.getUser()
+  return user
+}
+
+// The recipient override once verified, otherwise the account email
+async function resolveRecipient(adminClient: any, user: any, preferences: any) {
+  const override = preferences?.recipient
+  if (!override || sameAddress(override, user.email)) return user.email
+
+  const verification = await getVerification(adminClient, user.id)
+  return verification?.verified_at && sameAddress(verification.recipient, override) ? override : user.email
+}
+
+async function getRecipientStatus(adminClient: any, user: any) {
+  const preferences = await getPreferences(adminClient, user.id)
+  const override = preferences?.recipient
+  if (!override || sameAddress(override, user.email)) {
+    return { recipient: user.email, verified: true, pending: false }
+  }
+
+  const verification = await getVerification(adminClient, user.id)
+  const current = !!verification && sameAddress(verification.recipient, override)
+  return {
+    recipient: override,
+    verified: current && !!verification.verified_at,
+    pending: current && !!verification.code_hash && new Date(verification.expires_at).getTime() > Date.now()
+  }
+}
+
+// Email a one-time code to the recipient override
+async function requestRecipientVerification(adminClient: any, user: any) {
+  const status = await getRecipientStatus(adminClient, user)
+  if (status.verified) return jsonResponse(status)
+
+  const verification = await getVerification(adminClient, user.id)
+  if (verification?.code_hash && sameAddress(verification.recipient, status.recipient) &&
+    Date.now() - new Date(verification.sent_at).getTime() < VERIFICATION_RESEND_MS) {
+    return jsonResponse({ error: 'A code was just sent; wait a minute before requesting another' }, 429)
+  }
+
+  const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0')
+  const transport = createTransport()
+  await transport.send({ to: status.recipient, ...renderVerificationEmail(code, VERIFICATION_MINUTES) })
+
+  const now = Date.now()
+  const { error } = await adminClient
+    .from('email_recipient_verifications')
+    .upsert({
+      user_id: user.id,
+      recipient: status.recipient,
+      code_hash: await hashCode(code),
+      attempts: 0,
+      sent_at: new Date(now).toISOString(),
+      expires_at: new Date(now + VERIFICATION_MINUTES * 60 * 1000).toISOString(),
+      verified_at: null
+    })
+
+  if (error) throw error
+  return jsonResponse({ ...status, pending: true })
+}
+
+async function confirmRecipient(adminClient: any, user: any, code: string) {
+  const status = await getRecipientStatus(adminClient, user)
+  if (status.verified) return jsonResponse(status)
+
+  const verification = await getVerification(adminClient, user.id)
+  if (!status.pending || verification.attempts >= VERIFICATION_MAX_ATTEMPTS) {
+    return jsonResponse({ error: 'The code expired; request a new one' }, 400)
+  }
+
+  if (await hashCode(code.trim()) !== verification.code_hash) {
+    await adminClient
+      .from('email_recipient_verifications')
+      .update({ attempts: verification.attempts + 1 })
+      .eq('user_id', user.id)
+    return jsonResponse({ error: 'Incorrect code' }, 400)
+  }
+
+  const { error } = await adminClient
+    .from('email_recipient_verifications')
+    .update({ code_hash: null, verified_at: new Date().toISOString() })
+    .eq('user_id', user.id)
+
+  if (error) throw error
+  return jsonResponse({ ...status, verified: true, pending: false })
+}
+
+async function getPreferences(adminClient: any, userId: string) {
+  const { data, error } = await adminClient
+    .from('email_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+async function getVerification(adminClient: any, userId: string) {
+  const { data, error } = await adminClient
+    .from('email_recipient_verifications')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+async function hashCode(code: string) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(code))
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function sameAddress(a?: string | null, b?: string | null) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase()
+}
+
+async function flushDigests(adminClient: any) {
+  const { data: queued, error } = await adminClient
+    .from('alert_email_deliveries')
+    .select('*')
+    .eq('status', 'queued')
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  const byUser = new Map<string, any[]>()
+  for (const delivery of queued || []) {
+    byUser.set(delivery.user_id, [...(byUser.get(delivery.user_id) || []), delivery])
+  }
+
+  const transport = createTransport()
+  const results = []
+
+  for (const [userId, deliveries] of byUser) {
+    const { data: preferences } = await adminClient
+      .from('email_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    // Users who turned digests off get their backlog right away
+    if (preferences?.digest_enabled) {
+      const since = preferences.last_digest_at ?? deliveries[0].created_at
+      const due = new Date(since).getTime() + preferences.digest_interval_minutes * 60 * 1000
+      if (due > Date.now()) continue
+    }
+
+    const recipient = deliveries[deliveries.length - 1].recipient
+    const email = renderDigestEmail(deliveries.map(delivery => delivery.payload), appUrl)
+    const digestId = crypto.randomUUID()
+    const now = new Date().toISOString()
+    let update: Record<string, any>
+
+    try {
+      const { messageId } = await transport.send({ to: recipient, ...email })
+      update = { status: 'sent', transport: transport.name, message_id: messageId, digest_id: digestId, sent_at: now, updated_at: now }
+      results.push({ user_id: userId, alerts: deliveries.length, status: 'sent' })
+    } catch (sendError) {
+      console.error(`Failed to send digest to user ${userId}:`, sendError)
+      update = { status: 'failed', transport: transport.name, digest_id: digestId, error: sendError.message, updated_at: now }
+      results.push({ user_id: userId, alerts: deliveries.length, status: 'failed', error: sendError.message })
+    }
+
+    await adminClient
+      .from('alert_email_deliveries')
+      .update(update)
+      .in('id', deliveries.map(delivery => delivery.id))
+
+    await adminClient
+      .from('email_preferences')
+      .upsert({ user_id: userId, last_digest_at: now, updated_at: now })
+  }
+
+  return { success: true, digests: results, timestamp: new Date().toISOString() }
+}
+
+// Provider webhooks are normalised to { message_id, type, reason } before calling this action
+async function recordBounce(adminClient: any, body: EmailRequest) {
+  if (!body.message_id) {
+    return { success: false, error: 'message_id is required' }
+  }
+
+  const messageId = body.message_id.startsWith('<') ? body.message_id : `<${body.message_id}>`
+  const status = body.type === 'failed' ? 'failed' : 'bounced'
+
+  const { data, error } = await adminClient
+    .from('alert_email_deliveries')
+    .update({
+      status,
+      error: body.reason ?? body.type ?? 'bounced',
+      updated_at: new Date().toISOString()
+    })
+    .eq('message_id', messageId)
+    .select('id')
+
+  if (error) throw error
+  return { success: true, updated: data?.length || 0 }
+}
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  })
+}
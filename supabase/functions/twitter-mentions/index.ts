@@ -46,7 +46,7 @@ serve(async (req) => {
 
     // Make Twitter API call with server-side bearer token
     const twitterResponse = await fetch(
-      `https://api.twitter.com/2/tweets/search/recent?query=${encodeURIComponent(project)}&max_results=${maxResults}&tweet.fields=public_metrics,created_at,author_id&user.fields=public_metrics`,
+      `https://api.twitter.com/2/tweets/search/recent?query=${encodeURIComponent(project)}&max_results=${maxResults}&tweet.fields=public_metrics,created_at,author_id&expansions=author_id&user.fields=username,name,verified,created_at,public_metrics`,
       {
         headers: {
           'Authorization': `Bearer ${Deno.env.get('TWITTER_BEARER_TOKEN')}`,
@@ -74,12 +74,15 @@ serve(async (req) => {
 
     // Store mentions in database for caching
     if (twitterData.data) {
+      // Usernames let tracked accounts match their mentions
+      const usernames = new Map((twitterData.includes?.users || []).map((user: any) => [user.id, user.username]))
       const mentions = twitterData.data.map((tweet: any) => ({
         project: project.toLowerCase(),
         tweet_id: tweet.id,
         text: tweet.text,
         created_at: tweet.created_at,
         author_id: tweet.author_id,
+        author_username: usernames.get(tweet.author_id) || null,
         public_metrics: tweet.public_metrics,
         processed_at: new Date().toISOString()
       }))
@@ -92,6 +95,7 @@ serve(async (req) => {
     return new Response(
       JSON.stringify({
         data: twitterData.data || [],
+        includes: { users: twitterData.includes?.users || [] }, // authors, for spam scoring
         meta: twitterData.meta || {},
         cached: false,
         timestamp: new Date().toISOString()
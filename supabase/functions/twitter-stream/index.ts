@@ -0,0 +1,172 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { MentionRow } from '../_shared/mentions/mention.ts'
+import { loadCursors, saveCursors } from '../_shared/mentions/cursors.ts'
+import { buildStreamRules, readStream, ruleTag, syncStreamRules } from '../_shared/mentions/twitterStream.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Holds the Twitter filtered stream open for TWITTER_STREAM_WINDOW_SECONDS and stores
+// matched tweets in mentions (for monitors) and twitter_mentions (like searched
+// tweets). Schedule it as often as its window so connections follow each other; the
+// stream allows one connection at a time, so runs must not overlap. Every run first
+// syncs the stream rules with the keywords of active monitors.
+//
+// POST { action: 'sync', keywords } only syncs the rules. Browsers call it after
+// monitor changes and get back which of their keywords are streamed and when the
+// stream last connected.
+
+const DEFAULT_WINDOW_SECONDS = 110
+const DEFAULT_MAX_RULES = 25 // Basic access; Pro allows 1000
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const token = Deno.env.get('TWITTER_BEARER_TOKEN')
+    if (!token) throw new Error('TWITTER_BEARER_TOKEN is not set')
+
+    const { action, keywords = [] } = await req.json().catch(() => ({}))
+
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '', // Use service role for cron jobs
+    )
+
+    const sync = await syncRules(supabaseClient, token)
+    const state = await loadCursors(supabaseClient, 'twitter')
+
+    if (action === 'sync') {
+      // Only the caller's keywords are reported; other users' monitors stay private
+      const tags = new Set((keywords as string[]).map(ruleTag))
+      return json({
+        success: true,
+        streamed: sync.streamed.filter(tag => tags.has(tag)),
+        skipped: sync.skipped.filter(tag => tags.has(tag)),
+        heartbeat: state.stream_heartbeat || null,
+        retry_at: state.stream_retry_at || null
+      })
+    }
+
+    if (sync.streamed.length === 0) {
+      return json({ success: true, rules: 0, stream: null, timestamp: new Date().toISOString() })
+    }
+
+    // A rate limit or repeated failure from an earlier run is waited out
+    if (state.stream_retry_at && Date.parse(state.stream_retry_at) > Date.now()) {
+      return json({ success: true, rules: sync.streamed.length, stream: { waiting_until: state.stream_retry_at }, timestamp: new Date().toISOString() })
+    }
+
+    const windowSeconds = parseInt(Deno.env.get('TWITTER_STREAM_WINDOW_SECONDS') ?? '') || DEFAULT_WINDOW_SECONDS
+    const backfillMinutes = parseInt(Deno.env.get('TWITTER_STREAM_BACKFILL_MINUTES') ?? '') || undefined
+    const [kind, attempt] = (state.stream_failure || '').split(':')
+
+    const run = await readStream({
+      token,
+      until: Date.now() + windowSeconds * 1000,
+      backfillMinutes,
+      failure: kind ? { kind: kind as any, attempt: parseInt(attempt) || 1 } : null,
+      onTweets: rows => storeTweets(supabaseClient, rows)
+    })
+
+    // Empty values clear a finished backoff
+    await saveCursors(supabaseClient, 'twitter', {
+      ...(run.connectedAt ? { stream_heartbeat: new Date().toISOString() } : {}),
+      stream_retry_at: run.retryAt ? new Date(run.retryAt).toISOString() : '',
+      stream_failure: run.failure ? `${run.failure.kind}:${run.failure.attempt}` : ''
+    })
+
+    return json({
+      success: true,
+      rules: sync.streamed.length,
+      rule_errors: sync.errors,
+      stream: {
+        connections: run.connections,
+        tweets: run.tweets,
+        errors: run.errors,
+        retry_at: run.retryAt ? new Date(run.retryAt).toISOString() : null
+      },
+      timestamp: new Date().toISOString()
+    })
+
+  } catch (error) {
+    console.error('Twitter stream error:', error)
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
+
+function json(body: unknown) {
+  return new Response(JSON.stringify(body), { headers: { ...corsHeaders, 'Content-Type': 'application/json' } })
+}
+
+// Rules for the keywords of active browser monitors and monitoring_configs. Keywords
+// of server configs come first, then monitors in the order they were last changed.
+async function syncRules(supabaseClient: any, token: string) {
+  const [monitors, configs] = await Promise.all([
+    supabaseClient
+      .from('monitor_stream_keywords')
+      .select('keywords')
+      .eq('is_active', true)
+      .order('updated_at', { ascending: true }),
+    supabaseClient
+      .from('monitoring_configs')
+      .select('project_name, keywords')
+      .eq('is_active', true)
+  ])
+  if (monitors.error) throw new Error(`Failed to fetch monitor keywords: ${monitors.error.message}`)
+  if (configs.error) throw new Error(`Failed to fetch monitoring configs: ${configs.error.message}`)
+
+  const keywords = [
+    ...(configs.data || []).flatMap((config: any) => config.keywords?.length ? config.keywords : [config.project_name]),
+    ...(monitors.data || []).flatMap((monitor: any) => monitor.keywords || [])
+  ]
+  const maxRules = parseInt(Deno.env.get('TWITTER_STREAM_MAX_RULES') ?? '') || DEFAULT_MAX_RULES
+  const { rules, skipped } = buildStreamRules(keywords, maxRules)
+  const result = await syncStreamRules(rules, token)
+
+  const rejected = result.errors.map(error => error.tag)
+  return {
+    streamed: result.rules.map(rule => rule.tag).filter(tag => !rejected.includes(tag)),
+    skipped: [...skipped, ...rejected],
+    errors: result.errors
+  }
+}
+
+async function storeTweets(supabaseClient: any, rows: MentionRow[]) {
+  const { error } = await supabaseClient
+    .from('mentions')
+    .upsert(rows, { onConflict: 'source,source_id' })
+  if (error) throw new Error(`Failed to store tweets: ${error.message}`)
+
+  // Cached like searched tweets, under the first keyword matched, so cached sentiment
+  // and tracked account activity include them
+  const { error: cacheError } = await supabaseClient
+    .from('twitter_mentions')
+    .upsert(rows.map(row => ({
+      project: row.matching_rules?.[0] || '',
+      tweet_id: row.source_id,
+      text: row.text,
+      created_at: row.created_at,
+      author_id: row.author.id,
+      author_username: row.author.username,
+      public_metrics: {
+        retweet_count: row.metrics.retweets,
+        like_count: row.metrics.likes,
+        reply_count: row.metrics.replies,
+        quote_count: row.metrics.quotes
+      },
+      processed_at: new Date().toISOString()
+    })), { onConflict: 'tweet_id', ignoreDuplicates: true })
+  if (cacheError) throw new Error(`Failed to cache tweets: ${cacheError.message}`)
+}
@@ -0,0 +1,21 @@
+-- Alert incident lifecycle: open -> acknowledged -> resolved, with snooze and escalation
+
+ALTER TABLE monitoring_alerts
+  ADD COLUMN snoozed_until TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN escalated_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN last_triggered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  ADD COLUMN occurrence_count INTEGER NOT NULL DEFAULT 1;
+
+-- Open incidents per config, used to fold re-triggers into the existing incident
+CREATE INDEX idx_monitoring_alerts_open ON monitoring_alerts(monitoring_config_id, alert_type)
+  WHERE resolved_at IS NULL;
+
+-- Owners may acknowledge, snooze and resolve their alerts
+CREATE POLICY "Users can update their own alerts" ON monitoring_alerts
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM monitoring_configs
+      WHERE monitoring_configs.id = monitoring_alerts.monitoring_config_id
+      AND monitoring_configs.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,19 @@
+-- Alert event log: alerts evaluated in the browser are recorded alongside server alerts
+
+ALTER TABLE monitoring_alerts
+  ADD COLUMN user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  ADD COLUMN client_event_id VARCHAR(100) UNIQUE, -- set for events logged by the browser
+  ADD COLUMN incident_id VARCHAR(100), -- groups re-triggers of the same incident
+  ADD COLUMN alert_rule_id VARCHAR(100); -- client alert definition that fired
+
+CREATE INDEX idx_monitoring_alerts_user_time ON monitoring_alerts(user_id, triggered_at DESC);
+CREATE INDEX idx_monitoring_alerts_incident ON monitoring_alerts(incident_id);
+
+CREATE POLICY "Users can view their logged alerts" ON monitoring_alerts
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can log their own alerts" ON monitoring_alerts
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their logged alerts" ON monitoring_alerts
+  FOR UPDATE USING (auth.uid() = user_id);
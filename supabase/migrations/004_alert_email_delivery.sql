@@ -0,0 +1,44 @@
+-- Email delivery for alerts: per-user preferences and a delivery log used for digests and bounces
+
+CREATE TABLE email_preferences (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  recipient VARCHAR(255), -- overrides the account email when set
+  digest_enabled BOOLEAN NOT NULL DEFAULT false,
+  digest_interval_minutes INTEGER NOT NULL DEFAULT 60 CHECK (digest_interval_minutes >= 5),
+  last_digest_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE alert_email_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  client_event_id VARCHAR(100), -- alert history event the email belongs to
+  incident_id VARCHAR(100),
+  alert_type VARCHAR(50) NOT NULL,
+  severity VARCHAR(20) NOT NULL DEFAULT 'medium',
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  payload JSONB NOT NULL, -- notification the email was rendered from
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'failed', 'bounced')),
+  transport VARCHAR(20),
+  message_id VARCHAR(255), -- Message-ID header, matched against bounce reports
+  digest_id UUID, -- shared by every delivery sent in the same digest
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  sent_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_alert_email_deliveries_queued ON alert_email_deliveries(user_id, created_at) WHERE status = 'queued';
+CREATE INDEX idx_alert_email_deliveries_event ON alert_email_deliveries(client_event_id);
+CREATE INDEX idx_alert_email_deliveries_message ON alert_email_deliveries(message_id);
+
+ALTER TABLE email_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE alert_email_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own email preferences" ON email_preferences
+  FOR ALL USING (auth.uid() = user_id);
+
+-- Deliveries are written by the send-alert-email function with the service role
+CREATE POLICY "Users can view their own email deliveries" ON alert_email_deliveries
+  FOR SELECT USING (auth.uid() = user_id);
@@ -0,0 +1,37 @@
+-- Server-side alert evaluation: alerts created in the browser are stored here and
+-- checked by the periodic-monitoring function, so they fire with the browser closed
+
+CREATE TABLE alert_definitions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  client_alert_id VARCHAR(100) NOT NULL, -- id of the alert in the browser
+  alert_type VARCHAR(50) NOT NULL,
+  config JSONB NOT NULL DEFAULT '{}', -- same shape as the client alert config
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+  state JSONB NOT NULL DEFAULT '{}', -- carried between checks: last price, liquidity readings, anomaly baseline
+  triggered_count INTEGER NOT NULL DEFAULT 0,
+  last_triggered_at TIMESTAMP WITH TIME ZONE,
+  last_checked_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, client_alert_id)
+);
+
+CREATE INDEX idx_alert_definitions_due ON alert_definitions(status, last_checked_at) WHERE status = 'active';
+
+ALTER TABLE alert_definitions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own alert definitions" ON alert_definitions
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Incidents raised by the server for a definition
+ALTER TABLE monitoring_alerts
+  ADD COLUMN alert_definition_id UUID REFERENCES alert_definitions(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_monitoring_alerts_definition_open ON monitoring_alerts(alert_definition_id)
+  WHERE resolved_at IS NULL;
+
+-- Browsers follow new and re-triggered incidents live
+ALTER PUBLICATION supabase_realtime ADD TABLE monitoring_alerts;
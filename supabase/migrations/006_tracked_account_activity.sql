@@ -0,0 +1,37 @@
+-- Tracked accounts on the Monitoring page: profile details from the account-lookup
+-- function, and last mention / signal counts computed from stored mentions
+
+ALTER TABLE tracked_accounts
+  ALTER COLUMN user_id SET DEFAULT auth.uid(),
+  ADD COLUMN external_id VARCHAR(50), -- platform user id; matches twitter_mentions.author_id
+  ADD COLUMN avatar_url TEXT,
+  ADD COLUMN last_lookup_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_twitter_mentions_author_time ON twitter_mentions(author_id, created_at DESC);
+CREATE INDEX idx_twitter_mentions_username_time ON twitter_mentions(lower(author_username), created_at DESC);
+
+-- Last mention ever and mentions since `since`, per tracked account. Runs with the
+-- caller's rights, so row level security limits it to their own accounts.
+CREATE OR REPLACE FUNCTION get_tracked_account_activity(since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  account_id UUID,
+  last_mention_at TIMESTAMP WITH TIME ZONE,
+  signal_count BIGINT,
+  projects TEXT[]
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    a.id,
+    MAX(m.created_at),
+    COUNT(m.id) FILTER (WHERE m.created_at >= since),
+    COALESCE(ARRAY_AGG(DISTINCT m.project::TEXT) FILTER (WHERE m.created_at >= since), '{}')
+  FROM tracked_accounts a
+  LEFT JOIN twitter_mentions m
+    ON a.account_type = 'twitter'
+    AND (m.author_id = a.external_id OR lower(m.author_username) = lower(ltrim(a.account_identifier, '@')))
+  GROUP BY a.id
+$$;
+
+-- The page refreshes activity as new mentions are stored
+ALTER PUBLICATION supabase_realtime ADD TABLE twitter_mentions;
@@ -0,0 +1,88 @@
+-- Mentions from every source in one shape. The channel-ingestion function stores
+-- Telegram channel posts and Discord server messages here, normalized like
+-- twitterService.formatTweetData, for tracked accounts of those types.
+
+CREATE TABLE mentions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('twitter', 'telegram', 'discord')),
+  source_id VARCHAR(100) NOT NULL, -- message id, unique within the source
+  server_id VARCHAR(100), -- Discord server (guild); null for Telegram
+  channel_id VARCHAR(100), -- Telegram chat or Discord channel
+  channel_name VARCHAR(255), -- Telegram channel username, Discord channel name
+  text TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  lang VARCHAR(10),
+  url TEXT,
+  author JSONB NOT NULL DEFAULT '{}', -- id, username, name, verified, followers
+  metrics JSONB NOT NULL DEFAULT '{}', -- retweets, likes, replies, quotes
+  engagement INTEGER NOT NULL DEFAULT 0,
+  influence DECIMAL(3,2) NOT NULL DEFAULT 0,
+  ingested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(source, source_id)
+);
+
+CREATE INDEX idx_mentions_source_time ON mentions(source, created_at DESC);
+CREATE INDEX idx_mentions_channel_time ON mentions(source, channel_id, created_at DESC);
+CREATE INDEX idx_mentions_server_time ON mentions(server_id, created_at DESC) WHERE server_id IS NOT NULL;
+
+-- Where each channel's ingestion left off: the Telegram update offset, or the last
+-- message id read from a Discord channel
+CREATE TABLE mention_source_cursors (
+  source VARCHAR(20) NOT NULL,
+  cursor_key VARCHAR(100) NOT NULL,
+  cursor VARCHAR(100) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY(source, cursor_key)
+);
+
+-- Public channel messages are readable like cached tweets; only the service role writes
+ALTER TABLE mentions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mention_source_cursors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Mentions are readable by everyone" ON mentions
+  FOR SELECT USING (true);
+
+-- Tracked Telegram channels match on chat id or username, Discord servers on guild id
+CREATE OR REPLACE FUNCTION get_tracked_account_activity(since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  account_id UUID,
+  last_mention_at TIMESTAMP WITH TIME ZONE,
+  signal_count BIGINT,
+  projects TEXT[]
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    a.id,
+    MAX(m.created_at),
+    COUNT(m.id) FILTER (WHERE m.created_at >= since),
+    COALESCE(ARRAY_AGG(DISTINCT m.project::TEXT) FILTER (WHERE m.created_at >= since), '{}')
+  FROM tracked_accounts a
+  LEFT JOIN twitter_mentions m
+    ON a.account_type = 'twitter'
+    AND (m.author_id = a.external_id OR lower(m.author_username) = lower(ltrim(a.account_identifier, '@')))
+  WHERE a.account_type = 'twitter'
+  GROUP BY a.id
+
+  UNION ALL
+
+  SELECT
+    a.id,
+    MAX(m.created_at),
+    COUNT(m.id) FILTER (WHERE m.created_at >= since),
+    '{}'::TEXT[]
+  FROM tracked_accounts a
+  LEFT JOIN mentions m
+    ON m.source = a.account_type
+    AND (
+      m.server_id = a.account_identifier
+      OR m.channel_id = a.external_id
+      OR (m.source = 'telegram' AND lower(m.channel_name) = lower(ltrim(a.account_identifier, '@')))
+    )
+  WHERE a.account_type IN ('telegram', 'discord')
+  GROUP BY a.id
+$$;
+
+ALTER PUBLICATION supabase_realtime ADD TABLE mentions;
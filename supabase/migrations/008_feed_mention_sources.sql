@@ -0,0 +1,58 @@
+-- Reddit, RSS/Atom news feeds and Farcaster as mention sources. They are tracked on
+-- the Monitoring page like Telegram channels and ingested by channel-ingestion into
+-- the mentions table, with channel_id set to the tracked identifier.
+
+ALTER TABLE tracked_accounts
+  DROP CONSTRAINT tracked_accounts_account_type_check,
+  ADD CONSTRAINT tracked_accounts_account_type_check
+    CHECK (account_type IN ('twitter', 'telegram', 'discord', 'reddit', 'rss', 'farcaster')),
+  ALTER COLUMN account_identifier TYPE TEXT; -- feed URLs
+
+ALTER TABLE mentions
+  DROP CONSTRAINT mentions_source_check,
+  ADD CONSTRAINT mentions_source_check
+    CHECK (source IN ('twitter', 'telegram', 'discord', 'reddit', 'rss', 'farcaster')),
+  ALTER COLUMN source_id TYPE TEXT, -- feed item guids are often URLs
+  ALTER COLUMN channel_id TYPE TEXT;
+
+-- Subreddits, searches, feeds and Farcaster channels match on channel_id
+CREATE OR REPLACE FUNCTION get_tracked_account_activity(since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  account_id UUID,
+  last_mention_at TIMESTAMP WITH TIME ZONE,
+  signal_count BIGINT,
+  projects TEXT[]
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    a.id,
+    MAX(m.created_at),
+    COUNT(m.id) FILTER (WHERE m.created_at >= since),
+    COALESCE(ARRAY_AGG(DISTINCT m.project::TEXT) FILTER (WHERE m.created_at >= since), '{}')
+  FROM tracked_accounts a
+  LEFT JOIN twitter_mentions m
+    ON a.account_type = 'twitter'
+    AND (m.author_id = a.external_id OR lower(m.author_username) = lower(ltrim(a.account_identifier, '@')))
+  WHERE a.account_type = 'twitter'
+  GROUP BY a.id
+
+  UNION ALL
+
+  SELECT
+    a.id,
+    MAX(m.created_at),
+    COUNT(m.id) FILTER (WHERE m.created_at >= since),
+    '{}'::TEXT[]
+  FROM tracked_accounts a
+  LEFT JOIN mentions m
+    ON m.source = a.account_type
+    AND (
+      m.server_id = a.account_identifier
+      OR m.channel_id = a.external_id
+      OR (m.source = 'telegram' AND lower(m.channel_name) = lower(ltrim(a.account_identifier, '@')))
+      OR (m.source IN ('reddit', 'rss', 'farcaster') AND lower(m.channel_id) = lower(a.account_identifier))
+    )
+  WHERE a.account_type <> 'twitter'
+  GROUP BY a.id
+$$;
@@ -0,0 +1,35 @@
+-- Twitter filtered-stream ingestion. The twitter-stream function keeps one stream rule
+-- per monitored keyword and stores matched tweets in the mentions table (source
+-- 'twitter'), tagged with the keywords they matched, instead of monitors polling
+-- recent search.
+
+-- Keywords of the monitors kept in the browser, so the stream rules cover them.
+-- Keywords of active monitoring_configs are included as well.
+CREATE TABLE monitor_stream_keywords (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  client_monitor_id VARCHAR(100) NOT NULL, -- id of the monitor in the browser
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(user_id, client_monitor_id)
+);
+
+CREATE INDEX idx_monitor_stream_keywords_active ON monitor_stream_keywords(is_active) WHERE is_active = true;
+
+ALTER TABLE monitor_stream_keywords ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own stream keywords" ON monitor_stream_keywords
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Rule tags (normalized keywords) a streamed tweet matched; empty for other sources
+ALTER TABLE mentions
+  ADD COLUMN matching_rules TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX idx_mentions_matching_rules ON mentions USING GIN (matching_rules)
+  WHERE source = 'twitter';
+
+-- Stream state (heartbeat, backoff) is kept in mention_source_cursors under source
+-- 'twitter'; ISO timestamps fit its cursor column.
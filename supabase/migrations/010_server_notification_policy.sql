@@ -0,0 +1,74 @@
+-- Notification policy and webhook delivery log for server-evaluated alerts, so alerts
+-- checked by periodic-monitoring follow the same quiet hours, severity floors, hourly
+-- limits and digests as the browser, and webhooks are retried like the browser's.
+
+-- The browser's notification policy (alertService.getNotificationPolicy()), stored when it changes
+CREATE TABLE notification_policies (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  policy JSONB NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE notification_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own notification policy" ON notification_policies
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Notifications the policy held back; periodic-monitoring sends them as one summary
+-- per channel and destination once nothing holds them
+CREATE TABLE held_notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  monitoring_alert_id UUID REFERENCES monitoring_alerts(id) ON DELETE CASCADE,
+  channel VARCHAR(20) NOT NULL,
+  destination TEXT NOT NULL DEFAULT '', -- held notifications are summarized per destination
+  reason VARCHAR(20) NOT NULL CHECK (reason IN ('quiet_hours', 'rate_limited', 'digest')),
+  payload JSONB NOT NULL, -- notification as it would have been sent
+  config JSONB NOT NULL DEFAULT '{}', -- channel settings of the alert
+  webhook_url TEXT,
+  held_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_held_notifications_user ON held_notifications(user_id, held_at);
+
+-- Server sends per channel, counted against the policy's maxPerHour
+CREATE TABLE notification_sends (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  channel VARCHAR(20) NOT NULL,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_notification_sends_recent ON notification_sends(user_id, channel, sent_at);
+
+-- Server webhook deliveries, with the statuses and attempt records of webhookDeliveryService
+CREATE TABLE webhook_deliveries (
+  id VARCHAR(100) PRIMARY KEY, -- envelope id and Idempotency-Key
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT, -- retries are signed again
+  event_type VARCHAR(50) NOT NULL,
+  body TEXT NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'alert',
+  source_id VARCHAR(100), -- client alert id
+  meta JSONB NOT NULL DEFAULT '{}', -- { channel, incidentIds }
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'retrying', 'delivered', 'dead')),
+  attempts JSONB NOT NULL DEFAULT '[]',
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'retrying';
+CREATE INDEX idx_webhook_deliveries_user ON webhook_deliveries(user_id, created_at);
+
+ALTER TABLE held_notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_sends ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Written by periodic-monitoring with the service role
+CREATE POLICY "Users can view their own held notifications" ON held_notifications
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own webhook deliveries" ON webhook_deliveries
+  FOR SELECT USING (auth.uid() = user_id);
@@ -0,0 +1,16 @@
+-- Verification of the email_preferences recipient override. send-alert-email only emails
+-- an address other than the account email once its owner entered the code sent to it.
+
+CREATE TABLE email_recipient_verifications (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  recipient VARCHAR(255) NOT NULL, -- address the code was sent to
+  code_hash VARCHAR(64), -- SHA-256 of the emailed code, cleared once verified
+  attempts INTEGER NOT NULL DEFAULT 0, -- wrong codes entered for this code
+  sent_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  verified_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Read and written by send-alert-email with the service role only, so the code hash
+-- stays private and users cannot mark an address verified themselves
+ALTER TABLE email_recipient_verifications ENABLE ROW LEVEL SECURITY;